@@ -0,0 +1,241 @@
+/**
+ * RelayServer - Small WebSocket relay for online versus games
+ * Players create a room and get a short code, or join one with its code. Every other message is
+ * passed on unchanged to the other player in the room, so the server knows nothing about the
+ * game itself; the players' browsers run their own games and tell each other what happened.
+ */
+
+import { WebSocketServer, WebSocket } from 'ws';
+import { NETWORK_CONFIG } from '../src/core/Constants.js';
+
+// WebSocket close code for a server that cannot take the player right now
+const CLOSE_TRY_AGAIN_LATER = 1013;
+
+export class RelayServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {number} options.port - Port to listen on (0 picks a free port)
+   * @param {number} options.maxConnections - Players connected at once
+   * @param {number} options.maxRooms - Rooms open at once
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? NETWORK_CONFIG.RELAY_PORT;
+    this.maxConnections = options.maxConnections ?? NETWORK_CONFIG.MAX_CONNECTIONS;
+    this.maxRooms = options.maxRooms ?? NETWORK_CONFIG.MAX_ROOMS;
+    this.server = null;
+    this.heartbeatTimer = null;
+
+    // Room code -> sockets of the players in the room
+    this.rooms = new Map();
+  }
+
+  /**
+   * Start listening for players
+   * @returns {Promise<number>} - Port the server listens on
+   */
+  start() {
+    this.server = new WebSocketServer({
+      port: this.port,
+      maxPayload: NETWORK_CONFIG.MAX_MESSAGE_SIZE,
+    });
+
+    this.server.on('connection', socket => this.handleConnection(socket));
+
+    // Players whose connection dropped without closing do not answer pings
+    this.heartbeatTimer = setInterval(() => {
+      this.server.clients.forEach(socket => {
+        if (!socket.isAlive) {
+          socket.terminate();
+          return;
+        }
+        socket.isAlive = false;
+        socket.ping();
+      });
+    }, NETWORK_CONFIG.HEARTBEAT_INTERVAL);
+
+    return new Promise((resolve, reject) => {
+      this.server.once('listening', () => resolve(this.server.address().port));
+      this.server.once('error', reject);
+    });
+  }
+
+  /**
+   * Disconnect every player and stop the server
+   * @returns {Promise} - Resolves once the server has closed
+   */
+  stop() {
+    clearInterval(this.heartbeatTimer);
+    this.rooms.clear();
+
+    if (!this.server) return Promise.resolve();
+
+    this.server.clients.forEach(socket => socket.terminate());
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Set up a newly connected player
+   * @param {WebSocket} socket - Player connection
+   */
+  handleConnection(socket) {
+    // The new player already counts as one of the server's clients
+    if (this.server.clients.size > this.maxConnections) {
+      const message = 'The online game server is full. Try again later.';
+      this.send(socket, { type: 'error', message });
+      socket.close(CLOSE_TRY_AGAIN_LATER, message);
+      return;
+    }
+
+    socket.isAlive = true;
+    socket.room = null;
+
+    socket.on('pong', () => (socket.isAlive = true));
+    socket.on('message', data => this.handleMessage(socket, data.toString()));
+    socket.on('close', () => this.leaveRoom(socket));
+  }
+
+  /**
+   * Handle a message from a player
+   * @param {WebSocket} socket - Player connection
+   * @param {string} text - JSON message
+   */
+  handleMessage(socket, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      this.send(socket, { type: 'error', message: 'That message could not be read.' });
+      return;
+    }
+
+    switch (message?.type) {
+    case 'create':
+      this.createRoom(socket);
+      break;
+
+    case 'join':
+      this.joinRoom(socket, message.code);
+      break;
+
+    default:
+      this.relay(socket, text);
+    }
+  }
+
+  /**
+   * Put a player in a new room
+   * @param {WebSocket} socket - Player connection
+   */
+  createRoom(socket) {
+    if (this.rooms.size >= this.maxRooms) {
+      this.send(socket, { type: 'error', message: 'Too many rooms are open. Try again later.' });
+      return;
+    }
+
+    this.leaveRoom(socket);
+
+    const code = this.createRoomCode();
+    this.rooms.set(code, [socket]);
+    socket.room = code;
+
+    this.send(socket, { type: 'roomCreated', code });
+  }
+
+  /**
+   * Put a player in the room with the given code and tell the other player
+   * @param {WebSocket} socket - Player connection
+   * @param {string} code - Room code typed by the player
+   */
+  joinRoom(socket, code) {
+    const roomCode = String(code ?? '')
+      .trim()
+      .toUpperCase();
+    const room = this.rooms.get(roomCode);
+
+    if (!room) {
+      this.send(socket, { type: 'error', message: `There is no room ${roomCode}.` });
+      return;
+    }
+    if (socket.room === roomCode) {
+      this.send(socket, { type: 'error', message: `You are already in room ${roomCode}.` });
+      return;
+    }
+    if (room.length >= NETWORK_CONFIG.ROOM_SIZE) {
+      this.send(socket, { type: 'error', message: `Room ${roomCode} is already full.` });
+      return;
+    }
+
+    this.leaveRoom(socket);
+    room.push(socket);
+    socket.room = roomCode;
+
+    this.send(socket, { type: 'roomJoined', code: roomCode });
+    this.relay(socket, JSON.stringify({ type: 'opponentJoined' }));
+  }
+
+  /**
+   * Take a player out of their room, telling whoever is left
+   * @param {WebSocket} socket - Player connection
+   */
+  leaveRoom(socket) {
+    const code = socket.room;
+    const room = this.rooms.get(code);
+    if (!room) return;
+
+    const others = room.filter(other => other !== socket);
+    socket.room = null;
+
+    // Whoever is left keeps the room, so another friend can join with the same code
+    if (others.length === 0) {
+      this.rooms.delete(code);
+    } else {
+      this.rooms.set(code, others);
+      others.forEach(other => this.send(other, { type: 'opponentLeft' }));
+    }
+  }
+
+  /**
+   * Pass a message on to the other players in the sender's room
+   * @param {WebSocket} socket - Sending player
+   * @param {string} text - JSON message, sent on unchanged
+   */
+  relay(socket, text) {
+    const room = this.rooms.get(socket.room);
+    if (!room) return;
+
+    room.forEach(other => {
+      if (other !== socket && other.readyState === WebSocket.OPEN) {
+        other.send(text);
+      }
+    });
+  }
+
+  /**
+   * Send a message to one player
+   * @param {WebSocket} socket - Player connection
+   * @param {Object} message - Message to send
+   */
+  send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Make up a room code no open room is using
+   * @returns {string} - Room code, e.g. 'KWPA'
+   */
+  createRoomCode() {
+    const letters = NETWORK_CONFIG.ROOM_CODE_LETTERS;
+    let code;
+
+    do {
+      code = Array.from(
+        { length: NETWORK_CONFIG.ROOM_CODE_LENGTH },
+        () => letters[Math.floor(Math.random() * letters.length)],
+      ).join('');
+    } while (this.rooms.has(code));
+
+    return code;
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * Start the relay server for online versus games
+ * Run with `npm run relay`; set PORT to listen on another port than NETWORK_CONFIG.RELAY_PORT
+ */
+
+import { RelayServer } from './RelayServer.js';
+
+const server = new RelayServer({ port: process.env.PORT ? Number(process.env.PORT) : undefined });
+
+server
+  .start()
+  .then(port => console.log(`🌐 Relay server listening on port ${port}`))
+  .catch(error => {
+    console.error('Could not start the relay server:', error);
+    process.exit(1);
+  });
+
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    server.stop().then(() => process.exit(0));
+  });
+});
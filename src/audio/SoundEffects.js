@@ -3,6 +3,8 @@
  * Creates pleasant sound effects using Web Audio API without external files
  */
 
+import { BOARD_CONFIG } from '../core/Constants.js';
+
 export class SoundEffects {
   constructor(audioManager) {
     this.audioManager = audioManager;
@@ -26,7 +28,7 @@ export class SoundEffects {
     this.spatialSettings = {
       enabled: true,
       maxPan: 0.3, // Limited panning for kid-friendly experience
-      boardWidth: 10, // Tetris board width for spatial calculations
+      boardWidth: BOARD_CONFIG.WIDTH, // Board width of the current game for spatial calculations
     };
 
     // Recently played sounds (to prevent overwhelming audio)
@@ -81,6 +83,16 @@ export class SoundEffects {
         description: 'Pleasant chord for piece rotation',
       },
 
+      hold: {
+        type: 'chord',
+        frequencies: [523, 392, 330], // C major triad, falling
+        duration: 0.15,
+        envelope: 'gentle',
+        waveform: 'triangle',
+        volume: 0.3,
+        description: 'Soft chord for tucking a piece away',
+      },
+
       softDrop: {
         type: 'slide',
         startFreq: 600,
@@ -330,7 +342,7 @@ export class SoundEffects {
     }
 
     // Calculate pan based on horizontal position on the Tetris board
-    const { x = 5 } = position; // Default to center if no position
+    const { x = (this.spatialSettings.boardWidth - 1) / 2 } = position; // Default to center if no position
     const normalizedX = (x / (this.spatialSettings.boardWidth - 1)) * 2 - 1; // -1 to 1
     const pan = normalizedX * this.spatialSettings.maxPan;
 
@@ -848,6 +860,13 @@ export class SoundEffects {
     this.spatialSettings.enabled = enabled;
   }
 
+  /**
+   * Set the board width used to pan sounds from left to right
+   */
+  setBoardWidth(width) {
+    this.spatialSettings.boardWidth = width;
+  }
+
   /**
    * Get available sound names
    */
@@ -14,6 +14,22 @@ export const CANVAS_CONFIG = {
   GAME_WIDTH: BOARD_CONFIG.WIDTH * BOARD_CONFIG.CELL_SIZE, // 320px
   GAME_HEIGHT: BOARD_CONFIG.HEIGHT * BOARD_CONFIG.CELL_SIZE, // 640px
   PREVIEW_SIZE: 120,
+  MAX_DISPLAY_WIDTH: 640, // Widest the board is shown on screen (px)
+};
+
+// Board sizes offered in settings; each game can use its own width and height
+export const BOARD_SIZES = {
+  SMALL: { name: 'Small', icon: '🐣', width: 6, height: 12 }, // Toddler-friendly
+  CLASSIC: { name: 'Classic', icon: '🧩', width: 10, height: 20 },
+  WIDE: { name: 'Wide', icon: '🌊', width: 16, height: 20 },
+};
+
+// Limits for custom board sizes (the widest piece is 4 cells)
+export const BOARD_LIMITS = {
+  MIN_WIDTH: 6,
+  MAX_WIDTH: 20,
+  MIN_HEIGHT: 10,
+  MAX_HEIGHT: 30,
 };
 
 // Game States
@@ -95,6 +111,20 @@ export const PIECES = {
 // Get all piece types as array
 export const PIECE_TYPES = Object.keys(PIECES);
 
+// Piece sets (see src/pieces/PieceSetRegistry.js)
+export const PIECE_SET_CONFIG = {
+  DEFAULT_SET: 'classic', // The seven tetrominoes above
+  MAX_PIECE_SIZE: 5, // Widest piece shape, so every piece fits the preview and the smallest board
+};
+
+// Piece randomizers (see src/pieces/RandomizerRegistry.js)
+export const RANDOMIZER_CONFIG = {
+  DEFAULT: 'bag7', // Every piece once per bag of seven
+  HISTORY_SIZE: 4, // Pieces the history randomizer tries not to repeat
+  HISTORY_ROLLS: 6, // Tries before the history randomizer gives up and allows a repeat
+  FRIENDLY_BIAS: 3, // How much more likely the best fitting piece is (3 = up to 4x as likely)
+};
+
 // Input Key Codes
 export const KEYS = {
   LEFT: 'ArrowLeft',
@@ -108,12 +138,127 @@ export const KEYS = {
   M: 'KeyM', // Mute
 };
 
+// Keyboard controls the player can rebind under settings (single-player games)
+export const CONTROLS_CONFIG = {
+  ACTIONS: {
+    left: { name: 'Move Left', icon: '⬅️' },
+    right: { name: 'Move Right', icon: '➡️' },
+    down: { name: 'Soft Drop', icon: '⬇️' },
+    drop: { name: 'Hard Drop', icon: '⏬' },
+    rotate: { name: 'Turn Right', icon: '🔃' },
+    rotateCounterClockwise: { name: 'Turn Left', icon: '🔄' },
+    hold: { name: 'Hold', icon: '✋' },
+    pause: { name: 'Pause', icon: '⏸️' },
+  },
+  PRESETS: {
+    arrows: {
+      name: 'Arrows',
+      icon: '⬆️',
+      keys: {
+        left: 'ArrowLeft',
+        right: 'ArrowRight',
+        down: 'ArrowDown',
+        drop: 'Space',
+        rotate: 'ArrowUp',
+        rotateCounterClockwise: 'KeyZ',
+        hold: 'KeyC',
+        pause: 'KeyP',
+      },
+    },
+    wasd: {
+      name: 'WASD',
+      icon: '🅰️',
+      keys: {
+        left: 'KeyA',
+        right: 'KeyD',
+        down: 'KeyS',
+        drop: 'Space',
+        rotate: 'KeyW',
+        rotateCounterClockwise: 'KeyQ',
+        hold: 'KeyE',
+        pause: 'KeyP',
+      },
+    },
+    leftHanded: {
+      name: 'Left-Handed',
+      icon: '🫲',
+      keys: {
+        left: 'KeyA',
+        right: 'KeyD',
+        down: 'KeyS',
+        drop: 'KeyW',
+        rotate: 'KeyK',
+        rotateCounterClockwise: 'KeyJ',
+        hold: 'KeyL',
+        pause: 'KeyP',
+      },
+    },
+  },
+  DEFAULT_PRESET: 'arrows',
+  RESERVED_KEYS: ['Escape', 'Enter', 'Tab', 'KeyM'], // Always pause, confirm, move focus and mute
+};
+
+// Game controllers, read with the Gamepad API (button numbers follow the standard layout)
+export const GAMEPAD_CONFIG = {
+  PRESETS: {
+    standard: {
+      name: 'Standard',
+      icon: '🎮',
+      keys: {
+        left: 14,
+        right: 15,
+        down: 13,
+        drop: 12,
+        rotate: 0,
+        rotateCounterClockwise: 1,
+        hold: 4,
+        pause: 9,
+      },
+    },
+    swapped: {
+      name: 'Swapped Turns',
+      icon: '🔁',
+      keys: {
+        left: 14,
+        right: 15,
+        down: 13,
+        drop: 12,
+        rotate: 1,
+        rotateCounterClockwise: 0,
+        hold: 4,
+        pause: 9,
+      },
+    },
+  },
+  DEFAULT_PRESET: 'standard',
+  MENU_BUTTONS: { up: 12, down: 13, confirm: 0, back: 1 }, // Always used in the menus
+  STICK_THRESHOLD: 0.5, // How far the left stick is pushed before it counts as the d-pad
+  BUTTON_NAMES: [
+    'A',
+    'B',
+    'X',
+    'Y',
+    'LB',
+    'RB',
+    'LT',
+    'RT',
+    'Back',
+    'Start',
+    'Left Stick',
+    'Right Stick',
+    'D-Pad ↑',
+    'D-Pad ↓',
+    'D-Pad ←',
+    'D-Pad →',
+  ],
+};
+
 // Game Timing (in milliseconds)
 export const TIMING = {
   BASE_FALL_SPEED: 1000, // 1 second for level 1
   SPEED_INCREASE: 50, // Decrease by 50ms per level
   MIN_FALL_SPEED: 100, // Minimum fall speed (very fast)
-  LOCK_DELAY: 500, // Time before piece locks in place
+  LOCK_DELAY: 500, // Time before piece locks in place (set per difficulty in DIFFICULTY_LEVELS)
   LINE_CLEAR_DELAY: 300, // Animation time for clearing lines
   GAME_OVER_DELAY: 2000, // Time to show game over screen
 };
@@ -127,6 +272,42 @@ export const SCORING = {
   SOFT_DROP: 1, // Per cell dropped with down arrow
   HARD_DROP: 2, // Per cell dropped with space
   LEVEL_MULTIPLIER: 1, // Multiply by current level
+  PERFECT_CLEAR: 1000, // Bonus for clearing every block off the board
+
+  // Advanced scoring (only when turned on in settings)
+  T_SPIN_MINI: 100, // T-spin mini that clears nothing
+  T_SPIN: 400, // T-spin that clears nothing
+  T_SPIN_MINI_SINGLE: 200,
+  T_SPIN_MINI_DOUBLE: 400,
+  T_SPIN_SINGLE: 800,
+  T_SPIN_DOUBLE: 1200,
+  T_SPIN_TRIPLE: 1600,
+  COMBO: 50, // Per clear in a row after the first, times the level
+  BACK_TO_BACK: 1.5, // Multiplies a Tetris or T-spin clear that follows another one
+};
+
+// Lock delay: what restarts the timer of a piece that has landed
+export const LOCK_DELAY_CONFIG = {
+  DEFAULT_RESET: 'move',
+  MAX_RESETS: 15, // Moves or turns on the ground that restart the timer, per row reached
+  RESETS: {
+    move: {
+      name: 'Modern',
+      icon: '🔁',
+      description: 'Moving or turning restarts the timer, up to 15 times',
+    },
+    infinite: {
+      name: 'Endless',
+      icon: '♾️',
+      description: 'Moving or turning always restarts the timer',
+    },
+    step: {
+      name: 'Classic',
+      icon: '🪜',
+      description: 'Only falling to a lower row restarts the timer',
+    },
+  },
+  INDICATOR_COLOR: '#FFFFFF',
 };
 
 // Lines needed to advance to next level
@@ -267,6 +448,7 @@ export const COLORS = {
 
   // Game colors
   GHOST_PIECE: 'rgba(255, 255, 255, 0.3)',
+  HOLD_LOCKED: '#9e9e9e', // Held piece while hold is used up for this piece
   BORDER: '#333333',
   HIGHLIGHT: '#ffffff',
 };
@@ -279,6 +461,15 @@ export const ANIMATIONS = {
   PULSE_DURATION: 1000,
 };
 
+// Next piece queue beside the board
+export const NEXT_QUEUE_CONFIG = {
+  MIN_SIZE: 1,
+  MAX_SIZE: 6,
+  DEFAULT_SIZE: 3,
+  SLOT_HEIGHT: 50, // Height of each smaller piece after the first (px)
+  SMALL_SCALE: 0.45, // Block size of the smaller pieces, as a fraction of a cell
+};
+
 // Mobile/Touch Configuration
 export const TOUCH_CONFIG = {
   SWIPE_THRESHOLD: 40, // Minimum distance for swipe (reduced for better mobile responsiveness)
@@ -286,6 +477,7 @@ export const TOUCH_CONFIG = {
   DOUBLE_TAP_THRESHOLD: 300, // Maximum time between taps (ms)
   MIN_SWIPE_VELOCITY: 0.3, // Minimum velocity for swipe detection
   MAX_TAP_DISTANCE: 15, // Maximum movement distance to still count as tap
+  HOLD_SWIPE_THRESHOLD: 150, // Swiping up at least this far holds the piece instead of rotating
   
   // Mobile-specific optimizations
   MOBILE_OPTIMIZATIONS: {
@@ -296,6 +488,159 @@ export const TOUCH_CONFIG = {
   }
 };
 
+// Game Mode Configuration
+export const MODE_CONFIG = {
+  DEFAULT_MODE: 'marathon', // Classic endless game
+  SPRINT_LINES: 40, // Lines to clear in Sprint
+  ULTRA_TIME_LIMIT: 120000, // Ultra lasts 2 minutes
+  ZEN_FALL_SPEED: 1500, // Zen gravity never speeds up
+  ZEN_CLEAR_ROWS: 10, // Rows cleared from the top when a Zen stack reaches the top
+  ZEN_CLEAR_DURATION: 1200, // Fade-out time of the cleared rows
+  CLIMB_RISE_INTERVAL: 10000, // Time between garbage rows at level 1 (ms)
+  CLIMB_RISE_STEP: 800, // Each level makes the rows rise this much sooner
+  CLIMB_MIN_RISE_INTERVAL: 3000, // Rows never rise faster than this
+  CLIMB_WARNING_TIME: 2000, // The board warns this long before a row rises
+  CLIMB_GARBAGE_COLOR: '#6c757d', // Stone grey rows drawn in their own style
+};
+
+// Handling: how held controls repeat, set for each player under settings
+export const HANDLING_CONFIG = {
+  PLAYERS: 2, // Players with their own handling (player 1 also plays single-player games)
+  DEFAULTS: {
+    das: 150, // Delayed auto shift: milliseconds a move is held before it repeats
+    arr: 50, // Auto repeat rate: milliseconds between repeats (0 slides all the way at once)
+    softDropFactor: 20, // Soft drop falls this many times faster than the piece falls
+    dasCut: 0, // Milliseconds a held move waits after the piece turns
+  },
+  SETTINGS: {
+    das: { name: 'Wait Before Sliding', values: [83, 117, 150, 200, 267] },
+    arr: { name: 'Sliding Speed', values: [0, 17, 33, 50, 83] },
+    softDropFactor: { name: 'Soft Drop Speed', values: [5, 10, 20, 40] },
+    dasCut: { name: 'Pause After Turning', values: [0, 33, 67, 100] },
+  },
+  SHIFT_INTERVAL: 50, // With instant sliding (ARR 0), how often a held move slides again
+};
+
+// Two-player versus on one keyboard
+export const VERSUS_CONFIG = {
+  PLAYERS: 2,
+  COUNTDOWN: 3000, // Shared "3, 2, 1" before both games start (ms)
+  GARBAGE_ROWS: [0, 0, 1, 2, 4], // Rows sent to the other player for clearing 0-4 lines at once
+  GARBAGE_COLOR: MODE_CONFIG.CLIMB_GARBAGE_COLOR, // Drawn as stone, like Climb's rising rows
+  KEY_SCHEMES: [
+    {
+      name: 'WASD',
+      keys: {
+        KeyA: 'left',
+        KeyD: 'right',
+        KeyS: 'down',
+        KeyW: 'rotate',
+        KeyQ: 'hold',
+        Space: 'drop',
+      },
+    },
+    {
+      name: 'Arrows',
+      keys: {
+        ArrowLeft: 'left',
+        ArrowRight: 'right',
+        ArrowDown: 'down',
+        ArrowUp: 'rotate',
+        ShiftRight: 'hold',
+        Enter: 'drop',
+      },
+    },
+  ],
+};
+
+// Two players sharing one double-width board
+export const COOP_CONFIG = {
+  PLAYERS: 2,
+  COUNTDOWN: VERSUS_CONFIG.COUNTDOWN,
+  KEY_SCHEMES: VERSUS_CONFIG.KEY_SCHEMES, // Same keys as versus: WASD and the arrows
+};
+
+// Computer opponent for versus games
+export const BOT_CONFIG = {
+  DEFAULT_LEVEL: 'NORMAL',
+  // How much each board feature counts when the computer picks where a piece goes
+  WEIGHTS: {
+    HEIGHT: -0.51, // Sum of the column heights
+    LINES: 0.76, // Lines the piece clears
+    HOLES: -0.36, // Empty cells with a block above them
+    BUMPINESS: -0.18, // Height differences between neighbouring columns
+  },
+  LEVELS: {
+    EASY: {
+      name: 'Easy',
+      icon: '🐢',
+      thinkTime: 900, // Milliseconds before moving a new piece
+      moveInterval: 200, // Milliseconds between moves
+      mistakeRate: 0.3, // Chance of dropping a piece somewhere random
+      useHold: false,
+    },
+    NORMAL: {
+      name: 'Normal',
+      icon: '🦊',
+      thinkTime: 450,
+      moveInterval: 110,
+      mistakeRate: 0.1,
+      useHold: true,
+    },
+    HARD: {
+      name: 'Hard',
+      icon: '🦅',
+      thinkTime: 150,
+      moveInterval: 45,
+      mistakeRate: 0.02,
+      useHold: true,
+    },
+  },
+};
+
+// Suggested spot for the current piece when a player stops to think
+export const HINT_CONFIG = {
+  DELAY: 4000, // Milliseconds without a move before the hint shows
+  MAX_HINTS: {
+    EASY: null, // As many as needed
+    NORMAL: 5, // Per game
+    HARD: 3,
+  },
+  COLOR: '#fff59d',
+};
+
+// Online versus through the relay server in server/
+export const NETWORK_CONFIG = {
+  RELAY_PORT: 8787,
+  ROOM_SIZE: 2,
+  ROOM_CODE_LENGTH: 4,
+  ROOM_CODE_LETTERS: 'ABCDEFGHJKLMNPQRSTUVWXYZ', // No I or O, which look like 1 and 0
+  MAX_MESSAGE_SIZE: 64 * 1024, // Bytes
+  HEARTBEAT_INTERVAL: 15000, // The server pings to find players who dropped without closing (ms)
+  CONNECT_TIMEOUT: 5000, // Give up reaching the relay server after this long (ms)
+  SYNC_INTERVAL: 100, // How often a player's board is sent to the other player (ms)
+  MAX_CONNECTIONS: 200, // Players the relay server takes at once; more are turned away
+  MAX_ROOMS: 100, // Rooms open at once on the relay server
+};
+
+// Puzzle Configuration
+export const PUZZLE_CONFIG = {
+  GARBAGE_COLOR: '#8d99ae', // Grey blocks that puzzles ask you to clear
+  MAX_STARS: 3,
+};
+
+// Tutorial Lessons Configuration
+export const TUTORIAL_CONFIG = {
+  FALL_SPEED: 3000, // Blocks fall at most this fast during lessons (ms per row)
+};
+
+// Game Replay Configuration
+export const REPLAY_CONFIG = {
+  VERSION: 1, // Bump when the replay format changes
+  MAX_SAVED_REPLAYS: 10, // Oldest replays are dropped from local storage
+  PLAYBACK_SPEEDS: [0.25, 0.5, 1, 2, 4],
+};
+
 // Development/Debug Configuration
 export const DEBUG = {
   SHOW_GRID: false,
@@ -308,9 +653,9 @@ export const DEBUG = {
 // Game Features
 export const FEATURES = {
   GHOST_PIECE: true, // Show where piece will land
-  HOLD_PIECE: false, // Allow holding pieces (advanced feature)
+  HOLD_PIECE: true, // Allow holding pieces (can be turned off per difficulty in settings)
   WALL_KICKS: true, // Advanced rotation system
-  T_SPIN_DETECTION: false, // Advanced scoring (complex for kids)
+  T_SPIN_DETECTION: true, // T-spins, combos and back-to-backs for games with advanced scoring
   MULTIPLAYER: false, // Future feature
 };
 
@@ -320,18 +665,27 @@ export const DIFFICULTY_LEVELS = {
     name: 'Easy',
     startingLevel: 1,
     fallSpeed: 1200,
+    holdPiece: false, // Default for the hold piece setting
+    randomizer: 'friendly', // Default for the piece randomizer setting
+    lockDelay: 1000, // Milliseconds a landed piece waits before locking
     description: 'Perfect for beginners!',
   },
   NORMAL: {
     name: 'Normal',
     startingLevel: 1,
     fallSpeed: 1000,
+    holdPiece: true,
+    randomizer: 'bag7',
+    lockDelay: 500,
     description: 'Classic Tetris experience',
   },
   HARD: {
     name: 'Hard',
     startingLevel: 3,
     fallSpeed: 800,
+    holdPiece: true,
+    randomizer: 'bag7',
+    lockDelay: 500,
     description: 'For Tetris masters!',
   },
 };
@@ -340,19 +694,37 @@ export const DIFFICULTY_LEVELS = {
 export default {
   BOARD_CONFIG,
   CANVAS_CONFIG,
+  BOARD_SIZES,
+  BOARD_LIMITS,
   GAME_STATES,
   PIECES,
   PIECE_TYPES,
+  PIECE_SET_CONFIG,
+  RANDOMIZER_CONFIG,
   KEYS,
+  CONTROLS_CONFIG,
+  GAMEPAD_CONFIG,
   TIMING,
   SCORING,
+  LOCK_DELAY_CONFIG,
   LINES_PER_LEVEL,
   AUDIO_CONFIG,
   SOUNDS,
   MUSIC_CONFIG,
   COLORS,
   ANIMATIONS,
+  NEXT_QUEUE_CONFIG,
   TOUCH_CONFIG,
+  HANDLING_CONFIG,
+  MODE_CONFIG,
+  VERSUS_CONFIG,
+  COOP_CONFIG,
+  BOT_CONFIG,
+  HINT_CONFIG,
+  NETWORK_CONFIG,
+  PUZZLE_CONFIG,
+  TUTORIAL_CONFIG,
+  REPLAY_CONFIG,
   DEBUG,
   FEATURES,
   DIFFICULTY_LEVELS,
@@ -4,9 +4,11 @@
  */
 
 import { StateManager } from './StateManager.js';
-import { GAME_STATES, TIMING, KEYS } from './Constants.js';
+import { GAME_STATES, KEYS, NEXT_QUEUE_CONFIG } from './Constants.js';
 import { GameLogic } from '../game/GameLogic.js';
 import { ScoreManager } from '../game/ScoreManager.js';
+import { ModeRecords } from '../modes/ModeRecords.js';
+import { KeyBindings } from '../input/KeyBindings.js';
 
 export class GameEngine {
   constructor() {
@@ -24,9 +26,16 @@ export class GameEngine {
     this.gameLogic = new GameLogic();
     this.scoreManager = new ScoreManager();
 
+    // Best results of each game mode
+    this.modeRecords = new ModeRecords();
+
     // Input handling
     this.inputBuffer = [];
     this.keyStates = new Map();
+    this.keyBindings = new KeyBindings();
+
+    // Options of the current game, reused on restart
+    this.gameOptions = {};
 
     this.setupEventListeners();
     this.setupInputHandlers();
@@ -244,6 +253,8 @@ export class GameEngine {
   handleGameOver() {
     console.log('💀 Game Over!');
 
+    this.recordModeResult();
+
     // Stop the game loop but don't destroy systems
     this.pause();
 
@@ -253,29 +264,28 @@ export class GameEngine {
         system.onGameOver();
       }
     });
-
-    // Schedule transition to game over screen after delay
-    setTimeout(() => {
-      this.showGameOverScreen();
-    }, TIMING.GAME_OVER_DELAY);
   }
 
   /**
-   * Show the game over screen
+   * Keep the best result of the game mode and pass it on to the results screen
    */
-  showGameOverScreen() {
-    const state = this.stateManager.getState();
+  recordModeResult() {
+    const { modeResult } = this.stateManager.getState();
+    if (!modeResult) return;
+
+    const { record, isNewRecord } = this.modeRecords.submitResult(
+      this.gameLogic.getMode(),
+      modeResult,
+    );
+    this.stateManager.setState({ modeResult: { ...modeResult, record, isNewRecord } });
+  }
 
-    // Get the UI system to show game over screen
-    const uiSystem = this.getSystem('ui');
-    if (uiSystem && uiSystem.showGameOver) {
-      uiSystem.showGameOver({
-        score: state.score,
-        level: state.level,
-        lines: state.lines,
-        isNewRecord: state.score === state.personalBest,
-      });
-    }
+  /**
+   * Finish a game that only ends when the player chooses (e.g. Zen)
+   * @returns {boolean} - True if the game was finished
+   */
+  finishGame() {
+    return this.gameLogic.finishGame();
   }
 
   /**
@@ -291,8 +301,8 @@ export class GameEngine {
     this.inputBuffer = [];
     this.keyStates.clear();
 
-    // Reset state
-    this.stateManager.startGame();
+    // Start over with the same options (resets every system, so a new replay is recorded too)
+    this.startNewGame(this.gameOptions);
 
     // Notify systems about restart
     this.systems.forEach(system => {
@@ -378,13 +388,16 @@ export class GameEngine {
     const key = event.code || event.key;
 
     // Prevent default behavior for game keys
-    if (Object.values(KEYS).includes(key)) {
+    if (this.keyBindings.getAction(key) || Object.values(KEYS).includes(key)) {
       event.preventDefault();
     }
 
     // Track key state
     this.keyStates.set(key, true);
 
+    // Held keys repeat with the player's handling (InputController), not the keyboard's
+    if (event.repeat) return;
+
     // Add to input buffer with timestamp
     this.inputBuffer.push({
       type: 'keydown',
@@ -456,36 +469,30 @@ export class GameEngine {
    * Touch input commands are handled via InputController events in main.js
    */
   handleGameInput(key, gameLogic) {
-    switch (key) {
-      case KEYS.LEFT:
-        gameLogic.movePiece('left');
-        break;
-      case KEYS.RIGHT:
-        gameLogic.movePiece('right');
-        break;
-      case KEYS.DOWN:
-        gameLogic.movePiece('down');
-        break;
-      case KEYS.UP:
-        gameLogic.rotatePiece(true); // Clockwise rotation
-        break;
-      case KEYS.SPACE:
-        gameLogic.hardDrop();
-        break;
-      case 'KeyZ':
-        gameLogic.rotatePiece(false); // Counter-clockwise rotation
-        break;
-      case 'KeyC':
-        gameLogic.holdPiece();
-        break;
-      case KEYS.P:
-      case KEYS.ESCAPE:
-        this.stateManager.togglePause();
-        break;
-      case KEYS.M:
-        this.stateManager.toggleMute();
-        break;
+    // Escape and M keep their meaning whatever the player rebinds
+    if (key === KEYS.ESCAPE) {
+      this.stateManager.togglePause();
+      return;
+    }
+    if (key === KEYS.M) {
+      this.stateManager.toggleMute();
+      return;
     }
+
+    const action = this.keyBindings.getAction(key);
+    if (action === 'pause') {
+      this.stateManager.togglePause();
+    } else if (action) {
+      gameLogic.applyAction(action);
+    }
+  }
+
+  /**
+   * Use the player's keys (shared with the InputController and the controls screen)
+   * @param {KeyBindings} keyBindings - Key for each action
+   */
+  setKeyBindings(keyBindings) {
+    this.keyBindings = keyBindings;
   }
 
   /**
@@ -500,12 +507,26 @@ export class GameEngine {
       gameLogic.on('linesClearing', data => {
         const scoreResult = scoreManager.updateScore(data.action, data.count, {
           tSpin: data.tSpin,
+          combo: data.combo,
+          backToBack: data.backToBack,
         });
 
         // Emit combined event for UI systems
         this.emit('scoreUpdated', scoreResult);
       });
 
+      // With advanced scoring, a T-spin scores even without clearing lines
+      gameLogic.on('tSpin', data => {
+        const scoreResult = scoreManager.updateScore(data.action, 0, { tSpin: data.tSpin });
+        this.emit('scoreUpdated', scoreResult);
+      });
+
+      // Emptying the whole board earns a bonus of its own
+      gameLogic.on('perfectClear', () => {
+        const scoreResult = scoreManager.updateScore('perfectClear', 0, { perfectClear: true });
+        this.emit('scoreUpdated', scoreResult);
+      });
+
       gameLogic.on('pieceHardDropped', data => {
         scoreManager.updateDropScore('hard', data.distance);
       });
@@ -528,6 +549,7 @@ export class GameEngine {
           score: data.totalScore,
           level: data.level,
           lines: data.totalLines,
+          perfectClears: data.perfectClears,
         });
       });
 
@@ -547,9 +569,10 @@ export class GameEngine {
   getGameData() {
     const gameLogic = this.getSystem('gameLogic');
     const scoreManager = this.getSystem('scoreManager');
+    const hints = this.getSystem('hints');
 
     // Provide default data even if gameLogic is not available
-    const defaultBoard = Array(20).fill().map(() => Array(10).fill(0));
+    const defaultBoard = this.stateManager.createEmptyBoard();
     
     if (!gameLogic) {
       console.warn('GameLogic system not available, returning default data');
@@ -569,10 +592,16 @@ export class GameEngine {
         board: gameLogic.getBoardState() || defaultBoard,
         currentPiece: gameLogic.getCurrentPiecePositions() || [],
         ghostPiece: gameLogic.getGhostPiecePositions() || [],
-        nextPieces: gameLogic.getNextPieces(3) || [],
-        holdPiece: gameLogic.holdPiece || null,
+        lockProgress: gameLogic.getLockProgress(),
+        hintPiece: hints ? hints.getHintPositions() : [],
+        nextPieces: gameLogic.getNextPieces(NEXT_QUEUE_CONFIG.MAX_SIZE) || [],
+        holdPiece: gameLogic.heldPiece,
+        canHold: gameLogic.canHold,
+        holdEnabled: gameLogic.holdEnabled,
         clearingLines: gameLogic.getClearingLines() || [],
         score: scoreManager ? scoreManager.getScoreData() : { score: 0, lines: 0, level: 1 },
+        modeStatus: gameLogic.getModeStatus(),
+        incomingGarbage: gameLogic.getIncomingGarbage(),
       };
     } catch (error) {
       console.error('Error getting game data:', error);
@@ -590,19 +619,65 @@ export class GameEngine {
 
   /**
    * Start a new game
+   * @param {Object} options - Game options passed to every system's reset()
+   * @param {number} options.seed - Seed to replay a previous piece sequence
    */
-  startNewGame() {
+  startNewGame(options = {}) {
     console.log('🎮 Starting new game');
+    this.gameOptions = options;
 
     // Reset all game systems
     this.systems.forEach(system => {
       if (system.reset) {
-        system.reset();
+        system.reset(options);
       }
     });
 
     // Start the game through state manager
-    this.stateManager.startGame();
+    const boardSize = this.gameLogic.getBoardSize();
+    this.stateManager.startGame({
+      seed: this.gameLogic.getSeed(),
+      mode: this.gameLogic.getMode().id,
+      boardWidth: boardSize.width,
+      boardHeight: boardSize.height,
+    });
+  }
+
+  /**
+   * Capture the game in progress so it can be continued later
+   * Every system with a serialize() method contributes its own state
+   * @returns {Object} - Serializable game snapshot
+   */
+  serializeGame() {
+    const systems = {};
+    this.systems.forEach((system, name) => {
+      if (system.serialize) {
+        systems[name] = system.serialize();
+      }
+    });
+
+    return {
+      options: this.gameOptions,
+      state: this.stateManager.serialize(),
+      systems,
+    };
+  }
+
+  /**
+   * Continue a game captured with serializeGame()
+   * @param {Object} snapshot - Saved game snapshot
+   */
+  restoreGame(snapshot) {
+    // Start a game with the same options, then put every system back where it was
+    this.startNewGame(snapshot.options);
+
+    this.systems.forEach((system, name) => {
+      if (system.restore && snapshot.systems[name] !== undefined) {
+        system.restore(snapshot.systems[name]);
+      }
+    });
+
+    this.stateManager.restore(snapshot.state);
   }
 
   /**
@@ -3,7 +3,14 @@
  * Handles all game state, score, level, and game progression
  */
 
-import { GAME_STATES, SCORING, LINES_PER_LEVEL, TIMING } from './Constants.js';
+import {
+  BOARD_CONFIG,
+  GAME_STATES,
+  SCORING,
+  LINES_PER_LEVEL,
+  TIMING,
+  MODE_CONFIG,
+} from './Constants.js';
 
 export class StateManager {
   constructor() {
@@ -29,6 +36,13 @@ export class StateManager {
       totalTime: 0,
       startTime: null,
 
+      // Seed of the current game's piece sequence (for replaying it exactly)
+      seed: null,
+
+      // Game mode of the current game and its result once finished
+      mode: MODE_CONFIG.DEFAULT_MODE,
+      modeResult: null,
+
       // Current game session
       currentPiece: null,
       nextPiece: null,
@@ -52,6 +66,8 @@ export class StateManager {
       showGhostPiece: true,
 
       // Statistics
+      hintsUsed: 0,
+      perfectClears: 0,
       linesCleared: {
         single: 0,
         double: 0,
@@ -67,11 +83,13 @@ export class StateManager {
 
   /**
    * Create an empty game board
+   * @param {number} width - Number of columns
+   * @param {number} height - Number of rows
    */
-  createEmptyBoard() {
-    return Array(20)
+  createEmptyBoard(width = BOARD_CONFIG.WIDTH, height = BOARD_CONFIG.HEIGHT) {
+    return Array(height)
       .fill()
-      .map(() => Array(10).fill(0));
+      .map(() => Array(width).fill(0));
   }
 
   /**
@@ -197,14 +215,60 @@ export class StateManager {
 
   /**
    * Start a new game
+   * @param {Object} options - Game options
+   * @param {number} options.seed - Seed used by the game logic for this game
+   * @param {string} options.mode - Game mode id
+   * @param {number} options.boardWidth - Board columns of this game
+   * @param {number} options.boardHeight - Board rows of this game
    */
-  startGame() {
+  startGame(options = {}) {
     this.reset();
+    this.state.board = this.createEmptyBoard(options.boardWidth, options.boardHeight);
     this.state.gameState = GAME_STATES.PLAYING;
     this.state.startTime = Date.now();
+    this.state.seed = options.seed ?? null;
+    this.state.mode = options.mode || MODE_CONFIG.DEFAULT_MODE;
     this.emit('gameStarted', this.state);
   }
 
+  /**
+   * Get the progress of the current game for saving it
+   * @returns {Object} - Serializable game progress
+   */
+  serialize() {
+    return {
+      score: this.state.score,
+      level: this.state.level,
+      lines: this.state.lines,
+      totalPieces: this.state.totalPieces,
+      elapsedTime: Date.now() - (this.state.startTime || Date.now()),
+      seed: this.state.seed,
+      difficulty: this.state.difficulty,
+      perfectClears: this.state.perfectClears,
+      linesCleared: { ...this.state.linesCleared },
+      achievements: [...this.state.achievements],
+    };
+  }
+
+  /**
+   * Restore the progress of a saved game (after startGame)
+   * @param {Object} data - Data from serialize()
+   */
+  restore(data) {
+    this.setState({
+      score: data.score,
+      level: data.level,
+      lines: data.lines,
+      totalPieces: data.totalPieces,
+      startTime: Date.now() - (data.elapsedTime || 0),
+      seed: data.seed,
+      difficulty: data.difficulty,
+      perfectClears: data.perfectClears || 0,
+      linesCleared: { ...data.linesCleared },
+      achievements: [...data.achievements],
+    });
+  }
+
   /**
    * Pause/unpause the game
    */
@@ -222,10 +286,12 @@ export class StateManager {
 
   /**
    * End the game
+   * @param {Object} modeResult - Result of the game mode (see GameMode.getResult)
    */
-  gameOver() {
+  gameOver(modeResult = null) {
     this.state.gameState = GAME_STATES.GAME_OVER;
     this.state.isGameOver = true;
+    this.state.modeResult = modeResult;
     this.state.totalTime = Date.now() - (this.state.startTime || Date.now());
 
     // Save personal best
@@ -239,6 +305,9 @@ export class StateManager {
       level: this.state.level,
       lines: this.state.lines,
       time: this.state.totalTime,
+      seed: this.state.seed,
+      mode: this.state.mode,
+      modeResult,
       stats,
       isNewRecord: this.state.score === this.state.personalBest,
     });
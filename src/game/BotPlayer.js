@@ -0,0 +1,105 @@
+/**
+ * BotPlayer - Computer player for versus games
+ * For every new piece it scores each spot the current piece (and the piece hold would bring in)
+ * can reach with a PlacementFinder, then plays the best one through the same actions a person
+ * would press, at the pace of its level. It sometimes makes a mistake so younger players can
+ * win too.
+ */
+
+import { BOT_CONFIG } from '../core/Constants.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { PlacementFinder } from './PlacementFinder.js';
+
+export class BotPlayer {
+  /**
+   * @param {GameLogic} gameLogic - Game the bot plays
+   * @param {string} levelId - Key of BOT_CONFIG.LEVELS
+   * @param {Function} act - Applies an action for the bot (GameLogic.applyAction by default)
+   * @param {SeededRandom} random - Picks the bot's mistakes
+   */
+  constructor(
+    gameLogic,
+    levelId = BOT_CONFIG.DEFAULT_LEVEL,
+    act = action => gameLogic.applyAction(action),
+    random = new SeededRandom(),
+  ) {
+    this.gameLogic = gameLogic;
+    this.finder = new PlacementFinder(gameLogic);
+    this.act = act;
+    this.setLevel(levelId);
+    this.reset(random);
+  }
+
+  /**
+   * Change how fast and how well the bot plays
+   * @param {string} levelId - Key of BOT_CONFIG.LEVELS
+   */
+  setLevel(levelId) {
+    this.levelId = BOT_CONFIG.LEVELS[levelId] ? levelId : BOT_CONFIG.DEFAULT_LEVEL;
+    this.level = BOT_CONFIG.LEVELS[this.levelId];
+  }
+
+  /**
+   * Forget the current plan, for a new game
+   * @param {SeededRandom} random - Picks the bot's mistakes
+   */
+  reset(random = this.random) {
+    this.random = random;
+    this.plan = null;
+    this.plannedPiece = -1;
+    this.timer = 0;
+  }
+
+  /**
+   * Think about a new piece, then play the plan one move at a time
+   * @param {number} deltaTime - Time step in milliseconds
+   */
+  update(deltaTime) {
+    const { gameLogic } = this;
+    if (gameLogic.isGameOver || !gameLogic.currentPiece || gameLogic.clearingLines.length) {
+      return;
+    }
+
+    // A new piece has come in since the last plan
+    if (gameLogic.gameStats.piecesPlaced !== this.plannedPiece) {
+      this.plannedPiece = gameLogic.gameStats.piecesPlaced;
+      this.plan = null;
+      this.timer = 0;
+    }
+
+    this.timer += deltaTime;
+
+    if (!this.plan) {
+      if (this.timer < this.level.thinkTime) return;
+      this.plan = this.choosePlacement().actions;
+      this.timer = this.level.moveInterval;
+    }
+
+    while (this.plan.length > 0 && this.timer >= this.level.moveInterval) {
+      this.timer -= this.level.moveInterval;
+
+      // Falling or rising garbage can block a planned move; think again from where it is
+      if (this.act(this.plan.shift()) === false) {
+        this.plan = this.choosePlacement().actions;
+      }
+    }
+  }
+
+  /**
+   * Pick where the current piece goes: usually the best placement, sometimes a random one
+   * @returns {Object} - Placement { actions, piece, score }
+   */
+  choosePlacement() {
+    const placements = this.finder.findPlacements(this.level.useHold);
+
+    // Mistakes leave a messy board, but never top out on purpose
+    const safe = placements.filter(placement => placement.score > -Infinity);
+    if (safe.length > 0 && this.random.next() < this.level.mistakeRate) {
+      return safe[this.random.nextInt(safe.length)];
+    }
+
+    return placements.reduce((best, placement) =>
+      placement.score > best.score ? placement : best,
+    );
+  }
+}
@@ -9,6 +9,37 @@ export class CollisionDetector {
   constructor() {
     this.boardWidth = BOARD_CONFIG.WIDTH;
     this.boardHeight = BOARD_CONFIG.HEIGHT;
+
+    // Falling pieces that other pieces cannot move through (see setObstacles)
+    this.obstacles = [];
+  }
+
+  /**
+   * Set the size of the board to check against
+   * @param {number} width - Number of columns
+   * @param {number} height - Number of rows
+   */
+  setBoardSize(width, height) {
+    this.boardWidth = width;
+    this.boardHeight = height;
+  }
+
+  /**
+   * Set the falling pieces a piece collides with besides the board (e.g. the other player's piece
+   * in co-op)
+   * @param {Array} pieces - Pieces to collide with
+   */
+  setObstacles(pieces) {
+    this.obstacles = pieces;
+  }
+
+  /**
+   * Check if a piece overlaps one of the obstacle pieces
+   * @param {Object} piece - The piece to check
+   * @returns {boolean} - True if the piece overlaps an obstacle
+   */
+  overlapsObstacles(piece) {
+    return this.obstacles.some(obstacle => this.doPiecesOverlap(piece, obstacle));
   }
 
   /**
@@ -20,6 +51,28 @@ export class CollisionDetector {
    * @returns {boolean} - True if position is valid, false if collision
    */
   isValidPosition(piece, board, offsetX = 0, offsetY = 0) {
+    if (!this.fitsBoard(piece, board, offsetX, offsetY)) {
+      return false;
+    }
+
+    // Check collision with other falling pieces
+    if (this.obstacles.length > 0) {
+      return !this.overlapsObstacles({ ...piece, x: piece.x + offsetX, y: piece.y + offsetY });
+    }
+
+    return true;
+  }
+
+  /**
+   * Check if a piece position is clear of the walls, the floor and the blocks on the board,
+   * leaving out the obstacle pieces
+   * @param {Object} piece - The piece to check
+   * @param {Array} board - The game board (2D array)
+   * @param {number} offsetX - X offset to check (default: 0)
+   * @param {number} offsetY - Y offset to check (default: 0)
+   * @returns {boolean} - True if the piece fits the board there
+   */
+  fitsBoard(piece, board, offsetX = 0, offsetY = 0) {
     const testX = piece.x + offsetX;
     const testY = piece.y + offsetY;
 
@@ -116,12 +169,13 @@ export class CollisionDetector {
 
   /**
    * Check if the piece is touching the ground or another piece below
+   * An obstacle piece is not ground: a piece resting on one waits for it to move on
    * @param {Object} piece - The piece to check
    * @param {Array} board - The game board
    * @returns {boolean} - True if piece has landed
    */
   hasLanded(piece, board) {
-    return !this.canMove(piece, board, 'down');
+    return !this.fitsBoard(piece, board, 0, 1);
   }
 
   /**
@@ -326,7 +380,7 @@ export class CollisionDetector {
 
   /**
    * Advanced collision detection for complex scenarios
-   * Useful for future features like multi-piece collision
+   * Useful for checking several falling pieces at once (e.g. co-op)
    * @param {Array} pieces - Array of pieces to check
    * @param {Array} board - The game board
    * @returns {Object} - Detailed collision information
@@ -349,7 +403,7 @@ export class CollisionDetector {
         });
       }
 
-      // Check piece-to-piece collision (future feature)
+      // Check piece-to-piece collision
       for (let otherIndex = index + 1; otherIndex < pieces.length; otherIndex++) {
         const otherPiece = pieces[otherIndex];
 
@@ -369,7 +423,7 @@ export class CollisionDetector {
   }
 
   /**
-   * Check if two pieces overlap (for multi-piece scenarios)
+   * Check if two pieces overlap (e.g. the two falling pieces in co-op)
    * @param {Object} piece1 - First piece
    * @param {Object} piece2 - Second piece
    * @returns {boolean} - True if pieces overlap
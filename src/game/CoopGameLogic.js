@@ -0,0 +1,205 @@
+/**
+ * CoopGameLogic - Game logic for players sharing one double-width board
+ * Every player has their own falling piece, held piece and timers, while the board, the next
+ * queue, the score and line clears are shared. A player's state is swapped in before anything is
+ * done for them, so the single-piece rules of GameLogic (moving, rotating, holding, locking) work
+ * unchanged, with the other players' pieces as obstacles the active piece cannot move through.
+ * An obstacle is not ground, so a piece resting on a partner's piece waits there without locking.
+ */
+
+import { BOARD_CONFIG, BOARD_LIMITS, COOP_CONFIG } from '../core/Constants.js';
+import { GameLogic } from './GameLogic.js';
+
+// GameLogic fields that belong to the player whose piece is falling
+const PLAYER_FIELDS = [
+  'currentPiece',
+  'heldPiece',
+  'ghostPiece',
+  'canHold',
+  'lastRotation',
+  'fallTimer',
+  'lockTimer',
+  'lockResets',
+  'lowestY',
+];
+
+export class CoopGameLogic extends GameLogic {
+  /**
+   * @param {number} playerCount - Number of players, each with their own part of the board
+   */
+  constructor(playerCount = COOP_CONFIG.PLAYERS) {
+    super();
+
+    this.playerCount = playerCount;
+    this.players = [];
+    this.activePlayer = 0;
+
+    // Player whose lock started the line clear; their next piece comes once it finishes
+    this.clearingPlayer = 0;
+  }
+
+  /**
+   * Create the state of a player without a piece yet
+   * @returns {Object} - Player state (see PLAYER_FIELDS)
+   */
+  createPlayerState() {
+    return {
+      currentPiece: null,
+      heldPiece: null,
+      ghostPiece: null,
+      canHold: true,
+      lastRotation: false,
+      fallTimer: 0,
+      lockTimer: 0,
+      lockResets: 0,
+      lowestY: 0,
+    };
+  }
+
+  /**
+   * Reset the game with a board as wide as one board per player
+   * @param {Object} options - Game options (see GameLogic.reset); boardWidth is per player
+   */
+  reset(options = {}) {
+    const width = (options.boardWidth ?? BOARD_CONFIG.WIDTH) * this.playerCount;
+
+    this.players = Array.from({ length: this.playerCount }, () => this.createPlayerState());
+    this.activePlayer = 0;
+    this.clearingPlayer = 0;
+    this.collisionDetector.setObstacles([]);
+
+    // GameLogic.reset spawns the first player's piece; the others follow
+    super.reset({ ...options, boardWidth: Math.min(width, BOARD_LIMITS.MAX_WIDTH) });
+    for (let index = 1; index < this.playerCount && !this.isGameOver; index++) {
+      this.selectPlayer(index);
+      this.spawnNewPiece();
+    }
+    this.selectPlayer(0);
+  }
+
+  /**
+   * Swap a player's state in, making the other players' pieces obstacles
+   * @param {number} index - Player index
+   */
+  selectPlayer(index) {
+    const active = this.players[this.activePlayer];
+    PLAYER_FIELDS.forEach(field => (active[field] = this[field]));
+
+    this.activePlayer = index;
+    const player = this.players[index];
+    PLAYER_FIELDS.forEach(field => (this[field] = player[field]));
+
+    this.collisionDetector.setObstacles(
+      this.players
+        .filter((_, other) => other !== index)
+        .map(other => other.currentPiece)
+        .filter(Boolean),
+    );
+  }
+
+  /**
+   * Get a player's state without swapping it in
+   * @param {number} index - Player index
+   * @returns {Object} - Player state (see PLAYER_FIELDS)
+   */
+  getPlayerState(index) {
+    if (index !== this.activePlayer) {
+      return this.players[index];
+    }
+
+    return Object.fromEntries(PLAYER_FIELDS.map(field => [field, this[field]]));
+  }
+
+  /**
+   * Move every player's piece in turn
+   */
+  updateFallingPiece(deltaTime) {
+    for (let index = 0; index < this.playerCount; index++) {
+      // A lock can start a line clear or end the game, which stops every piece
+      if (this.clearingLines.length > 0 || this.isGameOver) return;
+
+      this.selectPlayer(index);
+      super.updateFallingPiece(deltaTime);
+    }
+  }
+
+  /**
+   * Apply a player action to one player's piece
+   * @param {string} action - Action name (see GameLogic.applyAction)
+   * @param {number} playerIndex - Player the action is for
+   * @returns {*} - Result of the action
+   */
+  applyAction(action, playerIndex = 0) {
+    this.selectPlayer(playerIndex);
+    return super.applyAction(action);
+  }
+
+  /**
+   * Bring new pieces in over the player's own part of the board
+   */
+  placeNewPiece(piece) {
+    const areaWidth = Math.floor(this.boardWidth / this.playerCount);
+    piece.x = this.activePlayer * areaWidth + Math.floor((areaWidth - piece.shape[0].length) / 2);
+
+    // Come in above a partner's piece that is still near the top rather than inside it
+    while (this.collisionDetector.overlapsObstacles(piece)) {
+      piece.y--;
+    }
+
+    return piece;
+  }
+
+  startLineClearAnimation(fullLines, tSpinResult) {
+    this.clearingPlayer = this.activePlayer;
+    super.startLineClearAnimation(fullLines, tSpinResult);
+  }
+
+  /**
+   * Finish a line clear: the player who cleared gets the next piece, and falling pieces the
+   * dropping stack reached into are pushed up out of it
+   */
+  completeLinesClearing() {
+    this.selectPlayer(this.clearingPlayer);
+    super.completeLinesClearing();
+
+    for (let index = 0; index < this.playerCount && !this.isGameOver; index++) {
+      if (index === this.clearingPlayer) continue;
+
+      this.selectPlayer(index);
+      while (
+        this.currentPiece &&
+        this.currentPiece.y > -this.boardHeight &&
+        !this.collisionDetector.isValidPosition(this.currentPiece, this.board)
+      ) {
+        this.currentPiece.y--;
+      }
+      this.updateGhostPiece();
+    }
+  }
+
+  /**
+   * Get every player's falling piece for rendering
+   */
+  getCurrentPiecePositions() {
+    return this.getPlayerPieces('currentPiece');
+  }
+
+  /**
+   * Get every player's ghost piece for rendering
+   */
+  getGhostPiecePositions() {
+    return this.getPlayerPieces('ghostPiece');
+  }
+
+  /**
+   * Get the block positions of one kind of piece for every player
+   * @param {string} field - 'currentPiece' or 'ghostPiece'
+   * @returns {Array} - Positions of all players' pieces
+   */
+  getPlayerPieces(field) {
+    return this.players
+      .map((_, index) => this.getPlayerState(index)[field])
+      .filter(Boolean)
+      .flatMap(piece => this.pieceGenerator.getPiecePositions(piece));
+  }
+}
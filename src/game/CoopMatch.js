@@ -0,0 +1,146 @@
+/**
+ * CoopMatch - Players working together on one double-width board
+ * Runs a GameSession with CoopGameLogic: each player steers their own falling piece, and the
+ * score and line clears are shared. A countdown starts the game, which ends for everyone when
+ * the stack reaches the top.
+ */
+
+import { COOP_CONFIG } from '../core/Constants.js';
+import { GameSession } from './GameSession.js';
+import { CoopGameLogic } from './CoopGameLogic.js';
+
+export class CoopMatch {
+  constructor() {
+    this.session = new GameSession(new CoopGameLogic(COOP_CONFIG.PLAYERS));
+
+    this.countdown = 0;
+    this.result = null;
+
+    this.eventListeners = new Map();
+  }
+
+  /**
+   * Start a new game (the countdown runs before it does)
+   * @param {Object} options - Game options (see CoopGameLogic.reset)
+   */
+  start(options = {}) {
+    this.session.start(options);
+    this.countdown = COOP_CONFIG.COUNTDOWN;
+    this.result = null;
+
+    this.emit('countdown', this.getCountdown());
+  }
+
+  /**
+   * Advance the game by one update
+   * @param {number} deltaTime - Time step in milliseconds
+   */
+  update(deltaTime) {
+    if (this.result) return;
+
+    if (this.countdown > 0) {
+      const secondsBefore = this.getCountdown();
+      this.countdown = Math.max(0, this.countdown - deltaTime);
+
+      if (this.countdown === 0) {
+        this.emit('started');
+      } else if (this.getCountdown() !== secondsBefore) {
+        this.emit('countdown', this.getCountdown());
+      }
+      return;
+    }
+
+    this.session.update(deltaTime);
+    this.checkGameOver();
+  }
+
+  /**
+   * Apply a player action (ignored during the countdown and after the game)
+   * @param {number} playerIndex - Player whose piece to move
+   * @param {string} action - Action name (see GameLogic.applyAction)
+   * @returns {*} - Result of the action, or false if it was ignored
+   */
+  applyAction(playerIndex, action) {
+    if (this.countdown > 0 || this.result) return false;
+
+    const result = this.session.gameLogic.applyAction(action, playerIndex);
+    this.checkGameOver();
+
+    return result;
+  }
+
+  /**
+   * Finish the match once the shared game has ended
+   */
+  checkGameOver() {
+    if (this.result || !this.session.isGameOver()) return;
+
+    this.result = { ...this.session.getGameData().score };
+    this.emit('matchOver', this.result);
+  }
+
+  /**
+   * Whole seconds left in the countdown (0 once the game runs)
+   * @returns {number} - Seconds to show
+   */
+  getCountdown() {
+    return Math.ceil(this.countdown / 1000);
+  }
+
+  /**
+   * Check if the match has finished
+   * @returns {boolean} - True once the game is over
+   */
+  isOver() {
+    return this.result !== null;
+  }
+
+  /**
+   * Get the shared game data for rendering, with every player's piece
+   * @returns {Object} - Game data (see GameSession.getGameData)
+   */
+  getGameData() {
+    return this.session.getGameData();
+  }
+
+  /**
+   * Get one player's own state (their falling and held piece)
+   * @param {number} playerIndex - Player index
+   * @returns {Object} - Player state (see CoopGameLogic.getPlayerState)
+   */
+  getPlayerState(playerIndex) {
+    return this.session.gameLogic.getPlayerState(playerIndex);
+  }
+
+  /**
+   * Event listener system
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  off(event, callback) {
+    if (this.eventListeners.has(event)) {
+      const callbacks = this.eventListeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  emit(event, ...args) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(...args);
+        } catch (error) {
+          console.error(`Error in CoopMatch ${event} listener:`, error);
+        }
+      });
+    }
+  }
+}
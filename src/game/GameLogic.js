@@ -3,19 +3,44 @@
  * Manages game board, piece movement, line clearing, and game state transitions
  */
 
-import { BOARD_CONFIG, TIMING, GAME_STATES, FEATURES } from '../core/Constants.js';
+import {
+  BOARD_CONFIG,
+  BOARD_LIMITS,
+  TIMING,
+  GAME_STATES,
+  FEATURES,
+  DIFFICULTY_LEVELS,
+  LOCK_DELAY_CONFIG,
+} from '../core/Constants.js';
 import { PieceGenerator } from './PieceGenerator.js';
 import { CollisionDetector } from './CollisionDetector.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { clamp } from '../utils/Utils.js';
+import { createGameMode } from '../modes/ModeRegistry.js';
+import { createPieceSet } from '../pieces/PieceSetRegistry.js';
+import { createRandomizer } from '../pieces/RandomizerRegistry.js';
 
 export class GameLogic {
   constructor() {
-    this.pieceGenerator = new PieceGenerator();
+    // Seeded random source shared by everything random that affects gameplay
+    this.seed = SeededRandom.createSeed();
+    this.random = new SeededRandom(this.seed);
+
+    this.pieceGenerator = new PieceGenerator(this.random);
+    this.pieceGenerator.setBoardProvider(() => this.board);
     this.collisionDetector = new CollisionDetector();
 
+    // Game mode decides goals, timers and how the game ends
+    this.mode = createGameMode();
+
+    // Board size can change with every game
+    this.boardWidth = BOARD_CONFIG.WIDTH;
+    this.boardHeight = BOARD_CONFIG.HEIGHT;
+
     this.board = this.createEmptyBoard();
     this.currentPiece = null;
     this.nextPiece = null;
-    this.holdPiece = null;
+    this.heldPiece = null;
     this.ghostPiece = null;
 
     // Timing variables
@@ -24,12 +49,27 @@ export class GameLogic {
     this.lockDelay = TIMING.LOCK_DELAY;
     this.fallSpeed = TIMING.BASE_FALL_SPEED;
 
+    // Lock delay rules: what restarts the lock timer (see LOCK_DELAY_CONFIG.RESETS)
+    this.lockReset = LOCK_DELAY_CONFIG.DEFAULT_RESET;
+    this.maxLockResets = LOCK_DELAY_CONFIG.MAX_RESETS;
+    this.lockResets = 0; // Resets used since the piece reached its lowest row
+    this.lowestY = 0; // Lowest row the piece has reached
+
     // Game state
     this.isGameOver = false;
     this.isPaused = false;
+    this.holdEnabled = FEATURES.HOLD_PIECE;
     this.canHold = true;
     this.lastRotation = false;
 
+    // Advanced scoring: T-spins, combos and back-to-back bonuses (off unless chosen in settings)
+    this.advancedScoring = false;
+    this.combo = -1; // Clears in a row, minus one (0 is the first clear)
+    this.backToBack = false; // Last clear was a Tetris or T-spin, so the next one gets a bonus
+
+    // Number of gameplay updates so far (replays are timed in ticks)
+    this.tickCount = 0;
+
     // Line clearing animation
     this.clearingLines = [];
     this.clearTimer = 0;
@@ -40,6 +80,7 @@ export class GameLogic {
       linesCleared: 0,
       piecesPlaced: 0,
       totalDropDistance: 0,
+      perfectClears: 0,
     };
   }
 
@@ -59,28 +100,107 @@ export class GameLogic {
    * @returns {Array} 2D array representing the game board
    */
   createEmptyBoard() {
-    return Array(BOARD_CONFIG.HEIGHT)
+    return Array(this.boardHeight)
       .fill()
-      .map(() => Array(BOARD_CONFIG.WIDTH).fill(0));
+      .map(() => this.createEmptyRow());
+  }
+
+  /**
+   * Create an empty board row
+   * @returns {Array} Row of empty cells as wide as the board
+   */
+  createEmptyRow() {
+    return Array(this.boardWidth).fill(0);
+  }
+
+  /**
+   * Set the board size used by the logic, collision checks and piece spawning
+   * Sizes are clamped to BOARD_LIMITS; the board itself is not recreated
+   * @param {number} width - Number of columns
+   * @param {number} height - Number of rows
+   */
+  setBoardSize(width, height) {
+    this.boardWidth = clamp(Math.round(width), BOARD_LIMITS.MIN_WIDTH, BOARD_LIMITS.MAX_WIDTH);
+    this.boardHeight = clamp(Math.round(height), BOARD_LIMITS.MIN_HEIGHT, BOARD_LIMITS.MAX_HEIGHT);
+
+    this.collisionDetector.setBoardSize(this.boardWidth, this.boardHeight);
+    this.pieceGenerator.setBoardWidth(this.boardWidth);
+  }
+
+  /**
+   * Get the piece set of the current game
+   * @returns {PieceSet} - Piece set the pieces are dealt from
+   */
+  getPieceSet() {
+    return this.pieceGenerator.pieceSet;
+  }
+
+  /**
+   * Get the id of the randomizer picking the pieces of the current game
+   * @returns {string} - Randomizer id
+   */
+  getRandomizer() {
+    return this.pieceGenerator.randomizer.id;
+  }
+
+  /**
+   * Get the board size of the current game
+   * @returns {Object} - { width, height } in cells
+   */
+  getBoardSize() {
+    return { width: this.boardWidth, height: this.boardHeight };
   }
 
   /**
    * Reset the game to initial state
+   * @param {Object} options - Game options
+   * @param {number} options.seed - Seed to replay a piece sequence (random if omitted)
+   * @param {string} options.mode - Game mode id (see ModeRegistry)
+   * @param {boolean} options.hold - Allow holding a piece (defaults to FEATURES.HOLD_PIECE)
+   * @param {number} options.boardWidth - Board columns (defaults to BOARD_CONFIG.WIDTH)
+   * @param {number} options.boardHeight - Board rows (defaults to BOARD_CONFIG.HEIGHT)
+   * @param {string|Object} options.pieceSet - Piece set id or custom set (see PieceSetRegistry)
+   * @param {string} options.randomizer - Randomizer id (see RandomizerRegistry)
+   * @param {boolean} options.advancedScoring - Score T-spins, combos and back-to-backs
+   * @param {string} options.difficulty - Difficulty, which sets the lock delay
+   * @param {number} options.lockDelay - Milliseconds a landed piece waits before locking
+   * @param {string} options.lockReset - What restarts the lock timer: 'move', 'infinite' or 'step'
+   * @param {number} options.maxLockResets - Timer restarts per row with 'move' lock reset
    */
-  reset() {
+  reset(options = {}) {
+    this.seed = (options.seed ?? SeededRandom.createSeed()) >>> 0;
+    this.random = new SeededRandom(this.seed);
+    this.mode = createGameMode(options.mode);
+
+    const boardSize = this.mode.getBoardSize(options);
+    this.setBoardSize(boardSize.width, boardSize.height);
+
     this.board = this.createEmptyBoard();
-    this.pieceGenerator.reset();
+    this.pieceGenerator.setPieceSet(createPieceSet(this.mode.getPieceSet(options)));
+    this.pieceGenerator.setRandomizer(createRandomizer(this.mode.getRandomizer(options)));
+    this.pieceGenerator.reset(this.random);
 
     this.currentPiece = null;
     this.nextPiece = null;
-    this.holdPiece = null;
+    this.heldPiece = null;
     this.ghostPiece = null;
 
     this.fallTimer = 0;
     this.lockTimer = 0;
+    this.lockDelay =
+      options.lockDelay ?? DIFFICULTY_LEVELS[options.difficulty]?.lockDelay ?? TIMING.LOCK_DELAY;
+    this.lockReset = LOCK_DELAY_CONFIG.RESETS[options.lockReset]
+      ? options.lockReset
+      : LOCK_DELAY_CONFIG.DEFAULT_RESET;
+    this.maxLockResets = options.maxLockResets ?? LOCK_DELAY_CONFIG.MAX_RESETS;
     this.isGameOver = false;
+    this.holdEnabled = FEATURES.HOLD_PIECE && options.hold !== false;
     this.canHold = true;
     this.lastRotation = false;
+    this.advancedScoring = FEATURES.T_SPIN_DETECTION && options.advancedScoring === true;
+    this.combo = -1;
+    this.backToBack = false;
+    this.tickCount = 0;
 
     this.clearingLines = [];
     this.clearTimer = 0;
@@ -89,8 +209,11 @@ export class GameLogic {
       linesCleared: 0,
       piecesPlaced: 0,
       totalDropDistance: 0,
+      perfectClears: 0,
     };
 
+    this.mode.onStart(this, options);
+
     // Generate initial pieces
     this.spawnNewPiece();
   }
@@ -105,8 +228,23 @@ export class GameLogic {
       return;
     }
 
+    this.tickCount++;
+
+    // Update mode timers (e.g. Ultra's countdown)
+    // Wait for a line clear to finish so its lines count towards the goal
+    this.mode.update(deltaTime, this);
+    if (this.isGameOver) {
+      // The mode itself can end the game (e.g. Climb's rising rows topping out)
+      return;
+    }
+    if (this.clearingLines.length === 0 && this.checkModeEnd()) {
+      return;
+    }
+
     // Update fall speed based on level
-    this.fallSpeed = this.stateManager?.getFallSpeed() || TIMING.BASE_FALL_SPEED;
+    this.fallSpeed = this.mode.getFallSpeed(
+      this.stateManager?.getFallSpeed() || TIMING.BASE_FALL_SPEED,
+    );
 
     // Handle line clearing animation
     if (this.clearingLines.length > 0) {
@@ -114,6 +252,14 @@ export class GameLogic {
       return;
     }
 
+    this.updateFallingPiece(deltaTime);
+  }
+
+  /**
+   * Update the falling piece: gravity, the lock timer and its ghost
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  updateFallingPiece(deltaTime) {
     // Update piece falling
     this.updatePieceFall(deltaTime);
 
@@ -155,6 +301,38 @@ export class GameLogic {
     }
   }
 
+  /**
+   * Restart the lock timer after the piece moved or turned, as far as the lock reset rule allows
+   * Falling to a lower row always restarts it, with a fresh set of resets
+   */
+  resetLockTimer() {
+    if (this.currentPiece.y > this.lowestY) {
+      this.lowestY = this.currentPiece.y;
+      this.lockResets = 0;
+      this.lockTimer = 0;
+      return;
+    }
+
+    // Only a piece that is resting, with its timer running, uses up a reset
+    if (this.lockTimer === 0) return;
+
+    if (this.lockReset === 'infinite') {
+      this.lockTimer = 0;
+    } else if (this.lockReset === 'move' && this.lockResets < this.maxLockResets) {
+      this.lockResets++;
+      this.lockTimer = 0;
+    }
+  }
+
+  /**
+   * Get how close the landed piece is to locking
+   * @returns {number} - 0 while it can still fall, up to 1 when it locks
+   */
+  getLockProgress() {
+    if (!this.currentPiece || this.lockDelay <= 0) return 0;
+    return clamp(this.lockTimer / this.lockDelay, 0, 1);
+  }
+
   /**
    * Update line clearing animation
    * @param {number} deltaTime - Time elapsed since last update
@@ -187,16 +365,26 @@ export class GameLogic {
     this.currentPiece = this.nextPiece || this.pieceGenerator.getNextPiece();
     this.nextPiece = this.pieceGenerator.getNextPiece();
 
+    // A fixed piece sequence (e.g. a puzzle) has run out
+    if (!this.currentPiece) {
+      this.endGame({ completed: false, reason: 'outOfPieces' });
+      return;
+    }
+
+    this.currentPiece = this.placeNewPiece(this.currentPiece);
+
     // Reset piece state
     this.fallTimer = 0;
     this.lockTimer = 0;
+    this.lockResets = 0;
+    this.lowestY = this.currentPiece.y;
     this.canHold = true;
     this.lastRotation = false;
 
     // Check for game over
     if (this.collisionDetector.isGameOver(this.currentPiece, this.board)) {
       this.handleGameOver();
-      return;
+      if (this.isGameOver) return;
     }
 
     // Update ghost piece
@@ -208,6 +396,59 @@ export class GameLogic {
     });
   }
 
+  /**
+   * Place a piece coming into play, spawned or swapped in from hold, before it is checked
+   * for a top out (co-op moves it over the player's own half)
+   * @param {Object} piece - Piece at its spawn position
+   * @returns {Object} - Piece to play
+   */
+  placeNewPiece(piece) {
+    return piece;
+  }
+
+  /**
+   * Apply a player action
+   * Single entry point for keyboard, touch and replay input so every action can be recorded
+   * @param {string} action - 'left', 'right', 'down', 'rotate', 'rotateCounterClockwise' or 'drop'
+   * @returns {*} - Result of the underlying move, or false if the action could not be applied
+   */
+  applyAction(action) {
+    if (this.isGameOver) return false;
+
+    let result;
+    switch (action) {
+    case 'left':
+    case 'right':
+    case 'down':
+      result = this.movePiece(action);
+      break;
+    case 'rotate':
+    case 'rotateClockwise':
+      result = this.rotatePiece(true);
+      break;
+    case 'rotateCounterClockwise':
+      result = this.rotatePiece(false);
+      break;
+    case 'drop':
+      result = this.hardDrop();
+      break;
+    case 'hold':
+      result = this.holdPiece();
+      break;
+    default:
+      return false;
+    }
+
+    this.mode.onAction(action, result, this);
+    this.emit('actionApplied', {
+      action,
+      tick: this.tickCount,
+      result,
+    });
+
+    return result;
+  }
+
   /**
    * Move the current piece
    * @param {string} direction - Direction to move ('left', 'right', 'down')
@@ -237,6 +478,7 @@ export class GameLogic {
       }
 
       this.lastRotation = false;
+      this.resetLockTimer();
       this.updateGhostPiece();
 
       this.emit('pieceMoved', {
@@ -269,6 +511,7 @@ export class GameLogic {
     if (validPosition) {
       this.currentPiece = validPosition;
       this.lastRotation = true;
+      this.resetLockTimer();
       this.updateGhostPiece();
 
       this.emit('pieceRotated', {
@@ -306,50 +549,58 @@ export class GameLogic {
       });
     }
 
-    // Immediately lock the piece
-    this.lockPiece();
+    // Immediately lock the piece, unless it stopped on another falling piece (co-op) and waits
+    if (this.collisionDetector.hasLanded(this.currentPiece, this.board)) {
+      this.lockPiece();
+    }
 
     return dropDistance;
   }
 
   /**
-   * Hold the current piece (if feature is enabled)
+   * Hold the current piece, swapping it with the held piece (once per piece)
    * @returns {boolean} - True if hold was successful
    */
   holdPiece() {
-    if (!FEATURES.HOLD_PIECE || !this.canHold || !this.currentPiece || this.isGameOver) {
+    if (!this.holdEnabled || !this.canHold || !this.currentPiece || this.isGameOver) {
       return false;
     }
 
-    if (this.holdPiece) {
-      // Swap current piece with held piece
-      const temp = this.currentPiece;
-      this.currentPiece = this.holdPiece;
-      this.holdPiece = temp;
+    // With nothing held, the next piece comes in; a fixed sequence may have none left
+    if (!this.heldPiece && !this.nextPiece) {
+      return false;
+    }
 
-      // Reset held piece position
-      this.currentPiece.x = Math.floor(
-        (BOARD_CONFIG.WIDTH - this.currentPiece.shape[0].length) / 2,
-      );
-      this.currentPiece.y = 0;
-      this.currentPiece.rotation = 0;
+    // The held piece goes back to its spawn position and rotation
+    const held = this.pieceGenerator.createPiece(this.currentPiece.type);
+
+    if (this.heldPiece) {
+      this.currentPiece = this.pieceGenerator.createPiece(this.heldPiece.type);
     } else {
-      // Hold current piece, spawn new one
-      this.holdPiece = this.currentPiece;
       this.currentPiece = this.nextPiece;
       this.nextPiece = this.pieceGenerator.getNextPiece();
     }
+    this.heldPiece = held;
+    this.currentPiece = this.placeNewPiece(this.currentPiece);
 
     this.canHold = false;
     this.fallTimer = 0;
     this.lockTimer = 0;
+    this.lockResets = 0;
+    this.lowestY = this.currentPiece.y;
+    this.lastRotation = false;
     this.updateGhostPiece();
 
     this.emit('pieceHeld', {
-      heldPiece: this.holdPiece,
+      heldPiece: this.heldPiece,
       currentPiece: this.currentPiece,
     });
 
+    // A swapped-in piece can be blocked by a tall stack
+    if (this.collisionDetector.isGameOver(this.currentPiece, this.board)) {
+      this.handleGameOver();
+    }
+
     return true;
   }
 
@@ -362,9 +613,9 @@ export class GameLogic {
     // Place piece on board
     this.placePieceOnBoard(this.currentPiece);
 
-    // Check for T-Spin if features are enabled
+    // Check for T-Spin if advanced scoring is on
     let tSpinResult = null;
-    if (FEATURES.T_SPIN_DETECTION) {
+    if (this.advancedScoring) {
       tSpinResult = this.collisionDetector.checkTSpin(
         this.currentPiece,
         this.board,
@@ -386,7 +637,17 @@ export class GameLogic {
 
     if (fullLines.length > 0) {
       this.startLineClearAnimation(fullLines, tSpinResult);
-    } else {
+      return;
+    }
+
+    // A piece that clears nothing ends the combo; a T-spin still scores on its own
+    this.combo = -1;
+    if (tSpinResult?.isTSpin) {
+      const action = this.getTSpinAction(tSpinResult, 0);
+      this.emit('tSpin', { action, tSpin: tSpinResult });
+    }
+
+    if (!this.checkModeEnd()) {
       // No lines to clear, spawn next piece
       this.spawnNewPiece();
     }
@@ -425,7 +686,7 @@ export class GameLogic {
     const lineCount = fullLines.length;
 
     if (tSpinResult && tSpinResult.isTSpin) {
-      action = `tSpin${lineCount === 1 ? 'Single' : lineCount === 2 ? 'Double' : 'Triple'}`;
+      action = this.getTSpinAction(tSpinResult, lineCount);
     } else {
       switch (lineCount) {
         case 1:
@@ -443,11 +704,22 @@ export class GameLogic {
       }
     }
 
+    // Combos and back-to-backs only count with advanced scoring
+    let backToBack = false;
+    if (this.advancedScoring) {
+      const difficult = lineCount === 4 || Boolean(tSpinResult?.isTSpin);
+      backToBack = difficult && this.backToBack;
+      this.backToBack = difficult;
+      this.combo++;
+    }
+
     this.emit('linesClearing', {
       lines: fullLines,
       count: lineCount,
       action,
       tSpin: tSpinResult,
+      combo: Math.max(0, this.combo),
+      backToBack,
     });
 
     // Update score immediately
@@ -456,56 +728,295 @@ export class GameLogic {
     }
   }
 
+  /**
+   * Name the scoring action of a T-spin (e.g. 'tSpinDouble', 'tSpinMiniSingle', 'tSpin')
+   * @param {Object} tSpinResult - Result of CollisionDetector.checkTSpin
+   * @param {number} lineCount - Lines cleared with it
+   * @returns {string} - Scoring action
+   */
+  getTSpinAction(tSpinResult, lineCount) {
+    const kind = tSpinResult.type === 'T-Spin Mini' ? 'tSpinMini' : 'tSpin';
+    return kind + ['', 'Single', 'Double', 'Triple'][lineCount];
+  }
+
   /**
    * Complete the line clearing process
    */
   completeLinesClearing() {
     // Remove cleared lines and add new empty lines at top
-    this.clearingLines.sort((a, b) => b - a); // Sort descending
-
-    this.clearingLines.forEach(lineIndex => {
-      this.board.splice(lineIndex, 1);
-      this.board.unshift(Array(BOARD_CONFIG.WIDTH).fill(0));
+    // (all at once - removing one at a time would shift the other line indices)
+    this.board = this.board.filter((row, y) => !this.clearingLines.includes(y));
+    this.clearingLines.forEach(() => {
+      this.board.unshift(this.createEmptyRow());
     });
 
     this.gameStats.linesCleared += this.clearingLines.length;
+    this.mode.onLinesCleared(this.clearingLines.length, this);
+
+    // Nothing left on the board after the clear
+    const perfectClear = this.isBoardEmpty();
+    if (perfectClear) {
+      this.gameStats.perfectClears++;
+    }
 
     this.emit('linesCleared', {
       count: this.clearingLines.length,
       totalLines: this.gameStats.linesCleared,
+      perfectClear,
     });
 
+    if (perfectClear) {
+      this.emit('perfectClear', {
+        count: this.clearingLines.length,
+        perfectClears: this.gameStats.perfectClears,
+      });
+    }
+
     // Reset clearing state
     this.clearingLines = [];
     this.clearTimer = 0;
 
+    // The last line of a goal (e.g. Sprint's 40th) ends the game here
+    if (this.checkModeEnd()) {
+      return;
+    }
+
     // Spawn next piece
     this.spawnNewPiece();
   }
 
   /**
-   * Handle game over
+   * Check if every cell of the board is empty
+   * @returns {boolean} - True if the board is empty
+   */
+  isBoardEmpty() {
+    return this.board.every(row => row.every(cell => cell === 0));
+  }
+
+  /**
+   * Handle the stack reaching the top
    */
   handleGameOver() {
+    // Some modes make room and keep playing after a top out
+    const keepPlaying = !this.mode.handleTopOut(this);
+    if (keepPlaying && !this.collisionDetector.isGameOver(this.currentPiece, this.board)) {
+      return;
+    }
+
+    this.endGame({ completed: false, reason: 'topOut' });
+  }
+
+  /**
+   * End the game if the mode's goal has been reached
+   * @returns {boolean} - True if the game ended
+   */
+  checkModeEnd() {
+    const end = this.mode.checkEnd(this);
+    if (!end) return false;
+
+    this.endGame(end);
+    return true;
+  }
+
+  /**
+   * End the game
+   * @param {Object} end - { completed, reason } describing why the game ended
+   */
+  endGame(end) {
     this.isGameOver = true;
 
+    const modeResult = this.mode.getResult(this, end);
+
     this.emit('gameOver', {
       finalScore: this.stateManager?.getState().score || 0,
       stats: this.gameStats,
+      modeResult,
     });
 
     if (this.stateManager) {
-      this.stateManager.gameOver();
+      this.stateManager.gameOver(modeResult);
+    }
+  }
+
+  /**
+   * Let the player end a mode that never ends on its own (e.g. Zen)
+   * @returns {boolean} - True if the game was finished
+   */
+  finishGame() {
+    if (this.isGameOver || !this.mode.canFinish) return false;
+
+    this.endGame({ completed: true, reason: 'finished' });
+    return true;
+  }
+
+  /**
+   * Empty the top rows of the board
+   * @param {number} count - Number of rows to clear
+   * @returns {Array} - Cleared rows as { y, cells } for the fade-out animation
+   */
+  clearTopRows(count) {
+    const clearedRows = [];
+
+    for (let y = 0; y < Math.min(count, this.board.length); y++) {
+      if (this.board[y].some(cell => cell !== 0)) {
+        clearedRows.push({ y, cells: [...this.board[y]] });
+      }
+      this.board[y] = this.createEmptyRow();
+    }
+
+    this.emit('topRowsCleared', { rows: clearedRows });
+
+    return clearedRows;
+  }
+
+  /**
+   * Push garbage rows up from the bottom of the board, each with one gap
+   * The current piece is pushed up too if the rising stack would run into it
+   * @param {Array} holes - Gap column of each new row, top row first
+   * @param {string} color - Colour of the garbage blocks
+   * @returns {boolean} - False if blocks were pushed off the top (a top out)
+   */
+  addGarbageRows(holes, color) {
+    const count = holes.length;
+    const toppedOut = this.board.slice(0, count).some(row => row.some(cell => cell !== 0));
+    const garbage = holes.map(hole =>
+      this.createEmptyRow().map((_, x) => (x === hole ? 0 : color)),
+    );
+
+    this.board = [...this.board.slice(count), ...garbage];
+
+    if (this.currentPiece) {
+      // Lifting by the full count always fits: the piece keeps its place on the stack
+      let lift = 0;
+      while (
+        lift < count &&
+        !this.collisionDetector.isValidPosition(this.currentPiece, this.board, 0, -lift)
+      ) {
+        lift++;
+      }
+      this.currentPiece.y -= lift;
+      this.updateGhostPiece();
+    }
+
+    this.emit('garbageAdded', { count, holes });
+
+    if (toppedOut) {
+      this.handleGameOver();
+      return false;
     }
+
+    return true;
+  }
+
+  /**
+   * Get the mode of the current game
+   * @returns {GameMode} - Game mode
+   */
+  getMode() {
+    return this.mode;
+  }
+
+  /**
+   * Get the HUD status of the current mode
+   * @returns {Array} - List of { label, value }
+   */
+  getModeStatus() {
+    return this.mode.getStatus(this);
+  }
+
+  /**
+   * Get the garbage the mode is about to raise
+   * @returns {Object|null} - { rows, progress } or null if nothing is coming
+   */
+  getIncomingGarbage() {
+    return this.mode.getIncomingGarbage(this);
+  }
+
+  /**
+   * Get the seed of the current game
+   * @returns {number} - Seed that reproduces this game's piece sequence
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Get everything needed to continue this game later
+   * @returns {Object} - Serializable game logic state
+   */
+  serialize() {
+    const clone = value => (value ? JSON.parse(JSON.stringify(value)) : null);
+
+    return {
+      seed: this.seed,
+      randomState: this.random.getState(),
+      pieceGenerator: this.pieceGenerator.serialize(),
+      board: this.getBoardState(),
+      currentPiece: clone(this.currentPiece),
+      nextPiece: clone(this.nextPiece),
+      heldPiece: clone(this.heldPiece),
+      holdEnabled: this.holdEnabled,
+      canHold: this.canHold,
+      lastRotation: this.lastRotation,
+      combo: this.combo,
+      backToBack: this.backToBack,
+      fallTimer: this.fallTimer,
+      lockTimer: this.lockTimer,
+      lockResets: this.lockResets,
+      lowestY: this.lowestY,
+      tickCount: this.tickCount,
+      clearingLines: [...this.clearingLines],
+      clearTimer: this.clearTimer,
+      gameStats: { ...this.gameStats },
+      mode: this.mode.serialize(),
+    };
+  }
+
+  /**
+   * Continue a game saved with serialize()
+   * @param {Object} data - Saved game logic state
+   */
+  restore(data) {
+    this.seed = data.seed >>> 0;
+    this.random = new SeededRandom(this.seed);
+    this.random.setState(data.randomState);
+    this.pieceGenerator.restore(data.pieceGenerator, this.random);
+
+    this.setBoardSize(data.board[0].length, data.board.length);
+    this.board = data.board.map(row => [...row]);
+    this.currentPiece = data.currentPiece;
+    this.nextPiece = data.nextPiece;
+    this.heldPiece = data.heldPiece ?? data.holdPiece ?? null;
+    this.holdEnabled = data.holdEnabled ?? this.holdEnabled;
+    this.canHold = data.canHold;
+    this.lastRotation = data.lastRotation;
+    this.combo = data.combo ?? -1;
+    this.backToBack = data.backToBack ?? false;
+    this.fallTimer = data.fallTimer;
+    this.lockTimer = data.lockTimer;
+    this.lockResets = data.lockResets ?? 0;
+    this.lowestY = data.lowestY ?? this.currentPiece?.y ?? 0;
+    this.tickCount = data.tickCount;
+    this.clearingLines = [...data.clearingLines];
+    this.clearTimer = data.clearTimer;
+    this.gameStats = { perfectClears: 0, ...data.gameStats };
+    this.mode.restore(data.mode);
+    this.isGameOver = false;
+
+    this.updateGhostPiece();
   }
 
   /**
-   * Get preview of next pieces
+   * Get preview of next pieces, starting with the piece that spawns next
    * @param {number} count - Number of pieces to preview
    * @returns {Array} - Array of next pieces
    */
   getNextPieces(count = 3) {
-    return this.pieceGenerator.previewNext(count);
+    if (!this.nextPiece) {
+      return this.pieceGenerator.previewNext(count);
+    }
+
+    return [this.nextPiece, ...this.pieceGenerator.previewNext(count - 1)];
   }
 
   /**
@@ -580,14 +1091,19 @@ export class GameLogic {
    */
   getDebugInfo() {
     return {
+      seed: this.seed,
+      mode: this.mode.id,
       boardState: this.getBoardState(),
       currentPiece: this.currentPiece,
       nextPiece: this.nextPiece,
-      holdPiece: this.holdPiece,
+      heldPiece: this.heldPiece,
+      holdEnabled: this.holdEnabled,
+      canHold: this.canHold,
       ghostPiece: this.ghostPiece,
       fallTimer: this.fallTimer,
       lockTimer: this.lockTimer,
       fallSpeed: this.fallSpeed,
+      tickCount: this.tickCount,
       isGameOver: this.isGameOver,
       clearingLines: this.clearingLines,
       gameStats: this.gameStats,
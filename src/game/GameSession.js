@@ -0,0 +1,124 @@
+/**
+ * GameSession - Self-contained game without DOM listeners or a render loop
+ * Wires a StateManager, GameLogic and ScoreManager together the same way the GameEngine does,
+ * so a game can be simulated off-screen (e.g. for replay playback)
+ */
+
+import { StateManager } from '../core/StateManager.js';
+import { NEXT_QUEUE_CONFIG } from '../core/Constants.js';
+import { GameLogic } from './GameLogic.js';
+import { ScoreManager } from './ScoreManager.js';
+
+export class GameSession {
+  /**
+   * @param {GameLogic} gameLogic - Game logic to run (e.g. a CoopGameLogic for co-op)
+   */
+  constructor(gameLogic = new GameLogic()) {
+    this.stateManager = new StateManager();
+    this.gameLogic = gameLogic;
+    this.scoreManager = new ScoreManager();
+
+    this.gameLogic.initialize(this.stateManager);
+    this.scoreManager.initialize(this.stateManager);
+
+    this.connectSystems();
+  }
+
+  /**
+   * Connect game logic and scoring like GameEngine.setupSystemInteractions
+   */
+  connectSystems() {
+    this.gameLogic.on('linesClearing', data => {
+      this.scoreManager.updateScore(data.action, data.count, {
+        tSpin: data.tSpin,
+        combo: data.combo,
+        backToBack: data.backToBack,
+      });
+    });
+
+    this.gameLogic.on('tSpin', data => {
+      this.scoreManager.updateScore(data.action, 0, { tSpin: data.tSpin });
+    });
+
+    this.gameLogic.on('perfectClear', () => {
+      this.scoreManager.updateScore('perfectClear', 0, { perfectClear: true });
+    });
+
+    this.gameLogic.on('pieceHardDropped', data => {
+      this.scoreManager.updateDropScore('hard', data.distance);
+    });
+
+    this.scoreManager.on('scoreUpdated', data => {
+      this.stateManager.setState({
+        score: data.totalScore,
+        level: data.level,
+        lines: data.totalLines,
+        perfectClears: data.perfectClears,
+      });
+    });
+  }
+
+  /**
+   * Start a new game
+   * @param {Object} options - Game options (seed and ruleset), as passed to GameEngine.startNewGame
+   */
+  start(options = {}) {
+    this.gameLogic.reset(options);
+    this.scoreManager.reset();
+
+    const boardSize = this.gameLogic.getBoardSize();
+    this.stateManager.startGame({
+      ...options,
+      seed: this.gameLogic.getSeed(),
+      mode: this.gameLogic.getMode().id,
+      boardWidth: boardSize.width,
+      boardHeight: boardSize.height,
+    });
+  }
+
+  /**
+   * Advance the game by one update
+   * @param {number} deltaTime - Time step in milliseconds
+   */
+  update(deltaTime) {
+    this.gameLogic.update(deltaTime, this.stateManager.getState());
+  }
+
+  /**
+   * Apply a player action
+   * @param {string} action - Action name (see GameLogic.applyAction)
+   * @returns {*} - Result of the action
+   */
+  applyAction(action) {
+    return this.gameLogic.applyAction(action);
+  }
+
+  /**
+   * Check if the game has ended
+   * @returns {boolean} - True if game over
+   */
+  isGameOver() {
+    return this.gameLogic.isGameOver;
+  }
+
+  /**
+   * Get current game data for rendering (same shape as GameEngine.getGameData)
+   * @returns {Object} - Game data
+   */
+  getGameData() {
+    return {
+      board: this.gameLogic.getBoardState(),
+      currentPiece: this.gameLogic.getCurrentPiecePositions(),
+      ghostPiece: this.gameLogic.getGhostPiecePositions(),
+      lockProgress: this.gameLogic.getLockProgress(),
+      nextPieces: this.gameLogic.getNextPieces(NEXT_QUEUE_CONFIG.MAX_SIZE),
+      holdPiece: this.gameLogic.heldPiece,
+      canHold: this.gameLogic.canHold,
+      holdEnabled: this.gameLogic.holdEnabled,
+      clearingLines: this.gameLogic.getClearingLines(),
+      score: this.scoreManager.getScoreData(),
+      modeStatus: this.gameLogic.getModeStatus(),
+      incomingGarbage: this.gameLogic.getIncomingGarbage(),
+    };
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * HintSystem - Shows a suggested spot for the current piece when a player hesitates
+ * After HINT_CONFIG.DELAY without a move, the best placement found by a PlacementFinder is
+ * outlined on the board until the piece locks. Easy games get as many hints as needed; harder
+ * difficulties a few per game. The number of hints used goes into the game state for the
+ * results screen.
+ */
+
+import { HINT_CONFIG } from '../core/Constants.js';
+import { PlacementFinder } from './PlacementFinder.js';
+
+export class HintSystem {
+  /**
+   * @param {GameLogic} gameLogic - Game logic to give hints for (defaults to the engine's)
+   */
+  constructor(gameLogic = null) {
+    this.gameLogic = null;
+    this.stateManager = null;
+    this.finder = null;
+
+    this.enabled = true;
+    this.maxHints = null;
+    this.hintsUsed = 0;
+    this.idleTime = 0;
+
+    // Block positions of the suggested spot while it shows
+    this.hint = null;
+
+    // Event listeners
+    this.eventListeners = new Map();
+
+    this.handleAction = this.handleAction.bind(this);
+    this.clearHint = this.clearHint.bind(this);
+
+    if (gameLogic) {
+      this.attach(gameLogic);
+    }
+  }
+
+  /**
+   * Initialize with state manager (called by GameEngine)
+   * @param {StateManager} stateManager - State manager instance
+   */
+  initialize(stateManager) {
+    this.stateManager = stateManager;
+
+    if (!this.gameLogic && this.engine) {
+      this.attach(this.engine.gameLogic);
+    }
+  }
+
+  /**
+   * Start watching a game logic instance
+   * @param {GameLogic} gameLogic - Game logic to give hints for
+   */
+  attach(gameLogic) {
+    if (this.gameLogic) {
+      this.gameLogic.off('actionApplied', this.handleAction);
+      ['pieceSpawned', 'pieceHeld', 'garbageAdded'].forEach(event =>
+        this.gameLogic.off(event, this.clearHint),
+      );
+    }
+
+    this.gameLogic = gameLogic;
+    this.finder = new PlacementFinder(gameLogic);
+    this.gameLogic.on('actionApplied', this.handleAction);
+
+    // A new piece or a moved board makes the suggested spot out of date
+    ['pieceSpawned', 'pieceHeld', 'garbageAdded'].forEach(event =>
+      this.gameLogic.on(event, this.clearHint),
+    );
+  }
+
+  /**
+   * Set up hints for a new game (called by GameEngine.startNewGame)
+   * @param {Object} options - Game options
+   * @param {boolean} options.hints - False to turn hints off
+   * @param {string} options.difficulty - Difficulty, which limits the hints per game
+   */
+  reset(options = {}) {
+    this.enabled = options.hints !== false;
+    this.maxHints = HINT_CONFIG.MAX_HINTS[options.difficulty] ?? null;
+    this.hintsUsed = 0;
+    this.clearHint();
+  }
+
+  /**
+   * Count the time since the last move and show a hint once the player has waited long enough
+   * @param {number} deltaTime - Time step in milliseconds
+   */
+  update(deltaTime) {
+    const { gameLogic } = this;
+    if (!this.enabled || this.hint || !gameLogic?.currentPiece || gameLogic.isGameOver) return;
+    if (gameLogic.clearingLines.length > 0 || this.getHintsLeft() === 0) return;
+
+    this.idleTime += deltaTime;
+    if (this.idleTime >= HINT_CONFIG.DELAY) {
+      this.showHint();
+    }
+  }
+
+  /**
+   * Outline the best spot for the current piece
+   * @returns {boolean} - True if a hint is showing
+   */
+  showHint() {
+    const best = this.finder.findBestPlacement();
+    if (!best) return false;
+
+    this.hint = this.gameLogic.pieceGenerator.getPiecePositions(best.piece);
+    this.hintsUsed++;
+
+    if (this.stateManager) {
+      this.stateManager.setState({ hintsUsed: this.hintsUsed });
+    }
+
+    this.emit('hintShown', { positions: this.hint, hintsLeft: this.getHintsLeft() });
+    return true;
+  }
+
+  /**
+   * Any move means the player is still playing: start waiting again
+   */
+  handleAction() {
+    this.idleTime = 0;
+  }
+
+  /**
+   * Remove the hint and start waiting again
+   */
+  clearHint() {
+    this.hint = null;
+    this.idleTime = 0;
+  }
+
+  /**
+   * Get the block positions of the suggested spot for rendering
+   * @returns {Array} - Positions { x, y, color }, empty without a hint
+   */
+  getHintPositions() {
+    return this.hint || [];
+  }
+
+  /**
+   * Hints left in this game
+   * @returns {number|null} - Hints left, or null when there is no limit
+   */
+  getHintsLeft() {
+    return this.maxHints === null ? null : Math.max(0, this.maxHints - this.hintsUsed);
+  }
+
+  /**
+   * Capture the hints used for a saved game
+   * @returns {Object} - Serializable hint state
+   */
+  serialize() {
+    return { hintsUsed: this.hintsUsed };
+  }
+
+  /**
+   * Restore the hints used of a saved game
+   * @param {Object} data - Data from serialize()
+   */
+  restore(data) {
+    this.hintsUsed = data?.hintsUsed || 0;
+
+    if (this.stateManager) {
+      this.stateManager.setState({ hintsUsed: this.hintsUsed });
+    }
+  }
+
+  /**
+   * Event listener system
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  off(event, callback) {
+    if (this.eventListeners.has(event)) {
+      const callbacks = this.eventListeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  emit(event, ...args) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(...args);
+        } catch (error) {
+          console.error(`Error in HintSystem ${event} listener:`, error);
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,423 @@
+/**
+ * OnlineMatch - Versus against a friend on another device, through the relay server
+ * Each player's browser runs its own GameSession; the two only tell each other what matters to
+ * the other side: the game options and seed to start with, their board a few times a second,
+ * garbage rows sent by line clears and their top out. Whoever is left standing wins, and a
+ * friend who leaves or loses their connection forfeits. The host (the player the other one
+ * joined) picks the options and starts each match; the guest can only ask for a rematch.
+ */
+
+import {
+  BOARD_LIMITS,
+  DIFFICULTY_LEVELS,
+  LOCK_DELAY_CONFIG,
+  NETWORK_CONFIG,
+  VERSUS_CONFIG,
+} from '../core/Constants.js';
+import { GameSession } from './GameSession.js';
+import { getGameModes } from '../modes/ModeRegistry.js';
+import { getPieceSets } from '../pieces/PieceSetRegistry.js';
+import { getRandomizers } from '../pieces/RandomizerRegistry.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { clamp } from '../utils/Utils.js';
+
+const isBoolean = value => typeof value === 'boolean';
+const isBetween = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+// Game options a 'start' message may set, with the values this game knows for each
+const START_OPTIONS = {
+  seed: value => isBetween(value, 0, 0xffffffff),
+  mode: value => getGameModes().some(mode => mode.id === value),
+  difficulty: value => Object.keys(DIFFICULTY_LEVELS).includes(value),
+  boardWidth: value => isBetween(value, BOARD_LIMITS.MIN_WIDTH, BOARD_LIMITS.MAX_WIDTH),
+  boardHeight: value => isBetween(value, BOARD_LIMITS.MIN_HEIGHT, BOARD_LIMITS.MAX_HEIGHT),
+  hold: isBoolean,
+  randomizer: value => getRandomizers().some(randomizer => randomizer.id === value),
+  pieceSet: value => getPieceSets().some(pieceSet => pieceSet.id === value),
+  lockReset: value => Object.keys(LOCK_DELAY_CONFIG.RESETS).includes(value),
+  sendGarbage: isBoolean,
+};
+
+/**
+ * Read the game options of a 'start' message from the other player
+ * Options this game does not send are dropped; a known option with a value it does not know
+ * spoils the whole message.
+ * @param {Object} options - Options as sent
+ * @returns {Object|null} - Options to start with, or null if the message cannot be trusted
+ */
+function readStartOptions(options) {
+  if (!options || typeof options !== 'object') return null;
+
+  const startOptions = {};
+  for (const [name, isValid] of Object.entries(START_OPTIONS)) {
+    if (options[name] === undefined) continue;
+    if (!isValid(options[name])) return null;
+
+    startOptions[name] = options[name];
+  }
+
+  return startOptions.seed === undefined ? null : startOptions;
+}
+
+export class OnlineMatch {
+  /**
+   * @param {RelayClient} client - Connection to the relay server, already in a room
+   * @param {Object} options - Match options
+   * @param {boolean} options.isHost - True for the player whose room the other one joined
+   */
+  constructor(client, { isHost = false } = {}) {
+    this.client = client;
+    this.session = new GameSession();
+    this.isHost = isHost;
+
+    this.options = {};
+    this.sendGarbage = true;
+    this.countdown = 0;
+    this.isRunning = false;
+    this.result = null;
+
+    // Latest board the other player sent (see sendState)
+    this.opponent = null;
+
+    // Attacks { rows, hole } waiting to rise under the stack
+    this.pendingGarbage = [];
+    this.garbageSent = 0;
+    this.syncTimer = 0;
+
+    // Picks the gaps of the garbage rows this player sends
+    this.random = new SeededRandom();
+
+    this.eventListeners = new Map();
+
+    this.session.gameLogic.on('linesClearing', data => this.handleLinesCleared(data));
+
+    // Messages from the other player, removed again in close()
+    this.messageHandlers = {
+      start: message => this.handleStart(message),
+      rematch: () => this.handleRematch(),
+      opponentJoined: () => {
+        // Whoever stays in the room hosts the friend who joins next
+        this.isHost = true;
+      },
+      state: message => this.handleOpponentState(message.state),
+      garbage: message => this.handleGarbage(message),
+      gameOver: () => this.finish(true, 'opponentToppedOut'),
+      opponentLeft: () => this.finish(true, 'opponentLeft'),
+      disconnected: () => this.finish(null, 'disconnected'),
+    };
+    Object.entries(this.messageHandlers).forEach(([type, handler]) => client.on(type, handler));
+  }
+
+  /**
+   * Start a match for both players with a new seed, or ask the host for one as the guest
+   * @param {Object} options - Game options (see GameLogic.reset), plus sendGarbage
+   */
+  start(options = {}) {
+    if (!this.isHost) {
+      this.client.send({ type: 'rematch' });
+      return;
+    }
+
+    const gameOptions = { ...options, seed: SeededRandom.createSeed() };
+
+    this.client.send({ type: 'start', options: gameOptions });
+    this.begin(gameOptions);
+  }
+
+  /**
+   * Start this player's game with the options both players share
+   * @param {Object} options - Game options including the seed
+   */
+  begin(options = {}) {
+    this.options = { ...options };
+    this.sendGarbage = options.sendGarbage !== false;
+    this.random = new SeededRandom(options.seed);
+    this.countdown = VERSUS_CONFIG.COUNTDOWN;
+    this.isRunning = true;
+    this.result = null;
+    this.opponent = null;
+    this.pendingGarbage = [];
+    this.garbageSent = 0;
+    this.syncTimer = 0;
+
+    this.session.start(this.options);
+    this.emit('countdown', this.getCountdown());
+  }
+
+  /**
+   * Start the match the host sent, unless one is already running
+   * @param {Object} message - { options }
+   */
+  handleStart(message) {
+    if (this.isHost || this.isRunning) return;
+
+    const options = readStartOptions(message.options);
+    if (options) {
+      this.begin(options);
+    }
+  }
+
+  /**
+   * Start the next match with the same options when the guest asks for it
+   */
+  handleRematch() {
+    if (this.isHost && !this.isRunning) {
+      this.start(this.options);
+    }
+  }
+
+  /**
+   * Advance the match by one update
+   * @param {number} deltaTime - Time step in milliseconds
+   */
+  update(deltaTime) {
+    if (!this.isRunning) return;
+
+    if (this.countdown > 0) {
+      const secondsBefore = this.getCountdown();
+      this.countdown = Math.max(0, this.countdown - deltaTime);
+
+      if (this.countdown === 0) {
+        this.emit('started');
+        this.sendState();
+      } else if (this.getCountdown() !== secondsBefore) {
+        this.emit('countdown', this.getCountdown());
+      }
+      return;
+    }
+
+    this.session.update(deltaTime);
+    this.receiveGarbage();
+
+    this.syncTimer += deltaTime;
+    if (this.syncTimer >= NETWORK_CONFIG.SYNC_INTERVAL) {
+      this.sendState();
+    }
+
+    this.checkTopOut();
+  }
+
+  /**
+   * Apply an action of the local player (ignored during the countdown and after the match)
+   * @param {string} action - Action name (see GameLogic.applyAction)
+   * @returns {*} - Result of the action, or false if it was ignored
+   */
+  applyAction(action) {
+    if (!this.isRunning || this.countdown > 0) return false;
+
+    const result = this.session.applyAction(action);
+    this.receiveGarbage();
+    this.checkTopOut();
+
+    return result;
+  }
+
+  /**
+   * Send garbage rows to the other player for a multi-line clear
+   * @param {Object} data - linesClearing event data from GameLogic
+   */
+  handleLinesCleared(data) {
+    if (!this.isRunning || !this.sendGarbage) return;
+
+    const rows = VERSUS_CONFIG.GARBAGE_ROWS[Math.min(data.count, 4)];
+    if (rows === 0) return;
+
+    // One attack shares a gap, so it can be cleared by dropping a piece down it
+    const hole = this.random.nextInt(this.session.gameLogic.boardWidth);
+    this.garbageSent += rows;
+    this.client.send({ type: 'garbage', rows, hole });
+
+    this.emit('garbageSent', { rows });
+  }
+
+  /**
+   * Queue garbage rows sent by the other player
+   * @param {Object} message - { rows, hole }
+   */
+  handleGarbage(message) {
+    if (!this.isRunning) return;
+
+    // Messages come from another device, so keep them to what a line clear can send
+    const maxRows = Math.max(...VERSUS_CONFIG.GARBAGE_ROWS);
+    const { boardWidth } = this.session.gameLogic;
+    const rows = clamp(Math.floor(message.rows) || 0, 0, maxRows);
+    const hole = clamp(Math.floor(message.hole) || 0, 0, boardWidth - 1);
+    if (rows > 0) {
+      this.pendingGarbage.push({ rows, hole });
+    }
+  }
+
+  /**
+   * Raise queued garbage under the stack
+   * Waits for the player's own line clear to finish so the cleared rows stay in place
+   */
+  receiveGarbage() {
+    const { gameLogic } = this.session;
+    if (
+      this.pendingGarbage.length === 0 ||
+      gameLogic.isGameOver ||
+      gameLogic.clearingLines.length
+    ) {
+      return;
+    }
+
+    const holes = this.pendingGarbage.flatMap(({ rows, hole }) =>
+      Array.from({ length: rows }, () => hole),
+    );
+    this.pendingGarbage = [];
+
+    gameLogic.addGarbageRows(holes, VERSUS_CONFIG.GARBAGE_COLOR);
+  }
+
+  /**
+   * Keep the latest board of the other player for drawing
+   * @param {Object} state - Board snapshot (see sendState)
+   */
+  handleOpponentState(state) {
+    if (this.isRunning && state && Array.isArray(state.board)) {
+      this.opponent = state;
+    }
+  }
+
+  /**
+   * Send this player's board to the other player
+   */
+  sendState() {
+    this.syncTimer = 0;
+
+    const gameData = this.session.getGameData();
+    this.client.send({
+      type: 'state',
+      state: {
+        board: gameData.board,
+        currentPiece: gameData.currentPiece,
+        nextPieces: gameData.nextPieces.slice(0, 1),
+        holdPiece: gameData.holdPiece,
+        score: {
+          score: gameData.score.score,
+          lines: gameData.score.lines,
+          level: gameData.score.level,
+        },
+        garbageSent: this.garbageSent,
+      },
+    });
+  }
+
+  /**
+   * Tell the other player when this player's stack reaches the top
+   */
+  checkTopOut() {
+    if (!this.isRunning || !this.session.isGameOver()) return;
+
+    this.sendState();
+    this.client.send({ type: 'gameOver' });
+    this.finish(false, 'toppedOut');
+  }
+
+  /**
+   * End the match
+   * @param {boolean|null} won - True if this player won, null if nobody did (lost connection)
+   * @param {string} reason - 'toppedOut', 'opponentToppedOut', 'opponentLeft' or 'disconnected'
+   */
+  finish(won, reason) {
+    if (!this.isRunning) return;
+
+    this.isRunning = false;
+    this.result = {
+      won,
+      reason,
+      ...this.session.getGameData().score,
+      garbageSent: this.garbageSent,
+      opponent: this.opponent?.score ?? null,
+    };
+
+    this.emit('matchOver', this.result);
+  }
+
+  /**
+   * Whole seconds left in the countdown (0 once the game runs)
+   * @returns {number} - Seconds to show
+   */
+  getCountdown() {
+    return Math.ceil(this.countdown / 1000);
+  }
+
+  /**
+   * Check if the match has finished
+   * @returns {boolean} - True once the match has a result
+   */
+  isOver() {
+    return this.result !== null;
+  }
+
+  /**
+   * Get this player's game data for rendering
+   * @returns {Object} - Game data (see GameSession.getGameData)
+   */
+  getGameData() {
+    return this.session.getGameData();
+  }
+
+  /**
+   * Get the other player's last known board for rendering
+   * @returns {Object} - Game data in the shape CanvasRenderer draws
+   */
+  getOpponentGameData() {
+    const emptyBoard = this.session.gameLogic.createEmptyBoard();
+    const opponent = this.opponent ?? {};
+
+    return {
+      board: opponent.board ?? emptyBoard,
+      currentPiece: opponent.currentPiece ?? [],
+      ghostPiece: [],
+      nextPieces: opponent.nextPieces ?? [],
+      holdPiece: opponent.holdPiece ?? null,
+      canHold: true,
+      clearingLines: [],
+      score: opponent.score ?? { score: 0, lines: 0, level: 1 },
+      garbageSent: opponent.garbageSent ?? 0,
+    };
+  }
+
+  /**
+   * Stop listening to the relay connection
+   */
+  close() {
+    this.isRunning = false;
+    Object.entries(this.messageHandlers).forEach(([type, handler]) =>
+      this.client.off(type, handler),
+    );
+  }
+
+  /**
+   * Event listener system
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  off(event, callback) {
+    if (this.eventListeners.has(event)) {
+      const callbacks = this.eventListeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  emit(event, ...args) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(...args);
+        } catch (error) {
+          console.error(`Error in OnlineMatch ${event} listener:`, error);
+        }
+      });
+    }
+  }
+}
@@ -1,65 +1,142 @@
 /**
- * PieceGenerator - Handles Tetris piece generation with random bag algorithm
- * Ensures fair distribution of pieces and manages piece rotation states
+ * PieceGenerator - Handles Tetris piece generation and piece rotation states
+ * Pieces come from the game's piece set (the seven tetrominoes unless another set is chosen)
+ * and are picked by the game's randomizer (the 7-bag unless another one is chosen).
+ * Picked pieces wait in a queue a few pieces ahead, so previews show what is really dealt.
  */
 
-import { PIECES, PIECE_TYPES, BOARD_CONFIG } from '../core/Constants.js';
+import { BOARD_CONFIG, NEXT_QUEUE_CONFIG } from '../core/Constants.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { createPieceSet } from '../pieces/PieceSetRegistry.js';
+import { createRandomizer } from '../pieces/RandomizerRegistry.js';
 
 export class PieceGenerator {
-  constructor() {
-    this.bag = [];
-    this.nextBag = [];
+  /**
+   * @param {Object} random - Random source with next()/shuffle()/clone() (see SeededRandom)
+   */
+  constructor(random = new SeededRandom()) {
+    this.random = random;
+    this.pieceSet = createPieceSet();
+    this.randomizer = createRandomizer();
+    this.queue = [];
     this.pieceHistory = [];
 
-    // Initialize the first bag
-    this.refillBag();
-    this.refillNextBag();
+    // Pieces picked ahead of time; the game holds one more as its next piece,
+    // so the longest preview is covered without picking pieces on demand
+    this.lookahead = NEXT_QUEUE_CONFIG.MAX_SIZE - 1;
+
+    // Returns the board the randomizer sees when it picks a piece (set by GameLogic)
+    this.getBoard = null;
+
+    // Pieces spawn centred on a board this wide
+    this.boardWidth = BOARD_CONFIG.WIDTH;
+
+    // Fixed piece sequence (e.g. a puzzle), used instead of the randomizer when set
+    this.sequence = null;
+
+    this.fillQueue(this.lookahead);
   }
 
   /**
-   * Generate a new random bag of all 7 piece types
-   * Uses Fisher-Yates shuffle algorithm for true randomness
+   * Set the width of the board pieces spawn on
+   * @param {number} width - Number of columns
    */
-  generateRandomBag() {
-    const bag = [...PIECE_TYPES];
+  setBoardWidth(width) {
+    this.boardWidth = width;
+  }
+
+  /**
+   * Set the piece set to deal from
+   * Takes effect for pieces picked afterwards, so call reset() next when starting a game
+   * @param {PieceSet} pieceSet - Piece set (see PieceSetRegistry)
+   */
+  setPieceSet(pieceSet) {
+    this.pieceSet = pieceSet;
+  }
+
+  /**
+   * Set the randomizer that picks the pieces
+   * Call reset() next when starting a game so no pieces of the old randomizer stay queued
+   * @param {Randomizer} randomizer - Randomizer (see RandomizerRegistry)
+   */
+  setRandomizer(randomizer) {
+    this.randomizer = randomizer;
+  }
 
-    // Fisher-Yates shuffle
-    for (let i = bag.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [bag[i], bag[j]] = [bag[j], bag[i]];
+  /**
+   * Let the randomizer look at the board when it picks pieces
+   * @param {Function} getBoard - Returns the current game board
+   */
+  setBoardProvider(getBoard) {
+    this.getBoard = getBoard;
+  }
+
+  /**
+   * Get a piece definition from the current set
+   * @param {string} pieceType - Piece type
+   * @returns {Object} - { name, color, shape }
+   * @throws {Error} - If the type is not in the set
+   */
+  getPieceData(pieceType) {
+    const pieceData = this.pieceSet.getPiece(pieceType);
+
+    if (!pieceData) {
+      throw new Error(`Unknown piece type: ${pieceType}`);
     }
 
-    return bag;
+    return pieceData;
   }
 
   /**
-   * Refill the current bag when empty
+   * Describe a piece type for previews
+   * @param {string} pieceType - Piece type
+   * @returns {Object} - { type, shape, color, name }
    */
-  refillBag() {
-    this.bag = this.generateRandomBag();
+  describePiece(pieceType) {
+    const { shape, color, name } = this.getPieceData(pieceType);
+    return { type: pieceType, shape, color, name };
   }
 
   /**
-   * Refill the next bag for lookahead
+   * Let the randomizer pick pieces until the queue holds at least count pieces
+   * Picked pieces are final: they are dealt in this order whatever happens on the board
+   * @param {number} count - Pieces the queue should hold
    */
-  refillNextBag() {
-    this.nextBag = this.generateRandomBag();
+  fillQueue(count) {
+    while (this.queue.length < count) {
+      const context = {
+        board: this.getBoard ? this.getBoard() : null,
+        pieceSet: this.pieceSet,
+      };
+
+      this.queue.push(this.randomizer.next(this.pieceSet.types, this.random, context));
+    }
   }
 
   /**
-   * Get the next piece from the bag
-   * Implements the random bag system for fair piece distribution
+   * Get the next piece from the queue
+   * Tops the queue up afterwards, so the randomizer sees the board as it is now
    */
   getNextPiece() {
-    // If current bag is empty, move next bag to current
-    if (this.bag.length === 0) {
-      this.bag = [...this.nextBag];
-      this.refillNextBag();
+    // A fixed sequence simply runs out
+    if (this.sequence) {
+      if (this.sequence.length === 0) return null;
+      return this.takePiece(this.sequence.shift());
     }
 
-    // Get piece type from bag
-    const pieceType = this.bag.shift();
+    this.fillQueue(1);
+    const piece = this.takePiece(this.queue.shift());
+    this.fillQueue(this.lookahead);
 
+    return piece;
+  }
+
+  /**
+   * Create the piece handed out next and remember it
+   * @param {string} pieceType - Piece type
+   * @returns {Object} - New piece
+   */
+  takePiece(pieceType) {
     // Create piece instance
     const piece = this.createPiece(pieceType);
 
@@ -76,43 +153,28 @@ export class PieceGenerator {
 
   /**
    * Preview next pieces (for UI display)
-   * Returns array of next N piece types
+   * Previewing further than the lookahead picks (and commits) more pieces, so what is
+   * shown is always what is dealt
+   * @param {number} count - Number of pieces
+   * @returns {Array} - Next pieces as { type, shape, color, name }
    */
   previewNext(count = 3) {
-    const preview = [];
-    let bagCopy = [...this.bag];
-    let nextBagCopy = [...this.nextBag];
-
-    for (let i = 0; i < count; i++) {
-      if (bagCopy.length === 0) {
-        bagCopy = [...nextBagCopy];
-        nextBagCopy = this.generateRandomBag();
-      }
-
-      const pieceType = bagCopy.shift();
-      preview.push({
-        type: pieceType,
-        shape: PIECES[pieceType].shape,
-        color: PIECES[pieceType].color,
-        name: PIECES[pieceType].name,
-      });
+    if (this.sequence) {
+      return this.sequence.slice(0, count).map(pieceType => this.describePiece(pieceType));
     }
 
-    return preview;
+    this.fillQueue(count);
+    return this.queue.slice(0, count).map(pieceType => this.describePiece(pieceType));
   }
 
   /**
    * Create a piece instance with position and rotation state
    */
   createPiece(pieceType) {
-    const pieceData = PIECES[pieceType];
-
-    if (!pieceData) {
-      throw new Error(`Unknown piece type: ${pieceType}`);
-    }
+    const pieceData = this.getPieceData(pieceType);
 
     // Calculate starting position (center top)
-    const startX = Math.floor((BOARD_CONFIG.WIDTH - pieceData.shape[0].length) / 2);
+    const startX = Math.floor((this.boardWidth - pieceData.shape[0].length) / 2);
     const startY = 0;
 
     return {
@@ -165,7 +227,7 @@ export class PieceGenerator {
    * Useful for collision detection and wall kicks
    */
   getAllRotations(pieceType) {
-    const baseShape = PIECES[pieceType].shape;
+    const baseShape = this.getPieceData(pieceType).shape;
     const rotations = [baseShape];
     let currentShape = baseShape;
 
@@ -179,118 +241,11 @@ export class PieceGenerator {
   }
 
   /**
-   * Get wall kick offsets for SRS (Super Rotation System)
-   * Used for advanced rotation handling
+   * Get wall kick offsets for a rotation
+   * The piece set decides the kicks (SRS for the classic tetrominoes)
    */
   getWallKickOffsets(pieceType, fromRotation, toRotation) {
-    // Standard wall kick offsets for most pieces
-    const standardOffsets = {
-      '0->1': [
-        [-1, 0],
-        [-1, -1],
-        [0, 2],
-        [-1, 2],
-      ],
-      '1->0': [
-        [1, 0],
-        [1, 1],
-        [0, -2],
-        [1, -2],
-      ],
-      '1->2': [
-        [1, 0],
-        [1, 1],
-        [0, -2],
-        [1, -2],
-      ],
-      '2->1': [
-        [-1, 0],
-        [-1, -1],
-        [0, 2],
-        [-1, 2],
-      ],
-      '2->3': [
-        [1, 0],
-        [1, -1],
-        [0, 2],
-        [1, 2],
-      ],
-      '3->2': [
-        [-1, 0],
-        [-1, 1],
-        [0, -2],
-        [-1, -2],
-      ],
-      '3->0': [
-        [-1, 0],
-        [-1, 1],
-        [0, -2],
-        [-1, -2],
-      ],
-      '0->3': [
-        [1, 0],
-        [1, -1],
-        [0, 2],
-        [1, 2],
-      ],
-    };
-
-    // I-piece has different wall kick offsets
-    const iPieceOffsets = {
-      '0->1': [
-        [-2, 0],
-        [1, 0],
-        [-2, 1],
-        [1, -2],
-      ],
-      '1->0': [
-        [2, 0],
-        [-1, 0],
-        [2, -1],
-        [-1, 2],
-      ],
-      '1->2': [
-        [-1, 0],
-        [2, 0],
-        [-1, -2],
-        [2, 1],
-      ],
-      '2->1': [
-        [1, 0],
-        [-2, 0],
-        [1, 2],
-        [-2, -1],
-      ],
-      '2->3': [
-        [2, 0],
-        [-1, 0],
-        [2, -1],
-        [-1, 2],
-      ],
-      '3->2': [
-        [-2, 0],
-        [1, 0],
-        [-2, 1],
-        [1, -2],
-      ],
-      '3->0': [
-        [1, 0],
-        [-2, 0],
-        [1, 2],
-        [-2, -1],
-      ],
-      '0->3': [
-        [-1, 0],
-        [2, 0],
-        [-1, -2],
-        [2, 1],
-      ],
-    };
-
-    const offsetKey = `${fromRotation}->${toRotation}`;
-    const offsets = pieceType === 'I' ? iPieceOffsets : standardOffsets;
-
-    return offsets[offsetKey] || [[0, 0]]; // Default to no offset
+    return this.pieceSet.getWallKickOffsets(pieceType, fromRotation, toRotation);
   }
 
   /**
@@ -358,39 +313,79 @@ export class PieceGenerator {
     const stats = {};
 
     // Count frequency of each piece type
-    PIECE_TYPES.forEach(type => {
+    this.pieceSet.types.forEach(type => {
       stats[type] = this.pieceHistory.filter(p => p === type).length;
     });
 
     return {
       totalPieces: this.pieceHistory.length,
       distribution: stats,
-      currentBagSize: this.bag.length,
-      nextBagSize: this.nextBag.length,
+      randomizer: this.randomizer.id,
+      queuedPieces: this.queue.length,
       recentPieces: this.pieceHistory.slice(-10),
     };
   }
 
   /**
    * Reset the piece generator
+   * @param {Object} random - Optional new random source (e.g. a freshly seeded one)
    */
-  reset() {
-    this.bag = [];
-    this.nextBag = [];
+  reset(random = this.random) {
+    this.random = random;
+    this.queue = [];
     this.pieceHistory = [];
+    this.sequence = null;
 
-    this.refillBag();
-    this.refillNextBag();
+    this.randomizer.reset();
+    this.fillQueue(this.lookahead);
+  }
+
+  /**
+   * Hand out a fixed sequence of pieces instead of randomizer picks
+   * getNextPiece returns null once the sequence runs out
+   * @param {Array} pieceTypes - Piece types in order (e.g. ['I', 'O', 'T'])
+   */
+  setSequence(pieceTypes) {
+    pieceTypes.forEach(pieceType => this.getPieceData(pieceType));
+
+    this.sequence = [...pieceTypes];
+  }
+
+  /**
+   * Get the generator state for saving a game in progress
+   * The random source is owned (and saved) by whoever passed it in
+   * @returns {Object} - Randomizer, queued pieces and history
+   */
+  serialize() {
+    return {
+      randomizer: this.randomizer.id,
+      randomizerState: this.randomizer.serialize(),
+      queue: [...this.queue],
+      pieceHistory: [...this.pieceHistory],
+      sequence: this.sequence ? [...this.sequence] : null,
+    };
+  }
+
+  /**
+   * Restore a saved generator state
+   * @param {Object} data - Data from serialize()
+   * @param {Object} random - Random source to continue with
+   */
+  restore(data, random = this.random) {
+    this.random = random;
+    this.randomizer = createRandomizer(data.randomizer);
+    this.randomizer.restore(data.randomizerState);
+
+    // Games saved before randomizers were pluggable kept two 7-bags instead of a queue
+    this.queue = data.queue ? [...data.queue] : [...(data.bag || []), ...(data.nextBag || [])];
+    this.pieceHistory = [...(data.pieceHistory || [])];
+    this.sequence = data.sequence ? [...data.sequence] : null;
   }
 
   /**
    * Generate a specific piece (useful for testing)
    */
   generateSpecificPiece(pieceType) {
-    if (!PIECES[pieceType]) {
-      throw new Error(`Invalid piece type: ${pieceType}`);
-    }
-
     return this.createPiece(pieceType);
   }
 }
@@ -0,0 +1,151 @@
+/**
+ * PlacementFinder - Finds where a piece can go and how good each spot is
+ * Tries each rotation and column of a piece, drops it with the CollisionDetector and scores the
+ * board it would leave: lower stacks, fewer holes, a flatter surface and more cleared lines are
+ * better. Used by the computer player and by placement hints.
+ */
+
+import { BOT_CONFIG } from '../core/Constants.js';
+
+export class PlacementFinder {
+  /**
+   * @param {GameLogic} gameLogic - Game to look at
+   */
+  constructor(gameLogic) {
+    this.gameLogic = gameLogic;
+  }
+
+  /**
+   * List every placement of the current piece, and of the swapped-in piece if asked to
+   * @param {boolean} useHold - Also try the piece hold would bring in
+   * @returns {Array} - Placements { actions, piece, score }, each ending with a hard drop
+   */
+  findPlacements(useHold = false) {
+    const { gameLogic } = this;
+    if (!gameLogic.currentPiece) return [];
+
+    const placements = this.findPlacementsOf(gameLogic.currentPiece, []);
+
+    if (useHold && gameLogic.holdEnabled && gameLogic.canHold) {
+      const swapped = gameLogic.heldPiece ?? gameLogic.nextPiece;
+      if (swapped) {
+        const piece = gameLogic.placeNewPiece(gameLogic.pieceGenerator.createPiece(swapped.type));
+        placements.push(...this.findPlacementsOf(piece, ['hold']));
+      }
+    }
+
+    return placements;
+  }
+
+  /**
+   * Find the best placement
+   * @param {boolean} useHold - Also try the piece hold would bring in
+   * @returns {Object|null} - Best placement { actions, piece, score }, or null without a piece
+   */
+  findBestPlacement(useHold = false) {
+    const placements = this.findPlacements(useHold);
+    if (placements.length === 0) return null;
+
+    return placements.reduce((best, placement) =>
+      placement.score > best.score ? placement : best,
+    );
+  }
+
+  /**
+   * List the placements a piece can reach by rotating, then sliding sideways, then dropping
+   * @param {Object} piece - Piece at its current position
+   * @param {Array} firstActions - Actions before the piece moves (e.g. 'hold')
+   * @returns {Array} - Placements { actions, piece, score }, piece being where it lands
+   */
+  findPlacementsOf(piece, firstActions) {
+    const { board, collisionDetector, pieceGenerator } = this.gameLogic;
+    const placements = [];
+    let rotated = piece;
+
+    for (let turns = 0; turns < 4 && rotated; turns++) {
+      if (turns > 0) {
+        rotated = collisionDetector.canRotate(
+          rotated,
+          board,
+          pieceGenerator.rotatePiece(rotated, true),
+          pieceGenerator,
+        );
+        if (!rotated) break;
+      }
+
+      const rotations = Array.from({ length: turns }, () => 'rotate');
+      const slides = [{ piece: rotated, moves: [] }];
+
+      ['left', 'right'].forEach(direction => {
+        const step = direction === 'left' ? -1 : 1;
+        let moved = rotated;
+        const moves = [];
+
+        while (collisionDetector.canMove(moved, board, direction)) {
+          moved = { ...moved, x: moved.x + step };
+          moves.push(direction);
+          slides.push({ piece: moved, moves: [...moves] });
+        }
+      });
+
+      slides.forEach(({ piece: slid, moves }) => {
+        const landed = { ...slid, y: slid.y + collisionDetector.getHardDropDistance(slid, board) };
+        placements.push({
+          actions: [...firstActions, ...rotations, ...moves, 'drop'],
+          piece: landed,
+          score: this.evaluate(landed, board),
+        });
+      });
+    }
+
+    return placements;
+  }
+
+  /**
+   * Score the board left after locking a piece (higher is better)
+   * @param {Object} piece - Piece at its landing position
+   * @param {Array} board - Board before the piece locks
+   * @returns {number} - Placement score (-Infinity if it would end the game)
+   */
+  evaluate(piece, board) {
+    const blocks = this.gameLogic.collisionDetector.getPiecePositions(piece);
+
+    // Locking above the board ends the game
+    if (blocks.some(block => block.y < 0)) {
+      return -Infinity;
+    }
+
+    const placed = board.map(row => [...row]);
+    blocks.forEach(({ x, y }) => (placed[y][x] = 1));
+
+    const remaining = placed.filter(row => row.some(cell => !cell));
+    const lines = placed.length - remaining.length;
+
+    const width = board[0].length;
+    const heights = [];
+    let holes = 0;
+
+    for (let x = 0; x < width; x++) {
+      const top = remaining.findIndex(row => row[x]);
+      const columnHeight = top === -1 ? 0 : remaining.length - top;
+      heights.push(columnHeight);
+
+      for (let y = remaining.length - columnHeight + 1; y < remaining.length; y++) {
+        if (!remaining[y][x]) holes++;
+      }
+    }
+
+    const aggregateHeight = heights.reduce((sum, columnHeight) => sum + columnHeight, 0);
+    const bumpiness = heights
+      .slice(1)
+      .reduce((sum, columnHeight, x) => sum + Math.abs(columnHeight - heights[x]), 0);
+
+    const { WEIGHTS } = BOT_CONFIG;
+    return (
+      WEIGHTS.HEIGHT * aggregateHeight +
+      WEIGHTS.LINES * lines +
+      WEIGHTS.HOLES * holes +
+      WEIGHTS.BUMPINESS * bumpiness
+    );
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * ReplayPlayer - Plays a recorded replay back in an off-screen GameSession
+ * Supports pausing, variable speed and seeking to any tick
+ */
+
+import { GameSession } from './GameSession.js';
+import { CODE_ACTIONS } from './ReplayRecorder.js';
+
+export const MIN_PLAYBACK_SPEED = 0.25;
+export const MAX_PLAYBACK_SPEED = 4;
+
+export class ReplayPlayer {
+  /**
+   * @param {Object} replay - Replay produced by ReplayRecorder
+   */
+  constructor(replay) {
+    this.replay = replay;
+    this.session = new GameSession();
+    this.tickRate = replay.tickRate || 1000 / 60;
+    this.totalTicks = replay.ticks || 0;
+
+    this.isPlaying = false;
+    this.speed = 1;
+    this.accumulator = 0;
+
+    this.restart();
+  }
+
+  /**
+   * Rewind to the start of the replay
+   */
+  restart() {
+    this.session.start({ ...this.replay.ruleset, seed: this.replay.seed });
+    this.currentTick = 0;
+    this.actionIndex = 0;
+    this.accumulator = 0;
+  }
+
+  /**
+   * Advance the replay by a single tick
+   * Actions recorded on a tick were applied after that many updates, so they run before the next one
+   */
+  step() {
+    this.applyPendingActions();
+
+    if (this.currentTick < this.totalTicks && !this.session.isGameOver()) {
+      this.session.update(this.tickRate);
+      this.currentTick++;
+    }
+  }
+
+  /**
+   * Apply every recorded action up to the current tick
+   */
+  applyPendingActions() {
+    const actions = this.replay.actions;
+
+    while (this.actionIndex < actions.length && actions[this.actionIndex][0] <= this.currentTick) {
+      this.session.applyAction(CODE_ACTIONS[actions[this.actionIndex][1]]);
+      this.actionIndex++;
+    }
+  }
+
+  /**
+   * Advance playback by real elapsed time, scaled by the playback speed
+   * @param {number} deltaTime - Real time elapsed in milliseconds
+   */
+  update(deltaTime) {
+    if (!this.isPlaying) return;
+
+    this.accumulator += deltaTime * this.speed;
+    while (this.accumulator >= this.tickRate && !this.isFinished()) {
+      this.step();
+      this.accumulator -= this.tickRate;
+    }
+
+    if (this.isFinished()) {
+      this.pause();
+    }
+  }
+
+  /**
+   * Jump to a specific tick (rewinding replays from the start)
+   * @param {number} tick - Target tick
+   */
+  seek(tick) {
+    const target = Math.max(0, Math.min(Math.round(tick), this.totalTicks));
+
+    if (target < this.currentTick) {
+      this.restart();
+    }
+
+    while (this.currentTick < target && !this.session.isGameOver()) {
+      this.step();
+    }
+
+    // The last tick's actions (e.g. the final hard drop) have no update after them
+    if (target === this.totalTicks) {
+      this.applyPendingActions();
+    }
+
+    this.accumulator = 0;
+  }
+
+  /**
+   * Playback controls
+   */
+  play() {
+    if (this.isFinished()) {
+      this.restart();
+    }
+    this.isPlaying = true;
+  }
+
+  pause() {
+    this.isPlaying = false;
+  }
+
+  togglePlay() {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Set playback speed
+   * @param {number} speed - Speed multiplier (0.25x to 4x)
+   */
+  setSpeed(speed) {
+    this.speed = Math.max(MIN_PLAYBACK_SPEED, Math.min(MAX_PLAYBACK_SPEED, Number(speed) || 1));
+  }
+
+  /**
+   * Check if playback reached the end of the replay
+   * @returns {boolean} - True when finished
+   */
+  isFinished() {
+    if (this.session.isGameOver()) return true;
+
+    return this.currentTick >= this.totalTicks && this.actionIndex >= this.replay.actions.length;
+  }
+
+  /**
+   * Get playback progress
+   * @returns {Object} - Current tick, total ticks and elapsed/total time in milliseconds
+   */
+  getProgress() {
+    return {
+      tick: this.currentTick,
+      totalTicks: this.totalTicks,
+      time: this.currentTick * this.tickRate,
+      totalTime: this.totalTicks * this.tickRate,
+    };
+  }
+
+  /**
+   * Get game data for rendering the current replay frame
+   * @returns {Object} - Game data (same shape as GameEngine.getGameData)
+   */
+  getGameData() {
+    return this.session.getGameData();
+  }
+}
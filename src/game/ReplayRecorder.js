@@ -0,0 +1,271 @@
+/**
+ * ReplayRecorder - Records every game as a compact, replayable log
+ * A replay is the seed, the ruleset and the list of player actions with the tick they happened on.
+ * Because pieces come from the seeded generator and the engine uses a fixed timestep,
+ * feeding the same actions into a fresh game reproduces it exactly.
+ */
+
+import { REPLAY_CONFIG } from '../core/Constants.js';
+
+// Short codes keep saved replays small
+export const ACTION_CODES = {
+  left: 'L',
+  right: 'R',
+  down: 'D',
+  rotate: 'U',
+  rotateCounterClockwise: 'Z',
+  drop: 'X',
+  hold: 'H',
+};
+
+export const CODE_ACTIONS = Object.fromEntries(
+  Object.entries(ACTION_CODES).map(([action, code]) => [code, action]),
+);
+
+const STORAGE_KEY = 'tetris-kids-replays';
+
+export class ReplayRecorder {
+  /**
+   * @param {GameLogic} gameLogic - Game logic to record (defaults to the engine's when registered)
+   */
+  constructor(gameLogic = null) {
+    this.gameLogic = null;
+    this.stateManager = null;
+    this.replay = null;
+    this.lastReplay = null;
+    this.tickRate = 1000 / 60;
+
+    // Event listeners
+    this.eventListeners = new Map();
+
+    this.handleAction = this.handleAction.bind(this);
+    this.handleGameOver = this.handleGameOver.bind(this);
+
+    if (gameLogic) {
+      this.attach(gameLogic);
+    }
+  }
+
+  /**
+   * Initialize with state manager (called by GameEngine)
+   * @param {StateManager} stateManager - State manager instance
+   */
+  initialize(stateManager) {
+    this.stateManager = stateManager;
+
+    if (!this.gameLogic && this.engine) {
+      this.attach(this.engine.gameLogic);
+    }
+
+    if (this.engine) {
+      this.tickRate = this.engine.fixedTimeStep;
+    }
+  }
+
+  /**
+   * Start listening to a game logic instance
+   * @param {GameLogic} gameLogic - Game logic to record
+   */
+  attach(gameLogic) {
+    if (this.gameLogic) {
+      this.gameLogic.off('actionApplied', this.handleAction);
+      this.gameLogic.off('gameOver', this.handleGameOver);
+    }
+
+    this.gameLogic = gameLogic;
+    this.gameLogic.on('actionApplied', this.handleAction);
+    this.gameLogic.on('gameOver', this.handleGameOver);
+  }
+
+  /**
+   * Start recording a new game (called by GameEngine.startNewGame after GameLogic.reset)
+   * @param {Object} options - Game options the game was started with
+   */
+  reset(options = {}) {
+    // Everything except the seed is needed to rebuild the same game
+    const ruleset = { ...options };
+    delete ruleset.seed;
+
+    this.replay = {
+      version: REPLAY_CONFIG.VERSION,
+      id: `replay-${Date.now()}`,
+      createdAt: new Date().toISOString(),
+      seed: this.gameLogic ? this.gameLogic.getSeed() : null,
+      ruleset,
+      tickRate: this.tickRate,
+      ticks: 0,
+      actions: [],
+      result: null,
+    };
+  }
+
+  /**
+   * Record a player action
+   * @param {Object} data - actionApplied event data from GameLogic
+   */
+  handleAction({ action, tick }) {
+    if (!this.replay || !ACTION_CODES[action]) return;
+
+    this.replay.actions.push([tick, ACTION_CODES[action]]);
+  }
+
+  /**
+   * Finish and save the recording when the game ends
+   */
+  handleGameOver() {
+    this.finishRecording();
+  }
+
+  /**
+   * Save an unfinished game when the engine is stopped (e.g. back to the menu)
+   */
+  onStop() {
+    this.finishRecording();
+  }
+
+  /**
+   * Finalize the current recording and store it
+   * @returns {Object|null} - Finished replay
+   */
+  finishRecording() {
+    if (!this.replay) return null;
+
+    const replay = this.replay;
+    this.replay = null;
+
+    // Nothing worth watching if the player never moved
+    if (replay.actions.length === 0) return null;
+
+    const state = this.stateManager ? this.stateManager.getState() : {};
+    replay.ticks = this.gameLogic ? this.gameLogic.tickCount : 0;
+    replay.result = {
+      score: state.score || 0,
+      lines: state.lines || 0,
+      level: state.level || 1,
+    };
+
+    this.lastReplay = replay;
+    this.saveReplay(replay);
+    this.emit('replayRecorded', replay);
+
+    return replay;
+  }
+
+  /**
+   * Get the unfinished recording so a saved game keeps recording after it is continued
+   * @returns {Object|null} - Replay in progress
+   */
+  serialize() {
+    return this.replay ? JSON.parse(JSON.stringify(this.replay)) : null;
+  }
+
+  /**
+   * Continue recording a saved game
+   * @param {Object|null} replay - Replay in progress from serialize()
+   */
+  restore(replay) {
+    this.replay = replay;
+  }
+
+  /**
+   * Check if a game is currently being recorded
+   * @returns {boolean} - True while recording
+   */
+  isRecording() {
+    return this.replay !== null;
+  }
+
+  /**
+   * Get the most recently finished replay
+   * @returns {Object|null} - Replay or null
+   */
+  getLastReplay() {
+    return this.lastReplay || this.getSavedReplays()[0] || null;
+  }
+
+  /**
+   * Get replays saved in local storage, newest first
+   * @returns {Array} - Saved replays
+   */
+  getSavedReplays() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      const replays = saved ? JSON.parse(saved) : [];
+      return Array.isArray(replays) ? replays : [];
+    } catch {
+      // Unreadable or blocked storage has no replays to offer
+      return [];
+    }
+  }
+
+  /**
+   * Save a replay to local storage, keeping only the most recent ones
+   * @param {Object} replay - Replay to save
+   */
+  saveReplay(replay) {
+    try {
+      const replays = [replay, ...this.getSavedReplays().filter(saved => saved.id !== replay.id)];
+      localStorage.setItem(
+        STORAGE_KEY,
+        JSON.stringify(replays.slice(0, REPLAY_CONFIG.MAX_SAVED_REPLAYS)),
+      );
+    } catch {
+      // Storage is full or blocked; the last replay can still be watched until the page closes
+    }
+  }
+
+  /**
+   * Download a replay as a JSON file
+   * @param {Object} replay - Replay to export
+   */
+  exportReplay(replay) {
+    if (!replay) return;
+
+    try {
+      const blob = new Blob([JSON.stringify(replay, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+
+      link.href = url;
+      link.download = `tetris-kids-${replay.id}.json`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch {
+      // Downloads are not allowed here (e.g. some embedded browsers)
+    }
+  }
+
+  /**
+   * Event listener system
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  off(event, callback) {
+    if (this.eventListeners.has(event)) {
+      const callbacks = this.eventListeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  emit(event, ...args) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(...args);
+        } catch (error) {
+          console.error(`Error in ReplayRecorder ${event} listener:`, error);
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * SaveGameManager - Keeps the game in progress in local storage
+ * Saves whenever the game is paused or the page is hidden (switching tabs, closing the browser)
+ * so it can be continued from the main menu later
+ */
+
+import { GAME_STATES } from '../core/Constants.js';
+
+const STORAGE_KEY = 'tetris-kids-saved-game';
+const SAVE_VERSION = 1; // Bump when the saved game format changes
+
+export class SaveGameManager {
+  constructor() {
+    this.stateManager = null;
+
+    // Event listeners
+    this.eventListeners = new Map();
+
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+  }
+
+  /**
+   * Initialize with state manager (called by GameEngine)
+   * @param {StateManager} stateManager - State manager instance
+   */
+  initialize(stateManager) {
+    this.stateManager = stateManager;
+
+    this.stateManager.on('pauseToggled', isPaused => {
+      if (isPaused) {
+        this.save();
+      }
+    });
+
+    // A finished game can't be continued
+    this.stateManager.on('gameOver', () => this.clear());
+
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+  }
+
+  /**
+   * Save when the page is hidden, as it may never come back
+   */
+  handleVisibilityChange() {
+    if (document.hidden) {
+      this.save();
+    }
+  }
+
+  /**
+   * Save when the engine stops mid-game (e.g. back to the menu)
+   */
+  onStop() {
+    this.save();
+  }
+
+  /**
+   * A new game replaces the saved one
+   */
+  reset() {
+    this.clear();
+  }
+
+  /**
+   * Check if there is a game in progress worth saving
+   * @returns {boolean} - True while playing or paused
+   */
+  isGameInProgress() {
+    if (!this.stateManager) return false;
+
+    const { gameState } = this.stateManager.getState();
+    return gameState === GAME_STATES.PLAYING || gameState === GAME_STATES.PAUSED;
+  }
+
+  /**
+   * Save the game in progress
+   * @returns {boolean} - True if a game was saved
+   */
+  save() {
+    if (!this.engine || !this.isGameInProgress()) return false;
+
+    try {
+      const savedGame = {
+        version: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+        game: this.engine.serializeGame(),
+      };
+
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(savedGame));
+      this.emit('savedGameChanged', true);
+      return true;
+    } catch {
+      // Storage is full or blocked, so there is nothing to continue later
+      return false;
+    }
+  }
+
+  /**
+   * Load the saved game
+   * @returns {Object|null} - Game snapshot for GameEngine.restoreGame, or null
+   */
+  load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (!saved) return null;
+
+      const savedGame = JSON.parse(saved);
+      if (savedGame.version !== SAVE_VERSION || !savedGame.game) {
+        return null;
+      }
+
+      return savedGame.game;
+    } catch {
+      // A save that cannot be read is treated as no save
+      return null;
+    }
+  }
+
+  /**
+   * Check if a saved game can be continued
+   * @returns {boolean} - True if a saved game exists
+   */
+  hasSavedGame() {
+    return this.load() !== null;
+  }
+
+  /**
+   * Remove the saved game
+   */
+  clear() {
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+      this.emit('savedGameChanged', false);
+    } catch {
+      // Blocked storage holds no save to clear
+    }
+  }
+
+  /**
+   * Event listener system
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  off(event, callback) {
+    if (this.eventListeners.has(event)) {
+      const callbacks = this.eventListeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  emit(event, ...args) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(...args);
+        } catch (error) {
+          console.error(`Error in SaveGameManager ${event} listener:`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    this.eventListeners.clear();
+  }
+}
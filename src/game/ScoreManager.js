@@ -5,6 +5,17 @@
 
 import { SCORING, LINES_PER_LEVEL, TIMING } from '../core/Constants.js';
 
+// Points for the T-spin actions of advanced scoring (see GameLogic.getTSpinAction)
+const T_SPIN_SCORES = {
+  tSpinMini: SCORING.T_SPIN_MINI,
+  tSpin: SCORING.T_SPIN,
+  tSpinMiniSingle: SCORING.T_SPIN_MINI_SINGLE,
+  tSpinMiniDouble: SCORING.T_SPIN_MINI_DOUBLE,
+  tSpinSingle: SCORING.T_SPIN_SINGLE,
+  tSpinDouble: SCORING.T_SPIN_DOUBLE,
+  tSpinTriple: SCORING.T_SPIN_TRIPLE,
+};
+
 export class ScoreManager {
   constructor() {
     this.score = 0;
@@ -105,9 +116,10 @@ export class ScoreManager {
 
   /**
    * Calculate score for line clears with kid-friendly bonuses
-   * @param {string} action - Type of action ('single', 'double', 'triple', 'tetris')
+   * @param {string} action - Type of action ('single', 'double', 'triple', 'tetris', or a
+   *   T-spin such as 'tSpinDouble' with advanced scoring)
    * @param {number} linesCleared - Number of lines cleared
-   * @param {Object} extras - Additional scoring factors (tSpin, consecutive, etc.)
+   * @param {Object} extras - Additional scoring factors (tSpin, combo, backToBack, etc.)
    * @returns {Object} - Scoring result with points and messages
    */
   calculateScore(action, linesCleared, extras = {}) {
@@ -151,15 +163,35 @@ export class ScoreManager {
           messages.push(this.getRandomMessage(this.tetrisMessages));
         }
         break;
+      default:
+        if (T_SPIN_SCORES[action] !== undefined) {
+          basePoints = T_SPIN_SCORES[action];
+          messages.push('T-Spin! Advanced move! 🌟');
+        }
+        break;
     }
 
     // Level multiplier (reduced for kids - gentler progression)
     const levelMultiplier = Math.max(1, this.level * 0.8);
     basePoints = Math.floor(basePoints * levelMultiplier);
 
-    // Consecutive clears bonus (encourages continuous play)
-    this.consecutiveClears++;
-    if (this.consecutiveClears >= 3) {
+    // Back-to-back Tetrises and T-spins (advanced scoring)
+    if (extras.backToBack) {
+      bonusPoints += Math.floor(basePoints * (SCORING.BACK_TO_BACK - 1));
+      messages.push('Back-to-back! Keep it going! 🔁');
+    }
+
+    // Clears in a row (advanced scoring)
+    if (extras.combo > 0) {
+      bonusPoints += SCORING.COMBO * extras.combo * this.level;
+      messages.push(`${extras.combo + 1} clears in a row! 🔥`);
+    }
+
+    // Consecutive clears bonus (encourages continuous play; a T-spin without lines is no clear)
+    if (linesCleared > 0) {
+      this.consecutiveClears++;
+    }
+    if (linesCleared > 0 && this.consecutiveClears >= 3) {
       const streakBonus = Math.min(this.consecutiveClears * 25, 200);
       bonusPoints += streakBonus;
 
@@ -170,16 +202,10 @@ export class ScoreManager {
       }
     }
 
-    // T-Spin bonus (if feature enabled)
-    if (extras.tSpin && extras.tSpin.isTSpin) {
-      bonusPoints += 400;
-      messages.push('T-Spin! Advanced move! 🌟');
-    }
-
     // Perfect clear bonus (entire board cleared)
     if (extras.perfectClear) {
       this.perfectClears++;
-      bonusPoints += 1000;
+      bonusPoints += SCORING.PERFECT_CLEAR;
       messages.push('PERFECT CLEAR! Absolutely incredible! 💎');
     }
 
@@ -208,6 +234,9 @@ export class ScoreManager {
       level: this.level,
       consecutiveTetris: this.consecutiveTetris,
       consecutiveClears: this.consecutiveClears,
+      combo: extras.combo || 0,
+      backToBack: Boolean(extras.backToBack),
+      perfectClear: Boolean(extras.perfectClear),
     };
   }
 
@@ -268,6 +297,7 @@ export class ScoreManager {
       ...scoreResult,
       totalScore: this.score,
       totalLines: this.lines,
+      perfectClears: this.perfectClears,
       level: this.level,
       leveledUp,
       isNewRecord,
@@ -401,6 +431,15 @@ export class ScoreManager {
         icon: '🔥',
       });
     }
+
+    if (this.perfectClears >= 1 && !this.hasAchievement('perfectClear')) {
+      this.unlockAchievement({
+        id: 'perfectClear',
+        name: 'Perfect Clear!',
+        description: 'Cleared every block off the board!',
+        icon: '💎',
+      });
+    }
   }
 
   /**
@@ -483,6 +522,7 @@ export class ScoreManager {
         triple: this.stats.triple,
         tetris: this.stats.tetris,
       },
+      perfectClears: this.perfectClears,
 
       // Special achievements this session
       sessionAchievements: this.sessionAchievements,
@@ -594,6 +634,40 @@ export class ScoreManager {
     };
   }
 
+  /**
+   * Get the scoring state for saving a game in progress
+   * @returns {Object} - Serializable score state
+   */
+  serialize() {
+    return {
+      score: this.score,
+      level: this.level,
+      lines: this.lines,
+      consecutiveTetris: this.consecutiveTetris,
+      consecutiveClears: this.consecutiveClears,
+      perfectClears: this.perfectClears,
+      encouragementStreak: this.encouragementStreak,
+      stats: { ...this.stats },
+      sessionAchievements: [...this.sessionAchievements],
+    };
+  }
+
+  /**
+   * Restore a saved scoring state
+   * @param {Object} data - Data from serialize()
+   */
+  restore(data) {
+    this.score = data.score;
+    this.level = data.level;
+    this.lines = data.lines;
+    this.consecutiveTetris = data.consecutiveTetris;
+    this.consecutiveClears = data.consecutiveClears;
+    this.perfectClears = data.perfectClears;
+    this.encouragementStreak = data.encouragementStreak;
+    this.stats = { ...this.stats, ...data.stats };
+    this.sessionAchievements = [...(data.sessionAchievements || [])];
+  }
+
   /**
    * Event listener system
    */
@@ -0,0 +1,235 @@
+/**
+ * VersusMatch - Two players racing each other on one screen
+ * Each player gets their own GameSession (GameLogic, ScoreManager and StateManager), both dealt
+ * the same pieces. A shared countdown starts both games, line clears can send garbage rows to
+ * the other player, and the last player still standing wins. The second player can be played
+ * by the computer (see BotPlayer).
+ */
+
+import { VERSUS_CONFIG } from '../core/Constants.js';
+import { GameSession } from './GameSession.js';
+import { BotPlayer } from './BotPlayer.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+
+export class VersusMatch {
+  constructor() {
+    this.players = Array.from({ length: VERSUS_CONFIG.PLAYERS }, () => ({
+      session: new GameSession(),
+      pendingGarbage: 0,
+      garbageSent: 0,
+      bot: null,
+    }));
+
+    this.options = {};
+    this.sendGarbage = true;
+    this.countdown = 0;
+    this.result = null;
+
+    // Picks the gaps of garbage rows, so a seeded match plays out the same every time
+    this.random = new SeededRandom();
+
+    this.eventListeners = new Map();
+
+    this.players.forEach((player, index) => {
+      player.session.gameLogic.on('linesClearing', data => this.handleLinesCleared(index, data));
+    });
+  }
+
+  /**
+   * Start a new match (the countdown runs before the games do)
+   * @param {Object} options - Game options for both players (see GameLogic.reset)
+   * @param {boolean} options.sendGarbage - Line clears send garbage rows to the other player
+   * @param {string} options.computer - BOT_CONFIG.LEVELS key to let the computer play the
+   *   second player
+   */
+  start(options = {}) {
+    const seed = options.seed ?? SeededRandom.createSeed();
+
+    this.options = { ...options, seed };
+    this.sendGarbage = options.sendGarbage !== false;
+    this.random = new SeededRandom(seed);
+    this.countdown = VERSUS_CONFIG.COUNTDOWN;
+    this.result = null;
+
+    // Both players get the same pieces so the match is fair
+    this.players.forEach(player => {
+      player.session.start({ ...this.options });
+      player.pendingGarbage = 0;
+      player.garbageSent = 0;
+      player.bot = null;
+    });
+
+    if (options.computer) {
+      const index = this.players.length - 1;
+      this.players[index].bot = new BotPlayer(
+        this.players[index].session.gameLogic,
+        options.computer,
+        action => this.applyAction(index, action),
+        new SeededRandom(seed + index),
+      );
+    }
+
+    this.emit('countdown', this.getCountdown());
+  }
+
+  /**
+   * Advance the match by one update
+   * @param {number} deltaTime - Time step in milliseconds
+   */
+  update(deltaTime) {
+    if (this.result) return;
+
+    if (this.countdown > 0) {
+      const secondsBefore = this.getCountdown();
+      this.countdown = Math.max(0, this.countdown - deltaTime);
+
+      if (this.countdown === 0) {
+        this.emit('started');
+      } else if (this.getCountdown() !== secondsBefore) {
+        this.emit('countdown', this.getCountdown());
+      }
+      return;
+    }
+
+    this.players.forEach(player => {
+      player.bot?.update(deltaTime);
+      player.session.update(deltaTime);
+      this.receiveGarbage(player);
+    });
+
+    this.checkWinner();
+  }
+
+  /**
+   * Apply a player action (ignored during the countdown and after the match)
+   * @param {number} playerIndex - 0 for the first player, 1 for the second
+   * @param {string} action - Action name (see GameLogic.applyAction)
+   * @returns {*} - Result of the action, or false if it was ignored
+   */
+  applyAction(playerIndex, action) {
+    if (this.countdown > 0 || this.result) return false;
+
+    const result = this.players[playerIndex].session.applyAction(action);
+    this.players.forEach(player => this.receiveGarbage(player));
+    this.checkWinner();
+
+    return result;
+  }
+
+  /**
+   * Queue garbage for the other player when a player clears lines
+   * @param {number} playerIndex - Player who cleared the lines
+   * @param {Object} data - linesClearing event data from GameLogic
+   */
+  handleLinesCleared(playerIndex, data) {
+    if (!this.sendGarbage) return;
+
+    const rows = VERSUS_CONFIG.GARBAGE_ROWS[Math.min(data.count, 4)];
+    if (rows === 0) return;
+
+    const opponent = this.players[1 - playerIndex];
+    opponent.pendingGarbage += rows;
+    this.players[playerIndex].garbageSent += rows;
+
+    this.emit('garbageSent', { from: playerIndex, to: 1 - playerIndex, rows });
+  }
+
+  /**
+   * Raise queued garbage under a player's stack
+   * Waits for the player's own line clear to finish so the cleared rows stay in place
+   * @param {Object} player - Player to receive the garbage
+   */
+  receiveGarbage(player) {
+    const { gameLogic } = player.session;
+    if (player.pendingGarbage === 0 || gameLogic.isGameOver || gameLogic.clearingLines.length) {
+      return;
+    }
+
+    // One attack shares a gap, so it can be cleared by dropping a piece down it
+    const hole = this.random.nextInt(gameLogic.boardWidth);
+    const holes = Array.from({ length: player.pendingGarbage }, () => hole);
+    player.pendingGarbage = 0;
+
+    gameLogic.addGarbageRows(holes, VERSUS_CONFIG.GARBAGE_COLOR);
+  }
+
+  /**
+   * End the match once a player has topped out
+   */
+  checkWinner() {
+    if (this.result) return;
+
+    const standing = this.players.filter(player => !player.session.isGameOver());
+    if (standing.length === this.players.length) return;
+
+    // Both games can end on the same update, which is a draw
+    const winner = standing.length === 1 ? this.players.indexOf(standing[0]) : null;
+
+    this.result = {
+      winner,
+      players: this.players.map(player => ({
+        ...player.session.getGameData().score,
+        garbageSent: player.garbageSent,
+      })),
+    };
+
+    this.emit('matchOver', this.result);
+  }
+
+  /**
+   * Whole seconds left in the countdown (0 once the games run)
+   * @returns {number} - Seconds to show
+   */
+  getCountdown() {
+    return Math.ceil(this.countdown / 1000);
+  }
+
+  /**
+   * Check if the match has finished
+   * @returns {boolean} - True once a winner (or a draw) is known
+   */
+  isOver() {
+    return this.result !== null;
+  }
+
+  /**
+   * Get a player's game data for rendering
+   * @param {number} playerIndex - Player index
+   * @returns {Object} - Game data (see GameSession.getGameData)
+   */
+  getGameData(playerIndex) {
+    return this.players[playerIndex].session.getGameData();
+  }
+
+  /**
+   * Event listener system
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  off(event, callback) {
+    if (this.eventListeners.has(event)) {
+      const callbacks = this.eventListeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  emit(event, ...args) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(...args);
+        } catch (error) {
+          console.error(`Error in VersusMatch ${event} listener:`, error);
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * AutoRepeat - Repeats held moves the way a player set up their handling
+ * A held left or right waits the delayed auto shift (DAS) and then repeats at the auto repeat
+ * rate (ARR; 0 slides the piece all the way at once). A held soft drop repeats at the fall speed
+ * divided by the soft drop factor. Turning the piece can hold back sliding for a moment (DAS cut)
+ * so a piece that was just turned does not shoot off. Every held control, whether a key or a
+ * touch button, is a source feeding the same repeater, and the owner calls update() each frame.
+ */
+
+import { BOARD_LIMITS, HANDLING_CONFIG, TIMING } from '../core/Constants.js';
+
+const SLIDE_ACTIONS = ['left', 'right'];
+const ROTATE_ACTIONS = ['rotate', 'rotateClockwise', 'rotateCounterClockwise'];
+
+/**
+ * Get a player's handling from the menu settings, which keep each value per player
+ * @param {Object} settings - Menu settings
+ * @param {number} player - Player index
+ * @returns {Object} - { das, arr, softDropFactor, dasCut }
+ */
+export function getPlayerHandling(settings, player = 0) {
+  return Object.fromEntries(
+    Object.entries(HANDLING_CONFIG.DEFAULTS).map(([field, defaultValue]) => {
+      const value = Number(settings?.[field]?.[player]);
+      return [field, Number.isFinite(value) ? value : defaultValue];
+    }),
+  );
+}
+
+/**
+ * Slide a piece as far as it goes, for a 'shift' repeat
+ * @param {Function} move - Moves the piece one cell, returning true if it moved
+ */
+export function slide(move) {
+  for (let step = 0; step < BOARD_LIMITS.MAX_WIDTH && move(); step++);
+}
+
+export class AutoRepeat {
+  /**
+   * @param {Object} handling - { das, arr, softDropFactor, dasCut } (see HANDLING_CONFIG)
+   * @param {Function} onRepeat - Called with (action, type): type is 'repeat' to move one cell,
+   *   or 'shift' to slide as far as the piece goes
+   */
+  constructor(handling = {}, onRepeat = () => {}) {
+    this.handling = { ...HANDLING_CONFIG.DEFAULTS, ...handling };
+    this.onRepeat = onRepeat;
+    this.fallSpeedProvider = () => TIMING.BASE_FALL_SPEED;
+
+    // Held sources (a key code or a touch button) -> { action, timer }
+    this.held = new Map();
+  }
+
+  /**
+   * Change the handling, e.g. when a new game starts with other settings
+   * @param {Object} handling - { das, arr, softDropFactor, dasCut }
+   */
+  setHandling(handling = {}) {
+    this.handling = { ...HANDLING_CONFIG.DEFAULTS, ...handling };
+  }
+
+  /**
+   * Set where the current fall speed comes from, which paces the soft drop
+   * @param {Function} provider - Returns the fall speed in milliseconds per row
+   */
+  setFallSpeedProvider(provider) {
+    this.fallSpeedProvider = provider;
+  }
+
+  /**
+   * A control was pressed; the owner applies the first move itself
+   * @param {string} source - Key code or other id of the control
+   * @param {string} action - Action of the control
+   */
+  press(source, action) {
+    if (ROTATE_ACTIONS.includes(action)) {
+      this.cut();
+      return;
+    }
+
+    if (action === 'down') {
+      this.held.set(source, { action, timer: this.getSoftDropInterval() });
+    } else if (SLIDE_ACTIONS.includes(action)) {
+      // The newest direction wins
+      this.held.forEach((hold, heldSource) => {
+        if (SLIDE_ACTIONS.includes(hold.action)) {
+          this.held.delete(heldSource);
+        }
+      });
+      this.held.set(source, { action, timer: this.handling.das });
+    }
+  }
+
+  /**
+   * A control was let go
+   * @param {string} source - Key code or other id of the control
+   */
+  release(source) {
+    this.held.delete(source);
+  }
+
+  /**
+   * Let go of every control, e.g. when the game is paused
+   */
+  releaseAll() {
+    this.held.clear();
+  }
+
+  /**
+   * Hold back held moves after the piece turned (DAS cut)
+   */
+  cut() {
+    if (this.handling.dasCut <= 0) return;
+
+    this.held.forEach(hold => {
+      if (SLIDE_ACTIONS.includes(hold.action)) {
+        hold.timer = Math.max(hold.timer, this.handling.dasCut);
+      }
+    });
+  }
+
+  /**
+   * Get the time between soft drop moves
+   * @returns {number} - Milliseconds per row
+   */
+  getSoftDropInterval() {
+    return this.fallSpeedProvider() / Math.max(1, this.handling.softDropFactor);
+  }
+
+  /**
+   * Repeat the held moves that are due
+   * @param {number} deltaTime - Time elapsed since last update
+   */
+  update(deltaTime) {
+    this.held.forEach(hold => {
+      hold.timer -= deltaTime;
+
+      while (hold.timer <= 0) {
+        if (hold.action === 'down') {
+          this.onRepeat(hold.action, 'repeat');
+          hold.timer += this.getSoftDropInterval();
+        } else if (this.handling.arr <= 0) {
+          this.onRepeat(hold.action, 'shift');
+          hold.timer = HANDLING_CONFIG.SHIFT_INTERVAL;
+        } else {
+          this.onRepeat(hold.action, 'repeat');
+          hold.timer += this.handling.arr;
+        }
+      }
+    });
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * GamepadInput - Reads game controllers with the Gamepad API
+ * Browsers do not send events for controller buttons, so the owner calls poll() every frame and
+ * gets a buttonDown or buttonUp event for each button that changed since the last poll. The left
+ * stick counts as the d-pad. Buttons are reported as numbers in the standard layout (see
+ * GAMEPAD_CONFIG.BUTTON_NAMES); which action a button does is up to the bindings.
+ */
+
+import { GAMEPAD_CONFIG } from '../core/Constants.js';
+import { KeyBindings } from './KeyBindings.js';
+
+const STORAGE_KEY = 'tetris-kids-gamepad-buttons';
+
+// Standard layout d-pad buttons the left stick stands in for
+const DPAD = { UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15 };
+
+/**
+ * Create the bindings of controller buttons to actions, kept in local storage
+ * @returns {KeyBindings} - Button number for each action
+ */
+export function createGamepadBindings() {
+  return new KeyBindings({
+    storageKey: STORAGE_KEY,
+    presets: GAMEPAD_CONFIG.PRESETS,
+    defaultPreset: GAMEPAD_CONFIG.DEFAULT_PRESET,
+    reservedKeys: [],
+  });
+}
+
+/**
+ * Get the name of a controller button to show the player
+ * @param {number} button - Button number
+ * @returns {string} - e.g. 'A' or 'D-Pad ←'
+ */
+export function describeButton(button) {
+  if (button === undefined || button === null) return '?';
+  return GAMEPAD_CONFIG.BUTTON_NAMES[button] || `Button ${button}`;
+}
+
+export class GamepadInput {
+  /**
+   * @param {Function} getGamepads - Returns the connected controllers (navigator.getGamepads
+   *   by default; tests pass their own)
+   */
+  constructor(getGamepads = () => navigator.getGamepads?.() || []) {
+    this.getGamepads = getGamepads;
+
+    // Controller index -> buttons held at the last poll
+    this.pressed = new Map();
+
+    this.eventListeners = new Map();
+  }
+
+  /**
+   * Check for buttons pressed or let go since the last poll
+   */
+  poll() {
+    const seen = new Set();
+
+    Array.from(this.getGamepads()).forEach(gamepad => {
+      if (!gamepad || gamepad.connected === false) return;
+
+      seen.add(gamepad.index);
+      this.updateButtons(gamepad.index, this.readButtons(gamepad));
+    });
+
+    // A controller that was unplugged lets go of everything
+    this.pressed.forEach((buttons, pad) => {
+      if (!seen.has(pad)) {
+        this.updateButtons(pad, new Set());
+        this.pressed.delete(pad);
+      }
+    });
+  }
+
+  /**
+   * Get the buttons a controller is holding, with the left stick as the d-pad
+   * @param {Gamepad} gamepad - Controller
+   * @returns {Set} - Button numbers
+   */
+  readButtons(gamepad) {
+    const buttons = new Set();
+
+    gamepad.buttons.forEach((button, index) => {
+      if (button.pressed) {
+        buttons.add(index);
+      }
+    });
+
+    const [x = 0, y = 0] = gamepad.axes || [];
+    if (x <= -GAMEPAD_CONFIG.STICK_THRESHOLD) buttons.add(DPAD.LEFT);
+    if (x >= GAMEPAD_CONFIG.STICK_THRESHOLD) buttons.add(DPAD.RIGHT);
+    if (y <= -GAMEPAD_CONFIG.STICK_THRESHOLD) buttons.add(DPAD.UP);
+    if (y >= GAMEPAD_CONFIG.STICK_THRESHOLD) buttons.add(DPAD.DOWN);
+
+    return buttons;
+  }
+
+  /**
+   * Report the buttons of a controller that changed
+   * @param {number} pad - Controller index
+   * @param {Set} buttons - Buttons held now
+   */
+  updateButtons(pad, buttons) {
+    const previous = this.pressed.get(pad) || new Set();
+
+    previous.forEach(button => {
+      if (!buttons.has(button)) {
+        this.emit('buttonUp', { pad, button });
+      }
+    });
+    buttons.forEach(button => {
+      if (!previous.has(button)) {
+        this.emit('buttonDown', { pad, button });
+      }
+    });
+
+    this.pressed.set(pad, buttons);
+  }
+
+  /**
+   * Check if any controller is plugged in
+   * @returns {boolean} - True if one is
+   */
+  isConnected() {
+    return Array.from(this.getGamepads()).some(gamepad => gamepad && gamepad.connected !== false);
+  }
+
+  /**
+   * Event listener system
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  off(event, callback) {
+    if (this.eventListeners.has(event)) {
+      const callbacks = this.eventListeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  emit(event, ...args) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(...args);
+        } catch (error) {
+          console.error(`Error in GamepadInput ${event} listener:`, error);
+        }
+      });
+    }
+  }
+}
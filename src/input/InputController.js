@@ -1,9 +1,12 @@
 /**
- * InputController - Handles keyboard and touch input with visual feedback
+ * InputController - Handles keyboard, touch and game controller input with visual feedback
  * Provides responsive controls for both desktop and mobile devices
  */
 
-import { KEYS, TOUCH_CONFIG, TIMING } from '../core/Constants.js';
+import { KEYS, TOUCH_CONFIG, TIMING, HANDLING_CONFIG } from '../core/Constants.js';
+import { AutoRepeat } from './AutoRepeat.js';
+import { KeyBindings, describeKey } from './KeyBindings.js';
+import { GamepadInput, createGamepadBindings } from './GamepadInput.js';
 
 export class InputController {
   constructor() {
@@ -14,11 +17,17 @@ export class InputController {
     // Touch controls elements
     this.touchButtons = new Map();
 
-    // Input timing and repeat
-    this.keyRepeatTimers = new Map();
-    this.touchRepeatTimers = new Map();
-    this.repeatDelay = 150; // Initial delay before repeat
-    this.repeatRate = 50; // Time between repeats
+    // The player's keys (shared with the GameEngine and the controls screen)
+    this.keyBindings = new KeyBindings();
+
+    // Game controllers, polled in update(), and the player's buttons
+    this.gamepad = new GamepadInput();
+    this.gamepadBindings = createGamepadBindings();
+
+    // Held moves repeat with the player's handling (see AutoRepeat)
+    this.autoRepeat = new AutoRepeat(HANDLING_CONFIG.DEFAULTS, (action, type) => {
+      this.emitInputEvent(action, type);
+    });
 
     // Touch gesture detection
     this.touchStartTime = 0;
@@ -28,6 +37,7 @@ export class InputController {
     // Visual feedback
     this.feedbackElements = new Map();
     this.vibrationSupported = 'vibrate' in navigator;
+    this.highlightedAction = null;
 
     // Input buffer for smooth gameplay
     this.inputBuffer = [];
@@ -52,6 +62,7 @@ export class InputController {
   initialize() {
     // Setup input systems in order
     this.setupKeyboardListeners();
+    this.setupGamepadListeners();
     this.setupVisualFeedback();
     this.detectInputCapabilities();
     
@@ -96,6 +107,7 @@ export class InputController {
       down: '#downBtn',
       rotate: '#rotateBtn',
       drop: '#dropBtn',
+      hold: '#holdBtn',
     };
 
     let buttonsFound = 0;
@@ -254,10 +266,8 @@ export class InputController {
     console.log(`📡 Emitting input event: ${action} start`);
     this.emitInputEvent(action, 'start');
 
-    // Setup repeat for movement actions
-    if (['left', 'right', 'down'].includes(action)) {
-      this.setupTouchRepeat(action);
-    }
+    // Held moves repeat; turning can hold them back
+    this.autoRepeat.press(`touch:${action}`, action);
 
     // Play sound effect
     this.playInputSound(action);
@@ -272,8 +282,8 @@ export class InputController {
     // Remove visual feedback
     this.removeTouchFeedback(button);
 
-    // Clear repeat timer
-    this.clearTouchRepeat(action);
+    // Stop repeating
+    this.autoRepeat.release(`touch:${action}`);
 
     // Emit input event
     console.log(`📡 Emitting input event: ${action} end`);
@@ -356,10 +366,8 @@ export class InputController {
       this.emitInputEvent(action, 'press');
       this.addKeyboardFeedback(key);
 
-      // Setup repeat for movement keys
-      if (['left', 'right', 'down'].includes(action)) {
-        this.setupKeyRepeat(key, action);
-      }
+      // Held moves repeat; turning can hold them back
+      this.autoRepeat.press(key, action);
 
       this.playInputSound(action);
     }
@@ -372,7 +380,7 @@ export class InputController {
     const key = event.code || event.key;
 
     this.keysPressed.set(key, false);
-    this.clearKeyRepeat(key);
+    this.autoRepeat.release(key);
 
     const action = this.keyToAction(key);
     if (action) {
@@ -472,8 +480,14 @@ export class InputController {
           this.triggerVibration('light');
           break;
         case 'up':
-          this.emitInputEvent('rotate', 'swipe');
-          this.playInputSound('rotate');
+          // A long swipe up holds the piece, a short one rotates it
+          if (this.touchStartPos.y - this.touchCurrentPos.y >= TOUCH_CONFIG.HOLD_SWIPE_THRESHOLD) {
+            this.emitInputEvent('hold', 'swipe');
+            this.playInputSound('hold');
+          } else {
+            this.emitInputEvent('rotate', 'swipe');
+            this.playInputSound('rotate');
+          }
           this.triggerVibration('medium');
           break;
       }
@@ -496,65 +510,69 @@ export class InputController {
   }
 
   /**
-   * Setup key repeat for held keys
+   * Read game controllers and repeat held moves (called every frame)
+   * @param {number} deltaTime - Time elapsed since last update
    */
-  setupKeyRepeat(key, action) {
-    this.clearKeyRepeat(key);
-
-    const repeatTimer = setTimeout(() => {
-      const intervalTimer = setInterval(() => {
-        if (this.keysPressed.get(key)) {
-          this.emitInputEvent(action, 'repeat');
-        } else {
-          clearInterval(intervalTimer);
-        }
-      }, this.repeatRate);
-
-      this.keyRepeatTimers.set(key, intervalTimer);
-    }, this.repeatDelay);
+  update(deltaTime) {
+    this.gamepad.poll();
+    this.autoRepeat.update(deltaTime);
+  }
 
-    this.keyRepeatTimers.set(key, repeatTimer);
+  /**
+   * Setup game controller buttons
+   */
+  setupGamepadListeners() {
+    this.gamepad.on('buttonDown', ({ pad, button }) => this.handleGamepadButtonDown(pad, button));
+    this.gamepad.on('buttonUp', ({ pad, button }) => this.handleGamepadButtonUp(pad, button));
   }
 
   /**
-   * Setup touch repeat for held touch buttons
+   * Handle a controller button being pressed
+   * @param {number} pad - Controller index
+   * @param {number} button - Button number
    */
-  setupTouchRepeat(action) {
-    this.clearTouchRepeat(action);
+  handleGamepadButtonDown(pad, button) {
+    // Menus and the controls screen use the buttons themselves
+    this.emit('gamepadButton', button);
 
-    const repeatTimer = setTimeout(() => {
-      const intervalTimer = setInterval(() => {
-        this.emitInputEvent(action, 'repeat');
-      }, this.repeatRate);
+    const action = this.gamepadBindings.getAction(button);
+    if (!action) return;
 
-      this.touchRepeatTimers.set(action, intervalTimer);
-    }, this.repeatDelay);
+    this.emitInputEvent(action, 'start');
 
-    this.touchRepeatTimers.set(action, repeatTimer);
+    // Held moves repeat like keys do, so the d-pad gets the same handling
+    this.autoRepeat.press(`gamepad${pad}:${button}`, action);
+    this.playInputSound(action);
   }
 
   /**
-   * Clear key repeat timer
+   * Handle a controller button being let go
+   * @param {number} pad - Controller index
+   * @param {number} button - Button number
    */
-  clearKeyRepeat(key) {
-    const timer = this.keyRepeatTimers.get(key);
-    if (timer) {
-      clearTimeout(timer);
-      clearInterval(timer);
-      this.keyRepeatTimers.delete(key);
+  handleGamepadButtonUp(pad, button) {
+    this.autoRepeat.release(`gamepad${pad}:${button}`);
+
+    const action = this.gamepadBindings.getAction(button);
+    if (action) {
+      this.emitInputEvent(action, 'end');
     }
   }
 
   /**
-   * Clear touch repeat timer
+   * Use the player's controller buttons
+   * @param {KeyBindings} gamepadBindings - Button for each action (see createGamepadBindings)
    */
-  clearTouchRepeat(action) {
-    const timer = this.touchRepeatTimers.get(action);
-    if (timer) {
-      clearTimeout(timer);
-      clearInterval(timer);
-      this.touchRepeatTimers.delete(action);
-    }
+  setGamepadBindings(gamepadBindings) {
+    this.gamepadBindings = gamepadBindings;
+  }
+
+  /**
+   * Set where the current fall speed comes from, which paces the soft drop
+   * @param {Function} provider - Returns the fall speed in milliseconds per row
+   */
+  setFallSpeedProvider(provider) {
+    this.autoRepeat.setFallSpeedProvider(provider);
   }
 
   /**
@@ -675,42 +693,28 @@ export class InputController {
    * Convert keyboard key to game action
    */
   keyToAction(key) {
-    const keyMap = {
-      [KEYS.LEFT]: 'left',
-      [KEYS.RIGHT]: 'right',
-      [KEYS.DOWN]: 'down',
-      [KEYS.UP]: 'rotate',
-      [KEYS.SPACE]: 'drop',
-      KeyZ: 'rotateCounterClockwise',
-      KeyX: 'rotateClockwise',
-      KeyC: 'hold',
-      [KEYS.P]: 'pause',
+    // Enter and Escape keep their meaning whatever the player rebinds
+    const fixedKeys = {
       [KEYS.ENTER]: 'confirm',
       [KEYS.ESCAPE]: 'cancel',
     };
 
-    return keyMap[key];
+    return this.keyBindings.getAction(key) || fixedKeys[key];
   }
 
   /**
    * Check if key is a game control key
    */
   isGameKey(key) {
-    const gameKeys = [
-      KEYS.LEFT,
-      KEYS.RIGHT,
-      KEYS.DOWN,
-      KEYS.UP,
-      KEYS.SPACE,
-      'KeyZ',
-      'KeyX',
-      'KeyC',
-      KEYS.P,
-      KEYS.ENTER,
-      KEYS.ESCAPE,
-    ];
+    return Boolean(this.keyToAction(key));
+  }
 
-    return gameKeys.includes(key);
+  /**
+   * Use the player's keys
+   * @param {KeyBindings} keyBindings - Key for each action
+   */
+  setKeyBindings(keyBindings) {
+    this.keyBindings = keyBindings;
   }
 
   /**
@@ -723,6 +727,7 @@ export class InputController {
       down: 'Move piece down',
       rotate: 'Rotate piece',
       drop: 'Drop piece instantly',
+      hold: 'Hold piece for later',
     };
 
     return labels[action] || 'Game control';
@@ -732,19 +737,7 @@ export class InputController {
    * Get display name for keyboard key
    */
   getKeyDisplayName(key) {
-    const displayNames = {
-      [KEYS.LEFT]: '←',
-      [KEYS.RIGHT]: '→',
-      [KEYS.DOWN]: '↓',
-      [KEYS.UP]: '↑',
-      [KEYS.SPACE]: 'Space',
-      KeyZ: 'Z',
-      KeyX: 'X',
-      KeyC: 'C',
-      [KEYS.P]: 'P',
-    };
-
-    return displayNames[key] || key;
+    return describeKey(key);
   }
 
   /**
@@ -1072,6 +1065,7 @@ export class InputController {
       down: 'move',
       rotate: 'rotate',
       drop: 'drop',
+      hold: 'hold',
     };
 
     const sound = soundMap[action];
@@ -1102,13 +1096,9 @@ export class InputController {
     // Update touch controls visibility
     this.updateTouchControlsVisibility();
 
-    // Update repeat rates based on settings
-    if (newSettings.repeatDelay) {
-      this.repeatDelay = newSettings.repeatDelay;
-    }
-
-    if (newSettings.repeatRate) {
-      this.repeatRate = newSettings.repeatRate;
+    // Held moves repeat with the player's handling
+    if (newSettings.handling) {
+      this.autoRepeat.setHandling(newSettings.handling);
     }
     
     console.log('🔧 Settings updated:', {
@@ -1148,6 +1138,17 @@ export class InputController {
     return touchButton && touchButton.classList.contains('pressed');
   }
 
+  /**
+   * Make the touch button of an action glow to show which one to press (used by lessons)
+   * @param {string|null} action - Action to highlight, or null to stop highlighting
+   */
+  highlightAction(action) {
+    this.highlightedAction = action;
+    this.touchButtons.forEach((button, buttonAction) => {
+      button.classList.toggle('highlighted', buttonAction === action);
+    });
+  }
+
   /**
    * Get current input state
    */
@@ -1378,16 +1379,8 @@ export class InputController {
   destroy() {
     console.log('🧹 Destroying InputController...');
     
-    // Clear all timers
-    this.keyRepeatTimers.forEach(timer => {
-      clearTimeout(timer);
-      clearInterval(timer);
-    });
-
-    this.touchRepeatTimers.forEach(timer => {
-      clearTimeout(timer);
-      clearInterval(timer);
-    });
+    // Stop repeating held moves
+    this.autoRepeat.releaseAll();
 
     // Remove visual feedback elements
     this.feedbackElements.forEach(element => {
@@ -1399,8 +1392,6 @@ export class InputController {
     // Clear all maps
     this.keysPressed.clear();
     this.touchState.clear();
-    this.keyRepeatTimers.clear();
-    this.touchRepeatTimers.clear();
     this.feedbackElements.clear();
     this.touchButtons.clear();
 
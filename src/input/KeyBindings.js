@@ -0,0 +1,188 @@
+/**
+ * KeyBindings - The key the player chose for each action, kept in local storage
+ * Starts from a preset (see CONTROLS_CONFIG.PRESETS); each action has one key and no key is used
+ * by two actions. The keyboard input paths (GameEngine and InputController) read their keys here.
+ * Game controller buttons are kept the same way, with their own presets (see GamepadInput).
+ */
+
+import { CONTROLS_CONFIG } from '../core/Constants.js';
+
+const STORAGE_KEY = 'tetris-kids-key-bindings';
+
+// Short names for keys whose code does not read well
+const KEY_NAMES = {
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Space: 'Space',
+  ShiftLeft: 'Left Shift',
+  ShiftRight: 'Right Shift',
+  ControlLeft: 'Left Ctrl',
+  ControlRight: 'Right Ctrl',
+  AltLeft: 'Left Alt',
+  AltRight: 'Right Alt',
+  Comma: ',',
+  Period: '.',
+  Slash: '/',
+  Semicolon: ';',
+  BracketLeft: '[',
+  BracketRight: ']',
+  Backslash: '\\',
+  Minus: '-',
+  Equal: '=',
+  Backquote: '`',
+};
+
+/**
+ * Get the name of a key to show the player
+ * @param {string} code - Key code, e.g. 'KeyZ' or 'ArrowUp'
+ * @returns {string} - e.g. 'Z' or '↑'
+ */
+export function describeKey(code) {
+  if (!code) return '?';
+  if (KEY_NAMES[code]) return KEY_NAMES[code];
+
+  return code.replace(/^(Key|Digit)/, '').replace(/^Numpad/, 'Num ');
+}
+
+export class KeyBindings {
+  /**
+   * @param {Object} options - Where and what to keep; the keyboard controls by default
+   * @param {string} options.storageKey - localStorage key
+   * @param {Object} options.presets - Presets with a key (or button) for each action
+   * @param {string} options.defaultPreset - Preset used until the player changes something
+   * @param {Array} options.reservedKeys - Keys that can never be given to an action
+   */
+  constructor({
+    storageKey = STORAGE_KEY,
+    presets = CONTROLS_CONFIG.PRESETS,
+    defaultPreset = CONTROLS_CONFIG.DEFAULT_PRESET,
+    reservedKeys = CONTROLS_CONFIG.RESERVED_KEYS,
+  } = {}) {
+    this.storageKey = storageKey;
+    this.presets = presets;
+    this.defaultPreset = defaultPreset;
+    this.reservedKeys = reservedKeys;
+    this.bindings = this.loadBindings();
+  }
+
+  /**
+   * Load bindings from localStorage, falling back to the default preset for missing actions
+   * @returns {Object} - Key code by action
+   */
+  loadBindings() {
+    const bindings = { ...this.presets[this.defaultPreset].keys };
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+      Object.keys(bindings).forEach(action => {
+        if (typeof saved[action] === typeof bindings[action]) {
+          bindings[action] = saved[action];
+        }
+      });
+    } catch {
+      // Unreadable bindings leave the default preset
+    }
+
+    return bindings;
+  }
+
+  /**
+   * Save bindings to localStorage
+   */
+  saveBindings() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+    } catch {
+      // The new keys last until the page closes when storage is blocked
+    }
+  }
+
+  /**
+   * Get the key of an action
+   * @param {string} action - Action from CONTROLS_CONFIG.ACTIONS
+   * @returns {string|undefined} - Key code
+   */
+  getKey(action) {
+    return this.bindings[action];
+  }
+
+  /**
+   * Get the action of a key
+   * @param {string} code - Key code
+   * @returns {string|undefined} - Action, or undefined if the key does nothing
+   */
+  getAction(code) {
+    return Object.keys(this.bindings).find(action => this.bindings[action] === code);
+  }
+
+  /**
+   * Get every binding
+   * @returns {Object} - Key code by action
+   */
+  getBindings() {
+    return { ...this.bindings };
+  }
+
+  /**
+   * Find the action that already uses a key
+   * @param {string} action - Action that would get the key
+   * @param {string} code - Key code
+   * @returns {string|null} - Other action using the key, or null if it is free
+   */
+  findConflict(action, code) {
+    const other = this.getAction(code);
+    return other && other !== action ? other : null;
+  }
+
+  /**
+   * Give an action a new key, unless another action already uses it
+   * @param {string} action - Action from CONTROLS_CONFIG.ACTIONS
+   * @param {string} code - Key code
+   * @returns {string|null} - The action already using the key (nothing changes), or null
+   */
+  bind(action, code) {
+    if (!(action in this.bindings)) {
+      throw new Error(`Unknown action: ${action}`);
+    }
+    if (this.reservedKeys.includes(code)) {
+      throw new Error(`Key cannot be changed: ${code}`);
+    }
+
+    const conflict = this.findConflict(action, code);
+    if (conflict) return conflict;
+
+    this.bindings[action] = code;
+    this.saveBindings();
+    return null;
+  }
+
+  /**
+   * Use the keys of a preset
+   * @param {string} presetId - Preset from CONTROLS_CONFIG.PRESETS
+   */
+  applyPreset(presetId) {
+    const preset = this.presets[presetId];
+    if (!preset) {
+      throw new Error(`Unknown controls preset: ${presetId}`);
+    }
+
+    this.bindings = { ...preset.keys };
+    this.saveBindings();
+  }
+
+  /**
+   * Get the preset the current keys match
+   * @returns {string|null} - Preset id, or null for the player's own keys
+   */
+  getPresetId() {
+    const presetIds = Object.keys(this.presets);
+    return (
+      presetIds.find(id => {
+        const { keys } = this.presets[id];
+        return Object.keys(keys).every(action => keys[action] === this.bindings[action]);
+      }) || null
+    );
+  }
+}
@@ -13,7 +13,17 @@ import { AudioManager } from './audio/AudioManager.js';
 import { MusicPlayer } from './audio/MusicPlayer.js';
 import { SoundEffects } from './audio/SoundEffects.js';
 import { WhimsyInjector } from './audio/WhimsyInjector.js';
-import { GAME_STATES } from './core/Constants.js';
+import { ReplayRecorder } from './game/ReplayRecorder.js';
+import { ReplayViewer } from './ui/ReplayViewer.js';
+import { PuzzleEditor } from './ui/PuzzleEditor.js';
+import { VersusScreen } from './ui/VersusScreen.js';
+import { CoopScreen } from './ui/CoopScreen.js';
+import { OnlineScreen } from './ui/OnlineScreen.js';
+import { RelayClient } from './network/RelayClient.js';
+import { SaveGameManager } from './game/SaveGameManager.js';
+import { HintSystem } from './game/HintSystem.js';
+import { getPlayerHandling, slide } from './input/AutoRepeat.js';
+import { GAME_STATES, BOARD_SIZES, HANDLING_CONFIG, TIMING } from './core/Constants.js';
 
 // Game systems
 let gameEngine = null;
@@ -22,6 +32,16 @@ let animationManager = null;
 let gameUI = null;
 let menuSystem = null;
 let inputController = null;
+let replayRecorder = null;
+let replayViewer = null;
+let puzzleEditor = null;
+let versusScreen = null;
+let coopScreen = null;
+let relayClient = null;
+let onlineScreen = null;
+let saveGameManager = null;
+let hintSystem = null;
+let isGamepadLoopRunning = false;
 
 // Audio systems
 let audioManager = null;
@@ -103,11 +123,35 @@ async function initializeSystems() {
   // Initialize core systems
   gameEngine = new GameEngine();
   animationManager = new AnimationManager();
-  canvasRenderer = new CanvasRenderer(gameCanvas, previewCanvas);
+  canvasRenderer = new CanvasRenderer(
+    gameCanvas,
+    previewCanvas,
+    document.getElementById('holdPieceCanvas'),
+    document.getElementById('nextQueueCanvas'),
+  );
   gameUI = new GameUI();
   inputController = new InputController();
   menuSystem = new MenuSystem();
+  replayRecorder = new ReplayRecorder();
+  replayViewer = new ReplayViewer(replayRecorder);
+  puzzleEditor = new PuzzleEditor();
+  versusScreen = new VersusScreen();
+  coopScreen = new CoopScreen();
+  relayClient = new RelayClient();
+  onlineScreen = new OnlineScreen(relayClient);
+  saveGameManager = new SaveGameManager();
+  hintSystem = new HintSystem();
   
+  // Keys and buttons rebound on the controls screen apply to the input paths straight away
+  gameEngine.setKeyBindings(menuSystem.keyBindings);
+  inputController.setKeyBindings(menuSystem.keyBindings);
+  inputController.setGamepadBindings(menuSystem.gamepadBindings);
+
+  // Soft drop repeats a number of times faster than the current fall speed
+  inputController.setFallSpeedProvider(
+    () => gameEngine?.getSystem('gameLogic')?.fallSpeed ?? TIMING.BASE_FALL_SPEED,
+  );
+
   // Initialize audio systems
   audioManager = new AudioManager();
   musicPlayer = new MusicPlayer(audioManager);
@@ -123,6 +167,9 @@ async function initializeSystems() {
     animation: animationManager,
     ui: gameUI,
     input: inputController,
+    replay: replayRecorder,
+    saveGame: saveGameManager,
+    hints: hintSystem,
     audio: {
       manager: audioManager,
       music: musicPlayer,
@@ -143,7 +190,7 @@ async function initializeSystems() {
         console.log('🔍 InputController debug info:', debugInfo);
         
         // Check if any buttons are missing and retry
-        const expectedButtons = ['left', 'right', 'down', 'rotate', 'drop'];
+        const expectedButtons = ['left', 'right', 'down', 'rotate', 'drop', 'hold'];
         const missingButtons = expectedButtons.filter(btn => !debugInfo.touchButtons[btn]?.found);
         
         if (missingButtons.length > 0) {
@@ -172,11 +219,18 @@ function setupSystemConnections() {
     startGameWithSettings(settings);
   });
   
+  menuSystem.on('continueGame', () => {
+    menuSystem.hideAllScreens();
+    showGameView();
+    continueSavedGame();
+  });
+
   menuSystem.on('showMenu', () => {
     console.log('📋 Showing main menu');
     if (gameEngine) {
       gameEngine.stop();
     }
+    inputController.highlightAction(null);
     hideGameView();
     menuSystem.showMainMenu();
   });
@@ -191,6 +245,128 @@ function setupSystemConnections() {
     }
   });
   
+  // Puzzle Editor Events
+  menuSystem.on('openPuzzleEditor', () => {
+    puzzleEditor.open();
+  });
+
+  puzzleEditor.on('testPlay', puzzle => {
+    menuSystem.hideAllScreens();
+    showGameView();
+    startGameWithSettings({ ...menuSystem.settings, mode: 'puzzle', puzzle });
+  });
+
+  puzzleEditor.on('puzzlesChanged', () => {
+    menuSystem.refreshPuzzlesScreen();
+  });
+
+  // Two players on one keyboard
+  menuSystem.on('startVersus', settings => {
+    menuSystem.hideAllScreens();
+    versusScreen.setHandling(getHandlings(settings));
+    versusScreen.open(getTwoPlayerOptions(settings));
+  });
+
+  // One player against the computer
+  menuSystem.on('startVersusComputer', settings => {
+    menuSystem.hideAllScreens();
+    versusScreen.setHandling(getHandlings(settings));
+    versusScreen.open({ ...getTwoPlayerOptions(settings), computer: settings.botLevel });
+  });
+
+  versusScreen.on('closed', () => {
+    menuSystem.showMainMenu();
+  });
+
+  versusScreen.on('playSound', soundType => {
+    if (soundEffects) {
+      soundEffects.playSound(soundType);
+    }
+  });
+
+  // Two players sharing one wide board
+  menuSystem.on('startCoop', settings => {
+    menuSystem.hideAllScreens();
+    coopScreen.setHandling(getHandlings(settings));
+    coopScreen.open(getTwoPlayerOptions(settings));
+  });
+
+  coopScreen.on('closed', () => {
+    menuSystem.showMainMenu();
+  });
+
+  coopScreen.on('playSound', soundType => {
+    if (soundEffects) {
+      soundEffects.playSound(soundType);
+    }
+  });
+
+  // Online versus: rooms on the relay server, joined with a room code
+  menuSystem.on('createOnlineRoom', () => {
+    connectToRelay(() => relayClient.createRoom());
+  });
+
+  menuSystem.on('joinOnlineRoom', code => {
+    connectToRelay(() => relayClient.joinRoom(code));
+  });
+
+  menuSystem.on('leaveOnline', () => {
+    relayClient.disconnect();
+  });
+
+  relayClient.on('roomCreated', ({ code }) => {
+    menuSystem.showRoomCode(code);
+    menuSystem.setOnlineStatus('⏳ Waiting for a friend to join...');
+  });
+
+  relayClient.on('opponentJoined', () => {
+    if (onlineScreen.isOpen) return;
+
+    // The player left the lobby while waiting
+    if (menuSystem.getCurrentScreen() !== 'online') {
+      relayClient.disconnect();
+      return;
+    }
+
+    // The player who made the room starts the match with their settings
+    menuSystem.hideAllScreens();
+    onlineScreen.setHandling(getPlayerHandling(menuSystem.getSettings(), 0));
+    onlineScreen.open(getTwoPlayerOptions(menuSystem.getSettings()), true);
+  });
+
+  relayClient.on('roomJoined', () => {
+    menuSystem.hideAllScreens();
+    onlineScreen.setHandling(getPlayerHandling(menuSystem.getSettings(), 0));
+    onlineScreen.open();
+  });
+
+  relayClient.on('error', ({ message }) => {
+    menuSystem.setOnlineStatus(`⚠️ ${message}`);
+  });
+
+  relayClient.on('disconnected', ({ reason }) => {
+    menuSystem.showRoomCode(null);
+    menuSystem.setOnlineStatus(
+      reason ? `⚠️ ${reason}` : '🔌 Lost the connection to the online game server.',
+    );
+  });
+
+  onlineScreen.on('closed', () => {
+    menuSystem.showMainMenu();
+  });
+
+  onlineScreen.on('playSound', soundType => {
+    if (soundEffects) {
+      soundEffects.playSound(soundType);
+    }
+  });
+
+  // Offer to continue a saved game from the main menu
+  menuSystem.setContinueAvailable(saveGameManager.hasSavedGame());
+  saveGameManager.on('savedGameChanged', available => {
+    menuSystem.setContinueAvailable(available);
+  });
+
   // Input Controller Events - CRITICAL for touch button functionality
   console.log('🔗 Connecting InputController events...');
   
@@ -205,6 +381,17 @@ function setupSystemConnections() {
     }
   });
   
+  // Game controllers also find their way around the menus
+  inputController.on('gamepadButton', button => {
+    if (menuSystem.isVisible()) {
+      menuSystem.handleGamepadButton(button);
+    }
+  });
+
+  if (inputController.gamepad.isConnected()) {
+    startGamepadLoop();
+  }
+
   // Game UI Events
   gameUI.on('pauseToggle', () => {
     if (gameEngine) {
@@ -224,10 +411,28 @@ function setupSystemConnections() {
     }
   });
   
+  gameUI.on('nextLesson', lesson => {
+    startGameWithSettings({ ...menuSystem.settings, mode: 'tutorial', lesson });
+  });
+
+  gameUI.on('showReplay', () => {
+    if (replayViewer) {
+      replayViewer.open();
+    }
+  });
+
+  gameUI.on('finishGame', () => {
+    if (gameEngine && gameEngine.finishGame()) {
+      // The loop stopped while paused, so draw the results screen
+      startGameLoop();
+    }
+  });
+
   gameUI.on('showMenu', () => {
     if (gameEngine) {
       gameEngine.stop();
     }
+    inputController.highlightAction(null);
     hideGameView();
     menuSystem.showMainMenu();
   });
@@ -250,6 +455,65 @@ function setupSystemConnections() {
       }
     });
     
+    // Zen mode clears the top rows instead of ending the game
+    gameEngine.getSystem('gameLogic').on('topRowsCleared', clearData => {
+      if (animationManager) {
+        animationManager.animateRowsFade(clearData.rows);
+      }
+    });
+
+    // Finishing a lesson gets a little party
+    gameEngine.getSystem('gameLogic').on('gameOver', ({ modeResult }) => {
+      highlightLessonControl();
+      if (modeResult?.modeId !== 'tutorial' || !modeResult.completed) return;
+
+      if (animationManager) {
+        animationManager.animateAchievement('LESSON COMPLETE!', '#FFD700');
+      }
+      if (soundEffects) {
+        soundEffects.playSound('tetris');
+      }
+      if (gameUI) {
+        const lesson = `${modeResult.lessonIcon} ${modeResult.lessonName}`;
+        gameUI.showAchievement('Lesson Complete!', lesson, '🎓');
+      }
+    });
+
+    // Advanced scoring calls out T-spins, combos and back-to-backs
+    const showScoringCallouts = move => {
+      if (animationManager) {
+        animationManager.animateScoringCallouts(move);
+      }
+    };
+    gameEngine.getSystem('gameLogic').on('linesClearing', showScoringCallouts);
+    gameEngine.getSystem('gameLogic').on('tSpin', showScoringCallouts);
+
+    // Emptying the whole board is the biggest celebration of all
+    gameEngine.getSystem('gameLogic').on('perfectClear', () => {
+      if (canvasRenderer) {
+        canvasRenderer.createFireworks();
+      }
+      if (animationManager) {
+        animationManager.animatePerfectClear();
+      }
+      if (soundEffects) {
+        soundEffects.playSound('perfect');
+      }
+      if (gameUI) {
+        gameUI.showAchievement('Perfect Clear!', 'Every block is gone!', '💎');
+      }
+    });
+
+    // Climb mode pushes garbage rows up from the bottom
+    gameEngine.getSystem('gameLogic').on('garbageAdded', () => {
+      if (animationManager) {
+        animationManager.triggerScreenShake(200, 4);
+      }
+      if (soundEffects) {
+        soundEffects.playSound('hardDrop');
+      }
+    });
+
     gameEngine.stateManager.on('levelUp', (levelData) => {
       if (canvasRenderer) {
         canvasRenderer.triggerLevelUp(levelData.level);
@@ -445,20 +709,164 @@ function startGameWithSettings(settings) {
   }
   
   // Apply settings to systems
+  if (canvasRenderer) {
+    canvasRenderer.setQueueLength(Number(settings.nextQueueSize));
+  }
+
   if (inputController) {
     inputController.updateSettings({
       visualFeedbackEnabled: settings.soundEnabled,
-      vibrationEnabled: settings.soundEnabled
+      vibrationEnabled: settings.soundEnabled,
+      handling: getPlayerHandling(settings, 0),
     });
   }
   
-  // Start the game
-  gameEngine.startNewGame();
+  // Start the game (optionally replaying a known piece sequence)
+  const boardSize = BOARD_SIZES[settings.boardSize] || BOARD_SIZES.CLASSIC;
+  gameEngine.startNewGame({
+    seed: getRequestedSeed(settings),
+    difficulty: settings.difficulty,
+    mode: settings.mode,
+    puzzle: settings.puzzle,
+    hold: settings.holdPiece?.[settings.difficulty],
+    randomizer: settings.randomizer?.[settings.difficulty],
+    boardWidth: boardSize.width,
+    boardHeight: boardSize.height,
+    pieceSet: settings.pieceSet,
+    hints: settings.showHints !== false,
+    advancedScoring: settings.advancedScoring === true,
+    lockReset: settings.lockReset,
+    lesson: settings.lesson,
+  });
+  applyBoardSize();
+  highlightLessonControl();
   
   // Start the main game loop with rendering
   startGameLoop();
 }
 
+/**
+ * Continue the game saved when the player last paused or left
+ */
+function continueSavedGame() {
+  if (!gameEngine || !saveGameManager) return;
+
+  const savedGame = saveGameManager.load();
+  if (!savedGame) {
+    showMainMenu();
+    return;
+  }
+
+  if (animationManager) {
+    animationManager.clearAll();
+  }
+
+  if (gameUI) {
+    gameUI.reset();
+  }
+
+  if (canvasRenderer && menuSystem) {
+    canvasRenderer.setQueueLength(Number(menuSystem.settings.nextQueueSize));
+  }
+
+  gameEngine.restoreGame(savedGame);
+  applyBoardSize();
+  highlightLessonControl();
+  startGameLoop();
+}
+
+/**
+ * Make the touch button a lesson teaches glow, or stop the glow outside lessons
+ */
+function highlightLessonControl() {
+  if (!inputController) return;
+
+  const gameLogic = gameEngine?.getSystem('gameLogic');
+  const mode = gameLogic?.getMode();
+  const inLesson = mode?.id === 'tutorial' && !gameLogic.isGameOver;
+
+  inputController.highlightAction(inLesson ? mode.lesson.action : null);
+}
+
+/**
+ * Size the canvas, effects and spatial sound for the board of the game that just started
+ */
+function applyBoardSize() {
+  const gameLogic = gameEngine.getSystem('gameLogic');
+  if (!gameLogic) return;
+
+  const { width, height } = gameLogic.getBoardSize();
+
+  if (canvasRenderer) {
+    canvasRenderer.setBoardSize(width, height);
+  }
+
+  if (animationManager) {
+    animationManager.setBoardSize(width, height);
+  }
+
+  if (soundEffects) {
+    soundEffects.setBoardWidth(width);
+  }
+}
+
+/**
+ * Get the game options of a two-player game (versus, co-op or online) from the menu settings
+ */
+function getTwoPlayerOptions(settings) {
+  const boardSize = BOARD_SIZES[settings.boardSize] || BOARD_SIZES.CLASSIC;
+
+  return {
+    difficulty: settings.difficulty,
+    boardWidth: boardSize.width,
+    boardHeight: boardSize.height,
+    hold: settings.holdPiece?.[settings.difficulty],
+    randomizer: settings.randomizer?.[settings.difficulty],
+    pieceSet: settings.pieceSet,
+    lockReset: settings.lockReset,
+    sendGarbage: settings.versusGarbage,
+  };
+}
+
+/**
+ * Get how held keys repeat for each player of a two-player game from the menu settings
+ */
+function getHandlings(settings) {
+  return Array.from({ length: HANDLING_CONFIG.PLAYERS }, (_, player) =>
+    getPlayerHandling(settings, player),
+  );
+}
+
+/**
+ * Connect to the relay server for online games, then ask it for a room
+ */
+function connectToRelay(requestRoom) {
+  menuSystem.setOnlineStatus('🔌 Connecting...');
+
+  relayClient
+    .connect()
+    .then(() => {
+      menuSystem.setOnlineStatus('');
+      requestRoom();
+    })
+    .catch(() => {
+      menuSystem.setOnlineStatus('⚠️ Could not reach the online game server.');
+    });
+}
+
+/**
+ * Get the seed requested via settings or the URL (e.g. ?seed=1234)
+ */
+function getRequestedSeed(settings) {
+  const seed = settings.seed ?? new URLSearchParams(window.location.search).get('seed');
+  if (seed === null || seed === undefined || seed === '') {
+    return undefined;
+  }
+
+  const parsedSeed = Number(seed);
+  return Number.isFinite(parsedSeed) ? parsedSeed : undefined;
+}
+
 /**
  * Start the main game loop
  */
@@ -483,7 +891,11 @@ function startGameLoop() {
       
       // Always try to render something, even if not playing
       if (gameData) {
-        canvasRenderer.render(gameData);
+        canvasRenderer.render({
+          ...gameData,
+          fadingRows: animationManager.getFadingRows(),
+          floatingTexts: animationManager.getSpecialEffects().floatingTexts,
+        });
       } else {
         // Render empty state
         canvasRenderer.render({
@@ -516,6 +928,35 @@ function startGameLoop() {
   requestAnimationFrame(gameLoop);
 }
 
+/**
+ * Keep reading game controllers while the game loop is not running (menus, pause, game over),
+ * until every controller is unplugged
+ */
+function startGamepadLoop() {
+  if (isGamepadLoopRunning || !inputController) return;
+
+  isGamepadLoopRunning = true;
+  let lastFrameTime = performance.now();
+
+  function gamepadLoop() {
+    const currentTime = performance.now();
+
+    // While playing, the game engine updates the input controller
+    if (!gameEngine || !gameEngine.isRunning) {
+      inputController.update(Math.min(currentTime - lastFrameTime, 250));
+    }
+    lastFrameTime = currentTime;
+
+    if (inputController.gamepad.isConnected()) {
+      requestAnimationFrame(gamepadLoop);
+    } else {
+      isGamepadLoopRunning = false;
+    }
+  }
+
+  requestAnimationFrame(gamepadLoop);
+}
+
 /**
  * Restart the current game
  */
@@ -523,6 +964,7 @@ function restartGame() {
   if (gameEngine) {
     console.log('🔄 Restarting game');
     gameEngine.restart();
+    highlightLessonControl();
     startGameLoop();
   }
 }
@@ -544,8 +986,9 @@ function handleGameInput(inputData) {
   const currentState = gameEngine.stateManager.getState();
   console.log('📊 Current game state:', currentState.gameState);
   
-  // Only process game inputs during gameplay
-  if (currentState.gameState !== GAME_STATES.PLAYING) {
+  // Only process game inputs during gameplay (pause also works while paused, to carry on)
+  const isUnpause = action === 'pause' && currentState.gameState === GAME_STATES.PAUSED;
+  if (currentState.gameState !== GAME_STATES.PLAYING && !isUnpause) {
     console.log(`⏸️ Ignoring input - game not playing (state: ${currentState.gameState})`);
     return;
   }
@@ -561,9 +1004,12 @@ function handleGameInput(inputData) {
   
   switch (action) {
     case 'left':
-      if (type === 'start' || type === 'repeat' || type === 'swipe') {
+      // Sliding with no repeat delay (ARR 0) moves the piece all the way at once
+      if (type === 'shift') {
+        slide(() => gameLogic.applyAction('left'));
+      } else if (type === 'start' || type === 'repeat' || type === 'swipe') {
         console.log('⬅️ Moving piece left');
-        const moved = gameLogic.movePiece('left');
+        const moved = gameLogic.applyAction('left');
         console.log(`⬅️ Move left result: ${moved}`);
         if (moved && soundEffects) {
           soundEffects.playSpatialSound('move', { x: gameLogic.currentPiece?.x });
@@ -590,9 +1036,12 @@ function handleGameInput(inputData) {
       break;
       
     case 'right':
-      if (type === 'start' || type === 'repeat' || type === 'swipe') {
+      // Sliding with no repeat delay (ARR 0) moves the piece all the way at once
+      if (type === 'shift') {
+        slide(() => gameLogic.applyAction('right'));
+      } else if (type === 'start' || type === 'repeat' || type === 'swipe') {
         console.log('➡️ Moving piece right');
-        const moved = gameLogic.movePiece('right');
+        const moved = gameLogic.applyAction('right');
         console.log(`➡️ Move right result: ${moved}`);
         if (moved && soundEffects) {
           soundEffects.playSpatialSound('move', { x: gameLogic.currentPiece?.x });
@@ -621,7 +1070,7 @@ function handleGameInput(inputData) {
     case 'down':
       if (type === 'start' || type === 'repeat' || type === 'swipe') {
         console.log('⬇️ Moving piece down');
-        const moved = gameLogic.movePiece('down');
+        const moved = gameLogic.applyAction('down');
         console.log(`⬇️ Move down result: ${moved}`);
         if (moved && soundEffects) {
           soundEffects.playSound('softDrop');
@@ -633,7 +1082,7 @@ function handleGameInput(inputData) {
       if (type === 'start' || type === 'swipe') {
         console.log('🔄 Rotating piece');
         const oldRotation = gameLogic.currentPiece ? gameLogic.currentPiece.rotation : 0;
-        const success = gameLogic.rotatePiece(true);
+        const success = gameLogic.applyAction('rotate');
         console.log(`🔄 Rotate result: ${success}`);
         
         if (success && soundEffects) {
@@ -657,12 +1106,21 @@ function handleGameInput(inputData) {
       }
       break;
       
+    case 'rotateCounterClockwise':
+      if (type === 'start') {
+        const success = gameLogic.applyAction('rotateCounterClockwise');
+        if (success && soundEffects) {
+          soundEffects.playSpatialSound('rotate', { x: gameLogic.currentPiece?.x });
+        }
+      }
+      break;
+
     case 'drop':
       if (type === 'start' || type === 'tap') {
         console.log('⬇️ Hard dropping piece');
         const piece = gameLogic.currentPiece;
         const oldY = piece ? piece.y : 0;
-        const dropDistance = gameLogic.hardDrop();
+        const dropDistance = gameLogic.applyAction('drop');
         console.log(`⬇️ Hard drop distance: ${dropDistance}`);
         
         if (dropDistance > 0 && soundEffects) {
@@ -683,6 +1141,12 @@ function handleGameInput(inputData) {
       }
       break;
       
+    case 'hold':
+      if (type === 'start' || type === 'swipe') {
+        gameLogic.applyAction('hold');
+      }
+      break;
+
     case 'pause':
       if (type === 'start') {
         console.log('⏸️ Toggling pause');
@@ -761,11 +1225,7 @@ function handleGameStateChange(newState) {
       
       // Show encouraging game over message
       if (gameUI) {
-        gameUI.showGameOverOverlay({
-          score: newState.score,
-          lines: newState.lines,
-          level: newState.level
-        });
+        gameUI.showGameOverOverlay(newState);
       }
       break;
       
@@ -841,6 +1301,13 @@ window.addEventListener('blur', () => {
   }
 });
 
+/**
+ * Start reading a game controller as soon as one is plugged in
+ */
+window.addEventListener('gamepadconnected', () => {
+  startGamepadLoop();
+});
+
 /**
  * Handle window resize for responsive canvas (debounced for performance)
  */
@@ -878,8 +1345,11 @@ window.addEventListener('resize', () => {
           canvasRenderer.render(gameData);
         } else {
           // Render empty state to test canvas
+          const { boardWidth, boardHeight } = canvasRenderer;
           canvasRenderer.render({
-            board: Array(20).fill().map(() => Array(10).fill(0)),
+            board: Array(boardHeight)
+              .fill()
+              .map(() => Array(boardWidth).fill(0)),
             currentPiece: [],
             ghostPiece: [],
             nextPieces: [],
@@ -924,6 +1394,22 @@ window.addEventListener('beforeunload', () => {
     menuSystem.destroy();
   }
   
+  if (puzzleEditor) {
+    puzzleEditor.destroy();
+  }
+
+  if (versusScreen) {
+    versusScreen.destroy();
+  }
+
+  if (coopScreen) {
+    coopScreen.destroy();
+  }
+
+  if (onlineScreen) {
+    onlineScreen.destroy();
+  }
+
   // Destroy audio systems
   if (whimsyInjector) {
     whimsyInjector.destroy();
@@ -0,0 +1,125 @@
+/**
+ * ClimbMode - Grey garbage rows rise from the bottom of the board on a timer
+ * Each row has one gap to clear it through; the rows come faster as the level goes up
+ * and the board warns before every rise. The most lines cleared is kept as the record.
+ */
+
+import { GameMode } from './GameMode.js';
+import { MODE_CONFIG } from '../core/Constants.js';
+import { clamp } from '../utils/Utils.js';
+
+export class ClimbMode extends GameMode {
+  constructor() {
+    super({
+      id: 'climb',
+      name: 'Climb',
+      icon: '🧗',
+      description: 'Grey rows rise from below - clear them to stay on top!',
+    });
+
+    this.riseTimer = 0;
+    this.rowsRisen = 0;
+  }
+
+  onStart(gameLogic, options) {
+    super.onStart(gameLogic, options);
+    this.riseTimer = 0;
+    this.rowsRisen = 0;
+  }
+
+  /**
+   * Time between rising rows at the current level
+   * @param {GameLogic} gameLogic - Game logic being played
+   * @returns {number} - Interval in milliseconds
+   */
+  getRiseInterval(gameLogic) {
+    const level = gameLogic.stateManager?.getState().level || 1;
+    const interval = MODE_CONFIG.CLIMB_RISE_INTERVAL - (level - 1) * MODE_CONFIG.CLIMB_RISE_STEP;
+    return Math.max(interval, MODE_CONFIG.CLIMB_MIN_RISE_INTERVAL);
+  }
+
+  /**
+   * Raise a garbage row when the timer runs out
+   */
+  update(deltaTime, gameLogic) {
+    super.update(deltaTime, gameLogic);
+    this.riseTimer += deltaTime;
+
+    // Wait for a line clear to finish so the cleared rows are not moved under it
+    if (this.riseTimer < this.getRiseInterval(gameLogic) || gameLogic.clearingLines.length > 0) {
+      return;
+    }
+
+    this.riseTimer = 0;
+    this.rowsRisen++;
+
+    const hole = gameLogic.random.nextInt(gameLogic.boardWidth);
+    gameLogic.addGarbageRows([hole], MODE_CONFIG.CLIMB_GARBAGE_COLOR);
+  }
+
+  /**
+   * Warn about the next row once it is close
+   */
+  getIncomingGarbage(gameLogic) {
+    const timeLeft = this.getRiseInterval(gameLogic) - this.riseTimer;
+    if (timeLeft > MODE_CONFIG.CLIMB_WARNING_TIME) return null;
+
+    return { rows: 1, progress: clamp(1 - timeLeft / MODE_CONFIG.CLIMB_WARNING_TIME, 0, 1) };
+  }
+
+  /**
+   * Show the rows that have risen and the time until the next one
+   */
+  getStatus(gameLogic) {
+    const timeLeft = Math.max(0, this.getRiseInterval(gameLogic) - this.riseTimer);
+
+    return [
+      { label: 'Rows Risen:', value: this.rowsRisen },
+      { label: 'Next Row:', value: `${Math.ceil(timeLeft / 1000)}s` },
+    ];
+  }
+
+  getResult(gameLogic, end) {
+    return { ...super.getResult(gameLogic, end), rowsRisen: this.rowsRisen };
+  }
+
+  /**
+   * Every game ends by topping out; more lines cleared is better
+   */
+  isBetterResult(result, record) {
+    return result.lines > 0 && (!record || result.lines > record.lines);
+  }
+
+  formatRecord(record) {
+    return record ? `Best: ${record.lines} lines` : 'No record yet';
+  }
+
+  getResultsTitle() {
+    return '🧗 What a Climb!';
+  }
+
+  getResultsMessage(result) {
+    let message = 'You cleared<br>';
+    message += `📏 <strong class="mode-result">${result.lines}</strong> lines`;
+    message += `<br>🪨 Rows Risen: <strong>${result.rowsRisen}</strong>`;
+    message += `<br>⭐ Score: <strong>${result.score.toLocaleString()}</strong>`;
+
+    if (result.isNewRecord) {
+      message += '<br><br>🏆 New record! Amazing! 🏆';
+    } else if (result.record) {
+      message += `<br><br>🥇 ${this.formatRecord(result.record)}`;
+    }
+
+    return message;
+  }
+
+  serialize() {
+    return { ...super.serialize(), riseTimer: this.riseTimer, rowsRisen: this.rowsRisen };
+  }
+
+  restore(data) {
+    super.restore(data);
+    this.riseTimer = data?.riseTimer || 0;
+    this.rowsRisen = data?.rowsRisen || 0;
+  }
+}
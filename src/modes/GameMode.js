@@ -0,0 +1,233 @@
+/**
+ * GameMode - Base class for game modes
+ * A mode decides the goal of a game: when it ends, what the HUD shows while playing,
+ * what the results screen says and which results count as a record.
+ * GameLogic calls these hooks; the default implementation is an endless game.
+ */
+
+import { BOARD_CONFIG } from '../core/Constants.js';
+import { formatTime } from '../utils/Utils.js';
+
+export class GameMode {
+  /**
+   * @param {Object} config - Mode description
+   * @param {string} config.id - Unique mode id (used in options, saves and replays)
+   * @param {string} config.name - Display name
+   * @param {string} config.icon - Emoji shown in menus
+   * @param {string} config.description - Short kid-friendly description
+   * @param {boolean} config.hidden - Leave out of the modes menu (started from somewhere else)
+   */
+  constructor({ id, name, icon = '🎮', description = '', hidden = false }) {
+    this.id = id;
+    this.name = name;
+    this.icon = icon;
+    this.description = description;
+    this.hidden = hidden;
+
+    // Modes without a natural end let the player finish from the pause screen
+    this.canFinish = false;
+
+    // Gameplay time of the current game, counted in game updates so pausing stops the clock
+    this.elapsedTime = 0;
+  }
+
+  /**
+   * Prepare a new game (called by GameLogic.reset before the first piece spawns)
+   * @param {GameLogic} gameLogic - Game logic starting the game
+   * @param {Object} options - Game options passed to GameLogic.reset
+   */
+  onStart() {
+    this.elapsedTime = 0;
+  }
+
+  /**
+   * Pick the board size for a new game (called by GameLogic.reset before onStart)
+   * @param {Object} options - Game options passed to GameLogic.reset
+   * @returns {Object} - { width, height } in cells
+   */
+  getBoardSize(options = {}) {
+    return {
+      width: options.boardWidth ?? BOARD_CONFIG.WIDTH,
+      height: options.boardHeight ?? BOARD_CONFIG.HEIGHT,
+    };
+  }
+
+  /**
+   * Pick the piece set for a new game (called by GameLogic.reset before onStart)
+   * @param {Object} options - Game options passed to GameLogic.reset
+   * @returns {string|Object} - Piece set id or custom set (see PieceSetRegistry)
+   */
+  getPieceSet(options = {}) {
+    return options.pieceSet;
+  }
+
+  /**
+   * Pick the piece randomizer for a new game (called by GameLogic.reset before onStart)
+   * @param {Object} options - Game options passed to GameLogic.reset
+   * @returns {string} - Randomizer id (see RandomizerRegistry)
+   */
+  getRandomizer(options = {}) {
+    return options.randomizer;
+  }
+
+  /**
+   * Advance mode timers (called every game update)
+   * @param {number} deltaTime - Time step in milliseconds
+   * @param {GameLogic} gameLogic - Game logic being updated
+   */
+  update(deltaTime) {
+    this.elapsedTime += deltaTime;
+  }
+
+  /**
+   * React to a player action (called by GameLogic.applyAction)
+   * @param {string} action - Action applied
+   * @param {*} result - Result of the action, falsy if it could not be done
+   * @param {GameLogic} gameLogic - Game logic that applied it
+   */
+  onAction() {}
+
+  /**
+   * React to cleared lines (called before the end check that follows a line clear)
+   * @param {number} count - Lines cleared at once
+   * @param {GameLogic} gameLogic - Game logic that cleared them
+   */
+  onLinesCleared() {}
+
+  /**
+   * Check if the goal of the mode has been reached
+   * Called every update and after every piece locks
+   * @param {GameLogic} gameLogic - Game logic to check
+   * @returns {Object|null} - { completed, reason } to end the game, or null to keep playing
+   */
+  checkEnd() {
+    return null;
+  }
+
+  /**
+   * Decide what happens when the stack reaches the top
+   * @param {GameLogic} gameLogic - Game logic that topped out
+   * @returns {boolean} - True to end the game, false if the mode handled it
+   */
+  handleTopOut() {
+    return true;
+  }
+
+  /**
+   * Adjust gravity for this mode
+   * @param {number} fallSpeed - Fall speed for the current level in milliseconds
+   * @returns {number} - Fall speed to use
+   */
+  getFallSpeed(fallSpeed) {
+    return fallSpeed;
+  }
+
+  /**
+   * Describe garbage about to rise from the bottom of the board (for the warning animation)
+   * @param {GameLogic} gameLogic - Game logic being played
+   * @returns {Object|null} - { rows, progress } with progress going 0 to 1 until the rise
+   */
+  getIncomingGarbage() {
+    return null;
+  }
+
+  /**
+   * Get the HUD items shown while playing
+   * @param {GameLogic} gameLogic - Game logic being played
+   * @returns {Array} - List of { label, value }
+   */
+  getStatus() {
+    return [];
+  }
+
+  /**
+   * Build the result of a finished game
+   * @param {GameLogic} gameLogic - Game logic that ended
+   * @param {Object} end - { completed, reason } from checkEnd, or a top out
+   * @returns {Object} - Result shown on the results screen and compared against records
+   */
+  getResult(gameLogic, end) {
+    const state = gameLogic.stateManager?.getState() || {};
+
+    return {
+      modeId: this.id,
+      completed: end.completed,
+      reason: end.reason,
+      time: Math.round(this.elapsedTime),
+      score: state.score || 0,
+      lines: gameLogic.gameStats.linesCleared,
+    };
+  }
+
+  /**
+   * Key the result is recorded under (modes with levels keep a record per level)
+   * @param {Object} result - Game result
+   * @returns {string} - Record key
+   */
+  getRecordKey() {
+    return this.id;
+  }
+
+  /**
+   * Check if a result beats the saved record
+   * @param {Object} result - New result
+   * @param {Object|null} record - Saved record
+   * @returns {boolean} - True if the result should become the new record
+   */
+  isBetterResult() {
+    return false;
+  }
+
+  /**
+   * Describe a record for menus (e.g. "Best: 1:02.35")
+   * @param {Object|null} record - Saved record
+   * @returns {string} - Record description, empty if the mode keeps no records
+   */
+  formatRecord() {
+    return '';
+  }
+
+  /**
+   * Title of the results screen
+   * @param {Object} result - Game result
+   * @returns {string} - Title
+   */
+  getResultsTitle() {
+    return 'Great Job!';
+  }
+
+  /**
+   * Message of the results screen (HTML), or null to use the standard game over message
+   * @param {Object} result - Game result (with record and isNewRecord once saved)
+   * @returns {string|null} - Results message
+   */
+  getResultsMessage() {
+    return null;
+  }
+
+  /**
+   * Format a time for results and records, with hundredths (e.g. 1:02.35)
+   * @param {number} milliseconds - Time to format
+   * @returns {string} - Formatted time
+   */
+  formatPreciseTime(milliseconds) {
+    const hundredths = Math.floor((milliseconds % 1000) / 10);
+    return `${formatTime(milliseconds)}.${hundredths.toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * Get mode state for saving a game in progress
+   * @returns {Object} - Serializable mode state
+   */
+  serialize() {
+    return { elapsedTime: this.elapsedTime };
+  }
+
+  /**
+   * Restore mode state saved with serialize()
+   * @param {Object} data - Saved mode state
+   */
+  restore(data) {
+    this.elapsedTime = data?.elapsedTime || 0;
+  }
+}
@@ -0,0 +1,17 @@
+/**
+ * MarathonMode - The classic endless game
+ * Play until the blocks reach the top, levelling up every 10 lines
+ */
+
+import { GameMode } from './GameMode.js';
+
+export class MarathonMode extends GameMode {
+  constructor() {
+    super({
+      id: 'marathon',
+      name: 'Classic',
+      icon: '🧩',
+      description: 'Play as long as you can and level up!',
+    });
+  }
+}
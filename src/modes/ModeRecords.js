@@ -0,0 +1,74 @@
+/**
+ * ModeRecords - Best results per game mode, kept in local storage
+ */
+
+const STORAGE_KEY = 'tetris-kids-mode-records';
+
+export class ModeRecords {
+  constructor() {
+    this.records = this.loadRecords();
+  }
+
+  /**
+   * Load records from localStorage
+   * @returns {Object} - Records by mode id
+   */
+  loadRecords() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return saved ? JSON.parse(saved) : {};
+    } catch {
+      // Unreadable records start over
+      return {};
+    }
+  }
+
+  /**
+   * Save records to localStorage
+   */
+  saveRecords() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.records));
+    } catch {
+      // Records last until the page closes when storage is blocked
+    }
+  }
+
+  /**
+   * Get the record of a mode
+   * @param {string} key - Record key (the mode id, see GameMode.getRecordKey)
+   * @returns {Object|null} - Best result or null
+   */
+  getRecord(key) {
+    return this.records[key] || null;
+  }
+
+  /**
+   * Submit the result of a finished game
+   * @param {GameMode} mode - Mode that was played
+   * @param {Object} result - Result from mode.getResult()
+   * @returns {Object} - { record, isNewRecord } where record is the best result after this game
+   */
+  submitResult(mode, result) {
+    const key = mode.getRecordKey(result);
+    const previous = this.getRecord(key);
+
+    if (!mode.isBetterResult(result, previous)) {
+      return { record: previous, isNewRecord: false };
+    }
+
+    const record = { ...result, date: new Date().toISOString() };
+    this.records[key] = record;
+    this.saveRecords();
+
+    return { record, isNewRecord: true };
+  }
+
+  /**
+   * Remove all records
+   */
+  clear() {
+    this.records = {};
+    this.saveRecords();
+  }
+}
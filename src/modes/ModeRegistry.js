@@ -0,0 +1,67 @@
+/**
+ * ModeRegistry - Registry of the available game modes
+ * Modes are registered by class; every game gets a fresh instance so mode state never leaks
+ * between games (or between a live game and a replay being watched)
+ */
+
+import { MODE_CONFIG } from '../core/Constants.js';
+import { MarathonMode } from './MarathonMode.js';
+import { SprintMode } from './SprintMode.js';
+import { UltraMode } from './UltraMode.js';
+import { ZenMode } from './ZenMode.js';
+import { ClimbMode } from './ClimbMode.js';
+import { PuzzleMode } from './PuzzleMode.js';
+import { TutorialMode } from './TutorialMode.js';
+
+const modes = new Map();
+
+/**
+ * Register a game mode
+ * @param {Function} ModeClass - GameMode subclass
+ * @throws {Error} - If a mode with the same id is already registered
+ */
+export function registerGameMode(ModeClass) {
+  const { id } = new ModeClass();
+
+  if (modes.has(id)) {
+    throw new Error(`Game mode '${id}' is already registered`);
+  }
+
+  modes.set(id, ModeClass);
+}
+
+/**
+ * Create a game mode for a new game
+ * @param {string} id - Mode id (the default mode is used if unknown or omitted)
+ * @returns {GameMode} - New mode instance
+ */
+export function createGameMode(id = MODE_CONFIG.DEFAULT_MODE) {
+  const ModeClass = modes.get(id) || modes.get(MODE_CONFIG.DEFAULT_MODE);
+  return new ModeClass();
+}
+
+/**
+ * Check if a mode is registered
+ * @param {string} id - Mode id
+ * @returns {boolean} - True if registered
+ */
+export function hasGameMode(id) {
+  return modes.has(id);
+}
+
+/**
+ * Get one instance of every mode shown in the modes menu, in registration order
+ * @returns {Array} - Mode instances
+ */
+export function getGameModes() {
+  return Array.from(modes.values(), ModeClass => new ModeClass()).filter(mode => !mode.hidden);
+}
+
+// Built-in modes
+registerGameMode(MarathonMode);
+registerGameMode(SprintMode);
+registerGameMode(UltraMode);
+registerGameMode(ZenMode);
+registerGameMode(ClimbMode);
+registerGameMode(PuzzleMode);
+registerGameMode(TutorialMode);
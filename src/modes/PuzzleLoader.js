@@ -0,0 +1,181 @@
+/**
+ * PuzzleLoader - Reads puzzles in the JSON puzzle format and sets them up in a game
+ *
+ * Puzzle format (see src/modes/puzzles.json for the built-in puzzles):
+ *
+ *   {
+ *     "id": "square-hole",               unique id, used for saved stars
+ *     "name": "Square Hole",             shown on the puzzle select screen
+ *     "description": "A square block fits a square hole.",
+ *     "board": ["GGGG..GGGG", "GGGG..GGGG"],
+ *     "pieces": ["O", "I", "L"],
+ *     "pieceSet": "classic",
+ *     "goal": { "type": "clearGarbage" },
+ *     "stars": [1, 2]
+ *   }
+ *
+ * - board: rows from top to bottom, each BOARD_CONFIG.WIDTH characters long. Rows line up with
+ *   the bottom of the board, so only the filled part needs to be written. "." is empty, "G" is
+ *   a grey garbage block and a one-letter piece type of the piece set (I, O, T, S, Z, J, L in
+ *   the classic set) is a block of that colour.
+ * - pieces: the fixed piece sequence. The puzzle is lost when it runs out.
+ * - pieceSet (optional): id of the piece set the puzzle is played with (see
+ *   PieceSetRegistry); the classic set if left out.
+ * - goal: one of
+ *   { "type": "clearGarbage" }              clear every grey block
+ *   { "type": "clearLines", "lines": 3 }    clear this many lines
+ *   { "type": "tetris" }                    clear 4 lines at once
+ * - stars (optional): most pieces used for 3 and for 2 stars. Solving always earns 1 star;
+ *   without stars every solve earns 3.
+ */
+
+import { BOARD_CONFIG, PIECE_SET_CONFIG, PUZZLE_CONFIG } from '../core/Constants.js';
+import { createPieceSet, getPieceSet } from '../pieces/PieceSetRegistry.js';
+import builtInPuzzles from './puzzles.json';
+
+const GOAL_TYPES = ['clearGarbage', 'clearLines', 'tetris'];
+const EMPTY_CELL = '.';
+const GARBAGE_CELL = 'G';
+
+const puzzles = new Map();
+
+/**
+ * Read and check a puzzle
+ * @param {string|Object} data - Puzzle as JSON text or a parsed object
+ * @returns {Object} - Puzzle with defaults filled in
+ * @throws {Error} - If the puzzle does not follow the format
+ */
+export function parsePuzzle(data) {
+  const puzzle = typeof data === 'string' ? JSON.parse(data) : data;
+  const fail = reason => {
+    throw new Error(`Invalid puzzle "${puzzle?.id}": ${reason}`);
+  };
+
+  if (!puzzle || typeof puzzle.id !== 'string' || puzzle.id === '') {
+    fail('it needs an id');
+  }
+
+  const pieceSet = getPieceSet(puzzle.pieceSet ?? PIECE_SET_CONFIG.DEFAULT_SET);
+  if (!pieceSet) {
+    fail(`unknown piece set "${puzzle.pieceSet}"`);
+  }
+
+  if (!Array.isArray(puzzle.board) || puzzle.board.length > BOARD_CONFIG.HEIGHT) {
+    fail(`board must be a list of at most ${BOARD_CONFIG.HEIGHT} rows`);
+  }
+
+  puzzle.board.forEach((row, index) => {
+    if (typeof row !== 'string' || row.length !== BOARD_CONFIG.WIDTH) {
+      fail(`board row ${index} must be ${BOARD_CONFIG.WIDTH} characters long`);
+    }
+
+    [...row].forEach(cell => {
+      if (cell !== EMPTY_CELL && cell !== GARBAGE_CELL && !pieceSet.hasPiece(cell)) {
+        fail(`unknown cell "${cell}" in board row ${index}`);
+      }
+    });
+  });
+
+  if (!Array.isArray(puzzle.pieces) || puzzle.pieces.length === 0) {
+    fail('it needs at least one piece');
+  }
+
+  puzzle.pieces.forEach(pieceType => {
+    if (!pieceSet.hasPiece(pieceType)) {
+      fail(`unknown piece "${pieceType}"`);
+    }
+  });
+
+  if (!puzzle.goal || !GOAL_TYPES.includes(puzzle.goal.type)) {
+    fail(`goal type must be one of ${GOAL_TYPES.join(', ')}`);
+  }
+
+  if (puzzle.goal.type === 'clearLines' && !(puzzle.goal.lines > 0)) {
+    fail('a clearLines goal needs a number of lines');
+  }
+
+  return {
+    name: puzzle.id,
+    description: '',
+    stars: [puzzle.pieces.length, puzzle.pieces.length],
+    pieceSet: pieceSet.id,
+    ...puzzle,
+  };
+}
+
+/**
+ * Add a puzzle to the list of playable puzzles
+ * @param {string|Object} data - Puzzle in the JSON puzzle format
+ * @returns {Object} - The parsed puzzle
+ */
+export function registerPuzzle(data) {
+  const puzzle = parsePuzzle(data);
+  puzzles.set(puzzle.id, puzzle);
+  return puzzle;
+}
+
+/**
+ * Get a puzzle by id
+ * @param {string} id - Puzzle id
+ * @returns {Object|null} - Puzzle or null if unknown
+ */
+export function getPuzzle(id) {
+  return puzzles.get(id) || null;
+}
+
+/**
+ * Get all playable puzzles in order
+ * @returns {Array} - Puzzles
+ */
+export function getPuzzles() {
+  return Array.from(puzzles.values());
+}
+
+/**
+ * Build a game board from a puzzle
+ * @param {Object} puzzle - Parsed puzzle
+ * @returns {Array} - Board rows filled with block colours (0 for empty)
+ */
+export function createPuzzleBoard(puzzle) {
+  const pieceSet = createPieceSet(puzzle.pieceSet);
+  const emptyRows = BOARD_CONFIG.HEIGHT - puzzle.board.length;
+  const board = Array.from({ length: emptyRows }, () => Array(BOARD_CONFIG.WIDTH).fill(0));
+
+  puzzle.board.forEach(row => {
+    board.push(
+      [...row].map(cell => {
+        if (cell === EMPTY_CELL) return 0;
+        if (cell === GARBAGE_CELL) return PUZZLE_CONFIG.GARBAGE_COLOR;
+        return pieceSet.getPiece(cell).color;
+      }),
+    );
+  });
+
+  return board;
+}
+
+/**
+ * Set up a puzzle in a game: seeds the board and the piece queue
+ * Call before the first piece spawns (PuzzleMode does this from GameLogic.reset)
+ * @param {Object} puzzle - Parsed puzzle
+ * @param {GameLogic} gameLogic - Game to set up
+ */
+export function loadPuzzle(puzzle, gameLogic) {
+  gameLogic.board = createPuzzleBoard(puzzle);
+  gameLogic.pieceGenerator.setSequence(puzzle.pieces);
+  gameLogic.nextPiece = null;
+}
+
+/**
+ * Count the grey garbage blocks left on a board
+ * @param {Array} board - Game board
+ * @returns {number} - Garbage blocks
+ */
+export function countGarbage(board) {
+  return board.reduce(
+    (count, row) => count + row.filter(cell => cell === PUZZLE_CONFIG.GARBAGE_COLOR).length,
+    0,
+  );
+}
+
+builtInPuzzles.forEach(registerPuzzle);
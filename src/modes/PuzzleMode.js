@@ -0,0 +1,215 @@
+/**
+ * PuzzleMode - Solve a hand-made puzzle with a fixed set of pieces
+ * Each puzzle starts from a pre-filled board and has a goal; solving it with fewer pieces
+ * earns more stars, and the best stars are kept per puzzle
+ */
+
+import { GameMode } from './GameMode.js';
+import { BOARD_CONFIG, PUZZLE_CONFIG } from '../core/Constants.js';
+import { countGarbage, getPuzzle, getPuzzles, loadPuzzle, parsePuzzle } from './PuzzleLoader.js';
+import { escapeHtml } from '../utils/Utils.js';
+
+/**
+ * Find the puzzle a game plays
+ * @param {Object} options - Game options; options.puzzle is a built-in puzzle id, or a whole
+ *   puzzle (e.g. one made in the editor)
+ * @returns {Object} - Parsed puzzle (the first built-in puzzle if none is given)
+ */
+function choosePuzzle({ puzzle } = {}) {
+  const chosen = puzzle && typeof puzzle === 'object' ? parsePuzzle(puzzle) : getPuzzle(puzzle);
+  return chosen || getPuzzles()[0];
+}
+
+export class PuzzleMode extends GameMode {
+  constructor() {
+    super({
+      id: 'puzzle',
+      name: 'Puzzles',
+      icon: '🧠',
+      description: 'Solve tricky puzzles and collect stars!',
+    });
+
+    this.puzzle = null;
+    this.biggestClear = 0;
+  }
+
+  /**
+   * Puzzles are made for the classic board, whatever size is picked in settings
+   */
+  getBoardSize() {
+    return { width: BOARD_CONFIG.WIDTH, height: BOARD_CONFIG.HEIGHT };
+  }
+
+  /**
+   * Puzzles are played with the piece set they were written for, whatever set is picked in the menu
+   */
+  getPieceSet(options = {}) {
+    return choosePuzzle(options).pieceSet;
+  }
+
+  /**
+   * Load the chosen puzzle onto the board
+   */
+  onStart(gameLogic, options = {}) {
+    super.onStart();
+
+    this.puzzle = choosePuzzle(options);
+    this.biggestClear = 0;
+
+    loadPuzzle(this.puzzle, gameLogic);
+  }
+
+  onLinesCleared(count) {
+    this.biggestClear = Math.max(this.biggestClear, count);
+  }
+
+  /**
+   * Check the goal after every piece; the puzzle is lost when the pieces run out
+   */
+  checkEnd(gameLogic) {
+    if (this.isGoalReached(gameLogic)) {
+      return { completed: true, reason: 'goalReached' };
+    }
+
+    if (gameLogic.gameStats.piecesPlaced >= this.puzzle.pieces.length) {
+      return { completed: false, reason: 'outOfPieces' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check the puzzle goal
+   * @param {GameLogic} gameLogic - Game being played
+   * @returns {boolean} - True if the goal is reached
+   */
+  isGoalReached(gameLogic) {
+    const { goal } = this.puzzle;
+
+    switch (goal.type) {
+    case 'clearGarbage':
+      return countGarbage(gameLogic.board) === 0;
+    case 'clearLines':
+      return gameLogic.gameStats.linesCleared >= goal.lines;
+    case 'tetris':
+      return this.biggestClear >= 4;
+    default:
+      return false;
+    }
+  }
+
+  /**
+   * Describe the goal for the HUD and menus
+   * @param {Object} puzzle - Puzzle
+   * @returns {string} - Goal description
+   */
+  describeGoal(puzzle = this.puzzle) {
+    switch (puzzle.goal.type) {
+    case 'clearGarbage':
+      return 'Clear the grey blocks';
+    case 'clearLines':
+      return `Clear ${puzzle.goal.lines} lines`;
+    case 'tetris':
+      return 'Clear 4 lines at once';
+    default:
+      return '';
+    }
+  }
+
+  getStatus(gameLogic) {
+    const piecesLeft = this.puzzle.pieces.length - gameLogic.gameStats.piecesPlaced;
+    return [
+      { label: 'Goal:', value: this.describeGoal() },
+      { label: 'Pieces Left:', value: Math.max(0, piecesLeft) },
+    ];
+  }
+
+  /**
+   * Add the puzzle and the stars earned to the result
+   */
+  getResult(gameLogic, end) {
+    const piecesUsed = gameLogic.gameStats.piecesPlaced;
+
+    return {
+      ...super.getResult(gameLogic, end),
+      puzzleId: this.puzzle.id,
+      puzzleName: this.puzzle.name,
+      goal: this.describeGoal(),
+      piecesUsed,
+      stars: end.completed ? this.countStars(piecesUsed) : 0,
+    };
+  }
+
+  /**
+   * Stars for solving the puzzle with a number of pieces
+   * @param {number} piecesUsed - Pieces placed
+   * @returns {number} - 1 to 3 stars
+   */
+  countStars(piecesUsed) {
+    const [threeStars, twoStars] = this.puzzle.stars;
+
+    if (piecesUsed <= threeStars) return PUZZLE_CONFIG.MAX_STARS;
+    if (piecesUsed <= twoStars) return 2;
+    return 1;
+  }
+
+  /**
+   * Stars are saved for each puzzle
+   */
+  getRecordKey(result) {
+    return `${this.id}:${result.puzzleId}`;
+  }
+
+  isBetterResult(result, record) {
+    return result.stars > 0 && (!record || result.stars > record.stars);
+  }
+
+  /**
+   * Show stars earned, e.g. ⭐⭐☆
+   * @param {Object|null} record - Saved record
+   * @returns {string} - Stars
+   */
+  formatRecord(record) {
+    const stars = record ? record.stars : 0;
+    return '⭐'.repeat(stars) + '☆'.repeat(PUZZLE_CONFIG.MAX_STARS - stars);
+  }
+
+  getResultsTitle(result) {
+    return result.completed ? '🧩 Puzzle Solved!' : 'Almost There!';
+  }
+
+  getResultsMessage(result) {
+    // Puzzles made in the editor can have any name
+    const name = escapeHtml(result.puzzleName);
+
+    if (!result.completed) {
+      return `<strong>${name}</strong><br>${result.goal} - try again! 💪`;
+    }
+
+    let message = `<strong>${name}</strong><br>`;
+    message += `Solved with ${result.piecesUsed} pieces<br>`;
+    message += `<span class="mode-result">${this.formatRecord(result)}</span>`;
+
+    if (result.isNewRecord) {
+      message += '<br><br>🏆 New best! 🏆';
+    }
+
+    return message;
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      puzzleId: this.puzzle?.id,
+      // Puzzles made in the editor are not registered, so keep the whole puzzle
+      customPuzzle: this.puzzle && !getPuzzle(this.puzzle.id) ? this.puzzle : null,
+      biggestClear: this.biggestClear,
+    };
+  }
+
+  restore(data) {
+    super.restore(data);
+    this.puzzle = getPuzzle(data?.puzzleId) || data?.customPuzzle || this.puzzle;
+    this.biggestClear = data?.biggestClear || 0;
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * PuzzleStorage - Puzzles made in the puzzle editor, kept in local storage
+ * Puzzles are stored in the same JSON puzzle format the game loads (see PuzzleLoader)
+ */
+
+import { parsePuzzle } from './PuzzleLoader.js';
+
+const STORAGE_KEY = 'tetris-kids-custom-puzzles';
+
+export class PuzzleStorage {
+  /**
+   * Load saved puzzles from localStorage, skipping any that no longer parse
+   * @returns {Array} - Saved puzzles
+   */
+  loadPuzzles() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      const puzzles = saved ? JSON.parse(saved) : [];
+
+      return puzzles.filter(puzzle => {
+        try {
+          parsePuzzle(puzzle);
+          return true;
+        } catch {
+          return false;
+        }
+      });
+    } catch {
+      // Unreadable storage has no puzzles to offer
+      return [];
+    }
+  }
+
+  /**
+   * Write puzzles to localStorage
+   * @param {Array} puzzles - Puzzles to keep
+   * @returns {boolean} - True if saved
+   */
+  writePuzzles(puzzles) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(puzzles));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Get a saved puzzle
+   * @param {string} id - Puzzle id
+   * @returns {Object|null} - Puzzle or null
+   */
+  getPuzzle(id) {
+    return this.loadPuzzles().find(puzzle => puzzle.id === id) || null;
+  }
+
+  /**
+   * Save a puzzle, replacing an older version with the same id
+   * @param {Object} puzzle - Puzzle in the JSON puzzle format
+   * @returns {boolean} - True if saved
+   */
+  savePuzzle(puzzle) {
+    parsePuzzle(puzzle);
+
+    const puzzles = this.loadPuzzles();
+    const index = puzzles.findIndex(saved => saved.id === puzzle.id);
+
+    if (index > -1) {
+      puzzles[index] = puzzle;
+    } else {
+      puzzles.push(puzzle);
+    }
+
+    return this.writePuzzles(puzzles);
+  }
+
+  /**
+   * Delete a saved puzzle
+   * @param {string} id - Puzzle id
+   */
+  deletePuzzle(id) {
+    this.writePuzzles(this.loadPuzzles().filter(puzzle => puzzle.id !== id));
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * SprintMode - Clear 40 lines as fast as possible
+ * The fastest finishing time is kept as the record
+ */
+
+import { GameMode } from './GameMode.js';
+import { MODE_CONFIG } from '../core/Constants.js';
+
+export class SprintMode extends GameMode {
+  constructor() {
+    super({
+      id: 'sprint',
+      name: 'Sprint',
+      icon: '🏃',
+      description: `Clear ${MODE_CONFIG.SPRINT_LINES} lines as fast as you can!`,
+    });
+
+    this.targetLines = MODE_CONFIG.SPRINT_LINES;
+  }
+
+  /**
+   * Finish once enough lines are cleared
+   */
+  checkEnd(gameLogic) {
+    if (gameLogic.gameStats.linesCleared >= this.targetLines) {
+      return { completed: true, reason: 'goalReached' };
+    }
+    return null;
+  }
+
+  /**
+   * Show lines left and the running clock
+   */
+  getStatus(gameLogic) {
+    return [
+      {
+        label: 'Lines Left:',
+        value: Math.max(0, this.targetLines - gameLogic.gameStats.linesCleared),
+      },
+      { label: 'Time:', value: this.formatPreciseTime(this.elapsedTime) },
+    ];
+  }
+
+  /**
+   * Only finished sprints count, and faster is better
+   */
+  isBetterResult(result, record) {
+    if (!result.completed) return false;
+    return !record || result.time < record.time;
+  }
+
+  formatRecord(record) {
+    return record ? `Best: ${this.formatPreciseTime(record.time)}` : 'No record yet';
+  }
+
+  getResultsTitle(result) {
+    return result.completed ? '🏁 Sprint Complete!' : 'So Close!';
+  }
+
+  getResultsMessage(result) {
+    if (!result.completed) {
+      const linesLeft = Math.max(0, this.targetLines - result.lines);
+      return (
+        `You cleared <strong>${result.lines}</strong> lines - ` +
+        `only ${linesLeft} to go! Try again! 💪`
+      );
+    }
+
+    let message = `You cleared ${this.targetLines} lines in<br>`;
+    message += `⏱️ <strong class="mode-result">${this.formatPreciseTime(result.time)}</strong>`;
+
+    if (result.isNewRecord) {
+      message += '<br><br>🏆 New record! You are super fast! 🏆';
+    } else if (result.record) {
+      message += `<br><br>🥇 ${this.formatRecord(result.record)}`;
+    }
+
+    return message;
+  }
+}
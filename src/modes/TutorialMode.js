@@ -0,0 +1,203 @@
+/**
+ * TutorialMode - Short playable lessons that teach the controls one at a time
+ * Lessons are started from the How to Play screen rather than the modes menu. Each one sets up
+ * a board like a puzzle (see PuzzleLoader) and ends once its goal is reached: pressing a
+ * control a few times, clearing a line or making a Tetris. Finished lessons are saved as mode
+ * records, one per lesson.
+ */
+
+import { GameMode } from './GameMode.js';
+import { BOARD_CONFIG, PIECE_SET_CONFIG, TUTORIAL_CONFIG } from '../core/Constants.js';
+import { loadPuzzle } from './PuzzleLoader.js';
+import { KeyBindings, describeKey } from '../input/KeyBindings.js';
+import lessons from './lessons.json';
+
+/**
+ * Get the lessons in the order they are taught
+ * @returns {Array} - Lessons
+ */
+export function getLessons() {
+  return lessons;
+}
+
+/**
+ * Get a lesson by id
+ * @param {string} id - Lesson id
+ * @returns {Object|null} - Lesson or null if unknown
+ */
+export function getLesson(id) {
+  return lessons.find(lesson => lesson.id === id) || null;
+}
+
+export class TutorialMode extends GameMode {
+  constructor() {
+    super({
+      id: 'tutorial',
+      name: 'Lessons',
+      icon: '📚',
+      description: 'Learn to play one step at a time!',
+      hidden: true,
+    });
+
+    this.lesson = null;
+    this.keyName = null;
+    this.actionCount = 0;
+    this.biggestClear = 0;
+  }
+
+  /**
+   * Lessons are made for the classic board and pieces, whatever is picked in settings
+   */
+  getBoardSize() {
+    return { width: BOARD_CONFIG.WIDTH, height: BOARD_CONFIG.HEIGHT };
+  }
+
+  getPieceSet() {
+    return PIECE_SET_CONFIG.DEFAULT_SET;
+  }
+
+  /**
+   * Set up the chosen lesson (options.lesson is a lesson id, the first lesson if unknown)
+   */
+  onStart(gameLogic, options = {}) {
+    super.onStart();
+
+    this.lesson = getLesson(options.lesson) || lessons[0];
+    this.actionCount = 0;
+
+    // Show the key the player uses for the lesson's control, which may have been rebound
+    const code = new KeyBindings().getKey(this.lesson.action);
+    this.keyName = code ? describeKey(code) : this.lesson.key;
+    this.biggestClear = 0;
+
+    loadPuzzle(this.lesson, gameLogic);
+  }
+
+  /**
+   * Count the moves a lesson asks for; moves that are blocked do not count
+   */
+  onAction(action, result) {
+    const { goal } = this.lesson;
+    if (goal.type === 'action' && action === goal.action && result) {
+      this.actionCount++;
+    }
+  }
+
+  onLinesCleared(count) {
+    this.biggestClear = Math.max(this.biggestClear, count);
+  }
+
+  /**
+   * Blocks fall slowly so there is time to read and find the right button
+   */
+  getFallSpeed(fallSpeed) {
+    return Math.max(fallSpeed, TUTORIAL_CONFIG.FALL_SPEED);
+  }
+
+  checkEnd(gameLogic) {
+    return this.isGoalReached(gameLogic) ? { completed: true, reason: 'goalReached' } : null;
+  }
+
+  /**
+   * Check the lesson goal
+   * @param {GameLogic} gameLogic - Game being played
+   * @returns {boolean} - True if the goal is reached
+   */
+  isGoalReached(gameLogic) {
+    const { goal } = this.lesson;
+
+    switch (goal.type) {
+    case 'action':
+      return this.actionCount >= goal.count;
+    case 'clearLines':
+      return gameLogic.gameStats.linesCleared >= goal.lines;
+    case 'tetris':
+      return this.biggestClear >= 4;
+    default:
+      return false;
+    }
+  }
+
+  getStatus() {
+    const { goal } = this.lesson;
+    const status = [
+      { label: 'Lesson:', value: `${this.lesson.icon} ${this.lesson.name}` },
+      { label: 'Try This:', value: this.lesson.instruction },
+      { label: 'Press:', value: `<kbd class="lesson-key">${this.keyName}</kbd>` },
+    ];
+
+    if (goal.type === 'action') {
+      status.push({
+        label: 'Done:',
+        value: `${Math.min(this.actionCount, goal.count)} / ${goal.count}`,
+      });
+    }
+
+    return status;
+  }
+
+  /**
+   * Add the lesson and the one that follows it to the result
+   */
+  getResult(gameLogic, end) {
+    const index = lessons.indexOf(this.lesson);
+
+    return {
+      ...super.getResult(gameLogic, end),
+      lessonId: this.lesson.id,
+      lessonName: this.lesson.name,
+      lessonIcon: this.lesson.icon,
+      nextLessonId: lessons[index + 1]?.id ?? null,
+    };
+  }
+
+  /**
+   * Each finished lesson is saved once
+   */
+  getRecordKey(result) {
+    return `${this.id}:${result.lessonId}`;
+  }
+
+  isBetterResult(result, record) {
+    return result.completed && !record;
+  }
+
+  formatRecord(record) {
+    return record ? '✅ Done' : '';
+  }
+
+  getResultsTitle(result) {
+    return result.completed ? '🎉 Lesson Complete!' : 'Keep Trying!';
+  }
+
+  getResultsMessage(result) {
+    const title = `<strong>${result.lessonIcon} ${result.lessonName}</strong><br>`;
+
+    if (!result.completed) {
+      return `${title}Press Play Again to have another go! 💪`;
+    }
+
+    const next = getLesson(result.nextLessonId);
+    if (!next) {
+      return `${title}You finished every lesson! Time for a real game! 🚀`;
+    }
+
+    return `${title}You did it! 🌟<br><br>Next up: ${next.icon} ${next.name}`;
+  }
+
+  serialize() {
+    return {
+      ...super.serialize(),
+      lessonId: this.lesson?.id,
+      actionCount: this.actionCount,
+      biggestClear: this.biggestClear,
+    };
+  }
+
+  restore(data) {
+    super.restore(data);
+    this.lesson = getLesson(data?.lessonId) || lessons[0];
+    this.actionCount = data?.actionCount || 0;
+    this.biggestClear = data?.biggestClear || 0;
+  }
+}
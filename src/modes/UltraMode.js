@@ -0,0 +1,67 @@
+/**
+ * UltraMode - Score as many points as possible in 2 minutes
+ * The highest score is kept as the record
+ */
+
+import { GameMode } from './GameMode.js';
+import { MODE_CONFIG } from '../core/Constants.js';
+
+export class UltraMode extends GameMode {
+  constructor() {
+    super({
+      id: 'ultra',
+      name: 'Ultra',
+      icon: '⏱️',
+      description: 'Score as many points as you can in 2 minutes!',
+    });
+
+    this.timeLimit = MODE_CONFIG.ULTRA_TIME_LIMIT;
+  }
+
+  /**
+   * Finish when the clock runs out
+   */
+  checkEnd() {
+    if (this.elapsedTime >= this.timeLimit) {
+      return { completed: true, reason: 'timeUp' };
+    }
+    return null;
+  }
+
+  /**
+   * Show the time remaining
+   */
+  getStatus() {
+    const timeLeft = Math.max(0, this.timeLimit - this.elapsedTime);
+    return [{ label: 'Time Left:', value: this.formatPreciseTime(timeLeft) }];
+  }
+
+  /**
+   * Every game counts, even one that tops out early; more points is better
+   */
+  isBetterResult(result, record) {
+    return result.score > 0 && (!record || result.score > record.score);
+  }
+
+  formatRecord(record) {
+    return record ? `Best: ${record.score.toLocaleString()} points` : 'No record yet';
+  }
+
+  getResultsTitle(result) {
+    return result.completed ? '⏰ Time is up!' : 'Great Job!';
+  }
+
+  getResultsMessage(result) {
+    let message = `In ${this.formatPreciseTime(result.time)} you scored<br>`;
+    message += `⭐ <strong class="mode-result">${result.score.toLocaleString()}</strong> points`;
+    message += `<br>📏 Lines Cleared: <strong>${result.lines}</strong>`;
+
+    if (result.isNewRecord) {
+      message += '<br><br>🏆 New record! Amazing! 🏆';
+    } else if (result.record) {
+      message += `<br><br>🥇 ${this.formatRecord(result.record)}`;
+    }
+
+    return message;
+  }
+}
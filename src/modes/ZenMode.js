@@ -0,0 +1,61 @@
+/**
+ * ZenMode - Relaxed play for the youngest players
+ * Topping out never ends the game: the top rows gently clear instead, gravity stays slow
+ * and the game only ends when the player chooses to finish
+ */
+
+import { GameMode } from './GameMode.js';
+import { MODE_CONFIG } from '../core/Constants.js';
+import { formatTime } from '../utils/Utils.js';
+
+export class ZenMode extends GameMode {
+  constructor() {
+    super({
+      id: 'zen',
+      name: 'Zen',
+      icon: '🌈',
+      description: 'Relax and stack - the game never ends!',
+    });
+
+    this.canFinish = true;
+  }
+
+  /**
+   * Make room at the top instead of ending the game
+   */
+  handleTopOut(gameLogic) {
+    gameLogic.clearTopRows(MODE_CONFIG.ZEN_CLEAR_ROWS);
+    return false;
+  }
+
+  /**
+   * Keep gravity slow at every level
+   */
+  getFallSpeed(fallSpeed) {
+    return Math.max(fallSpeed, MODE_CONFIG.ZEN_FALL_SPEED);
+  }
+
+  isBetterResult(result, record) {
+    return result.score > 0 && (!record || result.score > record.score);
+  }
+
+  formatRecord(record) {
+    return record ? `Best: ${record.score.toLocaleString()} points` : '';
+  }
+
+  getResultsTitle() {
+    return '🌈 Lovely Playing!';
+  }
+
+  getResultsMessage(result) {
+    let message = `You played for ${formatTime(result.time)} and scored<br>`;
+    message += `⭐ <strong class="mode-result">${result.score.toLocaleString()}</strong> points`;
+    message += `<br>📏 Lines Cleared: <strong>${result.lines}</strong>`;
+
+    if (result.isNewRecord) {
+      message += '<br><br>🏆 Your best Zen game yet! 🏆';
+    }
+
+    return message;
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * RelayClient - Connection to the relay server used for online versus games
+ * Creates and joins rooms by code and passes messages to the other player in the room.
+ * Every message received is emitted as an event named after its type
+ * (e.g. 'roomCreated', 'opponentJoined', 'state'); 'disconnected' is emitted when the
+ * connection closes, with the reason the server gave if it closed it.
+ */
+
+import { NETWORK_CONFIG } from '../core/Constants.js';
+
+export class RelayClient {
+  /**
+   * @param {Function} WebSocketClass - WebSocket implementation (the browser's by default)
+   */
+  constructor(WebSocketClass = globalThis.WebSocket) {
+    this.WebSocketClass = WebSocketClass;
+    this.socket = null;
+    this.roomCode = null;
+    this.eventListeners = new Map();
+  }
+
+  /**
+   * Get the relay server address: ?relay=ws://host:port in the page URL, or the relay port on
+   * the computer serving the game
+   * @returns {string} - WebSocket URL
+   */
+  static getDefaultUrl() {
+    const relay = new URLSearchParams(window.location.search).get('relay');
+    if (relay) return relay;
+
+    const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+    const host = window.location.hostname || 'localhost';
+    return `${protocol}://${host}:${NETWORK_CONFIG.RELAY_PORT}`;
+  }
+
+  /**
+   * Connect to the relay server (does nothing if already connected)
+   * @param {string} url - WebSocket URL of the relay server
+   * @returns {Promise} - Resolves once connected, rejects if the server cannot be reached
+   */
+  connect(url = RelayClient.getDefaultUrl()) {
+    if (this.isConnected()) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      let socket;
+      try {
+        socket = new this.WebSocketClass(url);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      const timeout = setTimeout(() => {
+        socket.close();
+        reject(new Error('The relay server did not answer.'));
+      }, NETWORK_CONFIG.CONNECT_TIMEOUT);
+
+      socket.addEventListener('open', () => {
+        clearTimeout(timeout);
+        this.socket = socket;
+        resolve();
+      });
+
+      socket.addEventListener('error', () => {
+        clearTimeout(timeout);
+        if (this.socket !== socket) {
+          reject(new Error('Could not reach the relay server.'));
+        }
+      });
+
+      socket.addEventListener('message', event => this.handleMessage(event.data));
+
+      socket.addEventListener('close', event => {
+        clearTimeout(timeout);
+        if (this.socket !== socket) return;
+
+        this.socket = null;
+        this.roomCode = null;
+        this.emit('disconnected', { reason: event.reason || '' });
+      });
+    });
+  }
+
+  /**
+   * Close the connection
+   */
+  disconnect() {
+    if (!this.socket) return;
+
+    const socket = this.socket;
+    this.socket = null;
+    this.roomCode = null;
+    socket.close();
+  }
+
+  /**
+   * Check if the client is connected to the relay server
+   * @returns {boolean} - True if connected
+   */
+  isConnected() {
+    return this.socket !== null && this.socket.readyState === this.WebSocketClass.OPEN;
+  }
+
+  /**
+   * Ask the server for a new room ('roomCreated' follows with its code)
+   */
+  createRoom() {
+    this.send({ type: 'create' });
+  }
+
+  /**
+   * Join a friend's room ('roomJoined' or 'error' follows)
+   * @param {string} code - Room code
+   */
+  joinRoom(code) {
+    this.send({ type: 'join', code });
+  }
+
+  /**
+   * Send a message to the other player in the room
+   * @param {Object} message - Message with a type
+   * @returns {boolean} - True if the message was sent
+   */
+  send(message) {
+    if (!this.isConnected()) return false;
+
+    this.socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  /**
+   * Handle a message from the server
+   * @param {string} data - JSON message
+   */
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      // Only the relay server and the other player's game send here; skip anything garbled
+      return;
+    }
+
+    if (message.type === 'roomCreated' || message.type === 'roomJoined') {
+      this.roomCode = message.code;
+    }
+
+    this.emit(message.type, message);
+  }
+
+  /**
+   * Event listener system
+   */
+  on(event, callback) {
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  off(event, callback) {
+    if (this.eventListeners.has(event)) {
+      const callbacks = this.eventListeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  emit(event, ...args) {
+    if (this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(...args);
+        } catch (error) {
+          console.error(`Error in RelayClient ${event} listener:`, error);
+        }
+      });
+    }
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * BagRandomizer - Deal every piece type from a shuffled bag before refilling it
+ * With one copy of each piece this is the classic 7-bag; more copies give a looser 14-bag
+ */
+
+import { Randomizer } from './Randomizer.js';
+
+export class BagRandomizer extends Randomizer {
+  /**
+   * @param {Object} config - Randomizer description (see Randomizer)
+   * @param {number} config.copies - Copies of every piece type in one bag
+   */
+  constructor({ copies = 1, ...config }) {
+    super(config);
+    this.copies = copies;
+    this.bag = [];
+  }
+
+  reset() {
+    this.bag = [];
+  }
+
+  next(types, random) {
+    if (this.bag.length === 0) {
+      const pieces = Array.from({ length: this.copies }, () => types).flat();
+      this.bag = random.shuffle(pieces);
+    }
+
+    return this.bag.shift();
+  }
+
+  serialize() {
+    return { bag: [...this.bag] };
+  }
+
+  restore(data = {}) {
+    this.bag = [...(data.bag || [])];
+  }
+}
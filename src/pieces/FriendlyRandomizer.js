@@ -0,0 +1,146 @@
+/**
+ * FriendlyRandomizer - Leans toward pieces that fit the board well, for kids who are struggling
+ * Every piece type is tried in every rotation and column; pieces with a better landing spot
+ * (lines cleared, no new holes, low stack) get a bigger chance. Any piece can still come, and
+ * the same piece never comes three times in a row.
+ * Pieces are picked when they join the Next queue, which is kept NEXT_QUEUE_CONFIG.MAX_SIZE pieces
+ * long, so a piece fits the board as it was then rather than the board it lands on: help with a
+ * new gap only starts coming once the pieces already queued have been dealt.
+ */
+
+import { Randomizer } from './Randomizer.js';
+import { RANDOMIZER_CONFIG } from '../core/Constants.js';
+
+export class FriendlyRandomizer extends Randomizer {
+  constructor(config) {
+    super(config);
+    this.recent = [];
+  }
+
+  reset() {
+    this.recent = [];
+  }
+
+  next(types, random, context = {}) {
+    const { board, pieceSet } = context;
+    const fits = types.map(type => {
+      const shape = pieceSet?.getPiece(type)?.shape;
+      return board && shape ? this.getBestFit(board, shape) : 0;
+    });
+
+    const worstFit = Math.min(...fits);
+    const fitRange = Math.max(...fits) - worstFit || 1;
+    const repeated = this.recent.length === 2 && this.recent[0] === this.recent[1];
+
+    const weights = types.map((type, index) => {
+      if (repeated && type === this.recent[0] && types.length > 1) return 0;
+      return 1 + (RANDOMIZER_CONFIG.FRIENDLY_BIAS * (fits[index] - worstFit)) / fitRange;
+    });
+
+    const type = this.pickWeighted(types, weights, random);
+    this.recent = [...this.recent, type].slice(-2);
+
+    return type;
+  }
+
+  serialize() {
+    return { recent: [...this.recent] };
+  }
+
+  restore(data = {}) {
+    this.recent = [...(data.recent || [])];
+  }
+
+  /**
+   * Pick a piece type with chances in proportion to its weight
+   * @param {Array} types - Piece types
+   * @param {Array} weights - Weight of each type
+   * @param {SeededRandom} random - Random source
+   * @returns {string} - Piece type
+   */
+  pickWeighted(types, weights, random) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let roll = random.next() * total;
+
+    for (let index = 0; index < types.length; index++) {
+      roll -= weights[index];
+      if (roll < 0) return types[index];
+    }
+
+    return types[types.length - 1];
+  }
+
+  /**
+   * Score the best place a piece could drop to on the board
+   * @param {Array} board - Game board
+   * @param {Array} shape - Piece shape
+   * @returns {number} - Higher is a better fit
+   */
+  getBestFit(board, shape) {
+    let best = -Infinity;
+    let rotated = shape;
+
+    for (let rotation = 0; rotation < 4; rotation++) {
+      const blocks = [];
+      rotated.forEach((row, y) => row.forEach((cell, x) => cell && blocks.push({ x, y })));
+
+      for (let x = -rotated.length; x < board[0].length; x++) {
+        const y = this.findLandingY(board, blocks, x);
+        if (y !== null) {
+          best = Math.max(best, this.scorePlacement(board, blocks, x, y));
+        }
+      }
+
+      rotated = rotated[0].map((_, column) => rotated.map(row => row[column]).reverse());
+    }
+
+    return best === -Infinity ? 0 : best;
+  }
+
+  /**
+   * Find where blocks dropped straight down in a column would land
+   * @returns {number|null} - Landing offset, or null if they do not fit there at all
+   */
+  findLandingY(board, blocks, x) {
+    const fits = y =>
+      blocks.every(block => {
+        const boardX = x + block.x;
+        const boardY = y + block.y;
+        return (
+          boardX >= 0 &&
+          boardX < board[0].length &&
+          boardY < board.length &&
+          (boardY < 0 || !board[boardY][boardX])
+        );
+      });
+
+    if (!fits(0)) return null;
+
+    let y = 0;
+    while (fits(y + 1)) y++;
+    return y;
+  }
+
+  /**
+   * Score a landing spot: cleared lines are good, covered holes and a tall stack are bad
+   */
+  scorePlacement(board, blocks, x, y) {
+    const cells = blocks.map(block => ({ x: x + block.x, y: y + block.y }));
+    const isFilled = (cellX, cellY) =>
+      board[cellY][cellX] !== 0 || cells.some(cell => cell.x === cellX && cell.y === cellY);
+
+    const rows = [...new Set(cells.map(cell => cell.y))];
+    const lines = rows.filter(row => board[row].every((_, cellX) => isFilled(cellX, row))).length;
+
+    let holes = 0;
+    cells.forEach(cell => {
+      const below = cell.y + 1;
+      if (below < board.length && !isFilled(cell.x, below)) holes++;
+    });
+
+    const top = Math.min(...cells.map(cell => cell.y));
+    const height = board.length - top;
+
+    return lines * 4 - holes * 3 - height / 4;
+  }
+}
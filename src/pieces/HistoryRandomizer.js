@@ -0,0 +1,43 @@
+/**
+ * HistoryRandomizer - TGM-style randomizer that remembers the last few pieces
+ * Rolls a few times for a piece that is not in the history, which makes repeats rare
+ * while keeping the sequence less predictable than a bag
+ */
+
+import { Randomizer } from './Randomizer.js';
+import { RANDOMIZER_CONFIG } from '../core/Constants.js';
+
+export class HistoryRandomizer extends Randomizer {
+  constructor(config) {
+    super(config);
+    this.history = [];
+  }
+
+  reset() {
+    this.history = [];
+  }
+
+  next(types, random) {
+    // Small piece sets keep a shorter history so there is always a piece outside it
+    const historySize = Math.min(RANDOMIZER_CONFIG.HISTORY_SIZE, types.length - 1);
+
+    let type = types[random.nextInt(types.length)];
+    for (let roll = 1; roll < RANDOMIZER_CONFIG.HISTORY_ROLLS; roll++) {
+      if (!this.history.includes(type)) break;
+      type = types[random.nextInt(types.length)];
+    }
+
+    this.history.push(type);
+    this.history = this.history.slice(this.history.length - historySize);
+
+    return type;
+  }
+
+  serialize() {
+    return { history: [...this.history] };
+  }
+
+  restore(data = {}) {
+    this.history = [...(data.history || [])];
+  }
+}
@@ -0,0 +1,192 @@
+/**
+ * PieceSet - The pieces a game is played with
+ * A set names its piece types with their shapes and colours, and decides how rotations are
+ * kicked away from walls. PieceGenerator deals pieces from the set chosen for the game.
+ */
+
+// Standard SRS (Super Rotation System) wall kick offsets, keyed by "from->to" rotation
+const SRS_KICKS = {
+  '0->1': [
+    [-1, 0],
+    [-1, -1],
+    [0, 2],
+    [-1, 2],
+  ],
+  '1->0': [
+    [1, 0],
+    [1, 1],
+    [0, -2],
+    [1, -2],
+  ],
+  '1->2': [
+    [1, 0],
+    [1, 1],
+    [0, -2],
+    [1, -2],
+  ],
+  '2->1': [
+    [-1, 0],
+    [-1, -1],
+    [0, 2],
+    [-1, 2],
+  ],
+  '2->3': [
+    [1, 0],
+    [1, -1],
+    [0, 2],
+    [1, 2],
+  ],
+  '3->2': [
+    [-1, 0],
+    [-1, 1],
+    [0, -2],
+    [-1, -2],
+  ],
+  '3->0': [
+    [-1, 0],
+    [-1, 1],
+    [0, -2],
+    [-1, -2],
+  ],
+  '0->3': [
+    [1, 0],
+    [1, -1],
+    [0, 2],
+    [1, 2],
+  ],
+};
+
+// The 4-wide I piece has its own SRS wall kick offsets
+const SRS_I_KICKS = {
+  '0->1': [
+    [-2, 0],
+    [1, 0],
+    [-2, 1],
+    [1, -2],
+  ],
+  '1->0': [
+    [2, 0],
+    [-1, 0],
+    [2, -1],
+    [-1, 2],
+  ],
+  '1->2': [
+    [-1, 0],
+    [2, 0],
+    [-1, -2],
+    [2, 1],
+  ],
+  '2->1': [
+    [1, 0],
+    [-2, 0],
+    [1, 2],
+    [-2, -1],
+  ],
+  '2->3': [
+    [2, 0],
+    [-1, 0],
+    [2, -1],
+    [-1, 2],
+  ],
+  '3->2': [
+    [-2, 0],
+    [1, 0],
+    [-2, 1],
+    [1, -2],
+  ],
+  '3->0': [
+    [1, 0],
+    [-2, 0],
+    [1, 2],
+    [-2, -1],
+  ],
+  '0->3': [
+    [-1, 0],
+    [2, 0],
+    [-1, -2],
+    [2, 1],
+  ],
+};
+
+// Simple kicks for any piece size: one step sideways, one step up, then two steps sideways
+const BASIC_KICKS = [
+  [-1, 0],
+  [1, 0],
+  [0, -1],
+  [-2, 0],
+  [2, 0],
+];
+
+// Wall kick systems a set can use
+export const KICK_SYSTEMS = ['srs', 'basic'];
+
+export class PieceSet {
+  /**
+   * @param {Object} config - Set description
+   * @param {string} config.id - Unique set id (used in game options, saves and replays)
+   * @param {string} config.name - Display name
+   * @param {string} config.icon - Emoji shown in menus
+   * @param {string} config.description - Short kid-friendly description
+   * @param {Object} config.pieces - Piece type -> { name, color, shape }; a shape is a square
+   *   matrix of 0/1, or rows of "#" (block) and "." (empty)
+   * @param {string} config.kicks - Wall kick system, one of KICK_SYSTEMS
+   */
+  constructor({ id, name, icon = '🧱', description = '', pieces, kicks = 'basic' }) {
+    this.id = id;
+    this.name = name;
+    this.icon = icon;
+    this.description = description;
+    this.kicks = kicks;
+
+    this.pieces = {};
+    Object.entries(pieces).forEach(([type, piece]) => {
+      this.pieces[type] = { ...piece, shape: PieceSet.readShape(piece.shape) };
+    });
+    this.types = Object.keys(this.pieces);
+  }
+
+  /**
+   * Turn a shape written as rows of "#" and "." into a 0/1 matrix
+   * @param {Array} shape - Rows as strings or arrays
+   * @returns {Array} - 2D array of 0 and 1
+   */
+  static readShape(shape) {
+    return shape.map(row => [...row].map(cell => (cell === '#' || cell === 1 ? 1 : 0)));
+  }
+
+  /**
+   * Check if a piece type belongs to this set
+   * @param {string} type - Piece type
+   * @returns {boolean} - True if the set has it
+   */
+  hasPiece(type) {
+    return Object.prototype.hasOwnProperty.call(this.pieces, type);
+  }
+
+  /**
+   * Get a piece definition
+   * @param {string} type - Piece type
+   * @returns {Object|null} - { name, color, shape } or null if not in this set
+   */
+  getPiece(type) {
+    return this.hasPiece(type) ? this.pieces[type] : null;
+  }
+
+  /**
+   * Get the offsets to try when a rotation is blocked
+   * @param {string} type - Piece type
+   * @param {number} fromRotation - Rotation state before (0-3)
+   * @param {number} toRotation - Rotation state after (0-3)
+   * @returns {Array} - [x, y] offsets in the order to try them
+   */
+  getWallKickOffsets(type, fromRotation, toRotation) {
+    if (this.kicks !== 'srs') {
+      return BASIC_KICKS;
+    }
+
+    const offsetKey = `${fromRotation}->${toRotation}`;
+    const offsets = this.getPiece(type)?.shape.length === 4 ? SRS_I_KICKS : SRS_KICKS;
+
+    return offsets[offsetKey] || [[0, 0]]; // Default to no offset
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * PieceSetRegistry - Registry of the piece sets a game can be played with
+ *
+ * Piece set format (see src/pieces/pieceSets.json for the built-in sets):
+ *
+ *   {
+ *     "id": "tiny",                       unique id, used in game options
+ *     "name": "Tiny",                     shown in the menu
+ *     "icon": "🐭",
+ *     "description": "Little pieces of 1 to 3 blocks for beginners",
+ *     "kicks": "basic",                   wall kicks: "srs" or "basic"
+ *     "pieces": {
+ *       "L3": { "name": "Corner", "color": "#ffb347", "shape": ["#.", "##"] }
+ *     }
+ *   }
+ *
+ * - shape: a square of rows, "#" for a block and "." for empty, at most
+ *   PIECE_SET_CONFIG.MAX_PIECE_SIZE wide. Pieces spawn at the top of the board as written.
+ * - color: a "#rrggbb" colour; blocks are shaded from it when drawn.
+ */
+
+import { PIECES, PIECE_SET_CONFIG } from '../core/Constants.js';
+import { PieceSet, KICK_SYSTEMS } from './PieceSet.js';
+import builtInPieceSets from './pieceSets.json';
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const pieceSets = new Map();
+
+/**
+ * Read and check a piece set
+ * @param {string|Object} data - Piece set as JSON text or a parsed object
+ * @returns {PieceSet} - The piece set
+ * @throws {Error} - If the set does not follow the format
+ */
+export function parsePieceSet(data) {
+  const definition = typeof data === 'string' ? JSON.parse(data) : data;
+  const fail = reason => {
+    throw new Error(`Invalid piece set "${definition?.id}": ${reason}`);
+  };
+
+  if (!definition || typeof definition.id !== 'string' || definition.id === '') {
+    fail('it needs an id');
+  }
+  if (typeof definition.name !== 'string' || definition.name === '') {
+    fail('it needs a name');
+  }
+  if (definition.kicks !== undefined && !KICK_SYSTEMS.includes(definition.kicks)) {
+    fail(`kicks must be one of ${KICK_SYSTEMS.join(', ')}`);
+  }
+
+  const pieces = Object.entries(definition.pieces || {});
+  if (pieces.length === 0) {
+    fail('it needs at least one piece');
+  }
+
+  pieces.forEach(([type, piece]) => {
+    if (typeof piece.color !== 'string' || !COLOR_PATTERN.test(piece.color)) {
+      fail(`piece ${type} needs a colour like "#ff8800"`);
+    }
+
+    const { shape } = piece;
+    const size = Array.isArray(shape) ? shape.length : 0;
+    if (size === 0 || size > PIECE_SET_CONFIG.MAX_PIECE_SIZE) {
+      fail(`piece ${type} must be 1 to ${PIECE_SET_CONFIG.MAX_PIECE_SIZE} rows`);
+    }
+
+    const rows = PieceSet.readShape(shape);
+    if (rows.some(row => row.length !== size)) {
+      fail(`piece ${type} must be as wide as it is tall`);
+    }
+    if (!rows.some(row => row.includes(1))) {
+      fail(`piece ${type} needs at least one block`);
+    }
+  });
+
+  return new PieceSet(definition);
+}
+
+/**
+ * Add a piece set to the sets players can choose
+ * @param {string|Object} data - Piece set in the piece set format
+ * @returns {PieceSet} - The parsed piece set
+ */
+export function registerPieceSet(data) {
+  const pieceSet = parsePieceSet(data);
+  pieceSets.set(pieceSet.id, pieceSet);
+  return pieceSet;
+}
+
+/**
+ * Get a registered piece set by id
+ * @param {string} id - Piece set id
+ * @returns {PieceSet|null} - Piece set or null if unknown
+ */
+export function getPieceSet(id) {
+  return pieceSets.get(id) || null;
+}
+
+/**
+ * Get all registered piece sets in order (for menus)
+ * @returns {Array} - Piece sets
+ */
+export function getPieceSets() {
+  return Array.from(pieceSets.values());
+}
+
+/**
+ * Get the piece set for a new game
+ * @param {string|Object} pieceSet - Registered set id, or a whole custom set definition
+ * @returns {PieceSet} - The set to play with (the default set if the id is unknown)
+ */
+export function createPieceSet(pieceSet = PIECE_SET_CONFIG.DEFAULT_SET) {
+  if (pieceSet && typeof pieceSet === 'object') {
+    return pieceSet instanceof PieceSet ? pieceSet : parsePieceSet(pieceSet);
+  }
+
+  return getPieceSet(pieceSet) || getPieceSet(PIECE_SET_CONFIG.DEFAULT_SET);
+}
+
+// Built-in sets: the seven tetrominoes first, then the sets from pieceSets.json
+registerPieceSet({
+  id: 'classic',
+  name: 'Classic',
+  icon: '🧩',
+  description: 'The seven Tetris blocks',
+  kicks: 'srs',
+  pieces: PIECES,
+});
+builtInPieceSets.forEach(registerPieceSet);
@@ -0,0 +1,12 @@
+/**
+ * PureRandomizer - Every piece type is equally likely every time, like the oldest games
+ * Droughts and floods of the same piece can happen
+ */
+
+import { Randomizer } from './Randomizer.js';
+
+export class PureRandomizer extends Randomizer {
+  next(types, random) {
+    return types[random.nextInt(types.length)];
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Randomizer - Base class for piece randomizer strategies
+ * A randomizer decides which piece type comes next. PieceGenerator asks it for pieces ahead of
+ * time and keeps them in a queue, so the preview always shows what will really be dealt.
+ * All randomness must come from the random source passed in, so games can be replayed.
+ */
+
+export class Randomizer {
+  /**
+   * @param {Object} config - Randomizer description
+   * @param {string} config.id - Unique randomizer id (used in game options and replays)
+   * @param {string} config.name - Display name
+   * @param {string} config.icon - Emoji shown in menus
+   * @param {string} config.description - Short kid-friendly description
+   */
+  constructor({ id, name, icon = '🎲', description = '' }) {
+    this.id = id;
+    this.name = name;
+    this.icon = icon;
+    this.description = description;
+  }
+
+  /**
+   * Forget everything from the previous game
+   */
+  reset() {}
+
+  /**
+   * Pick the next piece type
+   * @param {Array} types - Piece types of the game's piece set
+   * @param {SeededRandom} random - Random source of the game
+   * @param {Object} context - What the game looks like when the piece is picked
+   * @param {Array} context.board - Game board
+   * @param {PieceSet} context.pieceSet - Piece set of the game
+   * @returns {string} - Piece type
+   */
+  next() {
+    throw new Error(`Randomizer ${this.id} must implement next()`);
+  }
+
+  /**
+   * Get the randomizer state for saving a game in progress
+   * @returns {Object} - Serializable state
+   */
+  serialize() {
+    return {};
+  }
+
+  /**
+   * Continue from a saved state
+   * @param {Object} data - Data from serialize()
+   */
+  restore() {}
+}
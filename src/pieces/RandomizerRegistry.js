@@ -0,0 +1,93 @@
+/**
+ * RandomizerRegistry - Registry of the strategies that decide which piece comes next
+ * Each game gets a fresh randomizer from its factory, because randomizers remember the pieces
+ * they dealt. The randomizer id is part of the game options, so replays record it.
+ */
+
+import { RANDOMIZER_CONFIG } from '../core/Constants.js';
+import { BagRandomizer } from './BagRandomizer.js';
+import { PureRandomizer } from './PureRandomizer.js';
+import { HistoryRandomizer } from './HistoryRandomizer.js';
+import { FriendlyRandomizer } from './FriendlyRandomizer.js';
+
+const randomizers = new Map();
+
+/**
+ * Add a randomizer players can choose
+ * @param {Object} description - { id, name, icon, description }
+ * @param {Function} factory - Creates a new randomizer from the description
+ */
+export function registerRandomizer(description, factory) {
+  randomizers.set(description.id, { ...description, factory });
+}
+
+/**
+ * Get all registered randomizers in order (for menus)
+ * @returns {Array} - { id, name, icon, description } of each randomizer
+ */
+export function getRandomizers() {
+  return Array.from(randomizers.values()).map(({ id, name, icon, description }) => ({
+    id,
+    name,
+    icon,
+    description,
+  }));
+}
+
+/**
+ * Create a randomizer for a new game
+ * @param {string} id - Randomizer id
+ * @returns {Randomizer} - New randomizer (the default one if the id is unknown)
+ */
+export function createRandomizer(id = RANDOMIZER_CONFIG.DEFAULT) {
+  const entry = randomizers.get(id) || randomizers.get(RANDOMIZER_CONFIG.DEFAULT);
+  const { factory, ...description } = entry;
+  return factory(description);
+}
+
+// Built-in randomizers, in menu order
+registerRandomizer(
+  {
+    id: 'bag7',
+    name: '7-Bag',
+    icon: '🎒',
+    description: 'Every piece once in each bag of seven',
+  },
+  description => new BagRandomizer(description),
+);
+registerRandomizer(
+  {
+    id: 'bag14',
+    name: '14-Bag',
+    icon: '🧳',
+    description: 'Every piece twice in each bag of fourteen',
+  },
+  description => new BagRandomizer({ ...description, copies: 2 }),
+);
+registerRandomizer(
+  {
+    id: 'history',
+    name: 'History',
+    icon: '📜',
+    description: 'Random, but tries not to repeat the last few pieces',
+  },
+  description => new HistoryRandomizer(description),
+);
+registerRandomizer(
+  {
+    id: 'random',
+    name: 'Pure Random',
+    icon: '🎲',
+    description: 'Anything can come, even the same piece many times',
+  },
+  description => new PureRandomizer(description),
+);
+registerRandomizer(
+  {
+    id: 'friendly',
+    name: 'Friendly',
+    icon: '🤗',
+    description: 'More often gives pieces that fit your stack',
+  },
+  description => new FriendlyRandomizer(description),
+);
@@ -3,7 +3,7 @@
  * Creates delightful visual feedback for all game interactions
  */
 
-import { ANIMATIONS, TIMING, BOARD_CONFIG } from '../core/Constants.js';
+import { ANIMATIONS, TIMING, BOARD_CONFIG, MODE_CONFIG } from '../core/Constants.js';
 
 export class AnimationManager {
   constructor() {
@@ -39,9 +39,23 @@ export class AnimationManager {
     // Floating text effects
     this.floatingTexts = [];
 
+    // Board size in cells, for effects placed across the board
+    this.boardWidth = BOARD_CONFIG.WIDTH;
+    this.boardHeight = BOARD_CONFIG.HEIGHT;
+
     console.log('✨ AnimationManager initialized');
   }
 
+  /**
+   * Set the board size of the current game
+   * @param {number} width - Number of columns
+   * @param {number} height - Number of rows
+   */
+  setBoardSize(width, height) {
+    this.boardWidth = width;
+    this.boardHeight = height;
+  }
+
   /**
    * Create easing functions for smooth animations
    */
@@ -86,6 +100,9 @@ export class AnimationManager {
     // Update line clear animations
     this.updateLineClearAnimations(deltaTime);
 
+    // Update fading rows
+    this.updateRowFadeAnimations(deltaTime);
+
     // Update special effects
     this.updateSpecialEffects(deltaTime);
 
@@ -234,6 +251,31 @@ export class AnimationManager {
     }
   }
 
+  /**
+   * Gently fade out rows removed from the board (Zen mode making room at the top)
+   * @param {Array} rows - Removed rows as { y, cells }
+   * @param {number} duration - Fade duration in milliseconds
+   */
+  animateRowsFade(rows, duration = MODE_CONFIG.ZEN_CLEAR_DURATION) {
+    if (rows.length === 0) return;
+
+    this.activeAnimations.set(`rowsFade_${Date.now()}`, {
+      type: 'rowsFade',
+      rows: rows,
+      duration: duration,
+      elapsed: 0,
+      progress: 0,
+      easing: 'easeInOutQuad',
+    });
+
+    this.addFloatingText('Fresh start! 🌈', this.getBoardX(1 / 2), this.getBoardY(1 / 3), {
+      color: '#96CEB4',
+      size: 20,
+      duration: duration,
+      riseDistance: 30,
+    });
+  }
+
   /**
    * Animate level up with celebratory effects
    */
@@ -256,7 +298,7 @@ export class AnimationManager {
     this.triggerScreenShake(500, 5);
 
     // Floating congratulations text
-    this.addFloatingText('LEVEL UP!', BOARD_CONFIG.WIDTH / 2, BOARD_CONFIG.HEIGHT / 2, {
+    this.addFloatingText('LEVEL UP!', this.getBoardX(1 / 2), this.getBoardY(1 / 2), {
       color: '#FFD700',
       size: 24,
       duration: 1500,
@@ -283,14 +325,37 @@ export class AnimationManager {
     for (let i = 0; i < 15; i++) {
       setTimeout(() => {
         this.createSparkleParticle(
-          Math.random() * BOARD_CONFIG.WIDTH,
-          Math.random() * BOARD_CONFIG.HEIGHT,
+          Math.random() * this.boardWidth,
+          Math.random() * this.boardHeight,
           color,
         );
       }, i * 100);
     }
   }
 
+  /**
+   * Celebrate a perfect clear: the whole board emptied at once
+   */
+  animatePerfectClear() {
+    this.animateAchievement('PERFECT CLEAR!', '#00F5FF');
+    this.createLineClearCelebration(4, true);
+    this.triggerScreenShake(600, 8);
+
+    this.addFloatingText('💎 PERFECT CLEAR! 💎', this.getBoardX(1 / 2), this.getBoardY(2 / 5), {
+      color: '#00F5FF',
+      size: 32,
+      duration: 2500,
+      riseDistance: 50,
+      easing: 'easeOutBounce',
+    });
+    this.addFloatingText('Every block is gone!', this.getBoardX(1 / 2), this.getBoardY(1 / 2), {
+      color: '#FFFFFF',
+      size: 18,
+      duration: 2500,
+      riseDistance: 50,
+    });
+  }
+
   /**
    * Update piece movement animations
    */
@@ -373,6 +438,20 @@ export class AnimationManager {
     });
   }
 
+  /**
+   * Update fading row animations
+   */
+  updateRowFadeAnimations(deltaTime) {
+    this.activeAnimations.forEach(animation => {
+      if (animation.type === 'rowsFade') {
+        animation.elapsed += deltaTime;
+
+        const progress = Math.min(animation.elapsed / animation.duration, 1);
+        animation.progress = this.easingFunctions[animation.easing](progress);
+      }
+    });
+  }
+
   /**
    * Update special effects
    */
@@ -500,6 +579,10 @@ export class AnimationManager {
 
   /**
    * Add floating text effect
+   * @param {string} text - Text to show
+   * @param {number} x - Centre of the text in canvas pixels
+   * @param {number} y - Starting height in canvas pixels (the text rises from there)
+   * @param {Object} options - { color, size, duration, riseDistance, scale, easing }
    */
   addFloatingText(text, x, y, options = {}) {
     this.floatingTexts.push({
@@ -600,6 +683,55 @@ export class AnimationManager {
     };
   }
 
+  /**
+   * Call out advanced scoring moves over the board: T-spins, combos and back-to-backs
+   * @param {Object} move - { action, combo, backToBack } from GameLogic's linesClearing or
+   *   tSpin event
+   */
+  animateScoringCallouts({ action, combo = 0, backToBack = false }) {
+    const callouts = [];
+
+    // e.g. 'tSpinMiniDouble' -> 'T-Spin Mini Double!'
+    if (action.startsWith('tSpin')) {
+      const kind = action.slice('tSpin'.length).replace(/([A-Z])/g, ' $1');
+      callouts.push({ text: `🌀 T-Spin${kind}!`, color: '#C77DFF' });
+    }
+    if (backToBack) {
+      callouts.push({ text: '🔁 Back-to-Back!', color: '#FFD700' });
+    }
+    if (combo > 0) {
+      callouts.push({ text: `🔥 ${combo + 1}x Combo!`, color: '#FF9F43' });
+    }
+
+    callouts.forEach(({ text, color }, index) => {
+      this.addFloatingText(text, this.getBoardX(1 / 2), this.getBoardY(1 / 2) + index * 30, {
+        color,
+        size: 22,
+        duration: 1500,
+        riseDistance: 40,
+        easing: 'easeOutBounce',
+      });
+    });
+  }
+
+  /**
+   * Get a point across the board in canvas pixels
+   * @param {number} fraction - 0 for the left edge to 1 for the right edge
+   * @returns {number} - X in pixels
+   */
+  getBoardX(fraction) {
+    return this.boardWidth * BOARD_CONFIG.CELL_SIZE * fraction;
+  }
+
+  /**
+   * Get a point down the board in canvas pixels
+   * @param {number} fraction - 0 for the top to 1 for the bottom
+   * @returns {number} - Y in pixels
+   */
+  getBoardY(fraction) {
+    return this.boardHeight * BOARD_CONFIG.CELL_SIZE * fraction;
+  }
+
   /**
    * Create combo text effect
    */
@@ -614,7 +746,7 @@ export class AnimationManager {
     const colors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4'];
     const color = colors[(lineCount - 1) % colors.length];
 
-    this.addFloatingText(message, BOARD_CONFIG.WIDTH / 2, BOARD_CONFIG.HEIGHT / 3, {
+    this.addFloatingText(message, this.getBoardX(1 / 2), this.getBoardY(1 / 3), {
       color: color,
       size: 20,
       duration: 1200,
@@ -632,8 +764,8 @@ export class AnimationManager {
       for (let i = 0; i < 20; i++) {
         setTimeout(() => {
           this.createSparkleParticle(
-            Math.random() * BOARD_CONFIG.WIDTH * BOARD_CONFIG.CELL_SIZE,
-            Math.random() * BOARD_CONFIG.HEIGHT * BOARD_CONFIG.CELL_SIZE,
+            Math.random() * this.boardWidth * BOARD_CONFIG.CELL_SIZE,
+            Math.random() * this.boardHeight * BOARD_CONFIG.CELL_SIZE,
             `hsl(${Math.random() * 360}, 100%, 60%)`,
           );
         }, i * 50);
@@ -651,8 +783,8 @@ export class AnimationManager {
     for (let i = 0; i < 30; i++) {
       setTimeout(() => {
         this.createSparkleParticle(
-          Math.random() * BOARD_CONFIG.WIDTH * BOARD_CONFIG.CELL_SIZE,
-          Math.random() * BOARD_CONFIG.HEIGHT * BOARD_CONFIG.CELL_SIZE,
+          Math.random() * this.boardWidth * BOARD_CONFIG.CELL_SIZE,
+          Math.random() * this.boardHeight * BOARD_CONFIG.CELL_SIZE,
           colors[i % colors.length],
         );
       }, i * 100);
@@ -663,7 +795,7 @@ export class AnimationManager {
    * Create line clear particle
    */
   createLineClearParticle(lineY) {
-    const x = Math.random() * BOARD_CONFIG.WIDTH * BOARD_CONFIG.CELL_SIZE;
+    const x = Math.random() * this.boardWidth * BOARD_CONFIG.CELL_SIZE;
     const y = lineY * BOARD_CONFIG.CELL_SIZE;
 
     return this.createSparkleParticle(x, y, `hsl(${Math.random() * 360}, 100%, 70%)`);
@@ -728,6 +860,22 @@ export class AnimationManager {
     };
   }
 
+  /**
+   * Get rows that are fading out for rendering
+   * @returns {Array} - List of { rows, progress } with progress from 0 to 1
+   */
+  getFadingRows() {
+    const fadingRows = [];
+
+    this.activeAnimations.forEach(animation => {
+      if (animation.type === 'rowsFade') {
+        fadingRows.push({ rows: animation.rows, progress: animation.progress });
+      }
+    });
+
+    return fadingRows;
+  }
+
   /**
    * Clean up completed animations
    */
@@ -3,14 +3,41 @@
  * Handles all visual rendering with kid-friendly styling and smooth animations
  */
 
-import { BOARD_CONFIG, CANVAS_CONFIG, PIECES, COLORS, DEBUG } from '../core/Constants.js';
+import {
+  BOARD_CONFIG,
+  CANVAS_CONFIG,
+  COLORS,
+  DEBUG,
+  PUZZLE_CONFIG,
+  MODE_CONFIG,
+  ANIMATIONS,
+  NEXT_QUEUE_CONFIG,
+  HINT_CONFIG,
+  LOCK_DELAY_CONFIG,
+} from '../core/Constants.js';
+import { mixColors, hexToRgba } from '../utils/Utils.js';
 
 export class CanvasRenderer {
-  constructor(canvas, previewCanvas) {
+  constructor(canvas, previewCanvas, holdCanvas = null, queueCanvas = null) {
     this.canvas = canvas;
     this.previewCanvas = previewCanvas;
+    this.holdCanvas = holdCanvas;
+    this.queueCanvas = queueCanvas;
     this.ctx = canvas.getContext('2d');
     this.previewCtx = previewCanvas.getContext('2d');
+    this.holdCtx = holdCanvas ? holdCanvas.getContext('2d') : null;
+    this.queueCtx = queueCanvas ? queueCanvas.getContext('2d') : null;
+
+    // Next queue: how many pieces to show, and the slide-up when a piece is used
+    this.queueLength = NEXT_QUEUE_CONFIG.DEFAULT_SIZE;
+    this.lastQueueKey = '';
+    this.queueShiftTime = 0;
+
+    // Board size in cells and in game pixels (see setBoardSize)
+    this.boardWidth = BOARD_CONFIG.WIDTH;
+    this.boardHeight = BOARD_CONFIG.HEIGHT;
+    this.gameWidth = CANVAS_CONFIG.GAME_WIDTH;
+    this.gameHeight = CANVAS_CONFIG.GAME_HEIGHT;
 
     // Performance optimizations
     this.ctx.imageSmoothingEnabled = true;
@@ -75,6 +102,13 @@ export class CanvasRenderer {
         shadow: '#aa6600',
         glow: 'rgba(240, 160, 0, 0.5)',
       },
+      [PUZZLE_CONFIG.GARBAGE_COLOR]: {
+        // Puzzle garbage - Grey
+        main: PUZZLE_CONFIG.GARBAGE_COLOR,
+        highlight: '#c4cbd6',
+        shadow: '#5c6577',
+        glow: 'rgba(141, 153, 174, 0.3)',
+      },
     };
 
     // Animation properties
@@ -124,12 +158,18 @@ export class CanvasRenderer {
     const containerHeight = container ? container.clientHeight : window.innerHeight;
     
     // Calculate scale factor for mobile responsiveness
-    const gameAspectRatio = CANVAS_CONFIG.GAME_WIDTH / CANVAS_CONFIG.GAME_HEIGHT;
+    const gameAspectRatio = this.gameWidth / this.gameHeight;
     const maxWidth = Math.min(containerWidth * 0.9, 400); // Max 400px width on mobile
     const maxHeight = Math.min(containerHeight * 0.7, 800); // Max 800px height on mobile
     
-    let displayWidth = CANVAS_CONFIG.GAME_WIDTH;
+    // Every board size gets the height of the classic board, so small boards get bigger cells;
+    // very wide boards are limited by width instead
     let displayHeight = CANVAS_CONFIG.GAME_HEIGHT;
+    let displayWidth = displayHeight * gameAspectRatio;
+    if (displayWidth > CANVAS_CONFIG.MAX_DISPLAY_WIDTH) {
+      displayWidth = CANVAS_CONFIG.MAX_DISPLAY_WIDTH;
+      displayHeight = displayWidth / gameAspectRatio;
+    }
     
     // Scale down for mobile if necessary
     if (window.innerWidth <= 768) {
@@ -142,10 +182,6 @@ export class CanvasRenderer {
       }
     }
 
-    // Ensure minimum canvas size
-    displayWidth = Math.max(displayWidth, 200);
-    displayHeight = Math.max(displayHeight, 400);
-
     // Setup main canvas with responsive sizing
     this.canvas.width = displayWidth * dpr;
     this.canvas.height = displayHeight * dpr;
@@ -156,12 +192,12 @@ export class CanvasRenderer {
     this.canvas.style.objectFit = 'contain';
     
     // Store scale factors for rendering calculations
-    this.displayScale = displayWidth / CANVAS_CONFIG.GAME_WIDTH;
+    this.displayScale = displayWidth / this.gameWidth;
     this.pixelRatio = dpr;
     
-    // Reset and setup context
+    // Reset and setup context; drawing uses game pixels (CELL_SIZE per cell) at any display size
     this.ctx.setTransform(1, 0, 0, 1, 0, 0); // Reset any existing transforms
-    this.ctx.scale(dpr, dpr);
+    this.ctx.scale(dpr * this.displayScale, dpr * this.displayScale);
     this.ctx.imageSmoothingEnabled = true;
     this.ctx.imageSmoothingQuality = window.innerWidth <= 768 ? 'medium' : 'high';
 
@@ -199,11 +235,45 @@ export class CanvasRenderer {
         pixelWidth: this.previewCanvas.width,
         pixelHeight: this.previewCanvas.height
       });
+
+      // The hold slot matches the next piece preview
+      if (this.holdCanvas && this.holdCtx) {
+        this.holdCanvas.width = previewDisplaySize * dpr;
+        this.holdCanvas.height = previewDisplaySize * dpr;
+        this.holdCanvas.style.width = `${previewDisplaySize}px`;
+        this.holdCanvas.style.height = `${previewDisplaySize}px`;
+        this.holdCtx.setTransform(1, 0, 0, 1, 0, 0);
+        this.holdCtx.scale(dpr, dpr);
+      }
+
+      this.setupQueueCanvas();
     } else {
       console.warn('Preview canvas or context not available');
     }
   }
 
+  /**
+   * Resize the board drawn by this renderer and resize the canvas to match
+   * @param {number} width - Number of columns
+   * @param {number} height - Number of rows
+   */
+  setBoardSize(width, height) {
+    if (width === this.boardWidth && height === this.boardHeight) return;
+
+    this.boardWidth = width;
+    this.boardHeight = height;
+    this.gameWidth = width * BOARD_CONFIG.CELL_SIZE;
+    this.gameHeight = height * BOARD_CONFIG.CELL_SIZE;
+
+    // Lets CSS lay out wide boards (and the touch controls around them) differently
+    const gameMain = this.canvas.closest('.game-main');
+    if (gameMain) {
+      gameMain.dataset.boardShape = width > height * 0.6 ? 'wide' : 'tall';
+    }
+
+    this.setupCanvas();
+  }
+
   /**
    * Create background pattern for visual appeal
    */
@@ -245,13 +315,18 @@ export class CanvasRenderer {
       return;
     }
 
+    // Follow the board size of the game being drawn
+    if (Array.isArray(gameData.board) && gameData.board.length > 0) {
+      this.setBoardSize(gameData.board[0].length, gameData.board.length);
+    }
+
     try {
       const currentTime = performance.now();
       const deltaTime = currentTime - this.lastRenderTime;
       this.lastRenderTime = currentTime;
 
       // Clear main canvas
-      this.clearCanvas(this.ctx, CANVAS_CONFIG.GAME_WIDTH, CANVAS_CONFIG.GAME_HEIGHT);
+      this.clearCanvas(this.ctx, this.gameWidth, this.gameHeight);
 
       // Render background
       this.renderBackground();
@@ -261,14 +336,34 @@ export class CanvasRenderer {
         this.renderBoard(gameData.board);
       }
 
+      // Render rows fading out (Zen mode making room at the top)
+      if (gameData.fadingRows && gameData.fadingRows.length > 0) {
+        this.renderFadingRows(gameData.fadingRows);
+      }
+
+      // Warn before garbage rises from the bottom (Climb mode)
+      if (gameData.incomingGarbage) {
+        this.renderGarbageWarning(gameData.incomingGarbage);
+      }
+
       // Render ghost piece (preview where piece will land)
       if (gameData.ghostPiece && Array.isArray(gameData.ghostPiece) && gameData.ghostPiece.length > 0) {
         this.renderGhostPiece(gameData.ghostPiece);
       }
 
+      // Render the suggested spot when the player hesitates (placement hints)
+      if (gameData.hintPiece && gameData.hintPiece.length > 0) {
+        this.renderGhostPiece(gameData.hintPiece, true);
+      }
+
       // Render current piece
       if (gameData.currentPiece && Array.isArray(gameData.currentPiece) && gameData.currentPiece.length > 0) {
         this.renderPiece(gameData.currentPiece, false, interpolation);
+
+        // Show how close a landed piece is to locking
+        if (gameData.lockProgress > 0) {
+          this.renderLockProgress(gameData.currentPiece, gameData.lockProgress);
+        }
       }
 
       // Render clearing lines animation
@@ -279,6 +374,11 @@ export class CanvasRenderer {
       // Render particle effects
       this.updateAndRenderParticles(deltaTime);
 
+      // Render floating callouts (e.g. T-spins and combos with advanced scoring)
+      if (gameData.floatingTexts && gameData.floatingTexts.length > 0) {
+        this.renderFloatingTexts(gameData.floatingTexts);
+      }
+
       // Render level up animation
       if (this.levelUpAnimation.active) {
         this.renderLevelUpAnimation(deltaTime);
@@ -294,15 +394,20 @@ export class CanvasRenderer {
         this.renderFPS(1000 / deltaTime);
       }
 
-      // Render next piece preview
+      // Render next piece queue
       if (gameData.nextPieces && Array.isArray(gameData.nextPieces) && gameData.nextPieces.length > 0) {
-        this.renderNextPiece(gameData.nextPieces[0]);
+        this.renderNextQueue(gameData.nextPieces, deltaTime);
+      }
+
+      // Render held piece
+      if (this.holdCtx) {
+        this.renderHoldPiece(gameData.holdPiece, gameData.canHold !== false);
       }
     } catch (error) {
       console.error('Error during canvas rendering:', error);
       // Try to recover by clearing the canvas
       try {
-        this.clearCanvas(this.ctx, CANVAS_CONFIG.GAME_WIDTH, CANVAS_CONFIG.GAME_HEIGHT);
+        this.clearCanvas(this.ctx, this.gameWidth, this.gameHeight);
       } catch (clearError) {
         console.error('Failed to clear canvas after render error:', clearError);
       }
@@ -323,8 +428,8 @@ export class CanvasRenderer {
   getScaledDimensions() {
     const scale = this.displayScale || 1;
     return {
-      gameWidth: CANVAS_CONFIG.GAME_WIDTH * scale,
-      gameHeight: CANVAS_CONFIG.GAME_HEIGHT * scale,
+      gameWidth: this.gameWidth * scale,
+      gameHeight: this.gameHeight * scale,
       cellSize: BOARD_CONFIG.CELL_SIZE * scale,
       scale: scale
     };
@@ -335,19 +440,19 @@ export class CanvasRenderer {
    */
   renderBackground() {
     // Gradient background
-    const gradient = this.ctx.createLinearGradient(0, 0, 0, CANVAS_CONFIG.GAME_HEIGHT);
+    const gradient = this.ctx.createLinearGradient(0, 0, 0, this.gameHeight);
     gradient.addColorStop(0, '#1a1a2e');
     gradient.addColorStop(0.5, '#16213e');
     gradient.addColorStop(1, '#0f3460');
 
     this.ctx.fillStyle = gradient;
-    this.ctx.fillRect(0, 0, CANVAS_CONFIG.GAME_WIDTH, CANVAS_CONFIG.GAME_HEIGHT);
+    this.ctx.fillRect(0, 0, this.gameWidth, this.gameHeight);
 
     // Add subtle grid pattern
     if (this.backgroundPattern) {
       this.ctx.globalAlpha = 0.3;
       this.ctx.fillStyle = this.backgroundPattern;
-      this.ctx.fillRect(0, 0, CANVAS_CONFIG.GAME_WIDTH, CANVAS_CONFIG.GAME_HEIGHT);
+      this.ctx.fillRect(0, 0, this.gameWidth, this.gameHeight);
       this.ctx.globalAlpha = 1;
     }
   }
@@ -378,6 +483,48 @@ export class CanvasRenderer {
     }
   }
 
+  /**
+   * Render removed rows drifting up as they fade away
+   */
+  renderFadingRows(fadingRows) {
+    fadingRows.forEach(({ rows, progress }) => {
+      const alpha = 1 - progress;
+      const rise = progress * BOARD_CONFIG.CELL_SIZE;
+
+      rows.forEach(({ y, cells }) => {
+        cells.forEach((cell, x) => {
+          if (cell !== 0) {
+            const blockX = x * BOARD_CONFIG.CELL_SIZE;
+            const blockY = y * BOARD_CONFIG.CELL_SIZE - rise;
+            this.renderBlock(blockX, blockY, cell, false, alpha);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Render floating text from the AnimationManager, rising and fading out
+   */
+  renderFloatingTexts(floatingTexts) {
+    this.ctx.save();
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+    this.ctx.lineWidth = 4;
+    this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+
+    floatingTexts.forEach(text => {
+      const size = Math.round(text.size * text.currentScale);
+      this.ctx.globalAlpha = text.currentAlpha;
+      this.ctx.font = `bold ${size}px "Fredoka One", cursive`;
+      this.ctx.fillStyle = text.color;
+      this.ctx.strokeText(text.text, text.x, text.currentY);
+      this.ctx.fillText(text.text, text.x, text.currentY);
+    });
+
+    this.ctx.restore();
+  }
+
   /**
    * Render a single Tetris piece
    */
@@ -389,10 +536,35 @@ export class CanvasRenderer {
     });
   }
 
+  /**
+   * Light up a landed piece as its lock timer runs out
+   * @param {Array} piecePositions - Blocks of the piece
+   * @param {number} progress - 0 when the piece lands, up to 1 when it locks
+   */
+  renderLockProgress(piecePositions, progress) {
+    const size = BOARD_CONFIG.CELL_SIZE;
+    const color = LOCK_DELAY_CONFIG.INDICATOR_COLOR;
+
+    this.ctx.save();
+    this.ctx.fillStyle = hexToRgba(color, 0.45 * progress);
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = 2;
+
+    piecePositions.forEach(pos => {
+      this.roundRect(pos.x * size + 2, pos.y * size + 2, size - 4, size - 4, 6);
+      this.ctx.globalAlpha = 1;
+      this.ctx.fill();
+      this.ctx.globalAlpha = progress;
+      this.ctx.stroke();
+    });
+
+    this.ctx.restore();
+  }
+
   /**
    * Render ghost piece (transparent preview)
    */
-  renderGhostPiece(ghostPositions) {
+  renderGhostPiece(ghostPositions, isHint = false) {
     this.ctx.globalAlpha = 0.3;
     ghostPositions.forEach(pos => {
       const blockX = pos.x * BOARD_CONFIG.CELL_SIZE;
@@ -400,19 +572,45 @@ export class CanvasRenderer {
       this.renderBlock(blockX, blockY, pos.color, true, 1.0);
     });
     this.ctx.globalAlpha = 1.0;
+
+    if (isHint) {
+      this.renderHintOutline(ghostPositions);
+    }
+  }
+
+  /**
+   * Draw a gently pulsing, glowing outline around a suggested spot
+   */
+  renderHintOutline(positions) {
+    const size = BOARD_CONFIG.CELL_SIZE;
+    const pulse = 0.65 + 0.35 * Math.sin(performance.now() / 200);
+
+    this.ctx.save();
+    this.ctx.globalAlpha = pulse;
+    this.ctx.strokeStyle = HINT_CONFIG.COLOR;
+    this.ctx.lineWidth = 3;
+    this.ctx.shadowColor = HINT_CONFIG.COLOR;
+    this.ctx.shadowBlur = 12;
+
+    positions.forEach(pos => {
+      this.roundRect(pos.x * size + 2, pos.y * size + 2, size - 4, size - 4, 6);
+      this.ctx.stroke();
+    });
+
+    this.ctx.restore();
   }
 
   /**
    * Render a single block with kid-friendly styling
    */
   renderBlock(x, y, color, isGhost = false, alpha = 1.0) {
+    if (color === MODE_CONFIG.CLIMB_GARBAGE_COLOR && !isGhost) {
+      this.renderGarbageBlock(x, y, alpha);
+      return;
+    }
+
     const size = BOARD_CONFIG.CELL_SIZE;
-    const colors = this.blockColors[color] || {
-      main: color,
-      highlight: color,
-      shadow: color,
-      glow: 'rgba(255, 255, 255, 0.2)',
-    };
+    const colors = this.getBlockColors(color);
 
     this.ctx.save();
     this.ctx.globalAlpha = alpha;
@@ -479,6 +677,88 @@ export class CanvasRenderer {
     this.ctx.restore();
   }
 
+  /**
+   * Render a garbage block as flat, cracked stone so it stands out from the pieces
+   */
+  renderGarbageBlock(x, y, alpha = 1.0) {
+    const size = BOARD_CONFIG.CELL_SIZE;
+    const color = MODE_CONFIG.CLIMB_GARBAGE_COLOR;
+
+    this.ctx.save();
+    this.ctx.globalAlpha = alpha;
+
+    this.ctx.fillStyle = color;
+    this.roundRect(x + 1, y + 1, size - 2, size - 2, 3);
+    this.ctx.fill();
+
+    this.ctx.strokeStyle = mixColors(color, '#000000', 0.35);
+    this.ctx.lineWidth = 2;
+    this.roundRect(x + 2, y + 2, size - 4, size - 4, 3);
+    this.ctx.stroke();
+
+    // A small crack, mirrored on every other column so rows do not look tiled
+    const flip = Math.round(x / size) % 2 === 0 ? 1 : -1;
+    const centerX = x + size / 2;
+    this.ctx.strokeStyle = mixColors(color, '#000000', 0.25);
+    this.ctx.lineWidth = 1.5;
+    this.ctx.beginPath();
+    this.ctx.moveTo(centerX - flip * size * 0.3, y + size * 0.25);
+    this.ctx.lineTo(centerX, y + size * 0.5);
+    this.ctx.lineTo(centerX - flip * size * 0.1, y + size * 0.75);
+    this.ctx.stroke();
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Render the warning before garbage rises: a pulsing red glow at the bottom of the board
+   * and a bar that fills up until the rows come
+   */
+  renderGarbageWarning(incomingGarbage) {
+    const { rows, progress } = incomingGarbage;
+    const height = rows * BOARD_CONFIG.CELL_SIZE * 2;
+    const pulse = 0.5 + 0.5 * Math.sin(performance.now() / 120);
+
+    this.ctx.save();
+
+    const glow = this.ctx.createLinearGradient(0, this.gameHeight - height, 0, this.gameHeight);
+    glow.addColorStop(0, 'rgba(255, 70, 70, 0)');
+    glow.addColorStop(1, `rgba(255, 70, 70, ${0.15 + 0.35 * progress * pulse})`);
+    this.ctx.fillStyle = glow;
+    this.ctx.fillRect(0, this.gameHeight - height, this.gameWidth, height);
+
+    this.ctx.fillStyle = `rgba(255, 90, 90, ${0.6 + 0.4 * pulse})`;
+    this.ctx.fillRect(0, this.gameHeight - 4, this.gameWidth * progress, 4);
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Get the shades a block colour is drawn with
+   * Colours without a hand-picked palette (e.g. from other piece sets) are shaded automatically
+   * @param {string} color - Block colour
+   * @returns {Object} - { main, highlight, shadow, glow }
+   */
+  getBlockColors(color) {
+    if (!this.blockColors[color] && /^#[0-9a-f]{6}$/i.test(color)) {
+      this.blockColors[color] = {
+        main: color,
+        highlight: mixColors(color, '#ffffff', 0.5),
+        shadow: mixColors(color, '#000000', 0.3),
+        glow: hexToRgba(color, 0.5),
+      };
+    }
+
+    return (
+      this.blockColors[color] || {
+        main: color,
+        highlight: color,
+        shadow: color,
+        glow: 'rgba(255, 255, 255, 0.2)',
+      }
+    );
+  }
+
   /**
    * Helper function to draw rounded rectangles
    */
@@ -508,7 +788,7 @@ export class CanvasRenderer {
       this.ctx.globalAlpha = 0.5 + Math.sin(flashProgress * Math.PI) * 0.3;
 
       // Rainbow gradient for clearing lines
-      const gradient = this.ctx.createLinearGradient(0, y, CANVAS_CONFIG.GAME_WIDTH, y);
+      const gradient = this.ctx.createLinearGradient(0, y, this.gameWidth, y);
       gradient.addColorStop(0, '#ff6b6b');
       gradient.addColorStop(0.2, '#ffd93d');
       gradient.addColorStop(0.4, '#6bcf7f');
@@ -517,7 +797,7 @@ export class CanvasRenderer {
       gradient.addColorStop(1, '#96ceb4');
 
       this.ctx.fillStyle = gradient;
-      this.ctx.fillRect(0, y, CANVAS_CONFIG.GAME_WIDTH, BOARD_CONFIG.CELL_SIZE);
+      this.ctx.fillRect(0, y, this.gameWidth, BOARD_CONFIG.CELL_SIZE);
 
       this.ctx.globalAlpha = 1.0;
 
@@ -534,7 +814,7 @@ export class CanvasRenderer {
 
     // Create sparkles along the cleared line
     for (let i = 0; i < 8; i++) {
-      const x = (i / 7) * CANVAS_CONFIG.GAME_WIDTH;
+      const x = (i / 7) * this.gameWidth;
       this.sparkles.push({
         x: x,
         y: y,
@@ -606,8 +886,8 @@ export class CanvasRenderer {
     // Animated text
     this.ctx.save();
 
-    const centerX = CANVAS_CONFIG.GAME_WIDTH / 2;
-    const centerY = CANVAS_CONFIG.GAME_HEIGHT / 2;
+    const centerX = this.gameWidth / 2;
+    const centerY = this.gameHeight / 2;
 
     // Scale animation
     const scale = 0.5 + Math.sin(progress * Math.PI) * 0.5;
@@ -645,8 +925,8 @@ export class CanvasRenderer {
   createCelebrationParticles() {
     for (let i = 0; i < 3; i++) {
       this.sparkles.push({
-        x: Math.random() * CANVAS_CONFIG.GAME_WIDTH,
-        y: Math.random() * CANVAS_CONFIG.GAME_HEIGHT,
+        x: Math.random() * this.gameWidth,
+        y: Math.random() * this.gameHeight,
         vx: (Math.random() - 0.5) * 6,
         vy: (Math.random() - 0.5) * 6,
         size: Math.random() * 6 + 3,
@@ -657,74 +937,169 @@ export class CanvasRenderer {
     }
   }
 
+  /**
+   * Show 1 to NEXT_QUEUE_CONFIG.MAX_SIZE upcoming pieces
+   * @param {number} length - Pieces to show
+   */
+  setQueueLength(length) {
+    const { MIN_SIZE, MAX_SIZE } = NEXT_QUEUE_CONFIG;
+    this.queueLength = Math.min(MAX_SIZE, Math.max(MIN_SIZE, Math.round(length) || MIN_SIZE));
+    this.setupQueueCanvas();
+  }
+
+  /**
+   * Size the queue canvas for the smaller pieces after the first, hiding it when there are none
+   */
+  setupQueueCanvas() {
+    if (!this.queueCanvas || !this.queueCtx) return;
+
+    const dpr = this.pixelRatio || 1;
+    const width = this.previewDisplaySize || CANVAS_CONFIG.PREVIEW_SIZE;
+    const height = (this.queueLength - 1) * NEXT_QUEUE_CONFIG.SLOT_HEIGHT;
+
+    this.queueCanvas.classList.toggle('hidden', height === 0);
+    this.queueCanvas.width = width * dpr;
+    this.queueCanvas.height = height * dpr;
+    this.queueCanvas.style.width = `${width}px`;
+    this.queueCanvas.style.height = `${height}px`;
+    this.queueCtx.setTransform(1, 0, 0, 1, 0, 0);
+    this.queueCtx.scale(dpr, dpr);
+  }
+
+  /**
+   * Render the next piece large and the rest of the queue smaller below it
+   * When a piece is used, the queue slides up by one slot
+   * @param {Array} nextPieces - Upcoming pieces, next first
+   * @param {number} deltaTime - Time since the last frame (ms)
+   */
+  renderNextQueue(nextPieces, deltaTime) {
+    const queue = nextPieces.slice(0, this.queueLength);
+
+    const queueKey = queue.map(piece => piece.type).join('');
+    if (queueKey !== this.lastQueueKey) {
+      this.queueShiftTime = this.lastQueueKey ? ANIMATIONS.SLIDE_DURATION : 0;
+      this.lastQueueKey = queueKey;
+    }
+    this.queueShiftTime = Math.max(0, this.queueShiftTime - deltaTime);
+
+    // 1 right after a piece is used, down to 0 when the queue is in place
+    const shift = this.queueShiftTime / ANIMATIONS.SLIDE_DURATION;
+
+    this.renderNextPiece(queue[0], shift);
+
+    if (!this.queueCtx || queue.length < 2) return;
+
+    const { SLOT_HEIGHT, SMALL_SCALE } = NEXT_QUEUE_CONFIG;
+    const height = (this.queueLength - 1) * SLOT_HEIGHT;
+    this.clearCanvas(this.queueCtx, CANVAS_CONFIG.PREVIEW_SIZE, height);
+
+    queue.slice(1).forEach((piece, index) => {
+      this.renderPreviewPiece(this.queueCtx, piece, null, {
+        scale: SMALL_SCALE,
+        top: (index + shift) * SLOT_HEIGHT,
+        height: SLOT_HEIGHT,
+      });
+    });
+  }
+
   /**
    * Render next piece preview
+   * @param {Object} nextPiece - Next piece
+   * @param {number} shift - Slide-in progress, 1 (just arrived) to 0 (in place)
    */
-  renderNextPiece(nextPiece) {
+  renderNextPiece(nextPiece, shift = 0) {
     if (!nextPiece) return;
 
     // Clear preview canvas
     this.clearCanvas(this.previewCtx, CANVAS_CONFIG.PREVIEW_SIZE, CANVAS_CONFIG.PREVIEW_SIZE);
 
-    // Get piece shape and color
-    const piece = PIECES[nextPiece.type];
-    if (!piece) return;
+    this.previewCtx.save();
+    this.previewCtx.globalAlpha = 1 - shift * 0.5;
+    this.renderPreviewPiece(this.previewCtx, nextPiece, null, {
+      top: (shift * CANVAS_CONFIG.PREVIEW_SIZE) / 2,
+    });
+    this.previewCtx.restore();
+  }
+
+  /**
+   * Render the held piece, greyed out while it cannot be swapped back in
+   * @param {Object|null} holdPiece - Held piece
+   * @param {boolean} canHold - True if hold can be used for the current piece
+   */
+  renderHoldPiece(holdPiece, canHold) {
+    this.clearCanvas(this.holdCtx, CANVAS_CONFIG.PREVIEW_SIZE, CANVAS_CONFIG.PREVIEW_SIZE);
+    if (!holdPiece) return;
+
+    this.holdCtx.save();
+    if (!canHold) {
+      this.holdCtx.globalAlpha = 0.35;
+    }
+    this.renderPreviewPiece(this.holdCtx, holdPiece, canHold ? null : COLORS.HOLD_LOCKED);
+    this.holdCtx.restore();
+  }
+
+  /**
+   * Render a piece centred in a preview canvas
+   * @param {CanvasRenderingContext2D} ctx - Preview canvas context
+   * @param {Object} piece - Piece with its shape and colour (from any piece set)
+   * @param {string|null} colorOverride - Colour to draw with instead of the piece colour
+   * @param {Object} layout - Block scale (fraction of a cell) and the slot's top and height
+   */
+  renderPreviewPiece(ctx, piece, colorOverride = null, layout = {}) {
+    const { scale = 0.7, top = 0, height = CANVAS_CONFIG.PREVIEW_SIZE } = layout;
+    if (!piece?.shape) return;
 
     const shape = piece.shape;
-    const color = piece.color;
+    const color = colorOverride || piece.color;
+    const blockSize = BOARD_CONFIG.CELL_SIZE * scale;
 
     // Calculate centering offset
-    const pieceWidth = shape[0].length * (BOARD_CONFIG.CELL_SIZE * 0.7);
-    const pieceHeight = shape.length * (BOARD_CONFIG.CELL_SIZE * 0.7);
+    const pieceWidth = shape[0].length * blockSize;
+    const pieceHeight = shape.length * blockSize;
     const offsetX = (CANVAS_CONFIG.PREVIEW_SIZE - pieceWidth) / 2;
-    const offsetY = (CANVAS_CONFIG.PREVIEW_SIZE - pieceHeight) / 2;
+    const offsetY = top + (height - pieceHeight) / 2;
 
     // Render piece blocks
     for (let y = 0; y < shape.length; y++) {
       for (let x = 0; x < shape[y].length; x++) {
         if (shape[y][x]) {
-          const blockX = offsetX + x * (BOARD_CONFIG.CELL_SIZE * 0.7);
-          const blockY = offsetY + y * (BOARD_CONFIG.CELL_SIZE * 0.7);
-          this.renderPreviewBlock(blockX, blockY, color);
+          const blockX = offsetX + x * blockSize;
+          const blockY = offsetY + y * blockSize;
+          this.renderPreviewBlock(blockX, blockY, color, ctx, blockSize);
         }
       }
     }
   }
 
   /**
-   * Render a block in the preview canvas
+   * Render a block in a preview canvas
    */
-  renderPreviewBlock(x, y, color) {
-    const size = BOARD_CONFIG.CELL_SIZE * 0.7;
-    const colors = this.blockColors[color] || {
-      main: color,
-      highlight: color,
-      shadow: color,
-    };
+  renderPreviewBlock(x, y, color, ctx = this.previewCtx, size = BOARD_CONFIG.CELL_SIZE * 0.7) {
+    const colors = this.getBlockColors(color);
 
-    this.previewCtx.save();
+    ctx.save();
 
     // Add glow effect
-    this.previewCtx.shadowColor = colors.glow || 'rgba(255, 255, 255, 0.3)';
-    this.previewCtx.shadowBlur = 8;
+    ctx.shadowColor = colors.glow || 'rgba(255, 255, 255, 0.3)';
+    ctx.shadowBlur = 8;
 
     // Main block
-    this.previewCtx.fillStyle = colors.main;
-    this.previewCtx.beginPath();
-    this.previewCtx.roundRect(x + 1, y + 1, size - 2, size - 2, 4);
-    this.previewCtx.fill();
+    ctx.fillStyle = colors.main;
+    ctx.beginPath();
+    ctx.roundRect(x + 1, y + 1, size - 2, size - 2, 4);
+    ctx.fill();
 
     // Reset shadow
-    this.previewCtx.shadowColor = 'transparent';
-    this.previewCtx.shadowBlur = 0;
+    ctx.shadowColor = 'transparent';
+    ctx.shadowBlur = 0;
 
     // Highlight
-    this.previewCtx.fillStyle = colors.highlight;
-    this.previewCtx.beginPath();
-    this.previewCtx.roundRect(x + 3, y + 3, size - 12, size - 12, 2);
-    this.previewCtx.fill();
+    ctx.fillStyle = colors.highlight;
+    ctx.beginPath();
+    ctx.roundRect(x + 3, y + 3, size - 12, size - 12, 2);
+    ctx.fill();
 
-    this.previewCtx.restore();
+    ctx.restore();
   }
 
   /**
@@ -769,8 +1144,8 @@ export class CanvasRenderer {
 
     for (let i = 0; i < 20; i++) {
       this.sparkles.push({
-        x: CANVAS_CONFIG.GAME_WIDTH / 2,
-        y: CANVAS_CONFIG.GAME_HEIGHT / 2,
+        x: this.gameWidth / 2,
+        y: this.gameHeight / 2,
         vx: (Math.random() - 0.5) * 10,
         vy: (Math.random() - 0.5) * 10,
         size: Math.random() * 5 + 2,
@@ -812,20 +1187,20 @@ export class CanvasRenderer {
     this.ctx.lineWidth = 1;
 
     // Vertical lines
-    for (let x = 0; x <= BOARD_CONFIG.WIDTH; x++) {
+    for (let x = 0; x <= this.boardWidth; x++) {
       const lineX = x * BOARD_CONFIG.CELL_SIZE;
       this.ctx.beginPath();
       this.ctx.moveTo(lineX, 0);
-      this.ctx.lineTo(lineX, CANVAS_CONFIG.GAME_HEIGHT);
+      this.ctx.lineTo(lineX, this.gameHeight);
       this.ctx.stroke();
     }
 
     // Horizontal lines
-    for (let y = 0; y <= BOARD_CONFIG.HEIGHT; y++) {
+    for (let y = 0; y <= this.boardHeight; y++) {
       const lineY = y * BOARD_CONFIG.CELL_SIZE;
       this.ctx.beginPath();
       this.ctx.moveTo(0, lineY);
-      this.ctx.lineTo(CANVAS_CONFIG.GAME_WIDTH, lineY);
+      this.ctx.lineTo(this.gameWidth, lineY);
       this.ctx.stroke();
     }
   }
@@ -837,7 +1212,7 @@ export class CanvasRenderer {
     this.ctx.fillStyle = '#ffffff';
     this.ctx.font = '12px monospace';
     this.ctx.textAlign = 'right';
-    this.ctx.fillText(`FPS: ${Math.round(fps)}`, CANVAS_CONFIG.GAME_WIDTH - 10, 20);
+    this.ctx.fillText(`FPS: ${Math.round(fps)}`, this.gameWidth - 10, 20);
   }
 
   /**
@@ -0,0 +1,104 @@
+/**
+ * Tests for advanced scoring: T-spins, combos and back-to-backs
+ */
+
+import { GameSession } from '../game/GameSession.js';
+import { ScoreManager } from '../game/ScoreManager.js';
+import { SCORING } from '../core/Constants.js';
+import { fillBoard, play } from './helpers.js';
+
+function startGame(advancedScoring) {
+  const session = new GameSession();
+  session.start({ seed: 5, advancedScoring });
+
+  const moves = [];
+  session.gameLogic.on('linesClearing', data => moves.push(data));
+  session.gameLogic.on('tSpin', data => moves.push(data));
+  return { session, moves };
+}
+
+/**
+ * Put a piece right where it should lock and drop it, as if it had just been turned there
+ */
+function dropAt(session, type, x, y, turns = 0) {
+  const { gameLogic } = session;
+  let piece = gameLogic.pieceGenerator.createPiece(type);
+  for (let turn = 0; turn < turns; turn++) {
+    piece = gameLogic.pieceGenerator.rotatePiece(piece, true);
+  }
+
+  gameLogic.currentPiece = { ...piece, x, y };
+  gameLogic.lastRotation = turns > 0;
+  session.applyAction('drop');
+
+  // Let the line clear finish
+  play(session, 30);
+}
+
+// A T slot with both top corners covered: a T turned upside down into it is a T-spin double
+const T_SLOT = ['....X.X...', 'XXXX...XXX', 'XXXXX.XXXX'];
+
+describe('Advanced scoring', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('should score a T-spin double only with advanced scoring on', () => {
+    const advanced = startGame(true);
+    fillBoard(advanced.session.gameLogic, T_SLOT);
+    dropAt(advanced.session, 'T', 4, 17, 2);
+
+    expect(advanced.moves).toHaveLength(1);
+    expect(advanced.moves[0]).toMatchObject({ action: 'tSpinDouble', count: 2 });
+    expect(advanced.session.stateManager.getState().score).toBeGreaterThanOrEqual(
+      SCORING.T_SPIN_DOUBLE,
+    );
+
+    const classic = startGame(false);
+    fillBoard(classic.session.gameLogic, T_SLOT);
+    dropAt(classic.session, 'T', 4, 17, 2);
+
+    expect(classic.moves).toHaveLength(1);
+    expect(classic.moves[0]).toMatchObject({ action: 'double', combo: 0, backToBack: false });
+    expect(classic.session.stateManager.getState().score).toBeLessThan(SCORING.T_SPIN_DOUBLE);
+  });
+
+  test('should count combos and back-to-backs until a piece clears nothing', () => {
+    const { session, moves } = startGame(true);
+    const { gameLogic } = session;
+    const well = ['.XXXXXXXXX', '.XXXXXXXXX', '.XXXXXXXXX', '.XXXXXXXXX'];
+
+    // Two Tetrises in a row: a combo and a back-to-back
+    fillBoard(gameLogic, well);
+    dropAt(session, 'I', -2, 16, 1);
+    fillBoard(gameLogic, well);
+    dropAt(session, 'I', -2, 16, 1);
+
+    // A piece that clears nothing ends the combo but not the back-to-back
+    fillBoard(gameLogic, []);
+    dropAt(session, 'O', 4, 18);
+    fillBoard(gameLogic, well);
+    dropAt(session, 'I', -2, 16, 1);
+
+    expect(moves.map(({ action, combo, backToBack }) => [action, combo, backToBack])).toEqual([
+      ['tetris', 0, false],
+      ['tetris', 1, true],
+      ['tetris', 0, true],
+    ]);
+  });
+
+  test('should add T-spin, back-to-back and combo points', () => {
+    const scoreManager = new ScoreManager();
+
+    const tSpin = scoreManager.calculateScore('tSpinDouble', 2, { backToBack: true, combo: 2 });
+    expect(tSpin.basePoints).toBe(SCORING.T_SPIN_DOUBLE);
+    expect(tSpin.bonusPoints).toBeGreaterThanOrEqual(
+      SCORING.T_SPIN_DOUBLE * (SCORING.BACK_TO_BACK - 1) + SCORING.COMBO * 2,
+    );
+
+    // A T-spin that clears nothing still scores, but is not a line clear
+    const noLines = scoreManager.calculateScore('tSpin', 0, {});
+    expect(noLines.basePoints).toBe(SCORING.T_SPIN);
+    expect(noLines.consecutiveClears).toBe(tSpin.consecutiveClears);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for per-game board sizes
+ */
+
+import { GameSession } from '../game/GameSession.js';
+import { CanvasRenderer } from '../rendering/CanvasRenderer.js';
+import { BOARD_CONFIG, BOARD_LIMITS, BOARD_SIZES, CANVAS_CONFIG } from '../core/Constants.js';
+import { TICK } from './helpers.js';
+
+const SMALL = { boardWidth: BOARD_SIZES.SMALL.width, boardHeight: BOARD_SIZES.SMALL.height };
+
+describe('Board size', () => {
+  test('should play a small board with walls, floor and spawn to match', () => {
+    const session = new GameSession();
+    session.start({ seed: 12, ...SMALL });
+    const { gameLogic } = session;
+
+    const board = session.getGameData().board;
+    expect(board).toHaveLength(12);
+    expect(board.every(row => row.length === 6)).toBe(true);
+    expect(session.stateManager.getState().board).toEqual(board);
+
+    const piece = gameLogic.currentPiece;
+    expect(piece.x).toBe(Math.floor((6 - piece.shape[0].length) / 2));
+
+    for (let move = 0; move < 10; move++) {
+      gameLogic.applyAction('right');
+    }
+    const columns = gameLogic.getCurrentPiecePositions().map(pos => pos.x);
+    expect(Math.max(...columns)).toBe(5);
+
+    session.applyAction('drop');
+    session.update(TICK);
+    const lockedRows = session
+      .getGameData()
+      .board.map((row, y) => (row.some(cell => cell !== 0) ? y : -1))
+      .filter(y => y >= 0);
+    expect(Math.max(...lockedRows)).toBe(11);
+  });
+
+  test('should clamp sizes, keep puzzles classic and restore saved boards', () => {
+    const session = new GameSession();
+    session.start({ seed: 3, boardWidth: 2, boardHeight: 99 });
+    expect(session.gameLogic.getBoardSize()).toEqual({
+      width: BOARD_LIMITS.MIN_WIDTH,
+      height: BOARD_LIMITS.MAX_HEIGHT,
+    });
+
+    session.start({ mode: 'puzzle', ...SMALL });
+    expect(session.gameLogic.getBoardSize()).toEqual({
+      width: BOARD_CONFIG.WIDTH,
+      height: BOARD_CONFIG.HEIGHT,
+    });
+
+    const wide = new GameSession();
+    wide.start({ seed: 5, boardWidth: 16, boardHeight: 20 });
+    const restored = new GameSession();
+    restored.start({ seed: 5 });
+    restored.gameLogic.restore(wide.gameLogic.serialize());
+    expect(restored.gameLogic.getBoardSize()).toEqual({ width: 16, height: 20 });
+    expect(restored.gameLogic.collisionDetector.boardWidth).toBe(16);
+  });
+
+  test('should size the canvas to the board being drawn', () => {
+    const renderer = new CanvasRenderer(
+      document.createElement('canvas'),
+      document.createElement('canvas'),
+    );
+
+    renderer.render({ board: Array.from({ length: 12 }, () => Array(6).fill(0)) });
+    expect(renderer.gameWidth).toBe(6 * BOARD_CONFIG.CELL_SIZE);
+    expect(renderer.canvas.style.height).toBe(`${CANVAS_CONFIG.GAME_HEIGHT}px`);
+    expect(renderer.canvas.style.width).toBe(`${CANVAS_CONFIG.GAME_HEIGHT / 2}px`);
+
+    renderer.setBoardSize(20, 10);
+    expect(renderer.canvas.style.width).toBe(`${CANVAS_CONFIG.MAX_DISPLAY_WIDTH}px`);
+    expect(renderer.canvas.style.height).toBe(`${CANVAS_CONFIG.MAX_DISPLAY_WIDTH / 2}px`);
+  });
+});
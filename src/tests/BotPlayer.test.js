@@ -0,0 +1,77 @@
+/**
+ * Tests for the computer player
+ */
+
+import { BotPlayer } from '../game/BotPlayer.js';
+import { GameSession } from '../game/GameSession.js';
+import { VersusMatch } from '../game/VersusMatch.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { BOT_CONFIG, VERSUS_CONFIG } from '../core/Constants.js';
+import { TICK } from './helpers.js';
+
+function startBot(levelId, seed = 21) {
+  const session = new GameSession();
+  session.start({ seed, hold: true });
+  const bot = new BotPlayer(session.gameLogic, levelId, undefined, new SeededRandom(seed));
+  return { session, bot };
+}
+
+describe('BotPlayer', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('should drop an I piece down a well to clear four lines', () => {
+    const { session, bot } = startBot('HARD');
+    const { gameLogic } = session;
+
+    gameLogic.board = gameLogic.board.map((row, y) =>
+      row.map((_, x) => (y >= 16 && x !== 9 ? 1 : 0)),
+    );
+    gameLogic.currentPiece = gameLogic.pieceGenerator.createPiece('I');
+    bot.level = { ...bot.level, mistakeRate: 0, useHold: false };
+
+    const cleared = [];
+    gameLogic.on('linesClearing', data => cleared.push(data.count));
+    for (let tick = 0; tick < 120 && cleared.length === 0; tick++) {
+      bot.update(TICK);
+    }
+
+    expect(cleared).toEqual([4]);
+  });
+
+  test('should keep a hard game going and clear lines', () => {
+    const { session, bot } = startBot('HARD');
+
+    for (let tick = 0; tick < 60 * 60; tick++) {
+      bot.update(TICK);
+      session.update(TICK);
+    }
+
+    expect(session.isGameOver()).toBe(false);
+    expect(session.gameLogic.gameStats.piecesPlaced).toBeGreaterThan(40);
+    expect(session.getGameData().score.lines).toBeGreaterThan(10);
+  });
+
+  test('should play the second player of a versus match at its level', () => {
+    const match = new VersusMatch();
+    match.start({ seed: 8, computer: 'EASY' });
+
+    const [human, computer] = match.players;
+    expect(human.bot).toBeNull();
+    expect(computer.bot.level).toBe(BOT_CONFIG.LEVELS.EASY);
+
+    // Nothing happens during the countdown
+    for (let time = 0; time < VERSUS_CONFIG.COUNTDOWN; time += TICK) match.update(TICK);
+    expect(computer.session.gameLogic.gameStats.piecesPlaced).toBe(0);
+
+    for (let tick = 0; tick < 60 * 5; tick++) match.update(TICK);
+    expect(computer.session.gameLogic.gameStats.piecesPlaced).toBeGreaterThan(
+      human.session.gameLogic.gameStats.piecesPlaced,
+    );
+
+    // A normal versus match has no computer player
+    match.start({ seed: 8 });
+    expect(match.players.every(player => player.bot === null)).toBe(true);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Tests for Climb mode and rising garbage
+ */
+
+import { GameSession } from '../game/GameSession.js';
+import { MODE_CONFIG } from '../core/Constants.js';
+import { TICK } from './helpers.js';
+
+const GARBAGE = MODE_CONFIG.CLIMB_GARBAGE_COLOR;
+
+function startClimb() {
+  const session = new GameSession();
+  session.start({ seed: 13, mode: 'climb' });
+  return session;
+}
+
+describe('Climb mode', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('should warn and then raise a garbage row with one gap', () => {
+    const session = startClimb();
+    const mode = session.gameLogic.getMode();
+
+    expect(session.getGameData().incomingGarbage).toBeNull();
+
+    mode.riseTimer = MODE_CONFIG.CLIMB_RISE_INTERVAL - MODE_CONFIG.CLIMB_WARNING_TIME / 2;
+    expect(session.getGameData().incomingGarbage).toEqual({ rows: 1, progress: 0.5 });
+
+    mode.riseTimer = MODE_CONFIG.CLIMB_RISE_INTERVAL - TICK / 2;
+    session.update(TICK);
+
+    const bottomRow = session.getGameData().board.at(-1);
+    expect(bottomRow.filter(cell => cell === GARBAGE)).toHaveLength(bottomRow.length - 1);
+    expect(bottomRow.filter(cell => cell === 0)).toHaveLength(1);
+    expect(mode.rowsRisen).toBe(1);
+    expect(session.getGameData().incomingGarbage).toBeNull();
+  });
+
+  test('should raise rows sooner at higher levels', () => {
+    const session = startClimb();
+    const mode = session.gameLogic.getMode();
+
+    expect(mode.getRiseInterval(session.gameLogic)).toBe(MODE_CONFIG.CLIMB_RISE_INTERVAL);
+
+    session.stateManager.setState({ level: 4 });
+    expect(mode.getRiseInterval(session.gameLogic)).toBe(
+      MODE_CONFIG.CLIMB_RISE_INTERVAL - 3 * MODE_CONFIG.CLIMB_RISE_STEP,
+    );
+
+    session.stateManager.setState({ level: 50 });
+    expect(mode.getRiseInterval(session.gameLogic)).toBe(MODE_CONFIG.CLIMB_MIN_RISE_INTERVAL);
+  });
+
+  test('should push the falling piece up and end the game when the stack overflows', () => {
+    const session = startClimb();
+    const { gameLogic } = session;
+    const { height } = gameLogic.getBoardSize();
+
+    // Stack up to just under the falling piece
+    const pieceBottom = Math.max(...gameLogic.getCurrentPiecePositions().map(block => block.y));
+    gameLogic.board = gameLogic.board.map((row, y) =>
+      y > pieceBottom ? row.map((_, x) => (x === 0 ? 0 : GARBAGE)) : row,
+    );
+
+    const startY = gameLogic.currentPiece.y;
+    expect(gameLogic.addGarbageRows([3], GARBAGE)).toBe(true);
+    expect(gameLogic.currentPiece.y).toBeLessThan(startY);
+    expect(
+      gameLogic.collisionDetector.isValidPosition(gameLogic.currentPiece, gameLogic.board),
+    ).toBe(true);
+
+    // Keep rising until blocks are pushed off the top
+    for (let rise = 0; rise < height && !session.isGameOver(); rise++) {
+      gameLogic.addGarbageRows([rise % 10], GARBAGE);
+    }
+    expect(session.isGameOver()).toBe(true);
+    expect(session.stateManager.getState().modeResult).toMatchObject({
+      modeId: 'climb',
+      reason: 'topOut',
+    });
+  });
+});
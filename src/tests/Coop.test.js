@@ -0,0 +1,105 @@
+/**
+ * Tests for co-op play on one shared board
+ */
+
+import { CoopMatch } from '../game/CoopMatch.js';
+import { BOARD_CONFIG, COOP_CONFIG, TIMING } from '../core/Constants.js';
+import { TICK } from './helpers.js';
+
+function startMatch(options = {}) {
+  const match = new CoopMatch();
+  match.start({ seed: 15, ...options });
+  match.update(COOP_CONFIG.COUNTDOWN);
+  return match;
+}
+
+const pieceOf = (match, index) => match.getPlayerState(index).currentPiece;
+
+const cellsOf = (match, piece) =>
+  match.session.gameLogic.pieceGenerator.getPiecePositions(piece).map(({ x, y }) => `${x},${y}`);
+
+describe('CoopMatch', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('should give each player a piece over their own half of a double-width board', () => {
+    const match = startMatch();
+    const { board, currentPiece } = match.getGameData();
+    const half = BOARD_CONFIG.WIDTH;
+
+    expect(board[0]).toHaveLength(half * 2);
+    const columns = index => cellsOf(match, pieceOf(match, index)).map(cell => parseInt(cell));
+    expect(Math.max(...columns(0))).toBeLessThan(half);
+    expect(Math.min(...columns(1))).toBeGreaterThanOrEqual(half);
+    expect(currentPiece).toHaveLength(8);
+  });
+
+  test('should not let a piece move into the partner piece', () => {
+    const match = startMatch();
+    const partnerX = pieceOf(match, 1).x;
+
+    for (let move = 0; move < BOARD_CONFIG.WIDTH * 2; move++) {
+      match.applyAction(0, 'right');
+    }
+
+    const cells = cellsOf(match, pieceOf(match, 0));
+    expect(cells.some(cell => cellsOf(match, pieceOf(match, 1)).includes(cell))).toBe(false);
+    expect(pieceOf(match, 0).x).toBeLessThan(partnerX);
+    expect(match.applyAction(0, 'right')).toBe(false);
+    expect(pieceOf(match, 1).x).toBe(partnerX);
+  });
+
+  test('should rest a dropped piece on the partner piece without locking it in mid-air', () => {
+    const match = startMatch();
+    const { gameLogic } = match.session;
+    const place = (index, type, x, y) => {
+      gameLogic.selectPlayer(index);
+      gameLogic.currentPiece = { ...gameLogic.pieceGenerator.createPiece(type), x, y };
+    };
+    place(1, 'S', 3, 6);
+    place(0, 'Z', 3, 0);
+
+    // The drop stops on the S, but the Z waits there instead of locking
+    match.applyAction(0, 'drop');
+    expect(pieceOf(match, 0)).toMatchObject({ type: 'Z', y: 4 });
+    for (let time = 0; time < TIMING.LOCK_DELAY * 2; time += TICK) {
+      match.update(TICK);
+    }
+    expect(gameLogic.gameStats.piecesPlaced).toBe(0);
+    expect(pieceOf(match, 0).y + 2).toBeLessThanOrEqual(pieceOf(match, 1).y);
+
+    // Once the S has locked, the Z drops onto it
+    match.applyAction(1, 'drop');
+    match.applyAction(0, 'drop');
+    expect(gameLogic.gameStats.piecesPlaced).toBe(2);
+    const bottom = gameLogic.boardHeight - 1;
+    const filled = [bottom - 3, bottom - 2].map(y => gameLogic.board[y].slice(3, 6).map(Boolean));
+    expect(filled).toEqual([
+      [true, true, false],
+      [false, true, true],
+    ]);
+  });
+
+  test('should share line clears and the score between both players', () => {
+    const match = startMatch();
+    const { gameLogic } = match.session;
+    const bottom = gameLogic.boardHeight - 1;
+
+    // Fill the bottom row except where the second player's piece will land
+    const landing = cellsOf(match, match.getPlayerState(1).ghostPiece);
+    gameLogic.board[bottom] = gameLogic.board[bottom].map((_, x) =>
+      landing.includes(`${x},${bottom}`) ? 0 : '#8d99ae',
+    );
+    const partner = { ...pieceOf(match, 0) };
+
+    match.applyAction(1, 'drop');
+    expect(gameLogic.getClearingLines()).toEqual([bottom]);
+
+    match.update(TIMING.LINE_CLEAR_DELAY + TICK);
+    expect(match.getGameData().score.lines).toBe(1);
+    expect(match.getGameData().score.score).toBeGreaterThan(0);
+    expect(pieceOf(match, 1).y).toBeLessThanOrEqual(0);
+    expect(pieceOf(match, 0)).toMatchObject({ type: partner.type, x: partner.x });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for game modes, their goals and records
+ */
+
+import { GameEngine } from '../core/GameEngine.js';
+import { GameSession } from '../game/GameSession.js';
+import { createGameMode, getGameModes } from '../modes/ModeRegistry.js';
+import { ModeRecords } from '../modes/ModeRecords.js';
+import { GAME_STATES, MODE_CONFIG } from '../core/Constants.js';
+import { TICK, play } from './helpers.js';
+
+function startSession(mode) {
+  const session = new GameSession();
+  session.start({ seed: 42, mode });
+  return session;
+}
+
+describe('Game modes', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('should register the modes and fall back to the classic game', () => {
+    expect(getGameModes().map(mode => mode.id)).toEqual([
+      'marathon',
+      'sprint',
+      'ultra',
+      'zen',
+      'climb',
+      'puzzle',
+    ]);
+    expect(createGameMode('unknown').id).toBe(MODE_CONFIG.DEFAULT_MODE);
+    expect(createGameMode('sprint')).not.toBe(createGameMode('sprint'));
+  });
+
+  test('should finish a sprint once 40 lines are cleared', () => {
+    const session = startSession('sprint');
+
+    play(session, 60);
+    expect(session.isGameOver()).toBe(false);
+
+    session.gameLogic.gameStats.linesCleared = MODE_CONFIG.SPRINT_LINES;
+    session.update(TICK);
+
+    const { gameState, mode, modeResult } = session.stateManager.getState();
+    expect(session.isGameOver()).toBe(true);
+    expect(gameState).toBe(GAME_STATES.GAME_OVER);
+    expect(mode).toBe('sprint');
+    expect(modeResult).toMatchObject({ modeId: 'sprint', completed: true, reason: 'goalReached' });
+    expect(modeResult.time).toBeCloseTo(61 * TICK, 0);
+  });
+
+  test('should end ultra when the two minutes are up', () => {
+    const session = startSession('ultra');
+    const mode = session.gameLogic.getMode();
+
+    mode.elapsedTime = MODE_CONFIG.ULTRA_TIME_LIMIT - TICK * 2;
+    session.update(TICK);
+    expect(session.isGameOver()).toBe(false);
+    expect(session.getGameData().modeStatus[0].value).toBe('0:00.01');
+
+    session.update(TICK);
+    expect(session.isGameOver()).toBe(true);
+    expect(session.stateManager.getState().modeResult).toMatchObject({
+      modeId: 'ultra',
+      completed: true,
+      reason: 'timeUp',
+    });
+  });
+
+  test('should clear the top rows instead of ending a zen game', () => {
+    const session = startSession('zen');
+    const { gameLogic } = session;
+    const cleared = [];
+    gameLogic.on('topRowsCleared', data => cleared.push(data));
+
+    // Fill the board up to the top, leaving a hole in every row so no lines clear
+    gameLogic.board = gameLogic.board.map(() => [0, 1, 1, 1, 1, 1, 1, 1, 1, 1]);
+    gameLogic.spawnNewPiece();
+
+    expect(session.isGameOver()).toBe(false);
+    expect(cleared[0].rows).toHaveLength(MODE_CONFIG.ZEN_CLEAR_ROWS);
+    expect(gameLogic.board[0].every(cell => cell === 0)).toBe(true);
+    expect(gameLogic.board[MODE_CONFIG.ZEN_CLEAR_ROWS][1]).toBe(1);
+    expect(gameLogic.mode.getFallSpeed(100)).toBe(MODE_CONFIG.ZEN_FALL_SPEED);
+  });
+
+  test('should only end a zen game when the player finishes it', () => {
+    const session = startSession('zen');
+    expect(startSession('marathon').gameLogic.finishGame()).toBe(false);
+
+    expect(session.gameLogic.finishGame()).toBe(true);
+    expect(session.isGameOver()).toBe(true);
+    expect(session.stateManager.getState().modeResult).toMatchObject({
+      modeId: 'zen',
+      completed: true,
+      reason: 'finished',
+    });
+  });
+
+  test('should keep only better results as records', () => {
+    const records = new ModeRecords();
+    const sprint = createGameMode('sprint');
+
+    const first = records.submitResult(sprint, { completed: true, time: 90000 });
+    const slower = records.submitResult(sprint, { completed: true, time: 95000 });
+    const unfinished = records.submitResult(sprint, { completed: false, time: 10000 });
+    const faster = records.submitResult(sprint, { completed: true, time: 80000 });
+
+    expect(first.isNewRecord).toBe(true);
+    expect(slower).toMatchObject({ isNewRecord: false, record: { time: 90000 } });
+    expect(unfinished.isNewRecord).toBe(false);
+    expect(faster.isNewRecord).toBe(true);
+    expect(new ModeRecords().getRecord('sprint').time).toBe(80000);
+  });
+
+  test('should save the record when the engine finishes a mode', () => {
+    const engine = new GameEngine();
+    engine.initialize();
+    engine.startNewGame({ seed: 8, mode: 'sprint' });
+
+    engine.gameLogic.gameStats.linesCleared = MODE_CONFIG.SPRINT_LINES;
+    engine.update(TICK);
+
+    expect(engine.stateManager.getState().modeResult.isNewRecord).toBe(true);
+    expect(new ModeRecords().getRecord('sprint')).not.toBeNull();
+
+    engine.stop();
+  });
+});
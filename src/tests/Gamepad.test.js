@@ -0,0 +1,99 @@
+/**
+ * Tests for game controllers, using mocked Gamepad objects
+ */
+
+import { GamepadInput, describeButton } from '../input/GamepadInput.js';
+import { InputController } from '../input/InputController.js';
+import { MenuSystem } from '../ui/MenuSystem.js';
+import { GAMEPAD_CONFIG, HANDLING_CONFIG } from '../core/Constants.js';
+
+const { left: DPAD_LEFT, rotate: BUTTON_A } = GAMEPAD_CONFIG.PRESETS.standard.keys;
+
+/**
+ * Make a mocked controller with nothing pressed
+ */
+function createGamepad(index = 0) {
+  return {
+    index,
+    connected: true,
+    buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 })),
+    axes: [0, 0, 0, 0],
+  };
+}
+
+describe('Gamepad input', () => {
+  afterEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = '';
+  });
+
+  test('should report buttons and the left stick as they change', () => {
+    const gamepad = createGamepad();
+    let gamepads = [gamepad];
+    const input = new GamepadInput(() => gamepads);
+    const events = [];
+    input.on('buttonDown', ({ button }) => events.push(`down ${describeButton(button)}`));
+    input.on('buttonUp', ({ button }) => events.push(`up ${describeButton(button)}`));
+
+    gamepad.buttons[BUTTON_A].pressed = true;
+    input.poll();
+    input.poll();
+    expect(events).toEqual(['down A']);
+
+    gamepad.buttons[BUTTON_A].pressed = false;
+    gamepad.axes[0] = -0.9;
+    input.poll();
+    expect(events).toEqual(['down A', 'up A', 'down D-Pad ←']);
+
+    // Unplugging lets go of everything
+    gamepads = [null];
+    input.poll();
+    expect(events[events.length - 1]).toBe('up D-Pad ←');
+    expect(input.isConnected()).toBe(false);
+  });
+
+  test('should turn buttons into input actions with DAS on the d-pad', () => {
+    const gamepad = createGamepad();
+    const inputController = new InputController();
+    inputController.gamepad.getGamepads = () => [gamepad];
+    const inputs = [];
+    inputController.on('input', ({ action, type }) => inputs.push(`${action} ${type}`));
+
+    gamepad.buttons[DPAD_LEFT].pressed = true;
+    inputController.update(0);
+    expect(inputs).toEqual(['left start']);
+
+    // Held past the delay, the d-pad repeats like a held key
+    inputController.update(HANDLING_CONFIG.DEFAULTS.das);
+    expect(inputs).toEqual(['left start', 'left repeat']);
+
+    gamepad.buttons[DPAD_LEFT].pressed = false;
+    inputController.update(500);
+    expect(inputs).toEqual(['left start', 'left repeat', 'left end']);
+
+    // Rebound buttons do the new action
+    inputController.gamepadBindings.applyPreset('swapped');
+    gamepad.buttons[BUTTON_A].pressed = true;
+    inputController.update(16);
+    expect(inputs[inputs.length - 1]).toBe('rotateCounterClockwise start');
+  });
+
+  test('should rebind a controller button from the controls screen', () => {
+    document.body.innerHTML = '<div id="menuContainer"></div>';
+    const menuSystem = new MenuSystem();
+    const status = () =>
+      menuSystem.screens.get('controls').querySelector('.controls-status').textContent;
+
+    menuSystem.startKeyCapture('gamepad', 'hold');
+    menuSystem.handleGamepadButton(BUTTON_A);
+    expect(status()).toContain('already used for Turn Right');
+    expect(menuSystem.gamepadBindings.getKey('hold')).toBe(
+      GAMEPAD_CONFIG.PRESETS.standard.keys.hold,
+    );
+
+    menuSystem.handleGamepadButton(3);
+    expect(status()).toBe('✅ Hold is now Y');
+    expect(menuSystem.capturing).toBeNull();
+    expect(menuSystem.gamepadBindings.getPresetId()).toBeNull();
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for handling: how held moves repeat (DAS, ARR, soft drop speed and DAS cut)
+ */
+
+import { jest } from '@jest/globals';
+import { AutoRepeat, getPlayerHandling, slide } from '../input/AutoRepeat.js';
+import { GameSession } from '../game/GameSession.js';
+import { GameEngine } from '../core/GameEngine.js';
+import { InputController } from '../input/InputController.js';
+import { HANDLING_CONFIG } from '../core/Constants.js';
+import { TICK } from './helpers.js';
+
+/**
+ * Make a repeater that records every repeat it asks for
+ */
+function createRepeater(handling) {
+  const repeats = [];
+  const repeater = new AutoRepeat(handling, (action, type) => repeats.push(`${action}:${type}`));
+  return { repeater, repeats };
+}
+
+describe('Handling', () => {
+  test('should wait the DAS before repeating at the ARR', () => {
+    const { repeater, repeats } = createRepeater({ das: 100, arr: 20 });
+    repeater.press('ArrowLeft', 'left');
+
+    repeater.update(90);
+    expect(repeats).toHaveLength(0);
+
+    repeater.update(45);
+    expect(repeats).toEqual(['left:repeat', 'left:repeat']);
+
+    // Letting go stops the repeats
+    repeater.release('ArrowLeft');
+    repeater.update(100);
+    expect(repeats).toHaveLength(2);
+  });
+
+  test('should slide all the way with an ARR of 0', () => {
+    const { repeater, repeats } = createRepeater({ das: 100, arr: 0 });
+    repeater.press('ArrowRight', 'right');
+    repeater.update(100);
+    expect(repeats).toEqual(['right:shift']);
+
+    const session = new GameSession();
+    session.start({ seed: 3 });
+    slide(() => session.applyAction('right'));
+    expect(session.gameLogic.movePiece('right')).toBe(false);
+  });
+
+  test('should pace the soft drop by the fall speed and hold back moves after turning', () => {
+    const { repeater, repeats } = createRepeater({ das: 100, arr: 20, softDropFactor: 10 });
+    repeater.setFallSpeedProvider(() => 500);
+    expect(repeater.getSoftDropInterval()).toBe(50);
+
+    repeater.press('ArrowDown', 'down');
+    repeater.update(100);
+    expect(repeats).toEqual(['down:repeat', 'down:repeat']);
+
+    repeats.length = 0;
+    repeater.release('ArrowDown');
+    repeater.setHandling({ das: 50, arr: 20, dasCut: 200 });
+    repeater.press('ArrowLeft', 'left');
+    repeater.press('ArrowUp', 'rotate');
+    repeater.update(150);
+    expect(repeats).toHaveLength(0);
+    repeater.update(50);
+    expect(repeats).toEqual(['left:repeat']);
+  });
+
+  test('should read each player handling from the menu settings', () => {
+    const settings = { das: { 0: '83', 1: '200' }, arr: { 0: '0' } };
+
+    expect(getPlayerHandling(settings, 0)).toEqual({
+      ...HANDLING_CONFIG.DEFAULTS,
+      das: 83,
+      arr: 0,
+    });
+    expect(getPlayerHandling(settings, 1)).toEqual({ ...HANDLING_CONFIG.DEFAULTS, das: 200 });
+    expect(getPlayerHandling({}, 1)).toEqual(HANDLING_CONFIG.DEFAULTS);
+  });
+
+  test('should repeat a held key once per engine step', () => {
+    const { requestAnimationFrame } = window;
+    const frames = [];
+    let now = 0;
+    window.requestAnimationFrame = callback => frames.push(callback);
+    jest.spyOn(performance, 'now').mockImplementation(() => now);
+
+    const engine = new GameEngine();
+    const inputController = new InputController();
+    engine.initialize({ input: inputController });
+    const repeats = [];
+    inputController.on('input', ({ action, type }) => {
+      if (type === 'repeat') repeats.push(action);
+    });
+
+    try {
+      engine.startNewGame({ seed: 5 });
+      document.dispatchEvent(new KeyboardEvent('keydown', { code: 'ArrowLeft' }));
+
+      // Hold the key for 520ms of frames: the DAS, then a repeat every ARR
+      while (now < 520) {
+        now += TICK;
+        frames.shift()();
+      }
+      const { das, arr } = HANDLING_CONFIG.DEFAULTS;
+      expect(repeats).toHaveLength(Math.floor((500 - das) / arr) + 1);
+    } finally {
+      document.dispatchEvent(new KeyboardEvent('keyup', { code: 'ArrowLeft' }));
+      engine.stop();
+      window.requestAnimationFrame = requestAnimationFrame;
+      jest.restoreAllMocks();
+    }
+  });
+});
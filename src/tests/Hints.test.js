@@ -0,0 +1,87 @@
+/**
+ * Tests for placement hints
+ */
+
+import { HintSystem } from '../game/HintSystem.js';
+import { GameSession } from '../game/GameSession.js';
+import { HINT_CONFIG } from '../core/Constants.js';
+import { TICK } from './helpers.js';
+
+function startHints(options = {}) {
+  const session = new GameSession();
+  const hints = new HintSystem(session.gameLogic);
+  hints.initialize(session.stateManager);
+
+  session.start({ seed: 4, ...options });
+  hints.reset(options);
+  return { session, hints };
+}
+
+function waitForHint(hints) {
+  for (let time = 0; time < HINT_CONFIG.DELAY; time += TICK) {
+    hints.update(TICK);
+  }
+}
+
+describe('HintSystem', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('should outline the best spot once the player stops moving', () => {
+    const { session, hints } = startHints({ difficulty: 'EASY' });
+    const { gameLogic } = session;
+
+    // Four nearly full rows with a well: the I piece belongs down the well
+    gameLogic.board = gameLogic.board.map((row, y) =>
+      row.map((_, x) => (y >= 16 && x !== 9 ? 1 : 0)),
+    );
+    gameLogic.currentPiece = gameLogic.pieceGenerator.createPiece('I');
+
+    hints.update(HINT_CONFIG.DELAY - TICK);
+    session.applyAction('left');
+    hints.update(TICK * 2);
+    expect(hints.getHintPositions()).toEqual([]);
+
+    waitForHint(hints);
+    const positions = hints.getHintPositions();
+    expect(positions.map(({ x, y }) => [x, y])).toEqual([
+      [9, 16],
+      [9, 17],
+      [9, 18],
+      [9, 19],
+    ]);
+    expect(session.stateManager.getState().hintsUsed).toBe(1);
+
+    // The hint goes away with the piece
+    session.applyAction('drop');
+    session.update(1000);
+    expect(hints.getHintPositions()).toEqual([]);
+  });
+
+  test('should limit hints on harder difficulties', () => {
+    const { session, hints } = startHints({ difficulty: 'HARD' });
+
+    for (let piece = 0; piece < HINT_CONFIG.MAX_HINTS.HARD + 2; piece++) {
+      waitForHint(hints);
+      session.applyAction('drop');
+      session.update(TICK);
+    }
+
+    expect(hints.hintsUsed).toBe(HINT_CONFIG.MAX_HINTS.HARD);
+    expect(hints.getHintsLeft()).toBe(0);
+    expect(session.stateManager.getState().hintsUsed).toBe(HINT_CONFIG.MAX_HINTS.HARD);
+
+    const easy = startHints({ difficulty: 'EASY' }).hints;
+    expect(easy.getHintsLeft()).toBeNull();
+  });
+
+  test('should stay quiet when hints are turned off', () => {
+    const { hints } = startHints({ difficulty: 'EASY', hints: false });
+
+    waitForHint(hints);
+    hints.update(HINT_CONFIG.DELAY);
+    expect(hints.getHintPositions()).toEqual([]);
+    expect(hints.hintsUsed).toBe(0);
+  });
+});
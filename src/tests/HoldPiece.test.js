@@ -0,0 +1,81 @@
+/**
+ * Tests for holding a piece
+ */
+
+import { GameSession } from '../game/GameSession.js';
+import { ReplayRecorder } from '../game/ReplayRecorder.js';
+import { ReplayPlayer } from '../game/ReplayPlayer.js';
+import { TICK } from './helpers.js';
+
+function startGame(options = {}) {
+  const session = new GameSession();
+  session.start({ seed: 7, ...options });
+  return session;
+}
+
+describe('Hold piece', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('should hold the piece and bring in the next one, once per piece', () => {
+    const session = startGame();
+    const { gameLogic } = session;
+    const first = gameLogic.currentPiece.type;
+    const second = gameLogic.nextPiece.type;
+
+    gameLogic.applyAction('rotate');
+    expect(session.applyAction('hold')).toBe(true);
+    expect(gameLogic.heldPiece).toMatchObject({ type: first, rotation: 0, y: 0 });
+    expect(gameLogic.currentPiece.type).toBe(second);
+    expect(session.getGameData()).toMatchObject({ canHold: false, holdEnabled: true });
+
+    // Only once until the piece locks
+    expect(session.applyAction('hold')).toBe(false);
+
+    session.applyAction('drop');
+    session.update(TICK);
+    expect(gameLogic.canHold).toBe(true);
+
+    // The held piece swaps back in at the top
+    const third = gameLogic.currentPiece.type;
+    expect(session.applyAction('hold')).toBe(true);
+    expect(gameLogic.currentPiece).toMatchObject({ type: first, rotation: 0, y: 0 });
+    expect(gameLogic.heldPiece.type).toBe(third);
+  });
+
+  test('should not hold when turned off for the game', () => {
+    const session = startGame({ hold: false });
+
+    expect(session.applyAction('hold')).toBe(false);
+    expect(session.gameLogic.heldPiece).toBeNull();
+    expect(session.getGameData().holdEnabled).toBe(false);
+  });
+
+  test('should replay and save games that use hold', () => {
+    const session = startGame({ seed: 99 });
+    const recorder = new ReplayRecorder(session.gameLogic);
+    recorder.initialize(session.stateManager);
+    recorder.reset({ seed: 99 });
+
+    ['hold', 'drop', 'hold', 'left', 'drop'].forEach(action => {
+      session.update(TICK);
+      session.applyAction(action);
+    });
+    session.update(TICK);
+
+    const replay = recorder.finishRecording();
+    expect(replay.actions.map(([, code]) => code)).toContain('H');
+
+    const player = new ReplayPlayer(replay);
+    player.seek(replay.ticks);
+    expect(player.getGameData().board).toEqual(session.getGameData().board);
+    expect(player.getGameData().holdPiece).toEqual(session.getGameData().holdPiece);
+
+    const restored = new GameSession();
+    restored.start({ seed: 99 });
+    restored.gameLogic.restore(session.gameLogic.serialize());
+    expect(restored.gameLogic.heldPiece).toEqual(session.gameLogic.heldPiece);
+    expect(restored.gameLogic.canHold).toBe(session.gameLogic.canHold);
+  });
+});
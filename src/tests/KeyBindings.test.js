@@ -0,0 +1,59 @@
+/**
+ * Tests for key bindings: presets, conflicts, storage and the keyboard input path
+ */
+
+import { KeyBindings, describeKey } from '../input/KeyBindings.js';
+import { GameEngine } from '../core/GameEngine.js';
+import { CONTROLS_CONFIG } from '../core/Constants.js';
+
+describe('Key bindings', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('should start with the arrow keys and switch to a preset', () => {
+    const keyBindings = new KeyBindings();
+    expect(keyBindings.getPresetId()).toBe('arrows');
+    expect(keyBindings.getAction('ArrowUp')).toBe('rotate');
+
+    keyBindings.applyPreset('wasd');
+    expect(keyBindings.getPresetId()).toBe('wasd');
+    expect(keyBindings.getKey('left')).toBe('KeyA');
+    expect(keyBindings.getAction('ArrowLeft')).toBeUndefined();
+
+    // Every preset gives each action its own key
+    Object.values(CONTROLS_CONFIG.PRESETS).forEach(preset => {
+      const keys = Object.values(preset.keys);
+      expect(new Set(keys).size).toBe(Object.keys(CONTROLS_CONFIG.ACTIONS).length);
+    });
+  });
+
+  test('should refuse a key another action uses and remember new keys', () => {
+    const keyBindings = new KeyBindings();
+
+    expect(keyBindings.bind('hold', 'KeyZ')).toBe('rotateCounterClockwise');
+    expect(keyBindings.getKey('hold')).toBe('KeyC');
+
+    expect(keyBindings.bind('hold', 'ShiftLeft')).toBeNull();
+    expect(() => keyBindings.bind('pause', 'Escape')).toThrow();
+
+    const reloaded = new KeyBindings();
+    expect(reloaded.getKey('hold')).toBe('ShiftLeft');
+    expect(reloaded.getPresetId()).toBeNull();
+    expect(describeKey(reloaded.getKey('hold'))).toBe('Left Shift');
+    expect(describeKey('KeyQ')).toBe('Q');
+  });
+
+  test('should steer the game with the rebound keys', () => {
+    const engine = new GameEngine();
+    const keyBindings = new KeyBindings();
+    keyBindings.applyPreset('leftHanded');
+    engine.setKeyBindings(keyBindings);
+
+    const actions = [];
+    const gameLogic = { applyAction: action => actions.push(action) };
+    ['KeyA', 'KeyK', 'ArrowLeft', 'KeyW'].forEach(key => engine.handleGameInput(key, gameLogic));
+
+    expect(actions).toEqual(['left', 'rotate', 'drop']);
+  });
+});
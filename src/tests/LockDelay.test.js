@@ -0,0 +1,74 @@
+/**
+ * Tests for the lock delay: how long a landed piece waits and what restarts its timer
+ */
+
+import { GameSession } from '../game/GameSession.js';
+import { DIFFICULTY_LEVELS } from '../core/Constants.js';
+import { play } from './helpers.js';
+
+/**
+ * Start a game and let the first piece fall all the way down
+ */
+function startLanded(options) {
+  const session = new GameSession();
+  session.start({ seed: 9, difficulty: 'NORMAL', ...options });
+
+  while (session.gameLogic.movePiece('down'));
+  return session;
+}
+
+function isLocked(session) {
+  return session.gameLogic.gameStats.piecesPlaced > 0;
+}
+
+describe('Lock delay', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('should restart the timer on moves up to the reset limit', () => {
+    const session = startLanded({ lockReset: 'move', maxLockResets: 2 });
+
+    // Two moves on the ground each give the full delay again
+    play(session, 20);
+    session.applyAction('left');
+    play(session, 20);
+    session.applyAction('rotate');
+    play(session, 20);
+    expect(isLocked(session)).toBe(false);
+
+    // The third does not
+    session.applyAction('right');
+    play(session, 12);
+    expect(isLocked(session)).toBe(true);
+  });
+
+  test('should keep going forever with infinite reset but not with step reset', () => {
+    const endless = startLanded({ lockReset: 'infinite' });
+    for (let move = 0; move < 20; move++) {
+      play(endless, 20);
+      endless.applyAction(move % 2 === 0 ? 'left' : 'right');
+    }
+    expect(isLocked(endless)).toBe(false);
+
+    const classic = startLanded({ lockReset: 'step' });
+    play(classic, 20);
+    classic.applyAction('left');
+    play(classic, 12);
+    expect(isLocked(classic)).toBe(true);
+  });
+
+  test('should give Easy games a longer delay and report lock progress', () => {
+    const session = startLanded({ difficulty: 'EASY' });
+    expect(session.gameLogic.lockDelay).toBe(DIFFICULTY_LEVELS.EASY.lockDelay);
+    expect(DIFFICULTY_LEVELS.EASY.lockDelay).toBeGreaterThan(DIFFICULTY_LEVELS.NORMAL.lockDelay);
+    expect(session.getGameData().lockProgress).toBe(0);
+
+    play(session, 30);
+    expect(isLocked(session)).toBe(false);
+    expect(session.getGameData().lockProgress).toBeCloseTo(0.5, 1);
+
+    play(session, 31);
+    expect(isLocked(session)).toBe(true);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Tests for the next piece queue
+ */
+
+import { GameSession } from '../game/GameSession.js';
+import { CanvasRenderer } from '../rendering/CanvasRenderer.js';
+import { NEXT_QUEUE_CONFIG } from '../core/Constants.js';
+import { TICK } from './helpers.js';
+
+describe('Next queue', () => {
+  test('should list the pieces in the order they spawn', () => {
+    const session = new GameSession();
+    session.start({ seed: 31 });
+
+    const queue = session.getGameData().nextPieces.map(piece => piece.type);
+    expect(queue).toHaveLength(NEXT_QUEUE_CONFIG.MAX_SIZE);
+    expect(queue[0]).toBe(session.gameLogic.nextPiece.type);
+
+    const spawned = [];
+    for (let piece = 0; piece < NEXT_QUEUE_CONFIG.MAX_SIZE; piece++) {
+      session.applyAction('drop');
+      session.update(TICK);
+      spawned.push(session.gameLogic.currentPiece.type);
+    }
+
+    expect(spawned).toEqual(queue);
+  });
+
+  test('should size the queue for 1 to 6 pieces', () => {
+    const renderer = new CanvasRenderer(
+      document.createElement('canvas'),
+      document.createElement('canvas'),
+      null,
+      document.createElement('canvas'),
+    );
+
+    renderer.setQueueLength(1);
+    expect(renderer.queueCanvas.classList.contains('hidden')).toBe(true);
+
+    renderer.setQueueLength(10);
+    expect(renderer.queueLength).toBe(NEXT_QUEUE_CONFIG.MAX_SIZE);
+    expect(renderer.queueCanvas.classList.contains('hidden')).toBe(false);
+    expect(renderer.queueCanvas.style.height).toBe(
+      `${(NEXT_QUEUE_CONFIG.MAX_SIZE - 1) * NEXT_QUEUE_CONFIG.SLOT_HEIGHT}px`,
+    );
+  });
+});
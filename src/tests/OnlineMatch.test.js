@@ -0,0 +1,122 @@
+/**
+ * Tests for online versus matches between two linked clients
+ */
+
+import { OnlineMatch } from '../game/OnlineMatch.js';
+import { RelayClient } from '../network/RelayClient.js';
+import { VERSUS_CONFIG } from '../core/Constants.js';
+import { TICK } from './helpers.js';
+
+const GARBAGE = VERSUS_CONFIG.GARBAGE_COLOR;
+
+/**
+ * Two clients whose messages go straight to each other, as the relay would pass them on
+ */
+function createLinkedClients() {
+  const clients = [new RelayClient({ OPEN: 1 }), new RelayClient({ OPEN: 1 })];
+  clients.forEach((client, index) => {
+    const other = clients[1 - index];
+    client.socket = { readyState: 1, send: data => other.handleMessage(data), close() {} };
+  });
+  return clients;
+}
+
+function startMatches(options = {}) {
+  const [hostClient, guestClient] = createLinkedClients();
+  const host = new OnlineMatch(hostClient, { isHost: true });
+  const guest = new OnlineMatch(guestClient);
+
+  host.start(options);
+  for (let time = 0; time <= VERSUS_CONFIG.COUNTDOWN; time += TICK) {
+    host.update(TICK);
+    guest.update(TICK);
+  }
+  return { host, guest, hostClient, guestClient };
+}
+
+describe('OnlineMatch', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('should start both players with the same options and pieces', () => {
+    const { host, guest } = startMatches({ difficulty: 'HARD' });
+
+    expect(guest.options).toEqual(host.options);
+    expect(guest.options.difficulty).toBe('HARD');
+    expect(guest.getGameData().nextPieces).toEqual(host.getGameData().nextPieces);
+
+    // Each side sees the other's board once the countdown ends
+    expect(guest.getOpponentGameData().board).toEqual(host.getGameData().board);
+    expect(host.getOpponentGameData().currentPiece).toEqual(guest.getGameData().currentPiece);
+  });
+
+  test('should raise garbage sent by the other player with one shared gap', () => {
+    const { host, guest } = startMatches();
+
+    host.handleLinesCleared({ count: 4 });
+    expect(host.garbageSent).toBe(4);
+
+    guest.update(TICK);
+    const rows = guest.getGameData().board.slice(-4);
+    const holes = rows.map(row => row.findIndex(cell => cell === 0));
+    rows.forEach(row => expect(row.filter(cell => cell === GARBAGE)).toHaveLength(row.length - 1));
+    expect(new Set(holes).size).toBe(1);
+  });
+
+  test('should give the match to the player left standing', () => {
+    const { host, guest, guestClient } = startMatches();
+    const results = [];
+    host.on('matchOver', result => results.push(['host', result]));
+    guest.on('matchOver', result => results.push(['guest', result]));
+
+    guest.session.gameLogic.isGameOver = true;
+    guest.update(TICK);
+
+    expect(results.map(([who, result]) => [who, result.won, result.reason])).toEqual([
+      ['host', true, 'opponentToppedOut'],
+      ['guest', false, 'toppedOut'],
+    ]);
+
+    // A friend who leaves forfeits the next match
+    host.start();
+    guestClient.emit('opponentLeft');
+    expect(guest.result).toMatchObject({ won: true, reason: 'opponentLeft' });
+  });
+
+  test('should only start a match the host sends while none is running', () => {
+    const { host, guest, hostClient } = startMatches({ boardWidth: 12 });
+    const { seed } = guest.options;
+    const send = options => hostClient.send({ type: 'start', options });
+
+    // A second start in the middle of a match
+    send({ seed: 1 });
+    expect(guest.options.seed).toBe(seed);
+
+    // Malformed or unknown options, between matches
+    guest.finish(false, 'toppedOut');
+    [
+      null,
+      { boardWidth: 12 },
+      { seed: 2, boardWidth: 500 },
+      { seed: 2, mode: 'tutorial' },
+      { seed: 2, pieceSet: { pieces: {} } },
+      { seed: 2, randomizer: 'loaded' },
+    ].forEach(send);
+    expect(guest.isRunning).toBe(false);
+
+    // Options this game does not send are dropped
+    send({ seed: 3, randomizer: 'bag7', lockDelay: 0 });
+    expect(guest.options).toEqual({ seed: 3, randomizer: 'bag7' });
+
+    // The host never takes a start from the guest, who asks for a rematch instead
+    host.finish(true, 'opponentToppedOut');
+    guest.client.send({ type: 'start', options: { seed: 4 } });
+    expect(host.isRunning).toBe(false);
+    guest.finish(false, 'toppedOut');
+    guest.start();
+    expect(host.isRunning).toBe(true);
+    expect(guest.options).toEqual(host.options);
+    expect(guest.options.boardWidth).toBe(12);
+  });
+});
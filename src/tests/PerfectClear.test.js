@@ -0,0 +1,60 @@
+/**
+ * Tests for perfect clears: emptying the whole board at once
+ */
+
+import { SCORING } from '../core/Constants.js';
+import { play, startOnBoard } from './helpers.js';
+
+// Four rows with a gap on the left, filled by a standing I block
+const WELL = ['.XXXXXXXXX', '.XXXXXXXXX', '.XXXXXXXXX', '.XXXXXXXXX'];
+
+/**
+ * Drop a standing I block into the left column and let the line clear finish
+ */
+function dropIntoWell(session) {
+  const { gameLogic } = session;
+  const piece = gameLogic.pieceGenerator.rotatePiece(gameLogic.pieceGenerator.createPiece('I'));
+  gameLogic.currentPiece = { ...piece, x: -2, y: 0 };
+  session.applyAction('drop');
+
+  play(session, 30);
+}
+
+describe('Perfect clears', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('should score and count a clear that empties the board', () => {
+    const session = startOnBoard(WELL);
+    const perfectClears = [];
+    session.gameLogic.on('perfectClear', data => perfectClears.push(data));
+
+    dropIntoWell(session);
+
+    expect(perfectClears).toEqual([{ count: 4, perfectClears: 1 }]);
+    expect(session.gameLogic.isBoardEmpty()).toBe(true);
+    expect(session.gameLogic.gameStats.perfectClears).toBe(1);
+
+    const state = session.stateManager.getState();
+    expect(state.perfectClears).toBe(1);
+    expect(state.score).toBeGreaterThanOrEqual(SCORING.TETRIS + SCORING.PERFECT_CLEAR);
+
+    const { scoreManager } = session;
+    expect(scoreManager.calculateFinalStats(0).perfectClears).toBe(1);
+    expect(scoreManager.hasAchievement('perfectClear')).toBe(true);
+  });
+
+  test('should not count a clear that leaves blocks behind', () => {
+    const session = startOnBoard(['.X........', ...WELL]);
+    const perfectClears = [];
+    session.gameLogic.on('perfectClear', data => perfectClears.push(data));
+
+    dropIntoWell(session);
+
+    expect(session.gameLogic.gameStats.linesCleared).toBe(4);
+    expect(perfectClears).toHaveLength(0);
+    expect(session.stateManager.getState().perfectClears).toBe(0);
+    expect(session.scoreManager.hasAchievement('perfectClear')).toBe(false);
+  });
+});
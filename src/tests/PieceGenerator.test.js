@@ -0,0 +1,78 @@
+/**
+ * Tests for PieceGenerator and seeded piece generation
+ */
+
+import { PieceGenerator } from '../game/PieceGenerator.js';
+import { GameLogic } from '../game/GameLogic.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { PIECE_TYPES } from '../core/Constants.js';
+
+const drawTypes = (generator, count) =>
+  Array.from({ length: count }, () => generator.getNextPiece().type);
+
+describe('PieceGenerator', () => {
+  test('should produce the same sequence for the same seed', () => {
+    const first = new PieceGenerator(new SeededRandom(1234));
+    const second = new PieceGenerator(new SeededRandom(1234));
+
+    expect(drawTypes(first, 30)).toEqual(drawTypes(second, 30));
+  });
+
+  test('should produce different sequences for different seeds', () => {
+    const first = new PieceGenerator(new SeededRandom(1));
+    const second = new PieceGenerator(new SeededRandom(2));
+
+    expect(drawTypes(first, 30)).not.toEqual(drawTypes(second, 30));
+  });
+
+  test('should contain every piece type once per bag', () => {
+    const generator = new PieceGenerator(new SeededRandom(42));
+    const bag = drawTypes(generator, PIECE_TYPES.length);
+
+    expect([...bag].sort()).toEqual([...PIECE_TYPES].sort());
+  });
+
+  test('should preview the pieces that are actually dealt', () => {
+    const generator = new PieceGenerator(new SeededRandom(99));
+    const preview = generator.previewNext(20).map(piece => piece.type);
+
+    expect(drawTypes(generator, 20)).toEqual(preview);
+  });
+
+  test('should not change the sequence when previewing far ahead', () => {
+    const previewed = new PieceGenerator(new SeededRandom(7));
+    const untouched = new PieceGenerator(new SeededRandom(7));
+
+    previewed.previewNext(30);
+
+    expect(drawTypes(previewed, 30)).toEqual(drawTypes(untouched, 30));
+  });
+
+  test('should restart the sequence when reset with the same seed', () => {
+    const generator = new PieceGenerator(new SeededRandom(5));
+    const firstRun = drawTypes(generator, 14);
+
+    generator.reset(new SeededRandom(5));
+
+    expect(drawTypes(generator, 14)).toEqual(firstRun);
+  });
+});
+
+describe('GameLogic seed', () => {
+  test('should expose the seed it was reset with', () => {
+    const gameLogic = new GameLogic();
+    gameLogic.reset({ seed: 2024 });
+
+    expect(gameLogic.getSeed()).toBe(2024);
+  });
+
+  test('should replay the same pieces for the same seed', () => {
+    const first = new GameLogic();
+    const second = new GameLogic();
+    first.reset({ seed: 31337 });
+    second.reset({ seed: 31337 });
+
+    expect(first.currentPiece.type).toBe(second.currentPiece.type);
+    expect(first.getNextPieces(6)).toEqual(second.getNextPieces(6));
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for piece sets
+ */
+
+import { GameSession } from '../game/GameSession.js';
+import { PieceGenerator } from '../game/PieceGenerator.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { createPieceSet, getPieceSet, parsePieceSet } from '../pieces/PieceSetRegistry.js';
+import { PIECE_TYPES } from '../core/Constants.js';
+import { TICK } from './helpers.js';
+
+const countBlocks = shape => shape.flat().filter(Boolean).length;
+
+describe('Piece sets', () => {
+  test('should ship tiny and pentomino sets next to the classic pieces', () => {
+    expect(getPieceSet('classic').types).toEqual(PIECE_TYPES);
+
+    const tiny = getPieceSet('tiny');
+    expect(tiny.types.map(type => countBlocks(tiny.getPiece(type).shape)).sort()).toEqual([
+      1, 2, 3, 3,
+    ]);
+
+    const pentomino = getPieceSet('pentomino');
+    expect(pentomino.types).toHaveLength(12);
+    pentomino.types.forEach(type => expect(countBlocks(pentomino.getPiece(type).shape)).toBe(5));
+
+    const generator = new PieceGenerator(new SeededRandom(8));
+    generator.setPieceSet(pentomino);
+    generator.reset(new SeededRandom(8));
+    const bag = Array.from({ length: 12 }, () => generator.getNextPiece().type);
+    expect([...bag].sort()).toEqual([...pentomino.types].sort());
+  });
+
+  test('should deal the chosen set for a game and replay it', () => {
+    const session = new GameSession();
+    session.start({ seed: 21, pieceSet: 'tiny' });
+
+    const tiny = getPieceSet('tiny');
+    for (let piece = 0; piece < 8; piece++) {
+      expect(tiny.hasPiece(session.gameLogic.currentPiece.type)).toBe(true);
+      session.applyAction('rotate');
+      session.applyAction('drop');
+      session.update(TICK);
+    }
+    session.getGameData().nextPieces.forEach(piece => expect(tiny.hasPiece(piece.type)).toBe(true));
+
+    const replayed = new GameSession();
+    replayed.start({ seed: 21, pieceSet: 'tiny' });
+    for (let piece = 0; piece < 8; piece++) {
+      replayed.applyAction('rotate');
+      replayed.applyAction('drop');
+      replayed.update(TICK);
+    }
+    expect(replayed.getGameData().board).toEqual(session.getGameData().board);
+
+    // Puzzles are written with the classic pieces
+    session.start({ mode: 'puzzle', pieceSet: 'tiny' });
+    expect(session.gameLogic.getPieceSet().id).toBe('classic');
+  });
+
+  test('should check custom sets and use their wall kicks', () => {
+    expect(() => parsePieceSet({ id: 'empty', name: 'Empty', pieces: {} })).toThrow(
+      'at least one piece',
+    );
+    expect(() =>
+      parsePieceSet({
+        id: 'odd',
+        name: 'Odd',
+        pieces: { A: { color: '#123456', shape: ['##', '#'] } },
+      }),
+    ).toThrow('as wide as it is tall');
+
+    const custom = {
+      id: 'dominoes',
+      name: 'Dominoes',
+      pieces: { D: { name: 'Domino', color: '#123456', shape: ['##', '..'] } },
+    };
+    const session = new GameSession();
+    session.start({ seed: 4, pieceSet: custom });
+    expect(session.gameLogic.currentPiece).toMatchObject({ type: 'D', color: '#123456' });
+
+    expect(createPieceSet(custom).getWallKickOffsets('D', 0, 1)).toContainEqual([0, -1]);
+    expect(getPieceSet('classic').getWallKickOffsets('I', 0, 1)[0]).toEqual([-2, 0]);
+    expect(getPieceSet('classic').getWallKickOffsets('T', 0, 1)[0]).toEqual([-1, 0]);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Tests for puzzle loading, goals and stars
+ */
+
+import { GameSession } from '../game/GameSession.js';
+import { ModeRecords } from '../modes/ModeRecords.js';
+import { createPuzzleBoard, getPuzzle, parsePuzzle } from '../modes/PuzzleLoader.js';
+import { PuzzleStorage } from '../modes/PuzzleStorage.js';
+import { PuzzleEditor } from '../ui/PuzzleEditor.js';
+import { getPieceSet } from '../pieces/PieceSetRegistry.js';
+import { BOARD_CONFIG, PIECES, PUZZLE_CONFIG } from '../core/Constants.js';
+import { play } from './helpers.js';
+
+function startPuzzle(puzzle) {
+  const session = new GameSession();
+  session.start({ seed: 1, mode: 'puzzle', puzzle });
+  return session;
+}
+
+describe('Puzzle mode', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('should reject puzzles that break the format', () => {
+    const puzzle = {
+      id: 'broken',
+      board: ['GGGG..GGGG'],
+      pieces: ['O'],
+      goal: { type: 'clearGarbage' },
+    };
+
+    expect(parsePuzzle(JSON.stringify(puzzle)).stars).toEqual([1, 1]);
+    expect(() => parsePuzzle({ ...puzzle, board: ['GGG'] })).toThrow('10 characters');
+    expect(() => parsePuzzle({ ...puzzle, pieces: ['X'] })).toThrow('unknown piece');
+    expect(() => parsePuzzle({ ...puzzle, goal: { type: 'win' } })).toThrow('goal type');
+  });
+
+  test('should play a puzzle with the piece set it was written for', () => {
+    const puzzle = {
+      id: 'tiny-pieces',
+      board: ['GGGGGGGG.G'],
+      pieces: ['I2', 'O1'],
+      pieceSet: 'tiny',
+      goal: { type: 'clearGarbage' },
+    };
+
+    expect(() => parsePuzzle({ ...puzzle, pieces: ['O'] })).toThrow('unknown piece');
+    expect(() => parsePuzzle({ ...puzzle, board: ['GGGGGGGGIG'] })).toThrow('unknown cell');
+    expect(() => parsePuzzle({ ...puzzle, pieceSet: 'huge' })).toThrow('unknown piece set');
+
+    // The set picked in the menu does not change the puzzle's pieces
+    const session = new GameSession();
+    session.start({ seed: 1, mode: 'puzzle', puzzle, pieceSet: 'pentomino' });
+    expect(session.gameLogic.getPieceSet().id).toBe('tiny');
+    expect(session.gameLogic.currentPiece.type).toBe('I2');
+  });
+
+  test('should seed the board and the piece queue', () => {
+    const session = startPuzzle('rainbow-stack');
+    const { board } = session.getGameData();
+
+    expect(board).toEqual(createPuzzleBoard(getPuzzle('rainbow-stack')));
+    expect(board[BOARD_CONFIG.HEIGHT - 1][0]).toBe(PIECES.L.color);
+    expect(board[BOARD_CONFIG.HEIGHT - 3][0]).toBe(PIECES.T.color);
+    expect(board[BOARD_CONFIG.HEIGHT - 4].every(cell => cell === 0)).toBe(true);
+
+    expect(session.gameLogic.currentPiece.type).toBe('O');
+    expect(session.gameLogic.nextPiece.type).toBe('O');
+    expect(session.getGameData().modeStatus).toEqual([
+      { label: 'Goal:', value: 'Clear 3 lines' },
+      { label: 'Pieces Left:', value: 4 },
+    ]);
+  });
+
+  test('should solve a puzzle and save its stars', () => {
+    const session = startPuzzle('first-steps');
+    expect(session.getGameData().board[BOARD_CONFIG.HEIGHT - 1][0]).toBe(
+      PUZZLE_CONFIG.GARBAGE_COLOR,
+    );
+
+    session.applyAction('drop');
+    play(session, 60);
+
+    const { modeResult } = session.stateManager.getState();
+    expect(modeResult).toMatchObject({
+      modeId: 'puzzle',
+      puzzleId: 'first-steps',
+      completed: true,
+      piecesUsed: 1,
+      stars: 3,
+    });
+
+    const records = new ModeRecords();
+    const mode = session.gameLogic.getMode();
+    expect(records.submitResult(mode, modeResult).isNewRecord).toBe(true);
+    expect(records.getRecord('puzzle:first-steps').stars).toBe(3);
+    expect(mode.formatRecord(records.getRecord('puzzle:first-steps'))).toBe('⭐⭐⭐');
+  });
+
+  test('should fail the puzzle when the pieces run out', () => {
+    const session = startPuzzle('square-hole');
+
+    // Drop every piece straight down without filling the hole
+    session.applyAction('left');
+    session.applyAction('left');
+    session.applyAction('left');
+    session.applyAction('drop');
+    for (let piece = 1; piece < 3 && !session.isGameOver(); piece++) {
+      play(session, 30);
+      session.applyAction('left');
+      session.applyAction('left');
+      session.applyAction('left');
+      session.applyAction('drop');
+    }
+    play(session, 30);
+
+    expect(session.stateManager.getState().modeResult).toMatchObject({
+      completed: false,
+      reason: 'outOfPieces',
+      stars: 0,
+    });
+  });
+});
+
+describe('Puzzle editor', () => {
+  const myPuzzle = {
+    id: 'custom-test',
+    name: 'Two Lines <3',
+    description: '',
+    board: ['GGGG..GGGG', 'GGGG..GGGG'],
+    pieces: ['O', 'I'],
+    goal: { type: 'clearLines', lines: 2 },
+  };
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('should save, replace and delete my puzzles', () => {
+    const storage = new PuzzleStorage();
+
+    expect(storage.savePuzzle(myPuzzle)).toBe(true);
+    storage.savePuzzle({ ...myPuzzle, pieces: ['O'] });
+    expect(storage.loadPuzzles()).toHaveLength(1);
+    expect(storage.getPuzzle('custom-test').pieces).toEqual(['O']);
+    expect(() => storage.savePuzzle({ ...myPuzzle, pieces: [] })).toThrow('at least one piece');
+
+    storage.deletePuzzle('custom-test');
+    expect(storage.getPuzzle('custom-test')).toBeNull();
+  });
+
+  test('should edit a puzzle and export it in the puzzle format', () => {
+    const editor = new PuzzleEditor();
+    editor.loadPuzzle(myPuzzle);
+
+    expect(editor.draft.cells).toHaveLength(BOARD_CONFIG.HEIGHT);
+    expect(editor.toPuzzle()).toEqual(myPuzzle);
+
+    // Painting the hole fills the bottom row
+    editor.draft.cells[BOARD_CONFIG.HEIGHT - 1][4] = 'T';
+    editor.draft.cells[BOARD_CONFIG.HEIGHT - 1][5] = 'T';
+    expect(editor.toPuzzle().board).toEqual(['GGGG..GGGG', 'GGGGTTGGGG']);
+  });
+
+  test('should show the pieces of the puzzle piece set', () => {
+    const editor = new PuzzleEditor();
+    editor.loadPuzzle({ ...myPuzzle, board: [], pieces: ['L3'], pieceSet: 'tiny' });
+    editor.createEditor();
+    editor.updateForm();
+
+    const pieceButtons = editor.container.querySelectorAll('[data-editor-piece]');
+    expect(Array.from(pieceButtons, button => button.dataset.editorPiece)).toEqual(
+      getPieceSet('tiny').types,
+    );
+    expect(editor.container.querySelectorAll('[data-editor-cell]')).toHaveLength(2);
+    expect(editor.elements.sequence.innerHTML).toContain(getPieceSet('tiny').getPiece('L3').color);
+    expect(editor.toPuzzle().pieceSet).toBe('tiny');
+
+    editor.destroy();
+  });
+
+  test('should play a puzzle made in the editor', () => {
+    const editor = new PuzzleEditor();
+    editor.loadPuzzle({ ...myPuzzle, goal: { type: 'clearGarbage' } });
+
+    const session = startPuzzle(editor.toPuzzle());
+    session.applyAction('drop');
+    play(session, 60);
+
+    expect(session.stateManager.getState().modeResult).toMatchObject({
+      completed: true,
+      puzzleId: 'custom-test',
+      puzzleName: 'Two Lines <3',
+    });
+    expect(
+      session.gameLogic.getMode().getResultsMessage(session.stateManager.getState().modeResult),
+    ).toContain('Two Lines &lt;3');
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for the piece randomizers
+ */
+
+import { GameSession } from '../game/GameSession.js';
+import { PieceGenerator } from '../game/PieceGenerator.js';
+import { ReplayRecorder } from '../game/ReplayRecorder.js';
+import { ReplayPlayer } from '../game/ReplayPlayer.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { createRandomizer, getRandomizers } from '../pieces/RandomizerRegistry.js';
+import { BOARD_CONFIG, NEXT_QUEUE_CONFIG, PIECE_TYPES } from '../core/Constants.js';
+import { TICK, play } from './helpers.js';
+
+/**
+ * Create a generator dealing from a randomizer, looking at a fixed board
+ */
+function createGenerator(randomizerId, seed, board = null) {
+  const generator = new PieceGenerator(new SeededRandom(seed));
+  generator.setRandomizer(createRandomizer(randomizerId));
+  generator.setBoardProvider(() => board);
+  generator.reset(new SeededRandom(seed));
+  return generator;
+}
+
+const drawTypes = (generator, count) =>
+  Array.from({ length: count }, () => generator.getNextPiece().type);
+
+const countRepeats = types => types.filter((type, index) => type === types[index - 1]).length;
+
+describe('Randomizers', () => {
+  test('should deal exactly the previewed pieces with every randomizer', () => {
+    getRandomizers().forEach(({ id }) => {
+      const session = new GameSession();
+      session.start({ seed: 77, randomizer: id });
+      expect(session.gameLogic.getRandomizer()).toBe(id);
+
+      const preview = session.getGameData().nextPieces.map(piece => piece.type);
+      const dealt = [];
+      preview.forEach((_, index) => {
+        session.applyAction(index % 2 ? 'left' : 'right');
+        session.applyAction('drop');
+        session.update(TICK);
+        dealt.push(session.gameLogic.currentPiece.type);
+      });
+
+      expect(dealt).toEqual(preview);
+    });
+  });
+
+  test('should deal 14-bags and avoid repeats with the history randomizer', () => {
+    const bag = drawTypes(createGenerator('bag14', 3), 14);
+    PIECE_TYPES.forEach(type => expect(bag.filter(piece => piece === type)).toHaveLength(2));
+
+    const history = drawTypes(createGenerator('history', 3), 200);
+    const pure = drawTypes(createGenerator('random', 3), 200);
+    expect(countRepeats(history)).toBeLessThan(countRepeats(pure));
+    expect(new Set(pure)).toEqual(new Set(PIECE_TYPES));
+  });
+
+  test('should favour pieces that fit the board with the friendly randomizer', () => {
+    // Four full rows with a one-wide well: only the I piece clears them
+    const board = Array.from({ length: BOARD_CONFIG.HEIGHT }, (_, y) =>
+      Array.from({ length: BOARD_CONFIG.WIDTH }, (_, x) => (y >= 16 && x !== 9 ? 1 : 0)),
+    );
+    const friendly = drawTypes(createGenerator('friendly', 12, board), 700);
+    const pure = drawTypes(createGenerator('random', 12, board), 700);
+    const countI = types => types.filter(type => type === 'I').length;
+
+    expect(countI(friendly)).toBeGreaterThan(countI(pure) * 1.5);
+    expect(
+      friendly.some((type, index) => type === friendly[index - 1] && type === friendly[index - 2]),
+    ).toBe(false);
+  });
+
+  test('should fit friendly pieces to the board as it was when they were queued', () => {
+    const empty = Array.from({ length: BOARD_CONFIG.HEIGHT }, () =>
+      Array(BOARD_CONFIG.WIDTH).fill(0),
+    );
+    const well = empty.map((row, y) => row.map((_, x) => (y >= 16 && x !== 9 ? 1 : 0)));
+    let board = empty;
+    const generator = createGenerator('friendly', 12);
+    generator.setBoardProvider(() => board);
+
+    const boardsSeen = [];
+    const next = generator.randomizer.next.bind(generator.randomizer);
+    generator.randomizer.next = (types, random, context) => {
+      boardsSeen.push(context.board);
+      return next(types, random, context);
+    };
+
+    // The queued pieces come as they were picked, whatever the board turned into since
+    const { lookahead } = generator;
+    expect(lookahead).toBe(NEXT_QUEUE_CONFIG.MAX_SIZE - 1);
+    const queued = generator.previewNext(lookahead).map(piece => piece.type);
+    board = well;
+    expect(drawTypes(generator, lookahead)).toEqual(queued);
+
+    // Only the pieces picked to top the queue up again were fitted to the new board
+    expect(boardsSeen).toHaveLength(lookahead);
+    expect(boardsSeen.every(seen => seen === well)).toBe(true);
+  });
+
+  test('should record the randomizer in replays and save games', () => {
+    const session = new GameSession();
+    const recorder = new ReplayRecorder(session.gameLogic);
+    recorder.initialize(session.stateManager);
+    session.start({ seed: 5, randomizer: 'friendly' });
+    recorder.reset({ seed: 5, randomizer: 'friendly' });
+
+    play(session, 200, tick => {
+      if (tick % 20 === 0)
+        session.applyAction(['left', 'drop', 'right', 'right', 'drop'][(tick / 20) % 5]);
+    });
+    const replay = recorder.finishRecording();
+    expect(replay.ruleset.randomizer).toBe('friendly');
+
+    const player = new ReplayPlayer(replay);
+    player.seek(replay.ticks);
+    expect(player.getGameData().board).toEqual(session.getGameData().board);
+    expect(player.getGameData().nextPieces).toEqual(session.getGameData().nextPieces);
+
+    const saved = JSON.parse(JSON.stringify(session.gameLogic.pieceGenerator.serialize()));
+    const continued = new PieceGenerator();
+    continued.setBoardProvider(() => session.gameLogic.board);
+    continued.restore(saved, session.gameLogic.random.clone());
+    expect(continued.randomizer.id).toBe('friendly');
+    expect(drawTypes(continued, 10)).toEqual(drawTypes(session.gameLogic.pieceGenerator, 10));
+    localStorage.clear();
+  });
+});
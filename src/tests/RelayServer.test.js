@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests for the online relay server with real WebSocket connections
+ */
+
+import { WebSocket } from 'ws';
+import { RelayServer } from '../../server/RelayServer.js';
+import { RelayClient } from '../network/RelayClient.js';
+
+/**
+ * Resolve with the next message of a type the client receives
+ */
+function nextMessage(client, type) {
+  return new Promise(resolve => {
+    const handler = message => {
+      client.off(type, handler);
+      resolve(message);
+    };
+    client.on(type, handler);
+  });
+}
+
+describe('RelayServer', () => {
+  let server;
+  let url;
+  let clients;
+
+  beforeEach(async () => {
+    server = new RelayServer({ port: 0 });
+    url = `ws://localhost:${await server.start()}`;
+    clients = [new RelayClient(WebSocket), new RelayClient(WebSocket), new RelayClient(WebSocket)];
+    await Promise.all(clients.map(client => client.connect(url)));
+  });
+
+  afterEach(async () => {
+    clients.forEach(client => client.disconnect());
+    await server.stop();
+  });
+
+  test('should pair two players by room code and pass their messages on', async () => {
+    const [host, guest] = clients;
+
+    const created = nextMessage(host, 'roomCreated');
+    host.createRoom();
+    const { code } = await created;
+    expect(code).toMatch(/^[A-Z]{4}$/);
+
+    const joined = nextMessage(host, 'opponentJoined');
+    guest.joinRoom(code.toLowerCase());
+    expect(await nextMessage(guest, 'roomJoined')).toEqual({ type: 'roomJoined', code });
+    await joined;
+    expect(guest.roomCode).toBe(code);
+
+    const garbage = nextMessage(host, 'garbage');
+    guest.send({ type: 'garbage', rows: 2, hole: 3 });
+    expect(await garbage).toEqual({ type: 'garbage', rows: 2, hole: 3 });
+  });
+
+  test('should turn away unknown and full rooms and tell the host who left', async () => {
+    const [host, guest, third] = clients;
+
+    third.joinRoom('ZZZZ');
+    expect((await nextMessage(third, 'error')).message).toBe('There is no room ZZZZ.');
+
+    host.createRoom();
+    const { code } = await nextMessage(host, 'roomCreated');
+    guest.joinRoom(code);
+    await nextMessage(guest, 'roomJoined');
+
+    third.joinRoom(code);
+    expect((await nextMessage(third, 'error')).message).toBe(`Room ${code} is already full.`);
+
+    const left = nextMessage(host, 'opponentLeft');
+    guest.disconnect();
+    await left;
+
+    // The host keeps the room, so somebody else can take the free seat
+    third.joinRoom(code);
+    await nextMessage(third, 'roomJoined');
+  });
+
+  test('should turn away players and rooms past its limits', async () => {
+    const limited = new RelayServer({ port: 0, maxConnections: 2, maxRooms: 1 });
+    const limitedUrl = `ws://localhost:${await limited.start()}`;
+    const [first, second, third] = [1, 2, 3].map(() => new RelayClient(WebSocket));
+
+    try {
+      await first.connect(limitedUrl);
+      await second.connect(limitedUrl);
+
+      first.createRoom();
+      await nextMessage(first, 'roomCreated');
+      second.createRoom();
+      expect((await nextMessage(second, 'error')).message).toBe(
+        'Too many rooms are open. Try again later.',
+      );
+
+      const turnedAway = nextMessage(third, 'error');
+      const closed = nextMessage(third, 'disconnected');
+      await third.connect(limitedUrl);
+      expect((await turnedAway).message).toBe('The online game server is full. Try again later.');
+      expect((await closed).reason).toBe('The online game server is full. Try again later.');
+    } finally {
+      [first, second, third].forEach(client => client.disconnect());
+      await limited.stop();
+    }
+  });
+});
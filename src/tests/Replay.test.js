@@ -0,0 +1,99 @@
+/**
+ * Tests for replay recording and playback
+ */
+
+import { GameSession } from '../game/GameSession.js';
+import { ReplayRecorder } from '../game/ReplayRecorder.js';
+import { ReplayPlayer } from '../game/ReplayPlayer.js';
+import { TICK, play } from './helpers.js';
+
+const SCRIPT = [
+  'left',
+  'rotate',
+  'drop',
+  'right',
+  'right',
+  'drop',
+  'rotateCounterClockwise',
+  'down',
+];
+
+/**
+ * Play a short game, recording it, and return the finished replay and final session
+ */
+function recordGame(seed, ticks = 600) {
+  const session = new GameSession();
+  const recorder = new ReplayRecorder(session.gameLogic);
+  recorder.initialize(session.stateManager);
+
+  session.start({ seed, difficulty: 'NORMAL' });
+  recorder.reset({ seed, difficulty: 'NORMAL' });
+
+  play(session, ticks, tick => {
+    if (tick % 20 === 0) {
+      session.applyAction(SCRIPT[(tick / 20) % SCRIPT.length]);
+    }
+  });
+
+  return { replay: recorder.finishRecording(), session };
+}
+
+describe('Replay', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('should record seed, ruleset and actions', () => {
+    const { replay } = recordGame(4242);
+
+    expect(replay.seed).toBe(4242);
+    expect(replay.ruleset).toEqual({ difficulty: 'NORMAL' });
+    expect(replay.actions.length).toBeGreaterThan(0);
+    expect(replay.actions[0]).toEqual([1, 'L']);
+  });
+
+  test('should reproduce the recorded game exactly', () => {
+    const { replay, session } = recordGame(1234);
+    const player = new ReplayPlayer(replay);
+
+    player.seek(replay.ticks);
+
+    expect(player.isFinished()).toBe(true);
+    expect(player.getGameData().board).toEqual(session.getGameData().board);
+    expect(player.getGameData().score).toEqual(session.getGameData().score);
+    expect(player.session.stateManager.getState().score).toBe(replay.result.score);
+  });
+
+  test('should land on the same frame when seeking backwards', () => {
+    const { replay } = recordGame(99);
+    const player = new ReplayPlayer(replay);
+
+    player.seek(300);
+    const frame = JSON.stringify(player.getGameData());
+
+    player.seek(replay.ticks);
+    player.seek(300);
+
+    expect(JSON.stringify(player.getGameData())).toBe(frame);
+  });
+
+  test('should play faster at higher speeds and clamp the speed', () => {
+    const { replay } = recordGame(7);
+    const player = new ReplayPlayer(replay);
+
+    player.setSpeed(10);
+    expect(player.speed).toBe(4);
+
+    player.play();
+    player.update(TICK * 10);
+    expect(player.getProgress().tick).toBe(40);
+  });
+
+  test('should keep recent replays in local storage', () => {
+    const { replay } = recordGame(5);
+    const recorder = new ReplayRecorder();
+
+    expect(recorder.getSavedReplays()[0].id).toBe(replay.id);
+    expect(recorder.getLastReplay().seed).toBe(5);
+  });
+});
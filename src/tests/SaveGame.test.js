@@ -0,0 +1,98 @@
+/**
+ * Tests for saving and continuing a game in progress
+ */
+
+import { GameEngine } from '../core/GameEngine.js';
+import { SaveGameManager } from '../game/SaveGameManager.js';
+import { GAME_STATES } from '../core/Constants.js';
+import { play } from './helpers.js';
+
+const SCRIPT = ['left', 'drop', 'rotate', 'right', 'right', 'drop', 'down', 'drop'];
+
+function createEngine() {
+  const engine = new GameEngine();
+  const saveGameManager = new SaveGameManager();
+  engine.initialize({ saveGame: saveGameManager });
+  return { engine, saveGameManager };
+}
+
+function playScript(engine, ticks, offset = 0) {
+  play(engine, ticks, tick => {
+    if ((tick + offset) % 15 === 0) {
+      engine.gameLogic.applyAction(SCRIPT[((tick + offset) / 15) % SCRIPT.length]);
+    }
+  });
+}
+
+describe('SaveGameManager', () => {
+  let engines;
+
+  beforeEach(() => {
+    engines = [];
+  });
+
+  afterEach(() => {
+    engines.forEach(({ engine, saveGameManager }) => {
+      engine.stop();
+      saveGameManager.destroy();
+    });
+    localStorage.clear();
+  });
+
+  function setup() {
+    const created = createEngine();
+    engines.push(created);
+    return created;
+  }
+
+  test('should save the game when it is paused', () => {
+    const { engine, saveGameManager } = setup();
+    engine.startNewGame({ seed: 11 });
+    playScript(engine, 120);
+
+    expect(saveGameManager.hasSavedGame()).toBe(false);
+
+    engine.stateManager.togglePause();
+
+    expect(saveGameManager.hasSavedGame()).toBe(true);
+    expect(saveGameManager.load().systems.gameLogic.seed).toBe(11);
+  });
+
+  test('should continue exactly where the game was saved', () => {
+    const original = setup();
+    original.engine.startNewGame({ seed: 2024, difficulty: 'EASY' });
+    playScript(original.engine, 400);
+    original.engine.stateManager.togglePause();
+
+    const continued = setup();
+    continued.engine.restoreGame(continued.saveGameManager.load());
+
+    expect(continued.engine.getGameData()).toEqual(original.engine.getGameData());
+    expect(continued.engine.gameOptions).toEqual({ seed: 2024, difficulty: 'EASY' });
+    expect(continued.engine.stateManager.getState().score).toBe(
+      original.engine.stateManager.getState().score,
+    );
+
+    // Both games keep going identically
+    original.engine.stateManager.togglePause();
+    playScript(original.engine, 300, 400);
+    playScript(continued.engine, 300, 400);
+
+    expect(continued.engine.getGameData()).toEqual(original.engine.getGameData());
+  });
+
+  test('should forget the saved game when a new game starts or the game ends', () => {
+    const { engine, saveGameManager } = setup();
+    engine.startNewGame({ seed: 3 });
+    engine.stateManager.togglePause();
+    expect(saveGameManager.hasSavedGame()).toBe(true);
+
+    engine.startNewGame({ seed: 4 });
+    expect(saveGameManager.hasSavedGame()).toBe(false);
+
+    engine.stateManager.togglePause();
+    engine.stateManager.gameOver();
+    expect(engine.stateManager.getState().gameState).toBe(GAME_STATES.GAME_OVER);
+    expect(saveGameManager.hasSavedGame()).toBe(false);
+  });
+});
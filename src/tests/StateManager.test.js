@@ -36,6 +36,19 @@ describe('StateManager', () => {
     expect(state.startTime).not.toBeNull();
   });
 
+  test('should keep the seed of the started game', () => {
+    let gameOverData = null;
+    stateManager.on('gameOver', data => {
+      gameOverData = data;
+    });
+
+    stateManager.startGame({ seed: 1234 });
+    expect(stateManager.getState().seed).toBe(1234);
+
+    stateManager.gameOver();
+    expect(gameOverData.seed).toBe(1234);
+  });
+
   test('should update score correctly', () => {
     stateManager.updateScore('single', 1);
     const state = stateManager.getState();
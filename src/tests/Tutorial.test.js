@@ -0,0 +1,107 @@
+/**
+ * Tests for the How to Play lessons
+ */
+
+import { GameSession } from '../game/GameSession.js';
+import { PlacementFinder } from '../game/PlacementFinder.js';
+import { InputController } from '../input/InputController.js';
+import { getGameModes } from '../modes/ModeRegistry.js';
+import { ModeRecords } from '../modes/ModeRecords.js';
+import { getLessons } from '../modes/TutorialMode.js';
+import { MenuSystem } from '../ui/MenuSystem.js';
+import { play } from './helpers.js';
+
+function startLesson(lesson) {
+  const session = new GameSession();
+  session.start({ seed: 3, mode: 'tutorial', lesson });
+  return session;
+}
+
+describe('Tutorial lessons', () => {
+  afterEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = '';
+  });
+
+  test('should finish a lesson once the control is pressed enough times', () => {
+    const session = startLesson('move');
+    expect(getGameModes().some(mode => mode.id === 'tutorial')).toBe(false);
+
+    session.applyAction('left');
+    session.applyAction('right');
+    session.applyAction('right');
+    play(session, 5);
+    expect(session.isGameOver()).toBe(false);
+    expect(session.getGameData().modeStatus).toContainEqual({ label: 'Done:', value: '2 / 3' });
+
+    session.applyAction('right');
+    play(session, 5);
+
+    const { modeResult } = session.stateManager.getState();
+    expect(modeResult).toMatchObject({
+      modeId: 'tutorial',
+      lessonId: 'move',
+      completed: true,
+      nextLessonId: 'rotate',
+    });
+
+    const records = new ModeRecords();
+    expect(records.submitResult(session.gameLogic.getMode(), modeResult).isNewRecord).toBe(true);
+    expect(records.getRecord('tutorial:move')).not.toBeNull();
+  });
+
+  test('should teach clearing lines on a scripted board', () => {
+    ['clear-line', 'tetris'].forEach(lesson => {
+      const session = startLesson(lesson);
+      const { gameLogic } = session;
+
+      // Play the best spot for the first piece
+      new PlacementFinder(gameLogic)
+        .findBestPlacement()
+        .actions.forEach(action => session.applyAction(action));
+      play(session, 120);
+
+      const { modeResult } = session.stateManager.getState();
+      expect(modeResult).toMatchObject({ lessonId: lesson, completed: true });
+    });
+
+    const lessons = getLessons();
+    expect(lessons.map(lesson => lesson.id)).toEqual([
+      'move',
+      'rotate',
+      'soft-drop',
+      'hard-drop',
+      'clear-line',
+      'tetris',
+    ]);
+  });
+
+  test('should tick off finished lessons and light up the button to press', () => {
+    document.body.innerHTML = `
+      <div id="menuContainer"></div>
+      <button id="rotateBtn"></button>
+      <button id="dropBtn"></button>
+    `;
+
+    const session = startLesson('hard-drop');
+    session.applyAction('drop');
+    play(session, 5);
+    new ModeRecords().submitResult(
+      session.gameLogic.getMode(),
+      session.stateManager.getState().modeResult,
+    );
+
+    const menuSystem = new MenuSystem();
+    menuSystem.refreshLessonsScreen();
+    const howToPlay = menuSystem.screens.get('howToPlay');
+    expect(howToPlay.querySelector('[data-lesson="hard-drop"]').textContent).toContain('✅');
+    expect(howToPlay.querySelector('[data-lesson="move"]').textContent).not.toContain('✅');
+    expect(howToPlay.querySelector('.lesson-progress').textContent).toBe('1 of 6 lessons done');
+
+    const inputController = new InputController();
+    inputController.highlightAction('rotate');
+    expect(document.getElementById('rotateBtn').classList.contains('highlighted')).toBe(true);
+    inputController.highlightAction(null);
+    expect(document.getElementById('rotateBtn').classList.contains('highlighted')).toBe(false);
+  });
+});
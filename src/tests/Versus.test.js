@@ -0,0 +1,88 @@
+/**
+ * Tests for the two-player versus match
+ */
+
+import { VersusMatch } from '../game/VersusMatch.js';
+import { VERSUS_CONFIG } from '../core/Constants.js';
+import { TICK } from './helpers.js';
+
+const GARBAGE = VERSUS_CONFIG.GARBAGE_COLOR;
+
+function startMatch(options = {}) {
+  const match = new VersusMatch();
+  match.start({ seed: 14, ...options });
+  match.update(VERSUS_CONFIG.COUNTDOWN);
+  return match;
+}
+
+const countGarbageRows = board =>
+  board.filter(row => row.filter(cell => cell === GARBAGE).length === row.length - 1).length;
+
+describe('VersusMatch', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('should hold both players until the countdown ends and deal them the same pieces', () => {
+    const match = new VersusMatch();
+    const counts = [];
+    match.on('countdown', seconds => counts.push(seconds));
+    match.start({ seed: 14 });
+
+    expect(match.applyAction(0, 'drop')).toBe(false);
+    expect(match.getGameData(1).nextPieces).toEqual(match.getGameData(0).nextPieces);
+    expect(match.players[1].session.gameLogic.currentPiece.type).toBe(
+      match.players[0].session.gameLogic.currentPiece.type,
+    );
+
+    const startY = match.players[0].session.gameLogic.currentPiece.y;
+    for (let elapsed = 0; elapsed < VERSUS_CONFIG.COUNTDOWN - TICK; elapsed += TICK) {
+      match.update(TICK);
+    }
+    expect(match.players[0].session.gameLogic.currentPiece.y).toBe(startY);
+    expect(counts).toEqual([3, 2, 1]);
+
+    match.update(TICK);
+    expect(match.getCountdown()).toBe(0);
+    expect(match.applyAction(0, 'drop')).not.toBe(false);
+  });
+
+  test('should send garbage rows with one shared gap for multi-line clears', () => {
+    const match = startMatch();
+
+    match.handleLinesCleared(0, { count: 1 });
+    match.handleLinesCleared(0, { count: 4 });
+    match.update(TICK);
+
+    const board = match.getGameData(1).board;
+    expect(countGarbageRows(board)).toBe(VERSUS_CONFIG.GARBAGE_ROWS[4]);
+    const gaps = board.slice(-VERSUS_CONFIG.GARBAGE_ROWS[4]).map(row => row.indexOf(0));
+    expect(new Set(gaps).size).toBe(1);
+    expect(match.players[0].garbageSent).toBe(VERSUS_CONFIG.GARBAGE_ROWS[4]);
+    expect(countGarbageRows(match.getGameData(0).board)).toBe(0);
+  });
+
+  test('should not send garbage when it is turned off', () => {
+    const match = startMatch({ sendGarbage: false });
+
+    match.handleLinesCleared(1, { count: 4 });
+    match.update(TICK);
+
+    expect(countGarbageRows(match.getGameData(0).board)).toBe(0);
+    expect(match.players[1].garbageSent).toBe(0);
+  });
+
+  test('should name the player left standing as the winner', () => {
+    const match = startMatch();
+    let result = null;
+    match.on('matchOver', data => (result = data));
+
+    match.players[0].session.gameLogic.handleGameOver();
+    match.update(TICK);
+
+    expect(match.isOver()).toBe(true);
+    expect(result.winner).toBe(1);
+    expect(result.players).toHaveLength(2);
+    expect(match.applyAction(1, 'drop')).toBe(false);
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Fixture helpers shared by the test suites
+ */
+
+import { GameSession } from '../game/GameSession.js';
+
+// One game update at 60 frames per second
+export const TICK = 1000 / 60;
+
+/**
+ * Run game updates, stopping early once the game is over
+ * @param {Object} game - GameSession or GameEngine
+ * @param {number} ticks - Updates to run
+ * @param {Function} onTick - Called with the tick number after each update
+ */
+export function play(game, ticks, onTick = () => {}) {
+  for (let tick = 0; tick < ticks && !game.gameLogic.isGameOver; tick++) {
+    game.update(TICK);
+    onTick(tick);
+  }
+}
+
+/**
+ * Fill the bottom rows of the board, leaving the cells marked "." empty
+ * @param {GameLogic} gameLogic - Game to change
+ * @param {Array} rows - Bottom rows as strings, one character per cell
+ */
+export function fillBoard(gameLogic, rows) {
+  const top = gameLogic.board.length - rows.length;
+  gameLogic.board = gameLogic.board.map((row, y) =>
+    y < top ? row.map(() => 0) : [...rows[y - top]].map(cell => (cell === '.' ? 0 : 1)),
+  );
+}
+
+/**
+ * Start a game on a board with the given bottom rows (see fillBoard)
+ * @param {Array} rows - Bottom rows as strings
+ * @param {Object} options - Game options, as passed to GameSession.start
+ * @returns {GameSession} - Session with the board filled in
+ */
+export function startOnBoard(rows, options = { seed: 5 }) {
+  const session = new GameSession();
+  session.start(options);
+  fillBoard(session.gameLogic, rows);
+  return session;
+}
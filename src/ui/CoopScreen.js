@@ -0,0 +1,407 @@
+/**
+ * CoopScreen - Full-screen view for players working together on one keyboard
+ * Draws the shared double-width board of a CoopMatch with each player's hold and keys on their
+ * side, shows the countdown and the team's score when the stack reaches the top
+ */
+
+import { COOP_CONFIG, CANVAS_CONFIG, COLORS, HANDLING_CONFIG } from '../core/Constants.js';
+import { CanvasRenderer } from '../rendering/CanvasRenderer.js';
+import { CoopMatch } from '../game/CoopMatch.js';
+import { AutoRepeat, slide } from '../input/AutoRepeat.js';
+
+export class CoopScreen {
+  constructor() {
+    this.match = new CoopMatch();
+    this.renderer = null;
+    this.container = null;
+    this.elements = {};
+    this.options = {};
+    this.isOpen = false;
+    this.frameId = null;
+    this.lastFrameTime = 0;
+    this.accumulator = 0;
+    this.fixedTimeStep = 1000 / 60;
+
+    // Held moves repeat with each player's handling; the team shares one fall speed
+    this.repeaters = COOP_CONFIG.KEY_SCHEMES.map((scheme, playerIndex) => {
+      const repeater = new AutoRepeat(HANDLING_CONFIG.DEFAULTS, (action, type) =>
+        this.repeatAction(playerIndex, action, type),
+      );
+      repeater.setFallSpeedProvider(() => this.match.session.gameLogic.fallSpeed);
+      return repeater;
+    });
+
+    this.gameLoop = this.gameLoop.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+
+    this.setupMatchEvents();
+  }
+
+  /**
+   * Open the screen and start a game
+   * @param {Object} options - Game options (boardWidth is each player's share of the board)
+   */
+  open(options = {}) {
+    if (!this.container) {
+      this.createScreen();
+    }
+
+    this.container.classList.remove('hidden');
+    this.isOpen = true;
+    this.options = options;
+
+    // Size the canvas now that the screen is visible
+    this.renderer.initialize();
+
+    // Keys go to the players first, so menus and focused buttons never see them
+    document.activeElement?.blur?.();
+    document.addEventListener('keydown', this.handleKeyDown, true);
+    document.addEventListener('keyup', this.handleKeyUp, true);
+
+    this.startMatch();
+
+    this.lastFrameTime = performance.now();
+    this.frameId = requestAnimationFrame(this.gameLoop);
+
+    this.emit('opened');
+  }
+
+  /**
+   * Close the screen and stop the game
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    document.removeEventListener('keydown', this.handleKeyDown, true);
+    document.removeEventListener('keyup', this.handleKeyUp, true);
+    this.repeaters.forEach(repeater => repeater.releaseAll());
+
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+
+    this.container.classList.add('hidden');
+    this.emit('closed');
+  }
+
+  /**
+   * Set how held keys repeat for each player
+   * @param {Array} handlings - Handling of each player (see AutoRepeat)
+   */
+  setHandling(handlings) {
+    this.repeaters.forEach((repeater, index) => repeater.setHandling(handlings[index]));
+  }
+
+  /**
+   * Start a new game with the options the screen was opened with
+   */
+  startMatch() {
+    this.accumulator = 0;
+    this.repeaters.forEach(repeater => repeater.releaseAll());
+    this.elements.results.classList.add('hidden');
+
+    // A fresh seed every game
+    this.match.start({ ...this.options, seed: undefined });
+    this.renderFrame();
+  }
+
+  /**
+   * Create the screen DOM
+   */
+  createScreen() {
+    this.container = document.createElement('div');
+    this.container.className = 'replay-viewer coop-screen hidden';
+    this.container.setAttribute('role', 'dialog');
+    this.container.setAttribute('aria-label', 'Co-op game');
+
+    const player = (scheme, index) => `
+          <div class="versus-player coop-player" data-player="${index}">
+            <h3 class="versus-player-name">Player ${index + 1}</h3>
+            <canvas class="preview-canvas coop-hold" width="120" height="120"></canvas>
+            <div class="versus-keys">${this.describeKeys(scheme)}</div>
+          </div>`;
+    const [first, second] = COOP_CONFIG.KEY_SCHEMES;
+
+    this.container.innerHTML = `
+      <div class="replay-content versus-content">
+        <div class="versus-boards coop-stage">${player(first, 0)}
+          <canvas class="game-canvas" width="640" height="640"></canvas>${player(second, 1)}
+          <div class="replay-sidebar">
+            <canvas class="preview-canvas coop-next" width="120" height="120"></canvas>
+            <div class="replay-stats">
+              <div>📊 <strong data-coop-stat="score">0</strong></div>
+              <div>📏 <strong data-coop-stat="lines">0</strong> lines</div>
+              <div>⭐ Level <strong data-coop-stat="level">1</strong></div>
+            </div>
+          </div>
+        </div>
+
+        <div class="versus-countdown" aria-live="assertive"></div>
+
+        <div class="versus-results hidden">
+          <h2 class="overlay-title">🤝 Great Teamwork!</h2>
+          <p class="coop-summary"></p>
+          <div class="replay-controls">
+            <button class="btn btn-primary" data-coop-action="rematch">🔁 Play Again</button>
+            <button class="btn btn-secondary" data-coop-action="close">✖️ Close</button>
+          </div>
+        </div>
+
+        <div class="replay-controls">
+          <button class="btn btn-secondary" data-coop-action="close">🏠 Back to Menu</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(this.container);
+
+    this.elements = {
+      holds: Array.from(this.container.querySelectorAll('.coop-hold')),
+      countdown: this.container.querySelector('.versus-countdown'),
+      results: this.container.querySelector('.versus-results'),
+      summary: this.container.querySelector('.coop-summary'),
+    };
+
+    this.renderer = new CanvasRenderer(
+      this.container.querySelector('.game-canvas'),
+      this.container.querySelector('.coop-next'),
+    );
+
+    this.container.addEventListener('click', event => {
+      const action = event.target.getAttribute('data-coop-action');
+      if (action) {
+        this.handleAction(action);
+      }
+    });
+  }
+
+  /**
+   * Listen to the match for sounds, the countdown and the end of the game
+   */
+  setupMatchEvents() {
+    this.match.on('countdown', seconds => {
+      this.elements.countdown.textContent = seconds;
+      this.elements.countdown.classList.remove('hidden');
+      this.emit('playSound', 'menuSelect');
+    });
+
+    this.match.on('started', () => {
+      this.elements.countdown.textContent = 'GO!';
+      this.emit('playSound', 'levelUp');
+      setTimeout(() => {
+        if (this.match.getCountdown() === 0) {
+          this.elements.countdown.classList.add('hidden');
+        }
+      }, 600);
+    });
+
+    this.match.session.gameLogic.on('linesClearing', data => {
+      this.emit('playSound', data.count >= 4 ? 'tetris' : 'lineClear');
+    });
+
+    this.match.on('matchOver', result => {
+      this.elements.summary.innerHTML =
+        `Together you cleared <strong>${result.lines}</strong> lines<br>` +
+        `⭐ Score: <strong>${result.score.toLocaleString()}</strong>`;
+      this.elements.results.classList.remove('hidden');
+      this.emit('playSound', 'gameOver');
+      this.emit('matchOver', result);
+    });
+  }
+
+  /**
+   * Handle screen buttons
+   * @param {string} action - Button action
+   */
+  handleAction(action) {
+    switch (action) {
+    case 'rematch':
+      this.startMatch();
+      break;
+
+    case 'close':
+      this.close();
+      break;
+    }
+  }
+
+  /**
+   * Send keys to the player whose key scheme they belong to
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleKeyDown(event) {
+    if (event.code === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.close();
+      return;
+    }
+
+    COOP_CONFIG.KEY_SCHEMES.forEach((scheme, playerIndex) => {
+      const action = scheme.keys[event.code];
+      if (!action) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+
+      // Held keys repeat with the player's handling rather than the keyboard's
+      if (event.repeat) return;
+
+      this.match.applyAction(playerIndex, action);
+      this.repeaters[playerIndex].press(event.code, action);
+    });
+  }
+
+  /**
+   * Stop repeating a key that was let go
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleKeyUp(event) {
+    this.repeaters.forEach(repeater => repeater.release(event.code));
+  }
+
+  /**
+   * Apply a held key's repeat (see AutoRepeat)
+   * @param {number} playerIndex - Player index
+   * @param {string} action - Action to repeat
+   * @param {string} type - 'repeat' for one cell, 'shift' to slide all the way
+   */
+  repeatAction(playerIndex, action, type) {
+    if (type === 'shift') {
+      slide(() => this.match.applyAction(playerIndex, action));
+    } else {
+      this.match.applyAction(playerIndex, action);
+    }
+  }
+
+  /**
+   * Describe a key scheme for the hint beside the board
+   * @param {Object} scheme - Key scheme from COOP_CONFIG.KEY_SCHEMES
+   * @returns {string} - HTML list of keys
+   */
+  describeKeys(scheme) {
+    const keyName = code =>
+      code
+        .replace(/^Key/, '')
+        .replace(/^Arrow/, '')
+        .replace(/Right$/, '');
+
+    return Object.entries(scheme.keys)
+      .map(([code, action]) => `<span><kbd>${keyName(code)}</kbd> ${action}</span>`)
+      .join('');
+  }
+
+  /**
+   * Screen loop: advance the game at a fixed rate and redraw
+   */
+  gameLoop(currentTime) {
+    if (!this.isOpen) return;
+
+    // Long pauses (e.g. a hidden tab) do not fast-forward the game
+    const deltaTime = Math.min(currentTime - this.lastFrameTime, 250);
+    this.lastFrameTime = currentTime;
+
+    try {
+      this.accumulator += deltaTime;
+      while (this.accumulator >= this.fixedTimeStep) {
+        this.repeaters.forEach(repeater => repeater.update(this.fixedTimeStep));
+        this.match.update(this.fixedTimeStep);
+        this.accumulator -= this.fixedTimeStep;
+      }
+      this.renderFrame();
+    } catch (error) {
+      console.error('Error in co-op loop:', error);
+    }
+
+    this.frameId = requestAnimationFrame(this.gameLoop);
+  }
+
+  /**
+   * Draw the shared board, each player's held piece and the team's stats
+   */
+  renderFrame() {
+    const gameData = this.match.getGameData();
+    this.renderer.render(gameData);
+
+    this.elements.holds.forEach((canvas, index) => {
+      const { heldPiece, canHold } = this.match.getPlayerState(index);
+      this.renderHeldPiece(canvas, gameData.holdEnabled ? heldPiece : null, canHold);
+    });
+
+    const stat = name => this.container.querySelector(`[data-coop-stat="${name}"]`);
+    stat('score').textContent = gameData.score.score.toLocaleString();
+    stat('lines').textContent = gameData.score.lines;
+    stat('level').textContent = gameData.score.level;
+  }
+
+  /**
+   * Draw a player's held piece, greyed out while it cannot be swapped back in
+   * @param {HTMLCanvasElement} canvas - Player's hold canvas
+   * @param {Object|null} heldPiece - Held piece
+   * @param {boolean} canHold - True if hold can be used for the player's current piece
+   */
+  renderHeldPiece(canvas, heldPiece, canHold) {
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    this.renderer.clearCanvas(ctx, CANVAS_CONFIG.PREVIEW_SIZE, CANVAS_CONFIG.PREVIEW_SIZE);
+    if (!heldPiece) return;
+
+    ctx.save();
+    if (!canHold) {
+      ctx.globalAlpha = 0.35;
+    }
+    this.renderer.renderPreviewPiece(ctx, heldPiece, canHold ? null : COLORS.HOLD_LOCKED);
+    ctx.restore();
+  }
+
+  /**
+   * Event emission system
+   */
+  emit(event, ...args) {
+    if (this.eventListeners && this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(...args);
+        } catch (error) {
+          console.error(`Error in CoopScreen ${event} listener:`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Event listener system
+   */
+  on(event, callback) {
+    if (!this.eventListeners) {
+      this.eventListeners = new Map();
+    }
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    this.close();
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+
+    if (this.renderer) {
+      this.renderer.destroy();
+    }
+
+    if (this.eventListeners) {
+      this.eventListeners.clear();
+    }
+  }
+}
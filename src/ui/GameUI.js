@@ -4,6 +4,7 @@
  */
 
 import { GAME_STATES, COLORS, ANIMATIONS } from '../core/Constants.js';
+import { createGameMode } from '../modes/ModeRegistry.js';
 
 export class GameUI {
   constructor() {
@@ -12,10 +13,16 @@ export class GameUI {
       score: document.getElementById('score'),
       level: document.getElementById('level'),
       lines: document.getElementById('lines'),
+      modeStatus: document.getElementById('modeStatus'),
+      holdContainer: document.getElementById('holdContainer'),
+      holdBtn: document.getElementById('holdBtn'),
       gameOverlay: document.getElementById('gameOverlay'),
       overlayTitle: document.getElementById('overlayTitle'),
       overlayMessage: document.getElementById('overlayMessage'),
       restartBtn: document.getElementById('restartBtn'),
+      nextLessonBtn: document.getElementById('nextLessonBtn'),
+      replayBtn: document.getElementById('replayBtn'),
+      finishBtn: document.getElementById('finishBtn'),
       menuBtn: document.getElementById('menuBtn'),
       pauseBtn: document.getElementById('pauseBtn'),
       muteBtn: document.getElementById('muteBtn'),
@@ -24,6 +31,7 @@ export class GameUI {
 
     // Game state
     this.currentGameState = GAME_STATES.MENU;
+    this.nextLessonId = null;
     this.isVisible = true;
     this.isMuted = false;
 
@@ -80,6 +88,7 @@ export class GameUI {
     this.lastScore = 0;
     this.lastLines = 0;
     this.lastLevel = 1;
+    this.lastModeStatus = '';
     this.achievementShown = new Set();
 
     this.initialize();
@@ -123,6 +132,27 @@ export class GameUI {
       });
     }
 
+    if (this.elements.nextLessonBtn) {
+      this.elements.nextLessonBtn.addEventListener('click', () => {
+        this.emit('nextLesson', this.nextLessonId);
+        this.playButtonSound();
+      });
+    }
+
+    if (this.elements.replayBtn) {
+      this.elements.replayBtn.addEventListener('click', () => {
+        this.emit('showReplay');
+        this.playButtonSound();
+      });
+    }
+
+    if (this.elements.finishBtn) {
+      this.elements.finishBtn.addEventListener('click', () => {
+        this.emit('finishGame');
+        this.playButtonSound();
+      });
+    }
+
     if (this.elements.menuBtn) {
       this.elements.menuBtn.addEventListener('click', () => {
         this.emit('showMenu');
@@ -227,8 +257,14 @@ export class GameUI {
       this.lastLines = gameState.lines;
     }
 
+    // Update mode goals (lines left, time left...)
+    if (gameData) {
+      this.updateModeStatus(gameData.modeStatus);
+      this.updateHold(gameData.holdEnabled, gameData.canHold);
+    }
+
     // Update UI state based on game state
-    this.updateGameStateUI(gameState.gameState);
+    this.updateGameStateUI(gameState.gameState, gameState);
 
     // Update button states
     this.updateButtonStates(gameState);
@@ -263,6 +299,46 @@ export class GameUI {
     }
   }
 
+  /**
+   * Show the HUD items of the current game mode, hidden when the mode has none
+   * @param {Array} status - List of { label, value } from the game mode
+   */
+  updateModeStatus(status = []) {
+    if (!this.elements.modeStatus) return;
+
+    const html = status
+      .map(
+        item => `
+        <div class="score-item">
+          <span class="score-label">${item.label}</span>
+          <span class="score-value">${item.value}</span>
+        </div>`,
+      )
+      .join('');
+
+    // Only touch the DOM when something changed
+    if (html === this.lastModeStatus) return;
+    this.lastModeStatus = html;
+
+    this.elements.modeStatus.innerHTML = html;
+    this.elements.modeStatus.classList.toggle('hidden', status.length === 0);
+  }
+
+  /**
+   * Show the hold slot and button only when hold is on, dimmed once it is used for this piece
+   * @param {boolean} holdEnabled - Hold allowed in this game
+   * @param {boolean} canHold - Hold can be used for the current piece
+   */
+  updateHold(holdEnabled, canHold) {
+    const { holdContainer, holdBtn } = this.elements;
+
+    [holdContainer, holdBtn].forEach(element => {
+      if (!element) return;
+      element.classList.toggle('hidden', !holdEnabled);
+      element.classList.toggle('hold-used', !canHold);
+    });
+  }
+
   /**
    * Animate score counter
    */
@@ -328,7 +404,7 @@ export class GameUI {
   /**
    * Update UI based on game state
    */
-  updateGameStateUI(gameState) {
+  updateGameStateUI(gameState, stats = {}) {
     switch (gameState) {
       case GAME_STATES.PLAYING:
         this.hideOverlay();
@@ -336,12 +412,12 @@ export class GameUI {
         break;
 
       case GAME_STATES.PAUSED:
-        this.showPauseOverlay();
+        this.showPauseOverlay(stats);
         this.updatePauseButton(true);
         break;
 
       case GAME_STATES.GAME_OVER:
-        this.showGameOverOverlay();
+        this.showGameOverOverlay(stats);
         break;
 
       case GAME_STATES.MENU:
@@ -371,13 +447,24 @@ export class GameUI {
   /**
    * Show pause overlay
    */
-  showPauseOverlay() {
+  showPauseOverlay(stats = {}) {
     if (!this.elements.gameOverlay) return;
 
+    // Modes that never end on their own are finished from here
+    const canFinish = createGameMode(stats.mode).canFinish;
+
     this.elements.overlayTitle.textContent = 'Game Paused';
-    this.elements.overlayMessage.textContent =
-      'Take a break! Press space or click Resume to continue.';
+    this.elements.overlayMessage.textContent = canFinish
+      ? 'Take a break! Press Resume to keep playing, or All Done when you are finished.'
+      : 'Take a break! Press space or click Resume to continue.';
     this.elements.restartBtn.style.display = 'none';
+    this.showNextLessonButton(null);
+    if (this.elements.replayBtn) {
+      this.elements.replayBtn.style.display = 'none';
+    }
+    if (this.elements.finishBtn) {
+      this.elements.finishBtn.style.display = canFinish ? 'inline-flex' : 'none';
+    }
     this.elements.menuBtn.style.display = 'inline-flex';
 
     this.showOverlay();
@@ -389,18 +476,43 @@ export class GameUI {
   showGameOverOverlay(stats = {}) {
     if (!this.elements.gameOverlay) return;
 
-    this.elements.overlayTitle.textContent = 'Great Job!';
+    // Game modes with a goal have their own results screen
+    const result = stats.modeResult;
+    const mode = result ? createGameMode(result.modeId) : null;
+    const modeMessage = mode ? mode.getResultsMessage(result) : null;
+
+    this.elements.overlayTitle.textContent = mode ? mode.getResultsTitle(result) : 'Great Job!';
 
     // Create encouraging message based on performance
-    const message = this.generateGameOverMessage(stats);
+    const message = modeMessage
+      ? this.generateModeResultsMessage(modeMessage, stats)
+      : this.generateGameOverMessage(stats);
     this.elements.overlayMessage.innerHTML = message;
 
     this.elements.restartBtn.style.display = 'inline-flex';
+    this.showNextLessonButton(result?.completed ? result.nextLessonId : null);
+    if (this.elements.replayBtn) {
+      this.elements.replayBtn.style.display = 'inline-flex';
+    }
+    if (this.elements.finishBtn) {
+      this.elements.finishBtn.style.display = 'none';
+    }
     this.elements.menuBtn.style.display = 'inline-flex';
 
     this.showOverlay();
   }
 
+  /**
+   * Offer the next lesson after finishing one
+   * @param {string|null} lessonId - Lesson to go on to, or null to hide the button
+   */
+  showNextLessonButton(lessonId) {
+    this.nextLessonId = lessonId;
+    if (this.elements.nextLessonBtn) {
+      this.elements.nextLessonBtn.style.display = lessonId ? 'inline-flex' : 'none';
+    }
+  }
+
   /**
    * Generate encouraging game over message
    */
@@ -424,10 +536,55 @@ export class GameUI {
     message += `<br><br>📊 Final Score: <strong>${score.toLocaleString()}</strong><br>`;
     message += `📏 Lines Cleared: <strong>${lines}</strong><br>`;
     message += `🎚️ Level Reached: <strong>${level}</strong>`;
+    message += this.describePerfectClears(stats);
+    message += this.describeHintsUsed(stats);
+
+    // Seed lets the same piece sequence be played again
+    if (stats.seed !== null && stats.seed !== undefined) {
+      message += `<br>🎲 Game Seed: <strong class="game-seed">${stats.seed}</strong>`;
+    }
 
     return message;
   }
 
+  /**
+   * Generate the results message of a game mode, keeping the seed for a rematch
+   * @param {string} modeMessage - Message from the game mode
+   * @param {Object} stats - Final game state
+   * @returns {string} - Results message HTML
+   */
+  generateModeResultsMessage(modeMessage, stats) {
+    let message = modeMessage + this.describePerfectClears(stats) + this.describeHintsUsed(stats);
+
+    if (stats.seed !== null && stats.seed !== undefined) {
+      message += `<br>🎲 Game Seed: <strong class="game-seed">${stats.seed}</strong>`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Describe the perfect clears made in a game, if any
+   * @param {Object} stats - Final game state
+   * @returns {string} - Results line HTML, empty without perfect clears
+   */
+  describePerfectClears(stats) {
+    if (!stats.perfectClears) return '';
+
+    return `<br>💎 Perfect Clears: <strong>${stats.perfectClears}</strong>`;
+  }
+
+  /**
+   * Describe the placement hints used in a game, if any
+   * @param {Object} stats - Final game state
+   * @returns {string} - Results line HTML, empty without hints
+   */
+  describeHintsUsed(stats) {
+    if (!stats.hintsUsed) return '';
+
+    return `<br>💡 Hints Used: <strong>${stats.hintsUsed}</strong>`;
+  }
+
   /**
    * Show overlay with animation
    */
@@ -779,6 +936,8 @@ export class GameUI {
     this.lastScore = 0;
     this.lastLines = 0;
     this.lastLevel = 1;
+    this.lastModeStatus = null;
+    this.updateModeStatus([]);
 
     // Clear messages
     this.messageQueue = [];
@@ -3,7 +3,32 @@
  * Handles all non-gameplay UI screens with smooth transitions
  */
 
-import { GAME_STATES, DIFFICULTY_LEVELS, ANIMATIONS } from '../core/Constants.js';
+import {
+  GAME_STATES,
+  DIFFICULTY_LEVELS,
+  ANIMATIONS,
+  PUZZLE_CONFIG,
+  NEXT_QUEUE_CONFIG,
+  BOARD_SIZES,
+  PIECE_SET_CONFIG,
+  NETWORK_CONFIG,
+  BOT_CONFIG,
+  LOCK_DELAY_CONFIG,
+  HANDLING_CONFIG,
+  CONTROLS_CONFIG,
+  GAMEPAD_CONFIG,
+} from '../core/Constants.js';
+import { getGameModes } from '../modes/ModeRegistry.js';
+import { ModeRecords } from '../modes/ModeRecords.js';
+import { getPuzzle, getPuzzles } from '../modes/PuzzleLoader.js';
+import { PuzzleMode } from '../modes/PuzzleMode.js';
+import { PuzzleStorage } from '../modes/PuzzleStorage.js';
+import { TutorialMode, getLesson, getLessons } from '../modes/TutorialMode.js';
+import { getPieceSets } from '../pieces/PieceSetRegistry.js';
+import { getRandomizers } from '../pieces/RandomizerRegistry.js';
+import { escapeHtml } from '../utils/Utils.js';
+import { KeyBindings, describeKey } from '../input/KeyBindings.js';
+import { createGamepadBindings, describeButton } from '../input/GamepadInput.js';
 
 export class MenuSystem {
   constructor() {
@@ -14,15 +39,35 @@ export class MenuSystem {
     // Menu screens
     this.screens = new Map();
 
+    // Keys and controller buttons of the controls screen; the action waiting for a new one
+    this.keyBindings = new KeyBindings();
+    this.gamepadBindings = createGamepadBindings();
+    this.capturing = null;
+    this.handleCaptureKey = this.handleCaptureKey.bind(this);
+
     // Game settings
     this.settings = {
       difficulty: 'NORMAL',
       soundEnabled: true,
       musicEnabled: true,
       showGhostPiece: true,
+      showHints: true,
+      advancedScoring: false,
       showGrid: false,
       animationSpeed: 'normal',
       theme: 'default',
+      holdPiece: this.getDefaultHoldSettings(),
+      randomizer: this.getDefaultRandomizerSettings(),
+      versusGarbage: true,
+      botLevel: BOT_CONFIG.DEFAULT_LEVEL,
+      lockReset: LOCK_DELAY_CONFIG.DEFAULT_RESET,
+      das: this.getDefaultHandlingSettings('das'),
+      arr: this.getDefaultHandlingSettings('arr'),
+      softDropFactor: this.getDefaultHandlingSettings('softDropFactor'),
+      dasCut: this.getDefaultHandlingSettings('dasCut'),
+      nextQueueSize: String(NEXT_QUEUE_CONFIG.DEFAULT_SIZE),
+      boardSize: 'CLASSIC',
+      pieceSet: PIECE_SET_CONFIG.DEFAULT_SET,
     };
 
     // Load saved settings
@@ -68,6 +113,18 @@ export class MenuSystem {
 
     // Difficulty selection screen
     this.createDifficultyScreen();
+
+    // Game mode selection screen
+    this.createModesScreen();
+
+    // Puzzle selection screen
+    this.createPuzzlesScreen();
+
+    // Online lobby screen
+    this.createOnlineScreen();
+
+    // Keyboard controls screen
+    this.createControlsScreen();
   }
 
   /**
@@ -84,10 +141,35 @@ export class MenuSystem {
         </div>
         
         <div class="menu-buttons">
+          <button class="btn btn-primary btn-large hidden" data-action="continueGame"
+                  id="continueGameBtn">
+            ▶️ Continue your game
+          </button>
+          
           <button class="btn btn-primary btn-large" data-action="startGame">
             🎮 Start Playing!
           </button>
           
+          <button class="btn btn-secondary btn-medium" data-action="modes">
+            🏁 Game Modes
+          </button>
+          
+          <button class="btn btn-secondary btn-medium" data-action="versus">
+            ⚔️ Two Player Versus
+          </button>
+          
+          <button class="btn btn-secondary btn-medium" data-action="versusComputer">
+            🤖 Play the Computer
+          </button>
+          
+          <button class="btn btn-secondary btn-medium" data-action="coop">
+            🤝 Two Player Co-op
+          </button>
+          
+          <button class="btn btn-secondary btn-medium" data-action="online">
+            🌐 Play Online
+          </button>
+          
           <button class="btn btn-secondary btn-medium" data-action="difficulty">
             ⚙️ Choose Difficulty
           </button>
@@ -169,10 +251,609 @@ export class MenuSystem {
     this.screens.set('difficulty', difficultyScreen);
   }
 
+  /**
+   * Create game mode selection screen
+   */
+  createModesScreen() {
+    const modesScreen = document.createElement('div');
+    modesScreen.className = 'menu-screen modes-screen';
+    modesScreen.innerHTML = `
+      <div class="menu-container">
+        <div class="menu-header">
+          <h2 class="menu-title">🏁 Game Modes</h2>
+          <p class="menu-subtitle">Try a new way to play!</p>
+        </div>
+        
+        <div class="piece-set-picker">
+          <h3 class="menu-section-title">🧱 Pieces</h3>
+          <div class="setting-selector piece-set-options"></div>
+        </div>
+        
+        <div class="mode-options"></div>
+        
+        <div class="menu-buttons">
+          <button class="btn btn-secondary btn-medium" data-action="mainMenu">
+            ← Back to Menu
+          </button>
+        </div>
+      </div>
+    `;
+
+    this.screens.set('modes', modesScreen);
+    this.refreshModesScreen();
+  }
+
+  /**
+   * Fill the game mode list with each mode and its record
+   */
+  refreshModesScreen() {
+    const modesScreen = this.screens.get('modes');
+    const modeOptions = modesScreen?.querySelector('.mode-options');
+    if (!modeOptions) return;
+
+    // Piece set for the next game (puzzles always use the classic pieces)
+    const pieceSetOptions = modesScreen.querySelector('.piece-set-options');
+    pieceSetOptions.innerHTML = getPieceSets()
+      .map(pieceSet => {
+        const selected = this.settings.pieceSet === pieceSet.id ? 'selected' : '';
+        return `
+          <button class="btn btn-selector ${selected}" data-setting="pieceSet"
+                  data-value="${pieceSet.id}" title="${escapeHtml(pieceSet.description)}">
+            ${pieceSet.icon} ${escapeHtml(pieceSet.name)}
+          </button>`;
+      })
+      .join('');
+
+    // Records are saved by the game engine, so read them fresh
+    const records = new ModeRecords();
+
+    modeOptions.innerHTML = getGameModes()
+      .map(mode => {
+        // Puzzles keep stars per puzzle, so show the total collected
+        const record =
+          mode.id === 'puzzle'
+            ? this.describePuzzleStars(records)
+            : mode.formatRecord(records.getRecord(mode.id));
+        return `
+          <button class="btn mode-option" data-game-mode="${mode.id}">
+            <span class="mode-icon">${mode.icon}</span>
+            <span class="mode-info">
+              <span class="mode-name">${mode.name}</span>
+              <span class="mode-description">${mode.description}</span>
+              ${record ? `<span class="mode-record">${record}</span>` : ''}
+            </span>
+          </button>
+        `;
+      })
+      .join('');
+  }
+
+  /**
+   * Create puzzle selection screen
+   */
+  createPuzzlesScreen() {
+    const puzzlesScreen = document.createElement('div');
+    puzzlesScreen.className = 'menu-screen puzzles-screen';
+    puzzlesScreen.innerHTML = `
+      <div class="menu-container">
+        <div class="menu-header">
+          <h2 class="menu-title">🧠 Puzzles</h2>
+          <p class="menu-subtitle">Use fewer pieces to earn more stars!</p>
+        </div>
+        
+        <div class="mode-options puzzle-options"></div>
+
+        <h3 class="menu-section-title">🎨 My Puzzles</h3>
+        <div class="mode-options my-puzzle-options"></div>
+        
+        <div class="menu-buttons">
+          <button class="btn btn-primary btn-medium" data-action="puzzleEditor">
+            ✏️ Make a Puzzle
+          </button>
+          <button class="btn btn-secondary btn-medium" data-action="modes">
+            ← Back to Game Modes
+          </button>
+        </div>
+      </div>
+    `;
+
+    this.screens.set('puzzles', puzzlesScreen);
+    this.refreshPuzzlesScreen();
+  }
+
+  /**
+   * Create the online lobby: make a room and share its code, or join a friend's room
+   */
+  createOnlineScreen() {
+    const onlineScreen = document.createElement('div');
+    onlineScreen.className = 'menu-screen online-screen';
+    onlineScreen.innerHTML = `
+      <div class="menu-container">
+        <div class="menu-header">
+          <h2 class="menu-title">🌐 Play Online</h2>
+          <p class="menu-subtitle">Play a friend on another computer or tablet!</p>
+        </div>
+        
+        <div class="online-lobby">
+          <h3 class="menu-section-title">🏠 Make a Room</h3>
+          <button class="btn btn-primary btn-medium" data-action="createRoom">
+            ✨ Get a Room Code
+          </button>
+          <p class="online-room-code hidden">
+            Tell your friend the code: <strong class="room-code"></strong>
+          </p>
+          
+          <h3 class="menu-section-title">🚪 Join a Friend</h3>
+          <div class="online-join">
+            <input type="text" class="room-code-input" placeholder="CODE"
+                   maxlength="${NETWORK_CONFIG.ROOM_CODE_LENGTH}" autocomplete="off"
+                   aria-label="Room code">
+            <button class="btn btn-secondary btn-medium" data-action="joinRoom">
+              Join
+            </button>
+          </div>
+          
+          <p class="online-status" aria-live="polite"></p>
+        </div>
+        
+        <div class="menu-buttons">
+          <button class="btn btn-secondary btn-medium" data-action="leaveOnline">
+            ← Back to Menu
+          </button>
+        </div>
+      </div>
+    `;
+
+    // Typing a code and pressing Enter joins straight away
+    onlineScreen.querySelector('.room-code-input').addEventListener('keydown', event => {
+      if (event.key === 'Enter') {
+        this.handleAction('joinRoom');
+      }
+    });
+
+    this.screens.set('online', onlineScreen);
+  }
+
+  /**
+   * Create the controls screen: pick a preset or press a new key (or controller button) for
+   * each action
+   */
+  createControlsScreen() {
+    const controlsScreen = document.createElement('div');
+    controlsScreen.className = 'menu-screen settings-screen controls-screen';
+    controlsScreen.innerHTML = `
+      <div class="menu-container">
+        <div class="menu-header">
+          <h2 class="menu-title">🎹 Controls</h2>
+          <p class="menu-subtitle">Pick a control, then press the key you want for it!</p>
+        </div>
+        
+        <div class="settings-groups">
+          <div class="settings-group">
+            <h3 class="settings-group-title">🎹 My Keys</h3>
+            <div class="settings-options">
+              <div class="setting-item">
+                <label class="setting-label">Ready-Made Keys</label>
+                <div class="setting-selector controls-presets" data-device="keyboard"></div>
+              </div>
+              <div class="controls-options" data-device="keyboard"></div>
+            </div>
+          </div>
+
+          <div class="settings-group">
+            <h3 class="settings-group-title">🎮 My Controller</h3>
+            <div class="settings-options">
+              <div class="setting-item">
+                <label class="setting-label">Ready-Made Buttons</label>
+                <div class="setting-selector controls-presets" data-device="gamepad"></div>
+              </div>
+              <div class="controls-options" data-device="gamepad"></div>
+            </div>
+          </div>
+        </div>
+
+        <p class="controls-status" aria-live="polite"></p>
+        
+        <div class="menu-buttons">
+          <button class="btn btn-secondary btn-medium" data-action="settings">
+            ← Back to Settings
+          </button>
+        </div>
+      </div>
+    `;
+
+    this.screens.set('controls', controlsScreen);
+    this.refreshControlsScreen();
+  }
+
+  /**
+   * Fill the controls screen with the presets and the key and button of each action
+   */
+  refreshControlsScreen() {
+    const controlsScreen = this.screens.get('controls');
+    if (!controlsScreen) return;
+
+    Object.keys(this.getControlDevices()).forEach(device => {
+      controlsScreen.querySelector(`.controls-presets[data-device="${device}"]`).innerHTML =
+        this.renderControlsPresets(device);
+      controlsScreen.querySelector(`.controls-options[data-device="${device}"]`).innerHTML =
+        this.renderControlsOptions(device);
+    });
+  }
+
+  /**
+   * Build the preset buttons of a device, marking the preset in use
+   * @param {string} device - 'keyboard' or 'gamepad'
+   * @returns {string} - HTML
+   */
+  renderControlsPresets(device) {
+    const { bindings, presets } = this.getControlDevices()[device];
+    const presetId = bindings.getPresetId();
+
+    return Object.entries(presets)
+      .map(([id, preset]) => {
+        const selected = presetId === id ? 'selected' : '';
+        return `
+          <button class="btn btn-selector ${selected}" data-controls-preset="${id}"
+                  data-device="${device}">
+            ${preset.icon} ${preset.name}
+          </button>`;
+      })
+      .join('');
+  }
+
+  /**
+   * Build a row for each action with the key (or button) it uses on a device
+   * @param {string} device - 'keyboard' or 'gamepad'
+   * @returns {string} - HTML
+   */
+  renderControlsOptions(device) {
+    const { bindings, describe } = this.getControlDevices()[device];
+
+    return Object.entries(CONTROLS_CONFIG.ACTIONS)
+      .map(([action, control]) => {
+        const waiting = this.capturing?.device === device && this.capturing?.action === action;
+        const key = escapeHtml(describe(bindings.getKey(action)));
+        return `
+          <div class="setting-item">
+            <label class="setting-label">${control.icon} ${control.name}</label>
+            <button class="btn btn-selector ${waiting ? 'selected' : ''}"
+                    data-bind-action="${action}" data-device="${device}">
+              ${waiting ? 'Press...' : key}
+            </button>
+          </div>`;
+      })
+      .join('');
+  }
+
+  /**
+   * Get what the controls screen can change: the keyboard keys and the controller buttons
+   * @returns {Object} - { bindings, presets, describe, what } by device
+   */
+  getControlDevices() {
+    return {
+      keyboard: {
+        bindings: this.keyBindings,
+        presets: CONTROLS_CONFIG.PRESETS,
+        describe: describeKey,
+        what: 'key',
+      },
+      gamepad: {
+        bindings: this.gamepadBindings,
+        presets: GAMEPAD_CONFIG.PRESETS,
+        describe: describeButton,
+        what: 'controller button',
+      },
+    };
+  }
+
+  /**
+   * Wait for the next key (or controller button) press and give it to an action
+   * @param {string} device - 'keyboard' or 'gamepad'
+   * @param {string} action - Action from CONTROLS_CONFIG.ACTIONS
+   */
+  startKeyCapture(device, action) {
+    this.capturing = { device, action };
+    const { what } = this.getControlDevices()[device];
+    this.setControlsStatus(
+      `Press the ${what} for ${CONTROLS_CONFIG.ACTIONS[action].name} (Escape to keep the old one)`,
+    );
+
+    // Keys go to the controls screen first, so menus and focused buttons never see them
+    document.activeElement?.blur?.();
+    document.addEventListener('keydown', this.handleCaptureKey, true);
+    this.refreshControlsScreen();
+  }
+
+  /**
+   * Stop waiting for a key
+   */
+  stopKeyCapture() {
+    this.capturing = null;
+    document.removeEventListener('keydown', this.handleCaptureKey, true);
+    this.refreshControlsScreen();
+  }
+
+  /**
+   * Use the pressed key for the waiting action (Escape keeps the old one)
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleCaptureKey(event) {
+    event.preventDefault();
+    event.stopPropagation();
+    if (event.repeat) return;
+
+    if (event.code === 'Escape') {
+      this.setControlsStatus('');
+      this.stopKeyCapture();
+      return;
+    }
+
+    // Waiting for a controller button: keys other than Escape do nothing
+    if (this.capturing.device !== 'keyboard') return;
+
+    if (CONTROLS_CONFIG.RESERVED_KEYS.includes(event.code)) {
+      this.setControlsStatus(
+        `⚠️ ${describeKey(event.code)} is needed for the menus. Pick another key!`,
+      );
+      return;
+    }
+
+    this.bindCaptured(event.code);
+  }
+
+  /**
+   * Give the waiting action a key or button, unless another action already has it
+   * @param {string|number} code - Key code or controller button number
+   */
+  bindCaptured(code) {
+    const { device, action } = this.capturing;
+    const { bindings, describe } = this.getControlDevices()[device];
+    const name = describe(code);
+
+    const conflict = bindings.bind(action, code);
+    if (conflict) {
+      const other = CONTROLS_CONFIG.ACTIONS[conflict].name;
+      this.setControlsStatus(`⚠️ ${name} is already used for ${other}. Pick another one!`);
+      return;
+    }
+
+    this.setControlsStatus(`✅ ${CONTROLS_CONFIG.ACTIONS[action].name} is now ${name}`);
+    this.stopKeyCapture();
+  }
+
+  /**
+   * Use the keys (or buttons) of a preset
+   * @param {string} device - 'keyboard' or 'gamepad'
+   * @param {string} presetId - Preset from CONTROLS_CONFIG.PRESETS or GAMEPAD_CONFIG.PRESETS
+   */
+  handleControlsPreset(device, presetId) {
+    if (this.capturing) {
+      this.stopKeyCapture();
+    }
+
+    const { bindings, presets } = this.getControlDevices()[device];
+    bindings.applyPreset(presetId);
+    this.setControlsStatus(`✅ Using the ${presets[presetId].name} controls`);
+    this.refreshControlsScreen();
+  }
+
+  /**
+   * Show what happened on the controls screen
+   * @param {string} message - Status message (empty to clear it)
+   */
+  setControlsStatus(message) {
+    this.screens.get('controls').querySelector('.controls-status').textContent = message;
+  }
+
+  /**
+   * Show the code of the room this player made
+   * @param {string|null} code - Room code, or null to hide it
+   */
+  showRoomCode(code) {
+    const onlineScreen = this.screens.get('online');
+    const codeLine = onlineScreen.querySelector('.online-room-code');
+
+    onlineScreen.querySelector('.room-code').textContent = code || '';
+    codeLine.classList.toggle('hidden', !code);
+  }
+
+  /**
+   * Show how connecting to an online game is going
+   * @param {string} message - Status message (empty to clear it)
+   */
+  setOnlineStatus(message) {
+    this.screens.get('online').querySelector('.online-status').textContent = message;
+  }
+
+  /**
+   * Fill the puzzle lists with each puzzle, its goal and the stars earned
+   */
+  refreshPuzzlesScreen() {
+    const puzzlesScreen = this.screens.get('puzzles');
+    const puzzleOptions = puzzlesScreen?.querySelector('.puzzle-options');
+    const myPuzzleOptions = puzzlesScreen?.querySelector('.my-puzzle-options');
+    if (!puzzleOptions || !myPuzzleOptions) return;
+
+    const records = new ModeRecords();
+
+    puzzleOptions.innerHTML = getPuzzles()
+      .map((puzzle, index) => this.createPuzzleButton(puzzle, index + 1, records))
+      .join('');
+
+    const myPuzzles = new PuzzleStorage().loadPuzzles();
+    if (myPuzzles.length === 0) {
+      myPuzzleOptions.innerHTML =
+        '<p class="menu-subtitle">Make your own puzzles and they will show up here!</p>';
+      return;
+    }
+
+    // Puzzles made in the editor may use any name, so escape what they show
+    myPuzzleOptions.innerHTML = myPuzzles
+      .map(puzzle => {
+        const name = escapeHtml(puzzle.name);
+        const description = escapeHtml(puzzle.description || '');
+        return this.createPuzzleButton({ ...puzzle, name, description }, '🎨', records);
+      })
+      .join('');
+  }
+
+  /**
+   * Create the button for one puzzle
+   * @param {Object} puzzle - Puzzle
+   * @param {string|number} icon - Number or icon shown on the left
+   * @param {ModeRecords} records - Saved records
+   * @returns {string} - Button HTML
+   */
+  createPuzzleButton(puzzle, icon, records) {
+    const puzzleMode = new PuzzleMode();
+    const record = records.getRecord(puzzleMode.getRecordKey({ puzzleId: puzzle.id }));
+
+    return `
+      <button class="btn mode-option" data-puzzle="${escapeHtml(puzzle.id)}">
+        <span class="mode-icon">${icon}</span>
+        <span class="mode-info">
+          <span class="mode-name">${puzzle.name}</span>
+          <span class="mode-description">${puzzle.description}</span>
+          <span class="mode-description">🎯 ${puzzleMode.describeGoal(puzzle)}</span>
+          <span class="mode-record">${puzzleMode.formatRecord(record)}</span>
+        </span>
+      </button>
+    `;
+  }
+
+  /**
+   * Describe the stars collected over all puzzles
+   * @param {ModeRecords} records - Saved records
+   * @returns {string} - e.g. "7 / 15 ⭐"
+   */
+  describePuzzleStars(records) {
+    const puzzleMode = new PuzzleMode();
+    const puzzles = getPuzzles();
+    const stars = puzzles.reduce((total, puzzle) => {
+      const record = records.getRecord(puzzleMode.getRecordKey({ puzzleId: puzzle.id }));
+      return total + (record ? record.stars : 0);
+    }, 0);
+
+    return `${stars} / ${puzzles.length * PUZZLE_CONFIG.MAX_STARS} ⭐`;
+  }
+
   /**
    * Create settings screen
    */
   createSettingsScreen() {
+    // Hold piece can be turned on or off for each difficulty
+    const holdToggles = Object.entries(DIFFICULTY_LEVELS)
+      .map(([key, level]) => {
+        const isOn = this.settings.holdPiece[key];
+        return `
+              <div class="setting-item">
+                <label class="setting-label">${level.name}</label>
+                <button class="btn btn-toggle ${isOn ? 'on' : 'off'}"
+                        data-setting="holdPiece" data-value="${key}">
+                  <span class="toggle-text">${isOn ? 'ON' : 'OFF'}</span>
+                </button>
+              </div>`;
+      })
+      .join('');
+
+    // Piece randomizer for each difficulty (the selectors carry the difficulty in data-level)
+    const randomizerSelectors = Object.entries(DIFFICULTY_LEVELS)
+      .map(([key, level]) => {
+        const buttons = getRandomizers()
+          .map(randomizer => {
+            const selected = this.settings.randomizer[key] === randomizer.id ? 'selected' : '';
+            return `
+                  <button class="btn btn-selector ${selected}" data-setting="randomizer"
+                          data-level="${key}" data-value="${randomizer.id}"
+                          title="${escapeHtml(randomizer.description)}">
+                    ${randomizer.icon} ${escapeHtml(randomizer.name)}
+                  </button>`;
+          })
+          .join('');
+
+        return `
+              <div class="setting-item">
+                <label class="setting-label">${level.name}</label>
+                <div class="setting-selector">${buttons}
+                </div>
+              </div>`;
+      })
+      .join('');
+
+    // How held moves repeat, for each player (the selectors carry the player in data-level)
+    const handlingSelectors = Object.entries(HANDLING_CONFIG.SETTINGS)
+      .flatMap(([field, setting]) =>
+        Array.from({ length: HANDLING_CONFIG.PLAYERS }, (_, player) => {
+          const buttons = setting.values
+            .map(value => {
+              const selected = this.settings[field]?.[player] === String(value) ? 'selected' : '';
+              return `
+                  <button class="btn btn-selector ${selected}" data-setting="${field}"
+                          data-level="${player}" data-value="${value}">
+                    ${this.describeHandlingValue(field, value)}
+                  </button>`;
+            })
+            .join('');
+
+          return `
+              <div class="setting-item">
+                <label class="setting-label">Player ${player + 1}: ${setting.name}</label>
+                <div class="setting-selector">${buttons}
+                </div>
+              </div>`;
+        }),
+      )
+      .join('');
+
+    // How many upcoming pieces to show (one keeps it simple for younger kids)
+    const queueSizes = [];
+    for (let size = NEXT_QUEUE_CONFIG.MIN_SIZE; size <= NEXT_QUEUE_CONFIG.MAX_SIZE; size++) {
+      queueSizes.push(String(size));
+    }
+    const queueButtons = queueSizes
+      .map(size => {
+        const selected = this.settings.nextQueueSize === size ? 'selected' : '';
+        return `
+                  <button class="btn btn-selector ${selected}"
+                          data-setting="nextQueueSize" data-value="${size}">${size}</button>`;
+      })
+      .join('');
+
+    // Board size for new games (puzzles always use the classic board)
+    const boardSizeButtons = Object.entries(BOARD_SIZES)
+      .map(([key, size]) => {
+        const selected = this.settings.boardSize === key ? 'selected' : '';
+        return `
+                  <button class="btn btn-selector ${selected}" data-setting="boardSize"
+                          data-value="${key}" title="${size.width} x ${size.height}">
+                    ${size.icon} ${size.name}
+                  </button>`;
+      })
+      .join('');
+
+    // How well the computer plays in versus games
+    const botLevelButtons = Object.entries(BOT_CONFIG.LEVELS)
+      .map(([key, level]) => {
+        const selected = this.settings.botLevel === key ? 'selected' : '';
+        return `
+                  <button class="btn btn-selector ${selected}" data-setting="botLevel"
+                          data-value="${key}">${level.icon} ${level.name}</button>`;
+      })
+      .join('');
+
+    // What restarts the lock timer of a piece that has landed
+    const lockResetButtons = Object.entries(LOCK_DELAY_CONFIG.RESETS)
+      .map(([key, reset]) => {
+        const selected = this.settings.lockReset === key ? 'selected' : '';
+        return `
+                  <button class="btn btn-selector ${selected}" data-setting="lockReset"
+                          data-value="${key}" title="${reset.description}">
+                    ${reset.icon} ${reset.name}
+                  </button>`;
+      })
+      .join('');
+
     const settingsScreen = document.createElement('div');
     settingsScreen.className = 'menu-screen settings-screen';
     settingsScreen.innerHTML = `
@@ -215,6 +896,22 @@ export class MenuSystem {
                 </button>
               </div>
               
+              <div class="setting-item">
+                <label class="setting-label">Hints When Stuck</label>
+                <button class="btn btn-toggle ${this.settings.showHints ? 'on' : 'off'}"
+                        data-setting="showHints">
+                  <span class="toggle-text">${this.settings.showHints ? 'ON' : 'OFF'}</span>
+                </button>
+              </div>
+              
+              <div class="setting-item">
+                <label class="setting-label">Advanced Scoring</label>
+                <button class="btn btn-toggle ${this.settings.advancedScoring ? 'on' : 'off'}"
+                        data-setting="advancedScoring">
+                  <span class="toggle-text">${this.settings.advancedScoring ? 'ON' : 'OFF'}</span>
+                </button>
+              </div>
+              
               <div class="setting-item">
                 <label class="setting-label">Show Grid Lines</label>
                 <button class="btn btn-toggle ${this.settings.showGrid ? 'on' : 'off'}" 
@@ -234,6 +931,73 @@ export class MenuSystem {
                           data-setting="animationSpeed" data-value="fast">Fast</button>
                 </div>
               </div>
+              
+              <div class="setting-item">
+                <label class="setting-label">Next Pieces Shown</label>
+                <div class="setting-selector">${queueButtons}
+                </div>
+              </div>
+            </div>
+          </div>
+
+          <div class="settings-group">
+            <h3 class="settings-group-title">📐 Board Size</h3>
+            <div class="settings-options">
+              <div class="setting-item">
+                <label class="setting-label">Board</label>
+                <div class="setting-selector">${boardSizeButtons}
+                </div>
+              </div>
+            </div>
+          </div>
+
+          <div class="settings-group">
+            <h3 class="settings-group-title">✋ Hold Piece</h3>
+            <div class="settings-options">
+              ${holdToggles}
+            </div>
+          </div>
+
+          <div class="settings-group">
+            <h3 class="settings-group-title">⏳ Lock Delay</h3>
+            <div class="settings-options">
+              <div class="setting-item">
+                <label class="setting-label">Moving a Landed Block</label>
+                <div class="setting-selector">${lockResetButtons}
+                </div>
+              </div>
+            </div>
+          </div>
+
+          <div class="settings-group">
+            <h3 class="settings-group-title">🎮 Handling</h3>
+            <div class="settings-options">
+              ${handlingSelectors}
+            </div>
+          </div>
+
+          <div class="settings-group">
+            <h3 class="settings-group-title">👫 Two Players</h3>
+            <div class="settings-options">
+              <div class="setting-item">
+                <label class="setting-label">Send Garbage Rows</label>
+                <button class="btn btn-toggle ${this.settings.versusGarbage ? 'on' : 'off'}"
+                        data-setting="versusGarbage">
+                  <span class="toggle-text">${this.settings.versusGarbage ? 'ON' : 'OFF'}</span>
+                </button>
+              </div>
+              <div class="setting-item">
+                <label class="setting-label">Computer Player</label>
+                <div class="setting-selector">${botLevelButtons}
+                </div>
+              </div>
+            </div>
+          </div>
+
+          <div class="settings-group">
+            <h3 class="settings-group-title">🎲 Piece Randomizer</h3>
+            <div class="settings-options">
+              ${randomizerSelectors}
             </div>
           </div>
         </div>
@@ -247,6 +1011,10 @@ export class MenuSystem {
             🔄 Reset to Default
           </button>
           
+          <button class="btn btn-secondary btn-medium" data-action="controls">
+            🎹 Change Keys
+          </button>
+          
           <button class="btn btn-secondary btn-medium" data-action="back">
             ← Back to Menu
           </button>
@@ -267,47 +1035,14 @@ export class MenuSystem {
       <div class="menu-container">
         <div class="menu-header">
           <h2 class="menu-title">📚 How to Play Tetris</h2>
-          <p class="menu-subtitle">Learn the basics and become a pro!</p>
+          <p class="menu-subtitle">Play each lesson to learn the controls!</p>
         </div>
         
         <div class="instructions-content">
           <div class="instruction-section">
-            <h3 class="instruction-title">🎮 Controls</h3>
-            <div class="controls-grid">
-              <div class="control-item">
-                <div class="control-key">←</div>
-                <div class="control-description">Move piece left</div>
-              </div>
-              <div class="control-item">
-                <div class="control-key">→</div>
-                <div class="control-description">Move piece right</div>
-              </div>
-              <div class="control-item">
-                <div class="control-key">↓</div>
-                <div class="control-description">Move piece down faster</div>
-              </div>
-              <div class="control-item">
-                <div class="control-key">↑</div>
-                <div class="control-description">Rotate piece</div>
-              </div>
-              <div class="control-item">
-                <div class="control-key">Space</div>
-                <div class="control-description">Drop piece instantly</div>
-              </div>
-              <div class="control-item">
-                <div class="control-key">P</div>
-                <div class="control-description">Pause game</div>
-              </div>
-            </div>
-          </div>
-          
-          <div class="instruction-section">
-            <h3 class="instruction-title">🎯 Goal</h3>
-            <div class="goal-description">
-              <p>Stack the falling blocks to create complete horizontal lines!</p>
-              <p>When you complete a line, it disappears and you get points!</p>
-              <p>Try not to let the blocks reach the top of the screen!</p>
-            </div>
+            <h3 class="instruction-title">🎓 Lessons</h3>
+            <p class="lesson-progress"></p>
+            <div class="mode-options lesson-options"></div>
           </div>
           
           <div class="instruction-section">
@@ -358,6 +1093,44 @@ export class MenuSystem {
     `;
 
     this.screens.set('howToPlay', howToPlayScreen);
+    this.refreshLessonsScreen();
+  }
+
+  /**
+   * Fill the lesson list, ticking off the lessons already finished
+   */
+  refreshLessonsScreen() {
+    const lessonOptions = this.screens.get('howToPlay')?.querySelector('.lesson-options');
+    if (!lessonOptions) return;
+
+    // Finished lessons are saved as mode records by the game engine
+    const records = new ModeRecords();
+    const tutorialMode = new TutorialMode();
+    const lessons = getLessons();
+    let finished = 0;
+
+    lessonOptions.innerHTML = lessons
+      .map(lesson => {
+        const record = records.getRecord(tutorialMode.getRecordKey({ lessonId: lesson.id }));
+        if (record) finished++;
+
+        return `
+          <button class="btn mode-option" data-lesson="${lesson.id}">
+            <span class="mode-icon">${lesson.icon}</span>
+            <span class="mode-info">
+              <span class="mode-name">${lesson.name}</span>
+              <span class="mode-description">${lesson.instruction}</span>
+              <span class="mode-record">${tutorialMode.formatRecord(record)}</span>
+            </span>
+          </button>
+        `;
+      })
+      .join('');
+
+    this.screens.get('howToPlay').querySelector('.lesson-progress').textContent =
+      finished === lessons.length
+        ? `🌟 All ${lessons.length} lessons done - you are ready to play!`
+        : `${finished} of ${lessons.length} lessons done`;
   }
 
   /**
@@ -446,6 +1219,38 @@ export class MenuSystem {
       if (difficulty) {
         this.handleDifficultySelect(difficulty, event.target);
       }
+
+      // Mode buttons have icon and text inside, so look up from the clicked element
+      const modeButton = event.target.closest?.('[data-game-mode]');
+      if (modeButton) {
+        this.handleModeSelect(modeButton.getAttribute('data-game-mode'));
+      }
+
+      const puzzleButton = event.target.closest?.('[data-puzzle]');
+      if (puzzleButton) {
+        this.handlePuzzleSelect(puzzleButton.getAttribute('data-puzzle'));
+      }
+
+      const lessonButton = event.target.closest?.('[data-lesson]');
+      if (lessonButton) {
+        this.handleLessonSelect(lessonButton.getAttribute('data-lesson'));
+      }
+
+      const bindButton = event.target.closest?.('[data-bind-action]');
+      if (bindButton) {
+        this.startKeyCapture(
+          bindButton.getAttribute('data-device'),
+          bindButton.getAttribute('data-bind-action'),
+        );
+      }
+
+      const presetButton = event.target.closest?.('[data-controls-preset]');
+      if (presetButton) {
+        this.handleControlsPreset(
+          presetButton.getAttribute('data-device'),
+          presetButton.getAttribute('data-controls-preset'),
+        );
+      }
     });
 
     // Keyboard navigation
@@ -472,18 +1277,85 @@ export class MenuSystem {
         this.emit('startGame', this.settings);
         break;
 
+      case 'continueGame':
+        this.emit('continueGame');
+        break;
+
+      case 'versus':
+        this.emit('startVersus', this.settings);
+        break;
+
+      case 'versusComputer':
+        this.emit('startVersusComputer', this.settings);
+        break;
+
+      case 'coop':
+        this.emit('startCoop', this.settings);
+        break;
+
+      case 'online':
+        this.showRoomCode(null);
+        this.setOnlineStatus('');
+        this.showScreen('online');
+        break;
+
+      case 'createRoom':
+        this.showRoomCode(null);
+        this.emit('createOnlineRoom', this.settings);
+        break;
+
+      case 'joinRoom': {
+        const input = this.screens.get('online').querySelector('.room-code-input');
+        const code = input.value.trim().toUpperCase();
+        if (code) {
+          this.emit('joinOnlineRoom', code, this.settings);
+        } else {
+          this.setOnlineStatus('✏️ Type the code your friend got first.');
+          input.focus();
+        }
+        break;
+      }
+
+      case 'leaveOnline':
+        this.emit('leaveOnline');
+        this.showScreen('main');
+        break;
+
+      case 'modes':
+        this.refreshModesScreen();
+        this.showScreen('modes');
+        break;
+
+      case 'mainMenu':
+        this.showScreen('main');
+        break;
+
+      case 'puzzleEditor':
+        this.emit('openPuzzleEditor');
+        break;
+
       case 'difficulty':
         this.showScreen('difficulty');
         break;
 
       case 'howToPlay':
+        this.refreshLessonsScreen();
         this.showScreen('howToPlay');
         break;
 
       case 'settings':
+        if (this.capturing) {
+          this.stopKeyCapture();
+        }
         this.showScreen('settings');
         break;
 
+      case 'controls':
+        this.setControlsStatus('');
+        this.refreshControlsScreen();
+        this.showScreen('controls');
+        break;
+
       case 'about':
         this.showScreen('about');
         break;
@@ -513,10 +1385,22 @@ export class MenuSystem {
    * Handle setting changes
    */
   handleSettingChange(setting, element) {
-    if (element.classList.contains('btn-toggle')) {
+    if (element.classList.contains('btn-toggle') && element.hasAttribute('data-value')) {
+      // Toggle a per-difficulty setting, e.g. hold piece on Easy
+      const level = element.getAttribute('data-value');
+      const values = { ...this.settings[setting], [level]: !this.settings[setting][level] };
+      this.settings[setting] = values;
+      this.updateToggleButton(element, values[level]);
+    } else if (element.classList.contains('btn-toggle')) {
       // Toggle boolean settings
       this.settings[setting] = !this.settings[setting];
       this.updateToggleButton(element, this.settings[setting]);
+    } else if (element.classList.contains('btn-selector') && element.hasAttribute('data-level')) {
+      // Select a per-difficulty value, e.g. the randomizer on Easy
+      const level = element.getAttribute('data-level');
+      const value = element.getAttribute('data-value');
+      this.settings[setting] = { ...this.settings[setting], [level]: value };
+      this.updateSelectorButtons(element.parentElement, value);
     } else if (element.classList.contains('btn-selector')) {
       // Select value settings
       const value = element.getAttribute('data-value');
@@ -544,12 +1428,54 @@ export class MenuSystem {
     this.playMenuSound('select');
   }
 
+  /**
+   * Start a game in the chosen mode with the current settings
+   */
+  handleModeSelect(modeId) {
+    this.playMenuSound('select');
+
+    // Puzzles pick a puzzle first
+    if (modeId === 'puzzle') {
+      this.refreshPuzzlesScreen();
+      this.showScreen('puzzles');
+      return;
+    }
+
+    this.emit('startGame', { ...this.settings, mode: modeId });
+  }
+
+  /**
+   * Start the chosen puzzle
+   * Built-in puzzles are started by id, puzzles from "My Puzzles" are passed whole
+   */
+  handlePuzzleSelect(puzzleId) {
+    const puzzle = getPuzzle(puzzleId) ? puzzleId : new PuzzleStorage().getPuzzle(puzzleId);
+    if (!puzzle) return;
+
+    this.playMenuSound('select');
+    this.emit('startGame', { ...this.settings, mode: 'puzzle', puzzle });
+  }
+
+  /**
+   * Start the chosen lesson
+   * @param {string} lesson - Lesson id
+   */
+  handleLessonSelect(lesson) {
+    if (!getLesson(lesson)) return;
+
+    this.playMenuSound('select');
+    this.emit('startGame', { ...this.settings, mode: 'tutorial', lesson });
+  }
+
   /**
    * Handle keyboard navigation
    */
   handleKeyboardNavigation(event) {
     if (this.isAnimating) return;
 
+    // Leave typing and number fields alone (e.g. in the puzzle editor)
+    if (event.target.closest?.('input, select, textarea')) return;
+
     switch (event.key) {
       case 'Escape':
         if (this.currentScreen !== 'main') {
@@ -572,6 +1498,41 @@ export class MenuSystem {
     }
   }
 
+  /**
+   * Handle a controller button in the menus: the d-pad moves between buttons, A presses the
+   * chosen one and B goes back (see GAMEPAD_CONFIG.MENU_BUTTONS)
+   * @param {number} button - Button number
+   */
+  handleGamepadButton(button) {
+    // The controls screen is waiting for a new controller button
+    if (this.capturing?.device === 'gamepad') {
+      this.bindCaptured(button);
+      return;
+    }
+
+    if (this.isAnimating) return;
+
+    const { up, down, confirm, back } = GAMEPAD_CONFIG.MENU_BUTTONS;
+    switch (button) {
+    case up:
+    case down:
+      this.navigateButtons(button === up ? -1 : 1);
+      break;
+
+    case confirm:
+      if (document.activeElement?.tagName === 'BUTTON') {
+        document.activeElement.click();
+      }
+      break;
+
+    case back:
+      if (this.currentScreen !== 'main') {
+        this.showPreviousScreen();
+      }
+      break;
+    }
+  }
+
   /**
    * Navigate between buttons with keyboard
    */
@@ -579,7 +1540,7 @@ export class MenuSystem {
     const currentScreen = this.screens.get(this.currentScreen);
     if (!currentScreen) return;
 
-    const buttons = currentScreen.querySelectorAll('button:not(:disabled)');
+    const buttons = currentScreen.querySelectorAll('button:not(:disabled):not(.hidden)');
     const currentIndex = Array.from(buttons).indexOf(document.activeElement);
 
     let nextIndex;
@@ -642,7 +1603,7 @@ export class MenuSystem {
 
       // Focus first button for keyboard navigation
       setTimeout(() => {
-        const firstButton = screenElement.querySelector('button');
+        const firstButton = screenElement.querySelector('button:not(.hidden)');
         if (firstButton) {
           firstButton.focus();
         }
@@ -709,19 +1670,20 @@ export class MenuSystem {
     const settingsScreen = this.screens.get('settings');
     if (!settingsScreen) return;
 
-    // Update toggle buttons
-    Object.entries(this.settings).forEach(([key, value]) => {
-      const toggleBtn = settingsScreen.querySelector(`[data-setting="${key}"]`);
-      if (toggleBtn && toggleBtn.classList.contains('btn-toggle')) {
-        this.updateToggleButton(toggleBtn, value);
-      }
+    // Update toggle buttons (per-difficulty toggles carry the difficulty in data-value)
+    settingsScreen.querySelectorAll('.btn-toggle[data-setting]').forEach(toggleBtn => {
+      const value = this.settings[toggleBtn.getAttribute('data-setting')];
+      const level = toggleBtn.getAttribute('data-value');
+      this.updateToggleButton(toggleBtn, Boolean(level ? value?.[level] : value));
     });
 
-    // Update selector buttons
-    const animationSpeedContainer = settingsScreen.querySelector('.setting-selector');
-    if (animationSpeedContainer) {
-      this.updateSelectorButtons(animationSpeedContainer, this.settings.animationSpeed);
-    }
+    // Update selector buttons (per-difficulty selectors carry the difficulty in data-level)
+    settingsScreen.querySelectorAll('.setting-selector').forEach(container => {
+      const button = container.querySelector('[data-setting]');
+      const value = this.settings[button?.getAttribute('data-setting')];
+      const level = button?.getAttribute('data-level');
+      this.updateSelectorButtons(container, level ? value?.[level] : value);
+    });
   }
 
   /**
@@ -814,12 +1776,72 @@ export class MenuSystem {
       soundEnabled: true,
       musicEnabled: true,
       showGhostPiece: true,
+      showHints: true,
+      advancedScoring: false,
       showGrid: false,
       animationSpeed: 'normal',
       theme: 'default',
+      holdPiece: this.getDefaultHoldSettings(),
+      randomizer: this.getDefaultRandomizerSettings(),
+      versusGarbage: true,
+      botLevel: BOT_CONFIG.DEFAULT_LEVEL,
+      lockReset: LOCK_DELAY_CONFIG.DEFAULT_RESET,
+      das: this.getDefaultHandlingSettings('das'),
+      arr: this.getDefaultHandlingSettings('arr'),
+      softDropFactor: this.getDefaultHandlingSettings('softDropFactor'),
+      dasCut: this.getDefaultHandlingSettings('dasCut'),
+      nextQueueSize: String(NEXT_QUEUE_CONFIG.DEFAULT_SIZE),
+      boardSize: 'CLASSIC',
+      pieceSet: PIECE_SET_CONFIG.DEFAULT_SET,
     };
   }
 
+  /**
+   * Hold piece on or off for each difficulty, as set in DIFFICULTY_LEVELS
+   * @returns {Object} - e.g. { EASY: false, NORMAL: true, HARD: true }
+   */
+  getDefaultHoldSettings() {
+    return Object.fromEntries(
+      Object.entries(DIFFICULTY_LEVELS).map(([key, level]) => [key, level.holdPiece]),
+    );
+  }
+
+  /**
+   * Piece randomizer for each difficulty, as set in DIFFICULTY_LEVELS
+   * @returns {Object} - e.g. { EASY: 'friendly', NORMAL: 'bag7', HARD: 'bag7' }
+   */
+  getDefaultRandomizerSettings() {
+    return Object.fromEntries(
+      Object.entries(DIFFICULTY_LEVELS).map(([key, level]) => [key, level.randomizer]),
+    );
+  }
+
+  /**
+   * A handling value for each player, as set in HANDLING_CONFIG.DEFAULTS
+   * @param {string} field - 'das', 'arr', 'softDropFactor' or 'dasCut'
+   * @returns {Object} - e.g. { 0: '150', 1: '150' }
+   */
+  getDefaultHandlingSettings(field) {
+    return Object.fromEntries(
+      Array.from({ length: HANDLING_CONFIG.PLAYERS }, (_, player) => [
+        player,
+        String(HANDLING_CONFIG.DEFAULTS[field]),
+      ]),
+    );
+  }
+
+  /**
+   * Label of a handling value on its selector button
+   * @param {string} field - 'das', 'arr', 'softDropFactor' or 'dasCut'
+   * @param {number} value - Milliseconds, or how many times faster for the soft drop
+   * @returns {string} - e.g. '150 ms', 'Instant' or '20x'
+   */
+  describeHandlingValue(field, value) {
+    if (field === 'softDropFactor') return `${value}x`;
+    if (value === 0) return field === 'arr' ? 'Instant' : 'Off';
+    return `${value} ms`;
+  }
+
   /**
    * Play menu sound effect
    */
@@ -860,6 +1882,19 @@ export class MenuSystem {
     }
   }
 
+  /**
+   * Show or hide the "Continue your game" button
+   * @param {boolean} available - True if there is a saved game to continue
+   */
+  setContinueAvailable(available) {
+    const mainMenu = this.screens.get('main');
+    const continueButton = mainMenu?.querySelector('[data-action="continueGame"]');
+
+    if (continueButton) {
+      continueButton.classList.toggle('hidden', !available);
+    }
+  }
+
   /**
    * Show main menu
    */
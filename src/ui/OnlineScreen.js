@@ -0,0 +1,434 @@
+/**
+ * OnlineScreen - Full-screen view of an online versus match
+ * Draws this player's board next to the friend's board as last sent over the relay server,
+ * reads the keys (arrows or WASD), shows the countdown and who won, and tells the players when
+ * the other one leaves or the connection drops
+ */
+
+import { HANDLING_CONFIG, VERSUS_CONFIG } from '../core/Constants.js';
+import { CanvasRenderer } from '../rendering/CanvasRenderer.js';
+import { OnlineMatch } from '../game/OnlineMatch.js';
+import { AutoRepeat, slide } from '../input/AutoRepeat.js';
+
+// Either two-player key scheme steers the one local player
+const KEYS = Object.assign({}, ...VERSUS_CONFIG.KEY_SCHEMES.map(scheme => scheme.keys));
+
+export class OnlineScreen {
+  /**
+   * @param {RelayClient} client - Connection to the relay server
+   */
+  constructor(client) {
+    this.client = client;
+    this.match = null;
+    this.options = {};
+    this.renderers = [];
+    this.container = null;
+    this.elements = {};
+    this.isOpen = false;
+    this.frameId = null;
+    this.lastFrameTime = 0;
+    this.accumulator = 0;
+    this.fixedTimeStep = 1000 / 60;
+
+    // Held moves repeat with the local player's handling
+    this.repeater = new AutoRepeat(HANDLING_CONFIG.DEFAULTS, (action, type) =>
+      this.repeatAction(action, type),
+    );
+    this.repeater.setFallSpeedProvider(() => this.match.session.gameLogic.fallSpeed);
+
+    this.gameLoop = this.gameLoop.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+    this.handleOpponentLeft = this.handleOpponentLeft.bind(this);
+    this.handleOpponentJoined = this.handleOpponentJoined.bind(this);
+  }
+
+  /**
+   * Open the screen for a room both players are in
+   * @param {Object} options - Game options; only the host sends theirs
+   * @param {boolean} startNow - True to host and start the match now, false to wait for the host
+   */
+  open(options = {}, startNow = false) {
+    if (!this.container) {
+      this.createScreen();
+    }
+
+    this.container.classList.remove('hidden');
+    this.isOpen = true;
+    this.options = options;
+
+    this.match = new OnlineMatch(this.client, { isHost: startNow });
+    this.setupMatchEvents();
+    this.client.on('opponentLeft', this.handleOpponentLeft);
+    this.client.on('opponentJoined', this.handleOpponentJoined);
+
+    // Size the canvases now that the screen is visible
+    this.renderers.forEach(renderer => renderer.initialize());
+
+    // Keys go to the player first, so menus and focused buttons never see them
+    document.activeElement?.blur?.();
+    document.addEventListener('keydown', this.handleKeyDown, true);
+    document.addEventListener('keyup', this.handleKeyUp, true);
+
+    this.elements.results.classList.add('hidden');
+    if (startNow) {
+      this.match.start(options);
+    } else {
+      this.showMessage('⏳ Waiting for your friend...');
+    }
+    this.renderFrame();
+
+    this.lastFrameTime = performance.now();
+    this.frameId = requestAnimationFrame(this.gameLoop);
+
+    this.emit('opened');
+  }
+
+  /**
+   * Close the screen and leave the room
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    document.removeEventListener('keydown', this.handleKeyDown, true);
+    document.removeEventListener('keyup', this.handleKeyUp, true);
+    this.repeater.releaseAll();
+    this.client.off('opponentLeft', this.handleOpponentLeft);
+    this.client.off('opponentJoined', this.handleOpponentJoined);
+
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+
+    this.match.close();
+    this.client.disconnect();
+
+    this.container.classList.add('hidden');
+    this.emit('closed');
+  }
+
+  /**
+   * Create the screen DOM
+   */
+  createScreen() {
+    this.container = document.createElement('div');
+    this.container.className = 'replay-viewer versus-screen hidden';
+    this.container.setAttribute('role', 'dialog');
+    this.container.setAttribute('aria-label', 'Online game');
+
+    const board = (name, index) => `
+          <div class="versus-player" data-player="${index}">
+            <h3 class="versus-player-name">${name}</h3>
+            <div class="replay-stage">
+              <canvas class="game-canvas" width="320" height="640"></canvas>
+              <div class="replay-sidebar">
+                <canvas class="preview-canvas online-next" width="120" height="120"></canvas>
+                <canvas class="preview-canvas online-hold" width="120" height="120"></canvas>
+                <div class="replay-stats">
+                  <div>📊 <strong data-online-stat="score">0</strong></div>
+                  <div>📏 <strong data-online-stat="lines">0</strong> lines</div>
+                  <div>🪨 <strong data-online-stat="garbageSent">0</strong> sent</div>
+                </div>
+              </div>
+            </div>
+          </div>`;
+
+    this.container.innerHTML = `
+      <div class="replay-content versus-content">
+        <div class="versus-boards">${board('🙂 You', 0)}${board('🌐 Friend', 1)}
+        </div>
+        <p class="online-hint">
+          Move with ← → or A D, rotate with ↑ or W, drop with Enter or Space,
+          hold with Right Shift or Q
+        </p>
+
+        <div class="versus-countdown" aria-live="assertive"></div>
+
+        <div class="versus-results hidden">
+          <h2 class="overlay-title versus-winner"></h2>
+          <div class="replay-controls">
+            <button class="btn btn-primary" data-online-action="rematch">🔁 Play Again</button>
+            <button class="btn btn-secondary" data-online-action="close">✖️ Leave</button>
+          </div>
+        </div>
+
+        <div class="replay-controls">
+          <button class="btn btn-secondary" data-online-action="close">🏠 Back to Menu</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(this.container);
+
+    this.elements = {
+      players: Array.from(this.container.querySelectorAll('.versus-player')),
+      countdown: this.container.querySelector('.versus-countdown'),
+      results: this.container.querySelector('.versus-results'),
+      winner: this.container.querySelector('.versus-winner'),
+      rematch: this.container.querySelector('[data-online-action="rematch"]'),
+    };
+
+    this.renderers = this.elements.players.map(
+      player =>
+        new CanvasRenderer(
+          player.querySelector('.game-canvas'),
+          player.querySelector('.online-next'),
+          player.querySelector('.online-hold'),
+        ),
+    );
+
+    this.container.addEventListener('click', event => {
+      const action = event.target.getAttribute('data-online-action');
+      if (action) {
+        this.handleAction(action);
+      }
+    });
+  }
+
+  /**
+   * Listen to the match for sounds, the countdown and the result
+   */
+  setupMatchEvents() {
+    this.match.on('countdown', seconds => {
+      // The host starts each match, and both then play its options
+      this.options = this.match.options;
+      this.elements.results.classList.add('hidden');
+      this.showMessage(seconds);
+      this.emit('playSound', 'menuSelect');
+    });
+
+    this.match.on('started', () => {
+      this.showMessage('GO!');
+      this.emit('playSound', 'levelUp');
+      setTimeout(() => {
+        if (this.match.getCountdown() === 0) {
+          this.elements.countdown.classList.add('hidden');
+        }
+      }, 600);
+    });
+
+    this.match.session.gameLogic.on('linesClearing', data => {
+      this.emit('playSound', data.count >= 4 ? 'tetris' : 'lineClear');
+    });
+
+    this.match.on('matchOver', result => {
+      const titles = {
+        opponentToppedOut: '🏆 You win!',
+        toppedOut: '💪 Nice try! Your friend wins this time.',
+        opponentLeft: '👋 Your friend left - you win!',
+        disconnected: '🔌 The connection was lost.',
+      };
+      // A rematch needs both players still in the room
+      const bothHere = result.reason === 'opponentToppedOut' || result.reason === 'toppedOut';
+      this.showResult(titles[result.reason], bothHere);
+      this.emit('playSound', result.won ? 'levelUp' : 'gameOver');
+      this.emit('matchOver', result);
+    });
+  }
+
+  /**
+   * Tell the player their friend left before or between games
+   */
+  handleOpponentLeft() {
+    if (!this.match.isRunning) {
+      this.showResult('👋 Your friend left the room.', false);
+    }
+  }
+
+  /**
+   * Start a match when a new friend joins the room after the last one left
+   */
+  handleOpponentJoined() {
+    if (!this.match.isRunning) {
+      this.match.start(this.options);
+    }
+  }
+
+  /**
+   * Show the end of a match
+   * @param {string} title - What happened
+   * @param {boolean} canRematch - True if both players are still there to play again
+   */
+  showResult(title, canRematch) {
+    this.elements.countdown.classList.add('hidden');
+    this.elements.winner.textContent = title;
+    this.elements.rematch.classList.toggle('hidden', !canRematch);
+    this.elements.results.classList.remove('hidden');
+  }
+
+  /**
+   * Show a big message over the boards (the countdown or a wait)
+   * @param {string|number} text - Message
+   */
+  showMessage(text) {
+    this.elements.countdown.textContent = text;
+    this.elements.countdown.classList.remove('hidden');
+  }
+
+  /**
+   * Handle screen buttons
+   * @param {string} action - Button action
+   */
+  handleAction(action) {
+    switch (action) {
+    case 'rematch':
+      // The guest waits for the host to start the rematch
+      if (!this.match.isHost) {
+        this.elements.results.classList.add('hidden');
+        this.showMessage('⏳ Waiting for your friend...');
+      }
+      this.match.start(this.options);
+      break;
+
+    case 'close':
+      this.close();
+      break;
+    }
+  }
+
+  /**
+   * Send keys to the local player's game
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleKeyDown(event) {
+    if (event.code === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.close();
+      return;
+    }
+
+    const action = KEYS[event.code];
+    if (!action) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    // Held keys repeat with the player's handling rather than the keyboard's
+    if (event.repeat) return;
+
+    this.match.applyAction(action);
+    this.repeater.press(event.code, action);
+  }
+
+  /**
+   * Stop repeating a key that was let go
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleKeyUp(event) {
+    this.repeater.release(event.code);
+  }
+
+  /**
+   * Set how held keys repeat
+   * @param {Object} handling - The local player's handling (see AutoRepeat)
+   */
+  setHandling(handling) {
+    this.repeater.setHandling(handling);
+  }
+
+  /**
+   * Apply a held key's repeat (see AutoRepeat)
+   * @param {string} action - Action to repeat
+   * @param {string} type - 'repeat' for one cell, 'shift' to slide all the way
+   */
+  repeatAction(action, type) {
+    if (type === 'shift') {
+      slide(() => this.match.applyAction(action));
+    } else {
+      this.match.applyAction(action);
+    }
+  }
+
+  /**
+   * Screen loop: advance the match at a fixed rate and redraw
+   */
+  gameLoop(currentTime) {
+    if (!this.isOpen) return;
+
+    // Long pauses (e.g. a hidden tab) do not fast-forward the match
+    const deltaTime = Math.min(currentTime - this.lastFrameTime, 250);
+    this.lastFrameTime = currentTime;
+
+    try {
+      this.accumulator += deltaTime;
+      while (this.accumulator >= this.fixedTimeStep) {
+        this.repeater.update(this.fixedTimeStep);
+        this.match.update(this.fixedTimeStep);
+        this.accumulator -= this.fixedTimeStep;
+      }
+      this.renderFrame();
+    } catch (error) {
+      console.error('Error in online loop:', error);
+    }
+
+    this.frameId = requestAnimationFrame(this.gameLoop);
+  }
+
+  /**
+   * Draw both boards and their stats
+   */
+  renderFrame() {
+    const boards = [
+      { ...this.match.getGameData(), garbageSent: this.match.garbageSent },
+      this.match.getOpponentGameData(),
+    ];
+
+    boards.forEach((gameData, index) => {
+      this.renderers[index].render(gameData);
+
+      const panel = this.elements.players[index];
+      panel.querySelector('[data-online-stat="score"]').textContent =
+        gameData.score.score.toLocaleString();
+      panel.querySelector('[data-online-stat="lines"]').textContent = gameData.score.lines;
+      panel.querySelector('[data-online-stat="garbageSent"]').textContent = gameData.garbageSent;
+    });
+  }
+
+  /**
+   * Event emission system
+   */
+  emit(event, ...args) {
+    if (this.eventListeners && this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(...args);
+        } catch (error) {
+          console.error(`Error in OnlineScreen ${event} listener:`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Event listener system
+   */
+  on(event, callback) {
+    if (!this.eventListeners) {
+      this.eventListeners = new Map();
+    }
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    this.close();
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+
+    this.renderers.forEach(renderer => renderer.destroy());
+
+    if (this.eventListeners) {
+      this.eventListeners.clear();
+    }
+  }
+}
@@ -0,0 +1,723 @@
+/**
+ * PuzzleEditor - Full-screen editor for making puzzles
+ * Paint cells onto a board, choose the piece sequence and goal, then test-play,
+ * save to "My Puzzles" or export/import puzzles in the JSON puzzle format
+ */
+
+import { BOARD_CONFIG, CANVAS_CONFIG, PIECE_SET_CONFIG, PUZZLE_CONFIG } from '../core/Constants.js';
+import { CanvasRenderer } from '../rendering/CanvasRenderer.js';
+import { createPieceSet } from '../pieces/PieceSetRegistry.js';
+import { createPuzzleBoard, parsePuzzle } from '../modes/PuzzleLoader.js';
+import { PuzzleStorage } from '../modes/PuzzleStorage.js';
+import { escapeHtml, generateId } from '../utils/Utils.js';
+
+const EMPTY_CELL = '.';
+const GARBAGE_CELL = 'G';
+
+export class PuzzleEditor {
+  constructor() {
+    this.storage = new PuzzleStorage();
+    this.renderer = null;
+    this.container = null;
+    this.elements = {};
+    this.isOpen = false;
+    this.isPainting = false;
+
+    // Cell painted on the board: "." to erase, "G" for grey or a piece letter
+    this.paintCell = GARBAGE_CELL;
+
+    this.draft = this.createDraft();
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  /**
+   * Create an empty puzzle to edit
+   * @returns {Object} - Draft with the board as a grid of cell characters
+   */
+  createDraft() {
+    return {
+      id: `custom-${generateId()}`,
+      name: 'My Puzzle',
+      description: '',
+      cells: Array.from({ length: BOARD_CONFIG.HEIGHT }, () =>
+        Array(BOARD_CONFIG.WIDTH).fill(EMPTY_CELL),
+      ),
+      pieces: [],
+      pieceSet: PIECE_SET_CONFIG.DEFAULT_SET,
+      goal: { type: 'clearGarbage' },
+      stars: null,
+    };
+  }
+
+  /**
+   * Get the piece set the puzzle is played with
+   * @returns {PieceSet} - Piece set (see PieceSetRegistry)
+   */
+  getPieceSet() {
+    return createPieceSet(this.draft.pieceSet);
+  }
+
+  /**
+   * Open the editor (keeps the puzzle being edited, e.g. after a test-play)
+   */
+  open() {
+    if (!this.container) {
+      this.createEditor();
+    }
+
+    this.container.classList.remove('hidden');
+    this.isOpen = true;
+
+    // Size the canvases now that the editor is visible
+    this.renderer.initialize();
+
+    // Capture Escape before the menu sees it and goes back a screen
+    document.addEventListener('keydown', this.handleKeyDown, true);
+
+    this.refreshSavedList();
+    this.updateForm();
+    this.render();
+
+    this.emit('opened');
+  }
+
+  /**
+   * Close the editor
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.isPainting = false;
+    document.removeEventListener('keydown', this.handleKeyDown, true);
+
+    this.container.classList.add('hidden');
+    this.emit('closed');
+  }
+
+  /**
+   * Create the editor DOM
+   */
+  createEditor() {
+    this.container = document.createElement('div');
+    this.container.className = 'replay-viewer puzzle-editor hidden';
+    this.container.setAttribute('role', 'dialog');
+    this.container.setAttribute('aria-label', 'Puzzle editor');
+
+    this.container.innerHTML = `
+      <div class="replay-content puzzle-editor-content">
+        <h2 class="overlay-title">✏️ Puzzle Editor</h2>
+
+        <div class="replay-stage">
+          <canvas class="game-canvas editor-canvas" width="320" height="640"></canvas>
+          <div class="replay-sidebar editor-sidebar">
+            <label class="editor-field">Name
+              <input type="text" data-editor-field="name" maxlength="30">
+            </label>
+            <label class="editor-field">Description
+              <input type="text" data-editor-field="description" maxlength="80">
+            </label>
+
+            <div class="editor-field">Paint
+              <div class="editor-palette"></div>
+            </div>
+
+            <div class="editor-field">Pieces
+              <div class="setting-selector editor-pieces"></div>
+              <div class="editor-sequence" aria-live="polite"></div>
+              <div class="replay-controls">
+                <button class="btn btn-secondary" data-editor-action="removePiece">⬅️ Undo</button>
+                <button class="btn btn-secondary" data-editor-action="clearPieces">🗑️ Clear</button>
+              </div>
+              <canvas class="preview-canvas editor-preview-canvas" width="120" height="120">
+              </canvas>
+            </div>
+
+            <label class="editor-field">Goal
+              <select data-editor-field="goal">
+                <option value="clearGarbage">Clear the grey blocks</option>
+                <option value="clearLines">Clear some lines</option>
+                <option value="tetris">Clear 4 lines at once</option>
+              </select>
+            </label>
+            <label class="editor-field editor-lines">Lines to clear
+              <input type="number" data-editor-field="lines" min="1" max="20" value="1">
+            </label>
+            <label class="editor-field">⭐⭐⭐ with at most
+              <input type="number" data-editor-field="threeStars" min="1" placeholder="pieces">
+            </label>
+            <label class="editor-field">⭐⭐ with at most
+              <input type="number" data-editor-field="twoStars" min="1" placeholder="pieces">
+            </label>
+          </div>
+        </div>
+
+        <p class="editor-message" aria-live="polite"></p>
+
+        <div class="replay-controls">
+          <button class="btn btn-primary" data-editor-action="testPlay">▶️ Test Play</button>
+          <button class="btn btn-primary" data-editor-action="save">💾 Save</button>
+          <button class="btn btn-secondary" data-editor-action="newPuzzle">🆕 New</button>
+          <button class="btn btn-secondary" data-editor-action="clearBoard">🧹 Clear Board</button>
+        </div>
+
+        <div class="replay-controls">
+          <select class="replay-list editor-saved-list" aria-label="My puzzles"></select>
+          <button class="btn btn-secondary" data-editor-action="delete">❌ Delete</button>
+          <button class="btn btn-secondary" data-editor-action="export">📤 Export</button>
+          <button class="btn btn-secondary" data-editor-action="import">📥 Import</button>
+          <input type="file" class="hidden editor-import" accept="application/json,.json">
+          <button class="btn btn-secondary" data-editor-action="close">✖️ Close</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(this.container);
+
+    this.elements = {
+      canvas: this.container.querySelector('.editor-canvas'),
+      previewCanvas: this.container.querySelector('.editor-preview-canvas'),
+      name: this.container.querySelector('[data-editor-field="name"]'),
+      description: this.container.querySelector('[data-editor-field="description"]'),
+      goal: this.container.querySelector('[data-editor-field="goal"]'),
+      lines: this.container.querySelector('[data-editor-field="lines"]'),
+      linesField: this.container.querySelector('.editor-lines'),
+      threeStars: this.container.querySelector('[data-editor-field="threeStars"]'),
+      twoStars: this.container.querySelector('[data-editor-field="twoStars"]'),
+      palette: this.container.querySelector('.editor-palette'),
+      pieces: this.container.querySelector('.editor-pieces'),
+      sequence: this.container.querySelector('.editor-sequence'),
+      message: this.container.querySelector('.editor-message'),
+      savedList: this.container.querySelector('.editor-saved-list'),
+      importInput: this.container.querySelector('.editor-import'),
+    };
+
+    this.renderer = new CanvasRenderer(this.elements.canvas, this.elements.previewCanvas);
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup editor event listeners
+   */
+  setupEventListeners() {
+    this.container.addEventListener('click', event => {
+      const action = event.target.getAttribute('data-editor-action');
+      if (action) {
+        this.handleAction(action);
+      }
+
+      const cell = event.target.getAttribute('data-editor-cell');
+      if (cell) {
+        this.selectPaintCell(cell);
+      }
+
+      const piece = event.target.getAttribute('data-editor-piece');
+      if (piece) {
+        this.draft.pieces.push(piece);
+        this.updateSequence();
+        this.render();
+      }
+    });
+
+    // Paint by clicking or dragging across the board
+    const { canvas } = this.elements;
+    canvas.addEventListener('pointerdown', event => {
+      this.isPainting = true;
+      this.paintAt(event);
+    });
+    canvas.addEventListener('pointermove', event => {
+      if (this.isPainting) {
+        this.paintAt(event);
+      }
+    });
+    ['pointerup', 'pointerleave'].forEach(type => {
+      canvas.addEventListener(type, () => {
+        this.isPainting = false;
+      });
+    });
+
+    // Text and number fields update the draft as they change
+    this.container.querySelectorAll('[data-editor-field]').forEach(field => {
+      field.addEventListener('input', () => this.readForm());
+    });
+
+    this.elements.savedList.addEventListener('change', () => {
+      const puzzle = this.storage.getPuzzle(this.elements.savedList.value);
+      if (puzzle) {
+        this.loadPuzzle(puzzle);
+      }
+    });
+
+    this.elements.importInput.addEventListener('change', () => {
+      const [file] = this.elements.importInput.files;
+      if (file) {
+        this.importFile(file);
+      }
+      this.elements.importInput.value = '';
+    });
+  }
+
+  /**
+   * Handle editor buttons
+   * @param {string} action - Editor action
+   */
+  handleAction(action) {
+    switch (action) {
+    case 'removePiece':
+      this.draft.pieces.pop();
+      this.updateSequence();
+      this.render();
+      break;
+
+    case 'clearPieces':
+      this.draft.pieces = [];
+      this.updateSequence();
+      this.render();
+      break;
+
+    case 'clearBoard':
+      this.draft.cells = this.createDraft().cells;
+      this.render();
+      break;
+
+    case 'newPuzzle':
+      this.draft = this.createDraft();
+      this.updateForm();
+      this.render();
+      this.showMessage('');
+      break;
+
+    case 'testPlay':
+      this.testPlay();
+      break;
+
+    case 'save':
+      this.save();
+      break;
+
+    case 'delete':
+      this.deleteSaved();
+      break;
+
+    case 'export':
+      this.exportPuzzle();
+      break;
+
+    case 'import':
+      this.elements.importInput.click();
+      break;
+
+    case 'close':
+      this.close();
+      break;
+    }
+  }
+
+  /**
+   * Handle keyboard shortcuts while the editor is open
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleKeyDown(event) {
+    if (event.code === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.close();
+    }
+  }
+
+  /**
+   * Choose the cell painted onto the board
+   * @param {string} cell - Cell character
+   */
+  selectPaintCell(cell) {
+    this.paintCell = cell;
+
+    this.container.querySelectorAll('[data-editor-cell]').forEach(button => {
+      button.classList.toggle('selected', button.dataset.editorCell === cell);
+    });
+  }
+
+  /**
+   * Paint the board cell under the pointer
+   * @param {PointerEvent} event - Pointer event on the board canvas
+   */
+  paintAt(event) {
+    const rect = this.elements.canvas.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return;
+
+    const x = Math.floor(((event.clientX - rect.left) / rect.width) * BOARD_CONFIG.WIDTH);
+    const y = Math.floor(((event.clientY - rect.top) / rect.height) * BOARD_CONFIG.HEIGHT);
+
+    if (x < 0 || x >= BOARD_CONFIG.WIDTH || y < 0 || y >= BOARD_CONFIG.HEIGHT) return;
+    if (this.draft.cells[y][x] === this.paintCell) return;
+
+    this.draft.cells[y][x] = this.paintCell;
+    this.render();
+  }
+
+  /**
+   * Build a puzzle in the JSON puzzle format from the draft
+   * Empty rows above the highest block are left out, as the format lines rows up at the bottom
+   * @returns {Object} - Puzzle
+   */
+  toPuzzle() {
+    const rows = this.draft.cells.map(row => row.join(''));
+    const firstUsedRow = rows.findIndex(row => row !== EMPTY_CELL.repeat(BOARD_CONFIG.WIDTH));
+
+    const puzzle = {
+      id: this.draft.id,
+      name: this.draft.name.trim() || 'My Puzzle',
+      description: this.draft.description.trim(),
+      board: firstUsedRow === -1 ? [] : rows.slice(firstUsedRow),
+      pieces: [...this.draft.pieces],
+      goal: { ...this.draft.goal },
+    };
+
+    if (this.draft.pieceSet !== PIECE_SET_CONFIG.DEFAULT_SET) {
+      puzzle.pieceSet = this.draft.pieceSet;
+    }
+    if (this.draft.stars) {
+      puzzle.stars = [...this.draft.stars];
+    }
+
+    return puzzle;
+  }
+
+  /**
+   * Edit an existing puzzle
+   * @param {Object} data - Puzzle in the JSON puzzle format
+   */
+  loadPuzzle(data) {
+    const puzzle = parsePuzzle(data);
+    const emptyRows = BOARD_CONFIG.HEIGHT - puzzle.board.length;
+
+    this.draft = {
+      id: puzzle.id,
+      name: puzzle.name,
+      description: puzzle.description,
+      cells: [
+        ...this.createDraft().cells.slice(0, emptyRows),
+        ...puzzle.board.map(row => [...row]),
+      ],
+      pieces: [...puzzle.pieces],
+      pieceSet: puzzle.pieceSet,
+      goal: { ...puzzle.goal },
+      stars: data.stars ? [...data.stars] : null,
+    };
+
+    if (this.container) {
+      this.updateForm();
+      this.render();
+      this.showMessage('');
+    }
+  }
+
+  /**
+   * Check the draft is a playable puzzle
+   * @returns {Object|null} - Puzzle, or null after showing what is missing
+   */
+  validate() {
+    try {
+      const puzzle = this.toPuzzle();
+      parsePuzzle(puzzle);
+      return puzzle;
+    } catch (error) {
+      this.showMessage(error.message.replace(/^Invalid puzzle "[^"]*": /, 'Almost ready: '));
+      return null;
+    }
+  }
+
+  /**
+   * Play the puzzle straight away
+   */
+  testPlay() {
+    const puzzle = this.validate();
+    if (!puzzle) return;
+
+    this.close();
+    this.emit('testPlay', puzzle);
+  }
+
+  /**
+   * Save the puzzle to "My Puzzles"
+   */
+  save() {
+    const puzzle = this.validate();
+    if (!puzzle) return;
+
+    if (this.storage.savePuzzle(puzzle)) {
+      this.refreshSavedList();
+      this.showMessage(`Saved "${puzzle.name}" to My Puzzles! 💾`);
+      this.emit('puzzlesChanged');
+    } else {
+      this.showMessage('Could not save the puzzle.');
+    }
+  }
+
+  /**
+   * Delete the puzzle being edited from "My Puzzles"
+   */
+  deleteSaved() {
+    if (!this.storage.getPuzzle(this.draft.id)) {
+      this.showMessage('This puzzle is not saved yet.');
+      return;
+    }
+
+    this.storage.deletePuzzle(this.draft.id);
+    this.draft = this.createDraft();
+    this.updateForm();
+    this.refreshSavedList();
+    this.render();
+    this.showMessage('Puzzle deleted.');
+    this.emit('puzzlesChanged');
+  }
+
+  /**
+   * Download the puzzle as a JSON file
+   */
+  exportPuzzle() {
+    const puzzle = this.validate();
+    if (!puzzle) return;
+
+    try {
+      const blob = new Blob([JSON.stringify(puzzle, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+
+      link.href = url;
+      link.download = `tetris-kids-puzzle-${puzzle.id}.json`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch {
+      this.showMessage('Could not download the puzzle file.');
+    }
+  }
+
+  /**
+   * Load a puzzle from a JSON file
+   * @param {File} file - Puzzle file
+   */
+  async importFile(file) {
+    try {
+      this.loadPuzzle(JSON.parse(await file.text()));
+      this.showMessage(`Imported "${this.draft.name}"! Save it to keep it. 📥`);
+    } catch (error) {
+      this.showMessage(`Could not import this file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Copy form fields into the draft
+   */
+  readForm() {
+    const { name, description, goal, lines, threeStars, twoStars } = this.elements;
+
+    this.draft.name = name.value;
+    this.draft.description = description.value;
+    this.draft.goal =
+      goal.value === 'clearLines'
+        ? { type: 'clearLines', lines: Number(lines.value) || 1 }
+        : { type: goal.value };
+
+    const three = Number(threeStars.value);
+    const two = Number(twoStars.value);
+    this.draft.stars = three > 0 ? [three, Math.max(three, two || three)] : null;
+
+    this.elements.linesField.classList.toggle('hidden', goal.value !== 'clearLines');
+  }
+
+  /**
+   * Show the draft in the form fields
+   */
+  updateForm() {
+    const { name, description, goal, lines, threeStars, twoStars } = this.elements;
+
+    name.value = this.draft.name;
+    description.value = this.draft.description;
+    goal.value = this.draft.goal.type;
+    lines.value = this.draft.goal.lines || 1;
+    threeStars.value = this.draft.stars ? this.draft.stars[0] : '';
+    twoStars.value = this.draft.stars ? this.draft.stars[1] : '';
+
+    this.elements.linesField.classList.toggle('hidden', this.draft.goal.type !== 'clearLines');
+    this.updatePalette();
+    this.updateSequence();
+  }
+
+  /**
+   * Show the cells and pieces of the puzzle's piece set to choose from
+   * Board rows hold one character per cell, so only one-letter piece types can be painted
+   */
+  updatePalette() {
+    const { types } = this.getPieceSet();
+    const cellTypes = [EMPTY_CELL, GARBAGE_CELL, ...types.filter(type => type.length === 1)];
+    if (!cellTypes.includes(this.paintCell)) {
+      this.paintCell = GARBAGE_CELL;
+    }
+
+    this.elements.palette.innerHTML = cellTypes
+      .map(
+        cell => `
+          <button class="editor-swatch ${cell === this.paintCell ? 'selected' : ''}"
+                  data-editor-cell="${cell}" style="background: ${this.getCellColor(cell)}"
+                  aria-label="${escapeHtml(this.getCellLabel(cell))}">
+            ${cell === EMPTY_CELL ? '🧽' : ''}
+          </button>`,
+      )
+      .join('');
+
+    this.elements.pieces.innerHTML = types
+      .map(
+        type => `
+          <button class="btn btn-selector" data-editor-piece="${type}">${type}</button>`,
+      )
+      .join('');
+  }
+
+  /**
+   * Show the piece sequence
+   */
+  updateSequence() {
+    const { sequence } = this.elements;
+
+    if (this.draft.pieces.length === 0) {
+      sequence.textContent = 'Add pieces in the order they will fall';
+      return;
+    }
+
+    const pieceSet = this.getPieceSet();
+    sequence.innerHTML = this.draft.pieces
+      .map(type => {
+        const { color } = pieceSet.getPiece(type);
+        return `<span class="editor-piece" style="background: ${color}">${type}</span>`;
+      })
+      .join('');
+  }
+
+  /**
+   * Fill the "My Puzzles" list
+   */
+  refreshSavedList() {
+    const puzzles = this.storage.loadPuzzles();
+
+    this.elements.savedList.innerHTML =
+      '<option value="">📂 My Puzzles</option>' +
+      puzzles
+        .map(
+          puzzle => `<option value="${escapeHtml(puzzle.id)}">${escapeHtml(puzzle.name)}</option>`,
+        )
+        .join('');
+
+    this.elements.savedList.value = puzzles.some(puzzle => puzzle.id === this.draft.id)
+      ? this.draft.id
+      : '';
+  }
+
+  /**
+   * Show a message under the board
+   * @param {string} text - Message
+   */
+  showMessage(text) {
+    this.elements.message.textContent = text;
+  }
+
+  /**
+   * Draw the board and the first piece of the sequence
+   */
+  render() {
+    if (!this.renderer) return;
+
+    const board = createPuzzleBoard({
+      board: this.draft.cells.map(row => row.join('')),
+      pieceSet: this.draft.pieceSet,
+    });
+
+    this.renderer.clearCanvas(
+      this.renderer.ctx,
+      CANVAS_CONFIG.GAME_WIDTH,
+      CANVAS_CONFIG.GAME_HEIGHT,
+    );
+    this.renderer.renderBackground();
+    this.renderer.renderBoard(board);
+
+    const size = CANVAS_CONFIG.PREVIEW_SIZE;
+    this.renderer.clearCanvas(this.renderer.previewCtx, size, size);
+    if (this.draft.pieces.length > 0) {
+      const type = this.draft.pieces[0];
+      this.renderer.renderNextPiece({ type, ...this.getPieceSet().getPiece(type) });
+    }
+  }
+
+  /**
+   * Colour of a cell in the palette
+   * @param {string} cell - Cell character
+   * @returns {string} - CSS colour
+   */
+  getCellColor(cell) {
+    if (cell === EMPTY_CELL) return 'transparent';
+    if (cell === GARBAGE_CELL) return PUZZLE_CONFIG.GARBAGE_COLOR;
+    return this.getPieceSet().getPiece(cell).color;
+  }
+
+  /**
+   * Accessible name of a cell in the palette
+   * @param {string} cell - Cell character
+   * @returns {string} - Label
+   */
+  getCellLabel(cell) {
+    if (cell === EMPTY_CELL) return 'Eraser';
+    if (cell === GARBAGE_CELL) return 'Grey block';
+    return this.getPieceSet().getPiece(cell).name;
+  }
+
+  /**
+   * Event emission system
+   */
+  emit(event, ...args) {
+    if (this.eventListeners && this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(...args);
+        } catch (error) {
+          console.error(`Error in PuzzleEditor ${event} listener:`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Event listener system
+   */
+  on(event, callback) {
+    if (!this.eventListeners) {
+      this.eventListeners = new Map();
+    }
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    this.close();
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+
+    if (this.renderer) {
+      this.renderer.destroy();
+    }
+
+    if (this.eventListeners) {
+      this.eventListeners.clear();
+    }
+  }
+}
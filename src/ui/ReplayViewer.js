@@ -0,0 +1,375 @@
+/**
+ * ReplayViewer - Full-screen viewer for recorded games
+ * Plays replays with play/pause, speed control and a scrubbing timeline,
+ * and lets players pick saved replays or export them as JSON
+ */
+
+import { REPLAY_CONFIG } from '../core/Constants.js';
+import { CanvasRenderer } from '../rendering/CanvasRenderer.js';
+import { ReplayPlayer } from '../game/ReplayPlayer.js';
+
+export class ReplayViewer {
+  /**
+   * @param {ReplayRecorder} recorder - Recorder that stores and exports replays
+   */
+  constructor(recorder) {
+    this.recorder = recorder;
+    this.player = null;
+    this.renderer = null;
+    this.container = null;
+    this.elements = {};
+    this.isOpen = false;
+    this.frameId = null;
+    this.lastFrameTime = 0;
+
+    this.gameLoop = this.gameLoop.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  /**
+   * Open the viewer with a replay
+   * @param {Object} replay - Replay to watch (defaults to the most recent one)
+   */
+  open(replay = this.recorder.getLastReplay()) {
+    if (!replay) return;
+
+    if (!this.container) {
+      this.createViewer();
+    }
+
+    this.container.classList.remove('hidden');
+    this.isOpen = true;
+
+    // Size the canvases now that the viewer is visible
+    this.renderer.initialize();
+    document.addEventListener('keydown', this.handleKeyDown);
+
+    this.refreshReplayList(replay.id);
+    this.loadReplay(replay);
+    this.player.play();
+
+    this.lastFrameTime = performance.now();
+    this.frameId = requestAnimationFrame(this.gameLoop);
+
+    this.emit('opened', replay);
+  }
+
+  /**
+   * Close the viewer and stop playback
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    document.removeEventListener('keydown', this.handleKeyDown);
+
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+
+    if (this.player) {
+      this.player.pause();
+    }
+
+    this.container.classList.add('hidden');
+    this.emit('closed');
+  }
+
+  /**
+   * Create the viewer DOM
+   */
+  createViewer() {
+    this.container = document.createElement('div');
+    this.container.className = 'replay-viewer hidden';
+    this.container.setAttribute('role', 'dialog');
+    this.container.setAttribute('aria-label', 'Replay viewer');
+
+    const speedButtons = REPLAY_CONFIG.PLAYBACK_SPEEDS.map(
+      speed => `
+          <button class="btn btn-selector ${speed === 1 ? 'selected' : ''}"
+                  data-replay-speed="${speed}">${speed}x</button>`,
+    ).join('');
+
+    this.container.innerHTML = `
+      <div class="replay-content">
+        <h2 class="overlay-title">🎬 Replay</h2>
+
+        <div class="replay-stage">
+          <canvas class="game-canvas replay-canvas" width="320" height="640"></canvas>
+          <div class="replay-sidebar">
+            <canvas class="preview-canvas replay-preview-canvas" width="120" height="120"></canvas>
+            <div class="replay-stats">
+              <div>📊 Score: <strong data-replay-stat="score">0</strong></div>
+              <div>📏 Lines: <strong data-replay-stat="lines">0</strong></div>
+              <div>🎚️ Level: <strong data-replay-stat="level">1</strong></div>
+            </div>
+          </div>
+        </div>
+
+        <div class="replay-timeline">
+          <input type="range" class="replay-scrubber" min="0" max="0" value="0"
+                 aria-label="Replay position">
+          <span class="replay-time">0:00 / 0:00</span>
+        </div>
+
+        <div class="replay-controls">
+          <button class="btn btn-primary" data-replay-action="togglePlay">⏸️ Pause</button>
+          <div class="setting-selector">${speedButtons}
+          </div>
+        </div>
+
+        <div class="replay-controls">
+          <select class="replay-list" aria-label="Saved replays"></select>
+          <button class="btn btn-secondary" data-replay-action="export">💾 Export</button>
+          <button class="btn btn-secondary" data-replay-action="close">✖️ Close</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(this.container);
+
+    this.elements = {
+      canvas: this.container.querySelector('.replay-canvas'),
+      previewCanvas: this.container.querySelector('.replay-preview-canvas'),
+      playButton: this.container.querySelector('[data-replay-action="togglePlay"]'),
+      scrubber: this.container.querySelector('.replay-scrubber'),
+      time: this.container.querySelector('.replay-time'),
+      list: this.container.querySelector('.replay-list'),
+      score: this.container.querySelector('[data-replay-stat="score"]'),
+      lines: this.container.querySelector('[data-replay-stat="lines"]'),
+      level: this.container.querySelector('[data-replay-stat="level"]'),
+    };
+
+    this.renderer = new CanvasRenderer(this.elements.canvas, this.elements.previewCanvas);
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup control event listeners
+   */
+  setupEventListeners() {
+    this.container.addEventListener('click', event => {
+      const action = event.target.getAttribute('data-replay-action');
+      if (action) {
+        this.handleAction(action);
+      }
+
+      const speed = event.target.getAttribute('data-replay-speed');
+      if (speed) {
+        this.setSpeed(Number(speed));
+      }
+    });
+
+    // Scrubbing pauses playback so the chosen frame stays on screen
+    this.elements.scrubber.addEventListener('input', () => {
+      if (!this.player) return;
+
+      this.player.pause();
+      this.player.seek(Number(this.elements.scrubber.value));
+      this.updateControls();
+    });
+
+    this.elements.list.addEventListener('change', () => {
+      const replay = this.recorder
+        .getSavedReplays()
+        .find(saved => saved.id === this.elements.list.value);
+
+      if (replay) {
+        this.loadReplay(replay);
+        this.player.play();
+      }
+    });
+  }
+
+  /**
+   * Handle control buttons
+   * @param {string} action - Control action
+   */
+  handleAction(action) {
+    switch (action) {
+    case 'togglePlay':
+      this.player?.togglePlay();
+      this.updateControls();
+      break;
+
+    case 'export':
+      this.recorder.exportReplay(this.player?.replay);
+      break;
+
+    case 'close':
+      this.close();
+      break;
+    }
+  }
+
+  /**
+   * Handle keyboard shortcuts while the viewer is open
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleKeyDown(event) {
+    switch (event.code) {
+    case 'Space':
+      event.preventDefault();
+      this.handleAction('togglePlay');
+      break;
+
+    case 'Escape':
+      event.preventDefault();
+      this.close();
+      break;
+    }
+  }
+
+  /**
+   * Load a replay into a fresh player, keeping the chosen speed
+   * @param {Object} replay - Replay to load
+   */
+  loadReplay(replay) {
+    const speed = this.player ? this.player.speed : 1;
+
+    this.player = new ReplayPlayer(replay);
+    this.player.setSpeed(speed);
+
+    this.elements.scrubber.max = String(this.player.totalTicks);
+    this.updateControls();
+    this.renderFrame();
+  }
+
+  /**
+   * Change playback speed
+   * @param {number} speed - Speed multiplier
+   */
+  setSpeed(speed) {
+    if (!this.player) return;
+
+    this.player.setSpeed(speed);
+
+    this.container.querySelectorAll('[data-replay-speed]').forEach(button => {
+      button.classList.toggle('selected', Number(button.dataset.replaySpeed) === this.player.speed);
+    });
+  }
+
+  /**
+   * Fill the saved replay list
+   * @param {string} selectedId - Replay to select
+   */
+  refreshReplayList(selectedId) {
+    const replays = this.recorder.getSavedReplays();
+
+    this.elements.list.innerHTML = replays
+      .map(replay => {
+        const date = new Date(replay.createdAt).toLocaleString();
+        const score = replay.result ? replay.result.score.toLocaleString() : 0;
+        return `<option value="${replay.id}">${date} - ${score} points</option>`;
+      })
+      .join('');
+
+    this.elements.list.value = selectedId;
+  }
+
+  /**
+   * Viewer loop: advance playback and redraw
+   */
+  gameLoop(currentTime) {
+    if (!this.isOpen) return;
+
+    const deltaTime = currentTime - this.lastFrameTime;
+    this.lastFrameTime = currentTime;
+
+    try {
+      this.player.update(deltaTime);
+      this.renderFrame();
+      this.updateControls();
+    } catch (error) {
+      console.error('Error in replay viewer loop:', error);
+    }
+
+    this.frameId = requestAnimationFrame(this.gameLoop);
+  }
+
+  /**
+   * Draw the current replay frame
+   */
+  renderFrame() {
+    const gameData = this.player.getGameData();
+    this.renderer.render(gameData);
+
+    this.elements.score.textContent = gameData.score.score.toLocaleString();
+    this.elements.lines.textContent = gameData.score.lines;
+    this.elements.level.textContent = gameData.score.level;
+  }
+
+  /**
+   * Sync play button, scrubber and time with the player
+   */
+  updateControls() {
+    const progress = this.player.getProgress();
+
+    this.elements.playButton.innerHTML = this.player.isPlaying ? '⏸️ Pause' : '▶️ Play';
+    this.elements.scrubber.value = String(progress.tick);
+    this.elements.time.textContent = `${this.formatTime(progress.time)} / ${this.formatTime(
+      progress.totalTime,
+    )}`;
+  }
+
+  /**
+   * Format milliseconds as m:ss
+   * @param {number} ms - Time in milliseconds
+   * @returns {string} - Formatted time
+   */
+  formatTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * Event emission system
+   */
+  emit(event, ...args) {
+    if (this.eventListeners && this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(...args);
+        } catch (error) {
+          console.error(`Error in ReplayViewer ${event} listener:`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Event listener system
+   */
+  on(event, callback) {
+    if (!this.eventListeners) {
+      this.eventListeners = new Map();
+    }
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    this.close();
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+
+    if (this.renderer) {
+      this.renderer.destroy();
+    }
+
+    if (this.eventListeners) {
+      this.eventListeners.clear();
+    }
+  }
+}
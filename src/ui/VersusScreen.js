@@ -0,0 +1,449 @@
+/**
+ * VersusScreen - Full-screen split view for two players on one keyboard
+ * Draws both boards of a VersusMatch side by side, reads each player's key scheme
+ * (WASD and arrows), shows the shared countdown and names the winner at the end.
+ * Against the computer, both key schemes steer the one human player.
+ */
+
+import { HANDLING_CONFIG, VERSUS_CONFIG } from '../core/Constants.js';
+import { CanvasRenderer } from '../rendering/CanvasRenderer.js';
+import { VersusMatch } from '../game/VersusMatch.js';
+import { AutoRepeat, slide } from '../input/AutoRepeat.js';
+
+export class VersusScreen {
+  constructor() {
+    this.match = new VersusMatch();
+    this.renderers = [];
+    this.container = null;
+    this.elements = {};
+    this.options = {};
+    this.isOpen = false;
+    this.frameId = null;
+    this.lastFrameTime = 0;
+    this.accumulator = 0;
+    this.fixedTimeStep = 1000 / 60;
+
+    // Held moves repeat with each key scheme's handling
+    this.repeaters = VERSUS_CONFIG.KEY_SCHEMES.map(
+      (scheme, schemeIndex) =>
+        new AutoRepeat(HANDLING_CONFIG.DEFAULTS, (action, type) =>
+          this.repeatAction(schemeIndex, action, type),
+        ),
+    );
+
+    this.gameLoop = this.gameLoop.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+
+    this.setupMatchEvents();
+  }
+
+  /**
+   * Open the screen and start a match
+   * @param {Object} options - Game options for both players, plus sendGarbage
+   */
+  open(options = {}) {
+    if (!this.container) {
+      this.createScreen();
+    }
+
+    this.container.classList.remove('hidden');
+    this.isOpen = true;
+    this.options = options;
+
+    // Size the canvases now that the screen is visible
+    this.renderers.forEach(renderer => renderer.initialize());
+
+    // Keys go to the players first, so menus and focused buttons never see them
+    document.activeElement?.blur?.();
+    document.addEventListener('keydown', this.handleKeyDown, true);
+    document.addEventListener('keyup', this.handleKeyUp, true);
+
+    this.startMatch();
+
+    this.lastFrameTime = performance.now();
+    this.frameId = requestAnimationFrame(this.gameLoop);
+
+    this.emit('opened');
+  }
+
+  /**
+   * Close the screen and stop the match
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    document.removeEventListener('keydown', this.handleKeyDown, true);
+    document.removeEventListener('keyup', this.handleKeyUp, true);
+    this.repeaters.forEach(repeater => repeater.releaseAll());
+
+    if (this.frameId) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+
+    this.container.classList.add('hidden');
+    this.emit('closed');
+  }
+
+  /**
+   * Set how held keys repeat for each player
+   * @param {Array} handlings - Handling of each player (see AutoRepeat)
+   */
+  setHandling(handlings) {
+    this.repeaters.forEach((repeater, index) => repeater.setHandling(handlings[index]));
+  }
+
+  /**
+   * Start a new match with the options the screen was opened with
+   */
+  startMatch() {
+    this.accumulator = 0;
+    this.repeaters.forEach((repeater, index) => {
+      repeater.releaseAll();
+      repeater.setFallSpeedProvider(() => this.getKeyPlayer(index).session.gameLogic.fallSpeed);
+    });
+    this.elements.results.classList.add('hidden');
+
+    // A fresh seed every match; both players still share it
+    this.match.start({ ...this.options, seed: undefined });
+    this.updatePlayerLabels();
+    this.renderFrame();
+  }
+
+  /**
+   * Name the players, hiding the key hint of a computer player
+   */
+  updatePlayerLabels() {
+    this.elements.players.forEach((panel, index) => {
+      const { bot } = this.match.players[index];
+      panel.querySelector('.versus-player-name').textContent = bot
+        ? `🤖 Computer (${bot.level.name})`
+        : `Player ${index + 1}`;
+      panel.querySelector('.versus-keys').classList.toggle('hidden', Boolean(bot));
+    });
+  }
+
+  /**
+   * Describe the end of a match
+   * @param {number|null} winner - Index of the winning player, null for a draw
+   * @returns {string} - Results title
+   */
+  describeWinner(winner) {
+    if (winner === null) return '🤝 Draw - nobody wins!';
+    if (this.match.players[winner].bot) return '🤖 The computer wins this time!';
+    if (this.match.players.some(player => player.bot)) return '🏆 You beat the computer!';
+    return `🏆 Player ${winner + 1} wins!`;
+  }
+
+  /**
+   * Create the screen DOM
+   */
+  createScreen() {
+    this.container = document.createElement('div');
+    this.container.className = 'replay-viewer versus-screen hidden';
+    this.container.setAttribute('role', 'dialog');
+    this.container.setAttribute('aria-label', 'Two player game');
+
+    const boards = VERSUS_CONFIG.KEY_SCHEMES.map(
+      (scheme, index) => `
+          <div class="versus-player" data-player="${index}">
+            <h3 class="versus-player-name">Player ${index + 1}</h3>
+            <div class="replay-stage">
+              <canvas class="game-canvas" width="320" height="640"></canvas>
+              <div class="replay-sidebar">
+                <canvas class="preview-canvas versus-next" width="120" height="120"></canvas>
+                <canvas class="preview-canvas versus-hold" width="120" height="120"></canvas>
+                <div class="replay-stats">
+                  <div>📊 <strong data-versus-stat="score">0</strong></div>
+                  <div>📏 <strong data-versus-stat="lines">0</strong> lines</div>
+                  <div>🪨 <strong data-versus-stat="garbageSent">0</strong> sent</div>
+                </div>
+                <div class="versus-keys">${this.describeKeys(scheme)}</div>
+              </div>
+            </div>
+          </div>`,
+    ).join('');
+
+    this.container.innerHTML = `
+      <div class="replay-content versus-content">
+        <div class="versus-boards">${boards}
+        </div>
+
+        <div class="versus-countdown" aria-live="assertive"></div>
+
+        <div class="versus-results hidden">
+          <h2 class="overlay-title versus-winner"></h2>
+          <div class="replay-controls">
+            <button class="btn btn-primary" data-versus-action="rematch">🔁 Play Again</button>
+            <button class="btn btn-secondary" data-versus-action="close">✖️ Close</button>
+          </div>
+        </div>
+
+        <div class="replay-controls">
+          <button class="btn btn-secondary" data-versus-action="close">🏠 Back to Menu</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(this.container);
+
+    this.elements = {
+      players: Array.from(this.container.querySelectorAll('.versus-player')),
+      countdown: this.container.querySelector('.versus-countdown'),
+      results: this.container.querySelector('.versus-results'),
+      winner: this.container.querySelector('.versus-winner'),
+    };
+
+    this.renderers = this.elements.players.map(
+      player =>
+        new CanvasRenderer(
+          player.querySelector('.game-canvas'),
+          player.querySelector('.versus-next'),
+          player.querySelector('.versus-hold'),
+        ),
+    );
+
+    this.container.addEventListener('click', event => {
+      const action = event.target.getAttribute('data-versus-action');
+      if (action) {
+        this.handleAction(action);
+      }
+    });
+  }
+
+  /**
+   * Listen to the match for sounds, the countdown and the winner
+   */
+  setupMatchEvents() {
+    this.match.on('countdown', seconds => {
+      this.elements.countdown.textContent = seconds;
+      this.elements.countdown.classList.remove('hidden');
+      this.emit('playSound', 'menuSelect');
+    });
+
+    this.match.on('started', () => {
+      this.elements.countdown.textContent = 'GO!';
+      this.emit('playSound', 'levelUp');
+      setTimeout(() => {
+        if (this.match.getCountdown() === 0) {
+          this.elements.countdown.classList.add('hidden');
+        }
+      }, 600);
+    });
+
+    this.match.players.forEach(({ session }) => {
+      session.gameLogic.on('linesClearing', data => {
+        this.emit('playSound', data.count >= 4 ? 'tetris' : 'lineClear');
+      });
+    });
+
+    this.match.on('matchOver', result => {
+      this.elements.winner.textContent = this.describeWinner(result.winner);
+      this.elements.results.classList.remove('hidden');
+      this.emit('playSound', 'gameOver');
+      this.emit('matchOver', result);
+    });
+  }
+
+  /**
+   * Handle screen buttons
+   * @param {string} action - Button action
+   */
+  handleAction(action) {
+    switch (action) {
+    case 'rematch':
+      this.startMatch();
+      break;
+
+    case 'close':
+      this.close();
+      break;
+    }
+  }
+
+  /**
+   * Send keys to the player whose key scheme they belong to (the human player when the other
+   * one is the computer)
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleKeyDown(event) {
+    if (event.code === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.close();
+      return;
+    }
+
+    VERSUS_CONFIG.KEY_SCHEMES.forEach((scheme, schemeIndex) => {
+      const action = scheme.keys[event.code];
+      if (!action) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+
+      // Held keys repeat with the player's handling rather than the keyboard's
+      if (event.repeat) return;
+
+      this.applyKeyAction(schemeIndex, action);
+      this.repeaters[schemeIndex].press(event.code, action);
+    });
+  }
+
+  /**
+   * Stop repeating a key that was let go
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleKeyUp(event) {
+    this.repeaters.forEach(repeater => repeater.release(event.code));
+  }
+
+  /**
+   * Get the player a key scheme steers (the human player when the other one is the computer)
+   * @param {number} schemeIndex - Key scheme index
+   * @returns {number} - Player index
+   */
+  getKeyPlayerIndex(schemeIndex) {
+    if (!this.match.players[schemeIndex].bot) return schemeIndex;
+    return this.match.players.findIndex(player => !player.bot);
+  }
+
+  /**
+   * Get the player a key scheme steers
+   * @param {number} schemeIndex - Key scheme index
+   * @returns {Object} - Match player
+   */
+  getKeyPlayer(schemeIndex) {
+    return this.match.players[this.getKeyPlayerIndex(schemeIndex)];
+  }
+
+  /**
+   * Apply an action from a key scheme
+   * @param {number} schemeIndex - Key scheme index
+   * @param {string} action - Action to apply
+   * @returns {*} - Result of the action
+   */
+  applyKeyAction(schemeIndex, action) {
+    return this.match.applyAction(this.getKeyPlayerIndex(schemeIndex), action);
+  }
+
+  /**
+   * Apply a held key's repeat (see AutoRepeat)
+   * @param {number} schemeIndex - Key scheme index
+   * @param {string} action - Action to repeat
+   * @param {string} type - 'repeat' for one cell, 'shift' to slide all the way
+   */
+  repeatAction(schemeIndex, action, type) {
+    if (type === 'shift') {
+      slide(() => this.applyKeyAction(schemeIndex, action));
+    } else {
+      this.applyKeyAction(schemeIndex, action);
+    }
+  }
+
+  /**
+   * Describe a key scheme for the hint under each board
+   * @param {Object} scheme - Key scheme from VERSUS_CONFIG.KEY_SCHEMES
+   * @returns {string} - HTML list of keys
+   */
+  describeKeys(scheme) {
+    const keyName = code =>
+      code
+        .replace(/^Key/, '')
+        .replace(/^Arrow/, '')
+        .replace(/Right$/, '');
+
+    return Object.entries(scheme.keys)
+      .map(([code, action]) => `<span><kbd>${keyName(code)}</kbd> ${action}</span>`)
+      .join('');
+  }
+
+  /**
+   * Screen loop: advance the match at a fixed rate and redraw
+   */
+  gameLoop(currentTime) {
+    if (!this.isOpen) return;
+
+    // Long pauses (e.g. a hidden tab) do not fast-forward the match
+    const deltaTime = Math.min(currentTime - this.lastFrameTime, 250);
+    this.lastFrameTime = currentTime;
+
+    try {
+      this.accumulator += deltaTime;
+      while (this.accumulator >= this.fixedTimeStep) {
+        this.repeaters.forEach(repeater => repeater.update(this.fixedTimeStep));
+        this.match.update(this.fixedTimeStep);
+        this.accumulator -= this.fixedTimeStep;
+      }
+      this.renderFrame();
+    } catch (error) {
+      console.error('Error in versus loop:', error);
+    }
+
+    this.frameId = requestAnimationFrame(this.gameLoop);
+  }
+
+  /**
+   * Draw both boards and their stats
+   */
+  renderFrame() {
+    this.renderers.forEach((renderer, index) => {
+      const gameData = this.match.getGameData(index);
+      renderer.render(gameData);
+
+      const panel = this.elements.players[index];
+      const { session, garbageSent } = this.match.players[index];
+      panel.querySelector('[data-versus-stat="score"]').textContent =
+        gameData.score.score.toLocaleString();
+      panel.querySelector('[data-versus-stat="lines"]').textContent = gameData.score.lines;
+      panel.querySelector('[data-versus-stat="garbageSent"]').textContent = garbageSent;
+      panel.classList.toggle('topped-out', session.isGameOver());
+    });
+  }
+
+  /**
+   * Event emission system
+   */
+  emit(event, ...args) {
+    if (this.eventListeners && this.eventListeners.has(event)) {
+      this.eventListeners.get(event).forEach(callback => {
+        try {
+          callback(...args);
+        } catch (error) {
+          console.error(`Error in VersusScreen ${event} listener:`, error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Event listener system
+   */
+  on(event, callback) {
+    if (!this.eventListeners) {
+      this.eventListeners = new Map();
+    }
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(callback);
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    this.close();
+
+    if (this.container && this.container.parentNode) {
+      this.container.parentNode.removeChild(this.container);
+    }
+
+    this.renderers.forEach(renderer => renderer.destroy());
+
+    if (this.eventListeners) {
+      this.eventListeners.clear();
+    }
+  }
+}
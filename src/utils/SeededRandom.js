@@ -0,0 +1,96 @@
+/**
+ * SeededRandom - Small deterministic pseudo-random number generator
+ * Uses the mulberry32 algorithm so a whole game can be reproduced from one seed
+ */
+
+export class SeededRandom {
+  /**
+   * @param {number} seed - 32-bit unsigned seed (a random one is picked if omitted)
+   */
+  constructor(seed = SeededRandom.createSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Create a fresh random seed for a new game
+   * @returns {number} - 32-bit unsigned integer seed
+   */
+  static createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Get the next random float in [0, 1)
+   * @returns {number} - Random number
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Get a random integer between 0 (inclusive) and max (exclusive)
+   * @param {number} max - Upper bound
+   * @returns {number} - Random integer
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Shuffle a copy of an array using Fisher-Yates
+   * @param {Array} array - Array to shuffle
+   * @returns {Array} - Shuffled copy
+   */
+  shuffle(array) {
+    const shuffled = [...array];
+
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = this.nextInt(i + 1);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    return shuffled;
+  }
+
+  /**
+   * Create an independent copy that continues the same sequence
+   * Useful for lookahead without consuming numbers from the real generator
+   * @returns {SeededRandom} - Cloned generator
+   */
+  clone() {
+    const copy = new SeededRandom(this.seed);
+    copy.state = this.state;
+    return copy;
+  }
+
+  /**
+   * Get the internal state (to save and later continue the sequence)
+   * @returns {number} - Current state
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Continue a sequence from a saved state
+   * @param {number} state - State from getState()
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+
+  /**
+   * Get the seed this generator was created with
+   * @returns {number} - Seed
+   */
+  getSeed() {
+    return this.seed;
+  }
+}
@@ -159,6 +159,37 @@ export function generateId() {
   return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
+/**
+ * Escape text for use inside HTML (e.g. names typed by players)
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Mix a "#rrggbb" colour with another (e.g. white to lighten, black to darken)
+ */
+export function mixColors(color, otherColor, amount) {
+  const channels = hex => [1, 3, 5].map(start => parseInt(hex.slice(start, start + 2), 16));
+  const mixed = channels(color).map((channel, index) =>
+    Math.round(lerp(channel, channels(otherColor)[index], amount)),
+  );
+  return `#${mixed.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Turn a "#rrggbb" colour into rgba() with the given alpha
+ */
+export function hexToRgba(color, alpha) {
+  const [r, g, b] = [1, 3, 5].map(start => parseInt(color.slice(start, start + 2), 16));
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
 export default {
   randomInt,
   shuffleArray,
@@ -175,4 +206,7 @@ export default {
   rotateMatrix,
   inBounds,
   generateId,
+  escapeHtml,
+  mixColors,
+  hexToRgba,
 };